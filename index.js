@@ -7,19 +7,40 @@ const Payment = require('./lib/payment');
 const Receipt = require('./lib/receipt');
 const MonetaryAmount = require('./lib/monetary-amount');
 const Currency = require('./lib/currency');
-const {SettlementFactory, PaymentSettlement, OnchainBalanceSettlement} = require('./lib/settlement');
+const {SettlementFactory, PaymentSettlement, OnchainBalanceSettlement, SettlementWatcher} = require('./lib/settlement');
 const utils = require('./lib/utils');
+const schemas = require('./lib/schemas');
 const Erc20Contract = require('./lib/erc20/erc20-contract');
 const NahmiiContract = require('./lib/contract');
 const InsufficientFundsError = require('./lib/insufficient-funds-error');
 const NahmiiEventProvider = require('./lib/event-provider');
 const ClusterInformation = require('./lib/cluster-information');
 const {FeesClaimant} = require('./lib/claim');
+const DepositTracker = require('./lib/deposit-tracker');
+const PaymentBatch = require('./lib/payment-batch');
+const PaymentBundle = require('./lib/payment-bundle');
+const PaymentRequest = require('./lib/payment-request');
+const SenderPayload = require('./lib/sender-payload');
+const SenderPayloadError = require('./lib/sender-payload-error');
+const ReceiptChainVerifier = require('./lib/receipt-chain-verifier');
+const {SignerAdapter, LedgerSignerAdapter, EthersSignerAdapter} = require('./lib/signer');
+const {ReceiptStore, ReceiptStoreBackend, MemoryReceiptBackend, FileReceiptBackend} = require('./lib/receipt-store');
+const {WithdrawalOrchestrator, WithdrawalStore, MemoryWithdrawalStore, FileWithdrawalStore} = require('./lib/withdrawal');
+const {AppSecretCredentials, StaticTokenCredentials, TokenCallbackCredentials} = require('./lib/identity-model');
+const RetryPolicy = require('./lib/retry-policy');
+const CircuitBreaker = require('./lib/circuit-breaker');
+const CircuitOpenError = require('./lib/circuit-open-error');
+const {
+    NahmiiApiError, UnauthorizedError, NotFoundError, ValidationError, ConflictError, RateLimitedError
+} = require('./lib/api-errors');
 
 module.exports = {
     NahmiiProvider,
     NahmiiEventProvider,
     Wallet,
+    SignerAdapter,
+    LedgerSignerAdapter,
+    EthersSignerAdapter,
     Payment,
     Receipt,
     MonetaryAmount,
@@ -27,10 +48,39 @@ module.exports = {
     Currency,
     PaymentSettlement,
     OnchainBalanceSettlement,
+    SettlementWatcher,
+    WithdrawalOrchestrator,
+    WithdrawalStore,
+    MemoryWithdrawalStore,
+    FileWithdrawalStore,
     Erc20Contract,
     NahmiiContract,
     InsufficientFundsError,
+    NahmiiApiError,
+    UnauthorizedError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    RateLimitedError,
     ClusterInformation,
     FeesClaimant,
-    utils
+    DepositTracker,
+    PaymentBatch,
+    PaymentBundle,
+    PaymentRequest,
+    SenderPayload,
+    SenderPayloadError,
+    ReceiptChainVerifier,
+    ReceiptStore,
+    ReceiptStoreBackend,
+    MemoryReceiptBackend,
+    FileReceiptBackend,
+    AppSecretCredentials,
+    StaticTokenCredentials,
+    TokenCallbackCredentials,
+    RetryPolicy,
+    CircuitBreaker,
+    CircuitOpenError,
+    utils,
+    schemas
 };
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const NestedError = require('./nested-error');
+
+/**
+ * @class NahmiiApiError
+ * Base class for errors relayed from the _nahmii_ APIs. Every NahmiiProvider
+ * method that calls the APIs rejects with an instance of this class, or one of
+ * its sub classes, so that callers can branch on the type of error.
+ * The original error is available as *innerError*.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {NotFoundError, NahmiiApiError} = require('nahmii-sdk');
+ *
+ * try {
+ *     await receipt.effectuate();
+ * }
+ * catch (err) {
+ *     if (err instanceof NotFoundError)
+ *         console.log('Payment not found');
+ *     else if (err instanceof NahmiiApiError)
+ *         console.log(`${err.endpoint} failed with status ${err.status} (request ${err.requestId})`);
+ * }
+ */
+class NahmiiApiError extends NestedError {
+    /**
+     * Construct an error instance.
+     * @param {Error} innerError - The original error
+     * @param {string} message - The error message
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status of the response, undefined if no response was received
+     * @param {string} [details.endpoint] - Method and path of the request, e.g. 'POST /trading/payments'
+     * @param {string} [details.requestId] - Request ID assigned by the API
+     * @param {*} [details.body] - The parsed body of the response
+     */
+    constructor(innerError, message, details = {}) {
+        super(innerError, message);
+
+        if (Error.captureStackTrace)
+            Error.captureStackTrace(this, this.constructor);
+
+        this.name = this.constructor.name;
+        this.status = details.status;
+        this.endpoint = details.endpoint;
+        this.requestId = details.requestId;
+        this.body = details.body;
+    }
+}
+
+/**
+ * @class UnauthorizedError
+ * The API rejected the API access token or denied access to the resource
+ * (401, 403).
+ * @alias module:nahmii-sdk
+ */
+class UnauthorizedError extends NahmiiApiError {}
+
+/**
+ * @class NotFoundError
+ * The requested resource does not exist (404).
+ * @alias module:nahmii-sdk
+ */
+class NotFoundError extends NahmiiApiError {}
+
+/**
+ * @class ValidationError
+ * The API rejected the request as malformed or invalid (400, 422), or data
+ * received from the API or a third party does not conform to its schema. In
+ * the latter case the property *violations* lists every violation as
+ * {path, message}, where path is the JSON path of the offending property.
+ * @alias module:nahmii-sdk
+ */
+class ValidationError extends NahmiiApiError {
+    /**
+     * Construct an error instance.
+     * @param {Error} innerError - The original error
+     * @param {string} message - The error message
+     * @param {Object} [details] - See NahmiiApiError
+     * @param {Object[]} [details.violations] - The schema violations as {path, message}
+     */
+    constructor(innerError, message, details = {}) {
+        super(innerError, message, details);
+        this.violations = details.violations || [];
+    }
+}
+
+/**
+ * @class ConflictError
+ * The request conflicts with the current state, e.g. the resource is
+ * already registered (409).
+ * @alias module:nahmii-sdk
+ */
+class ConflictError extends NahmiiApiError {}
+
+/**
+ * @class RateLimitedError
+ * Too many requests have been sent to the API (429).
+ * @alias module:nahmii-sdk
+ */
+class RateLimitedError extends NahmiiApiError {}
+
+module.exports = {
+    NahmiiApiError,
+    UnauthorizedError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    RateLimitedError
+};
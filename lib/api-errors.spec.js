@@ -0,0 +1,82 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const NestedError = require('./nested-error');
+const {
+    NahmiiApiError, UnauthorizedError, NotFoundError, ValidationError, ConflictError, RateLimitedError
+} = require('./api-errors');
+
+describe('API errors', () => {
+    [
+        NahmiiApiError,
+        UnauthorizedError,
+        NotFoundError,
+        ValidationError,
+        ConflictError,
+        RateLimitedError
+    ].forEach(ErrorClass => {
+        context(ErrorClass.name, () => {
+            let innerError, error;
+
+            beforeEach(() => {
+                innerError = new Error('inner error');
+                error = new ErrorClass(innerError, 'some error', {
+                    status: 400,
+                    endpoint: 'GET /some/path',
+                    requestId: 'abc123',
+                    body: {message: 'some error'}
+                });
+            });
+
+            it('is a NestedError', () => {
+                expect(error).to.be.an.instanceOf(NahmiiApiError);
+                expect(error).to.be.an.instanceOf(NestedError);
+                expect(error).to.be.an.instanceOf(Error);
+            });
+
+            it('has the class name as name', () => {
+                expect(error.name).to.eql(ErrorClass.name);
+            });
+
+            it('has the message', () => {
+                expect(error.message).to.eql('some error');
+            });
+
+            it('has the inner error', () => {
+                expect(error.innerError.message).to.eql('inner error');
+            });
+
+            it('has the details of the failed request', () => {
+                expect(error.status).to.eql(400);
+                expect(error.endpoint).to.eql('GET /some/path');
+                expect(error.requestId).to.eql('abc123');
+                expect(error.body).to.eql({message: 'some error'});
+            });
+
+            it('has a call stack when thrown', () => {
+                try {
+                    throw error;
+                }
+                catch (err) {
+                    expect(err.stack).to.match(/some error[\s\S]*at.*spec.js/i);
+                }
+            });
+        });
+    });
+
+    it('does not require details', () => {
+        const error = new NahmiiApiError(null, 'some error');
+        expect(error.status).to.be.undefined;
+        expect(error.endpoint).to.be.undefined;
+        expect(error.requestId).to.be.undefined;
+        expect(error.body).to.be.undefined;
+    });
+
+    it('has the schema violations of a ValidationError', () => {
+        const violations = [{path: '$.amount', message: 'is required'}];
+        expect(new ValidationError(null, 'some error', {violations}).violations).to.eql(violations);
+        expect(new ValidationError(null, 'some error').violations).to.eql([]);
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const dbg = require('./dbg');
+const CircuitOpenError = require('./circuit-open-error');
+
+const _failureThreshold = new WeakMap();
+const _resetTimeout = new WeakMap();
+const _failures = new WeakMap();
+const _openedAt = new WeakMap();
+const _trialPending = new WeakMap();
+
+/**
+ * @class CircuitBreaker
+ * Stops requests from being sent to the API after a number of consecutive
+ * failures, so that callers fail fast while the API is down. After the reset
+ * timeout a single trial request is let through (half-open); if it succeeds
+ * the circuit is closed again, otherwise it stays open for another period.
+ * Only server errors (5xx) and network errors count as failures.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {NahmiiProvider, CircuitBreaker} = require('nahmii-sdk');
+ *
+ * const provider = await NahmiiProvider.from('api.nahmii.io', app_id, app_secret, {
+ *     circuitBreaker: new CircuitBreaker({failureThreshold: 10, resetTimeout: 60000})
+ * });
+ */
+class CircuitBreaker {
+    /**
+     * Constructor
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold=5] - Number of consecutive failures that opens the circuit
+     * @param {number} [options.resetTimeout=30000] - Time in ms the circuit stays open before a trial request
+     */
+    constructor(options = {}) {
+        const {failureThreshold = 5, resetTimeout = 30000} = options;
+
+        if (!Number.isInteger(failureThreshold) || failureThreshold < 1)
+            throw new TypeError('failureThreshold must be a positive integer');
+
+        if (typeof resetTimeout !== 'number' || resetTimeout < 0)
+            throw new TypeError('resetTimeout must be a non-negative number');
+
+        _failureThreshold.set(this, failureThreshold);
+        _resetTimeout.set(this, resetTimeout);
+        _failures.set(this, 0);
+        _openedAt.set(this, null);
+        _trialPending.set(this, false);
+    }
+
+    /**
+     * The state of the circuit, one of 'closed', 'open' or 'half-open'.
+     * @returns {string}
+     */
+    get state() {
+        const openedAt = _openedAt.get(this);
+        if (openedAt === null)
+            return 'closed';
+
+        return Date.now() - openedAt >= _resetTimeout.get(this) ? 'half-open' : 'open';
+    }
+
+    /**
+     * Called before a request is sent. Throws if the request must not be
+     * sent.
+     * @throws {CircuitOpenError}
+     */
+    assertRequestAllowed() {
+        const state = this.state;
+        if (state === 'closed')
+            return;
+
+        if (state === 'half-open' && !_trialPending.get(this)) {
+            _trialPending.set(this, true);
+            return;
+        }
+
+        throw new CircuitOpenError(_openedAt.get(this) + _resetTimeout.get(this));
+    }
+
+    /**
+     * Records the outcome of a request that was sent.
+     * @param {Error} [error] - The error the request failed with, if any
+     */
+    record(error) {
+        _trialPending.set(this, false);
+
+        if (!isServiceFailure(error)) {
+            _failures.set(this, 0);
+            _openedAt.set(this, null);
+            return;
+        }
+
+        const failures = _failures.get(this) + 1;
+        _failures.set(this, failures);
+        if (failures >= _failureThreshold.get(this) || _openedAt.get(this) !== null) {
+            dbg(`Circuit breaker opened after ${failures} consecutive failures.`);
+            _openedAt.set(this, Date.now());
+        }
+    }
+}
+
+function isServiceFailure(error) {
+    if (!error)
+        return false;
+
+    if (error.status)
+        return error.status >= 500;
+
+    return true;
+}
+
+module.exports = CircuitBreaker;
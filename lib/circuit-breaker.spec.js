@@ -0,0 +1,119 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const CircuitBreaker = require('./circuit-breaker');
+const CircuitOpenError = require('./circuit-open-error');
+
+function httpError(status) {
+    const err = new Error('http error');
+    err.status = status;
+    return err;
+}
+
+describe('CircuitBreaker', () => {
+    let breaker, clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(new Date('2020-01-01T00:00:00Z'));
+        breaker = new CircuitBreaker({failureThreshold: 3, resetTimeout: 1000});
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    function fail(times, error = httpError(503)) {
+        for (let i = 0; i < times; i++) {
+            breaker.assertRequestAllowed();
+            breaker.record(error);
+        }
+    }
+
+    it('is closed initially', () => {
+        expect(breaker.state).to.eql('closed');
+        expect(() => breaker.assertRequestAllowed()).to.not.throw();
+    });
+
+    it('stays closed below the failure threshold', () => {
+        fail(2);
+        expect(breaker.state).to.eql('closed');
+    });
+
+    it('opens after consecutive failures', () => {
+        fail(3);
+        expect(breaker.state).to.eql('open');
+        expect(() => breaker.assertRequestAllowed()).to.throw(CircuitOpenError);
+    });
+
+    it('tells when requests will be let through again', () => {
+        fail(3);
+        try {
+            breaker.assertRequestAllowed();
+        }
+        catch (err) {
+            expect(err.code).to.eql('ECIRCUITOPEN');
+            expect(err.retryAt).to.eql(Date.now() + 1000);
+            expect(err.stack).to.match(/unavailable[\s\S]*at.*spec.js/i);
+        }
+    });
+
+    it('counts network errors as failures', () => {
+        const err = new Error('socket hang up');
+        err.code = 'ECONNRESET';
+        fail(3, err);
+        expect(breaker.state).to.eql('open');
+    });
+
+    it('does not count client errors as failures', () => {
+        fail(2);
+        fail(1, httpError(404));
+        fail(2);
+        expect(breaker.state).to.eql('closed');
+    });
+
+    it('resets the failure count on success', () => {
+        fail(2);
+        breaker.record();
+        fail(2);
+        expect(breaker.state).to.eql('closed');
+    });
+
+    context('when the reset timeout has elapsed', () => {
+        beforeEach(() => {
+            fail(3);
+            clock.tick(1000);
+        });
+
+        it('is half-open', () => {
+            expect(breaker.state).to.eql('half-open');
+        });
+
+        it('lets a single trial request through', () => {
+            expect(() => breaker.assertRequestAllowed()).to.not.throw();
+            expect(() => breaker.assertRequestAllowed()).to.throw(CircuitOpenError);
+        });
+
+        it('closes when the trial request succeeds', () => {
+            breaker.assertRequestAllowed();
+            breaker.record();
+            expect(breaker.state).to.eql('closed');
+        });
+
+        it('opens again when the trial request fails', () => {
+            fail(1);
+            expect(breaker.state).to.eql('open');
+        });
+    });
+
+    [
+        {failureThreshold: 0},
+        {resetTimeout: -1}
+    ].forEach(options => {
+        it(`can not be created with ${JSON.stringify(options)}`, () => {
+            expect(() => new CircuitBreaker(options)).to.throw(TypeError);
+        });
+    });
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const {NahmiiApiError} = require('./api-errors');
+
+/**
+ * @class CircuitOpenError
+ * Thrown instead of sending a request to the API while the circuit breaker of
+ * the provider is open, i.e. while the API is considered to be down.
+ * The property *retryAt* tells when the next request will be let through.
+ * @alias module:nahmii-sdk
+ */
+class CircuitOpenError extends NahmiiApiError {
+    /**
+     * Construct an error instance.
+     * @param {number} retryAt - Time in milliseconds since epoch when the circuit will be half-open
+     */
+    constructor(retryAt) {
+        super(null, 'nahmii API is unavailable, request was not sent.');
+
+        if (Error.captureStackTrace)
+            Error.captureStackTrace(this, CircuitOpenError);
+
+        this.code = 'ECIRCUITOPEN';
+        this.retryAt = retryAt;
+    }
+}
+
+module.exports = CircuitOpenError;
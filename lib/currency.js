@@ -6,6 +6,7 @@
 
 const {EthereumAddress} = require('nahmii-ethereum-address');
 const BSON = require('bson');
+const schemas = require('./schemas');
 
 const _ct = new WeakMap();
 const _id = new WeakMap();
@@ -56,28 +57,49 @@ class Currency {
         };
     }
 
+    /**
+     * Factory/de-serializing method. The input is validated against the
+     * published currency schema once an EthereumAddress contract address, a
+     * BSON id or a hex string id has been converted into its JSON form.
+     * @param {Object} input - A currency as JSON, or {ct, id} with ct as EthereumAddress and id as number, BSON.Int32 or hex string
+     * @returns {Currency}
+     * @throws {ValidationError} The input does not conform to the schema. The error lists every violation.
+     */
     static from(input) {
-        if (!input)
-            return null;
-
-        const ct = EthereumAddress.from(input.ct);
-        if (!ct)
-            return null;
-
-        let id = input.id;
-
-        if (id === undefined)
-            id = 0;
-        if (id instanceof BSON.Int32)
-            id = id.valueOf();
-        if (typeof(id) === 'string')
-            id = Number.parseInt(id);
-
-        if (Number.isNaN(id) || id < 0 || id !== Math.floor(id))
-            return null;
+        const json = toJSON(input);
+        Currency.validate(json);
+        return new Currency(EthereumAddress.from(json.ct), json.id === undefined ? 0 : Number(json.id));
+    }
 
-        return new Currency(ct, id);
+    /**
+     * Validates JSON against the published currency schema, without
+     * creating a Currency.
+     * @param {Object} json - A currency as JSON, e.g. as received from the API
+     * @throws {ValidationError} The JSON does not conform to the schema. The error lists every violation.
+     */
+    static validate(json) {
+        schemas.validate('currency', json);
     }
 }
 
+/**
+ * Converts the properties of a currency that are not in their JSON form.
+ * @private
+ * @param {*} input
+ * @returns {*} The currency as JSON, or the input if it is not an object
+ */
+function toJSON(input) {
+    if (!input || typeof input !== 'object')
+        return input;
+
+    const json = Object.assign({}, input);
+    if (json.ct instanceof EthereumAddress)
+        json.ct = json.ct.toString();
+    if (json.id instanceof BSON.Int32)
+        json.id = json.id.valueOf();
+    if (typeof json.id === 'string' && /^0x[0-9a-f]+$/i.test(json.id))
+        json.id = Number.parseInt(json.id, 16);
+    return json;
+}
+
 module.exports = Currency;
@@ -137,15 +137,24 @@ describe('Currency', () => {
         }
     });
 
-    context('Factory returns null on illegal input', () => {
+    context('Factory throws on illegal input', () => {
+        const {ValidationError} = require('./api-errors');
+
         for (const input of badFactoryArgs) {
             it (`with "${input.ct}" ${typeStr(input.ct)}, "${input.id}" ${typeStr(input.id)}`, () => {
-                expect(Currency.from(input)).to.equal(null);
+                expect(() => Currency.from(input)).to.throw(ValidationError);
             });
         }
 
         it ('with null', () => {
-            expect(Currency.from(null)).to.equal(null);
+            expect(() => Currency.from(null)).to.throw(ValidationError);
+        });
+
+        it ('listing every violation', () => {
+            expect(() => Currency.from({id: 'not a number'})).to.throw(ValidationError).with.property('violations').that.eql([
+                {path: '$.ct', message: 'is required'},
+                {path: '$.id', message: 'should match pattern "^[0-9]+$"'}
+            ]);
         });
     });
 
@@ -269,4 +278,21 @@ describe('Currency', () => {
             }
         });
     });
+
+    context('validating JSON', () => {
+        const {ValidationError} = require('./api-errors');
+
+        it('accepts a valid currency', () => {
+            expect(() => Currency.validate({ct: '0x0000000000000000000000000000000000000001', id: '0'})).to.not.throw();
+            expect(() => Currency.validate({ct: '0x0000000000000000000000000000000000000001', id: 1})).to.not.throw();
+            expect(() => Currency.validate({ct: '0x0000000000000000000000000000000000000001'})).to.not.throw();
+        });
+
+        it('lists every violation of an invalid currency', () => {
+            expect(() => Currency.validate({ct: '0x01', id: '-1'})).to.throw(ValidationError).with.property('violations').that.eql([
+                {path: '$.ct', message: 'should match pattern "^0x[0-9a-fA-F]{40}$"'},
+                {path: '$.id', message: 'should match pattern "^[0-9]+$"'}
+            ]);
+        });
+    });
 });
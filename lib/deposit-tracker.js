@@ -0,0 +1,446 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const EventEmitter = require('events');
+const ethers = require('ethers');
+const Currency = require('./currency');
+const MonetaryAmount = require('./monetary-amount');
+
+const _wallet = new WeakMap();
+const _transaction = new WeakMap();
+const _monetaryAmount = new WeakMap();
+const _options = new WeakMap();
+const _initialBalance = new WeakMap();
+const _eventEmitter = new WeakMap();
+const _state = new WeakMap();
+const _tracking = new WeakMap();
+const _milestones = new WeakMap();
+
+const STATES = ['submitted', 'mined', 'confirmed', 'credited'];
+
+/**
+ * @class DepositTracker
+ * Tracks a deposit to nahmii from the submission of its transaction until
+ * nahmii has credited the deposited amount to the available balance of the
+ * wallet. The deposit goes through the states 'submitted', 'mined',
+ * 'confirmed' and 'credited', unless its transaction is 'reverted', 'dropped'
+ * from the mempool, or 'replaced' by another transaction with the same nonce.
+ * Each state is emitted as an event when entered, and 'confirmation' is
+ * emitted with the number of confirmations for each new block mined. The
+ * promises of mined(), confirmed() and credited() reject when the deposit
+ * fails or times out, which is emitted as 'timeout'. Failing to poll the
+ * deposit is emitted as 'pollFailed' with the error, and polling continues
+ * until the state times out.
+ * Crediting is detected by the available balance of the wallet in the
+ * currency, as returned by getNahmiiBalances(), increasing by the amount.
+ * Tracking starts on start() or on the first call to a promise method.
+ * @alias module:nahmii-sdk
+ * @example
+ * const tracker = await wallet.depositToken('1.1', 'HBT', {waitForConfirmations: 12});
+ * tracker.on('confirmation', count => console.log(`${count} confirmations`));
+ * await tracker.confirmed();
+ * const balance = await tracker.credited();
+ *
+ * // Tracking a deposit of ETH
+ * const transaction = await wallet.depositEth('1.1');
+ * const monetaryAmount = MonetaryAmount.from(ethers.utils.parseEther('1.1'), '0x0000000000000000000000000000000000000000');
+ * new DepositTracker(wallet, transaction, monetaryAmount)
+ *     .on('credited', balance => console.log(balance.toJSON()))
+ *     .on('dropped', () => console.log('Please deposit again'))
+ *     .start();
+ */
+class DepositTracker {
+    /**
+     * Constructor
+     * @param {Wallet} wallet - The depositing wallet
+     * @param {Object} transaction - The deposit transaction, with a hash, and the sender and nonce to detect its replacement if known
+     * @param {MonetaryAmount} monetaryAmount - The deposited amount
+     * @param {Object} [options]
+     * @param {number} [options.confirmations=1] - The number of confirmations of the transaction to wait for
+     * @param {BigNumber} [options.initialBalance] - The available nahmii balance before the deposit, retrieved now if not given
+     * @param {number} [options.pollInterval=5] - Seconds between polls
+     * @param {number} [options.timeout=600] - Seconds to wait for each state
+     * @param {number} [options.dropTimeout=120] - Seconds the transaction may be unknown to the node before it is considered dropped
+     */
+    constructor(wallet, transaction, monetaryAmount, options = {}) {
+        if (!transaction || !transaction.hash)
+            throw new TypeError('transaction does not have a hash');
+        if (!(monetaryAmount instanceof MonetaryAmount))
+            throw new TypeError('monetaryAmount is not an instance of MonetaryAmount');
+
+        const {confirmations = 1, initialBalance = null, pollInterval = 5, timeout = 600, dropTimeout = 120} = options;
+        _wallet.set(this, wallet);
+        _transaction.set(this, transaction);
+        _monetaryAmount.set(this, monetaryAmount);
+        _options.set(this, {confirmations, pollInterval, timeout, dropTimeout});
+        _initialBalance.set(this, initialBalance !== null
+            ? Promise.resolve(ethers.utils.bigNumberify(initialBalance))
+            : DepositTracker.getAvailableBalance(wallet, monetaryAmount.currency));
+        // Avoid unhandled rejections until tracking starts
+        _initialBalance.get(this).catch(() => {});
+        _eventEmitter.set(this, new EventEmitter());
+        _state.set(this, 'submitted');
+        _tracking.set(this, null);
+        _milestones.set(this, createMilestones());
+    }
+
+    /**
+     * The depositing wallet
+     * @returns {Wallet}
+     */
+    get wallet() {
+        return _wallet.get(this);
+    }
+
+    /**
+     * The deposit transaction
+     * @returns {Object}
+     */
+    get transaction() {
+        return _transaction.get(this);
+    }
+
+    /**
+     * The hash of the deposit transaction
+     * @returns {string}
+     */
+    get hash() {
+        return _transaction.get(this).hash;
+    }
+
+    /**
+     * The deposited amount
+     * @returns {MonetaryAmount}
+     */
+    get monetaryAmount() {
+        return _monetaryAmount.get(this);
+    }
+
+    /**
+     * The current state of the deposit: 'submitted', 'mined', 'confirmed',
+     * 'credited', 'reverted', 'dropped' or 'replaced'
+     * @returns {string}
+     */
+    get state() {
+        return _state.get(this);
+    }
+
+    /**
+     * Starts tracking the deposit, if not started already.
+     * @returns {DepositTracker}
+     */
+    start() {
+        if (!_tracking.get(this)) {
+            _tracking.set(this, {stopped: false, timer: null, wakeUp: null});
+            track.call(this);
+        }
+        return this;
+    }
+
+    /**
+     * Stops tracking the deposit. Promises that have not resolved yet are
+     * rejected.
+     */
+    stop() {
+        const tracking = _tracking.get(this);
+        if (!tracking || tracking.stopped)
+            return;
+
+        tracking.stopped = true;
+        clearTimeout(tracking.timer);
+        if (tracking.wakeUp)
+            tracking.wakeUp();
+        fail.call(this, null, new Error(`Tracking of deposit transaction ${this.hash} was stopped`));
+    }
+
+    /**
+     * Waits for the deposit transaction to be mined.
+     * @returns {Promise<Object>} A promise that resolves into the transaction receipt
+     * @throws {Error} The transaction failed, or was not mined in time
+     */
+    mined() {
+        return this.start() && _milestones.get(this).mined.promise;
+    }
+
+    /**
+     * Waits for the deposit transaction to be mined and confirmed.
+     * @returns {Promise<Object>} A promise that resolves into the transaction receipt
+     * @throws {Error} The transaction failed, or was not confirmed in time
+     */
+    confirmed() {
+        return this.start() && _milestones.get(this).confirmed.promise;
+    }
+
+    /**
+     * Waits for nahmii to credit the deposit to the available balance of the
+     * wallet, i.e. the balance of getNahmiiBalance().
+     * @returns {Promise<MonetaryAmount>} A promise that resolves into the available balance after crediting
+     * @throws {Error} The transaction failed, or the deposit was not credited in time
+     */
+    credited() {
+        return this.start() && _milestones.get(this).credited.promise;
+    }
+
+    /**
+     * Registers a listener of an event: 'mined', 'confirmation', 'confirmed',
+     * 'credited', 'reverted', 'dropped', 'replaced', 'timeout' or
+     * 'pollFailed'.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {DepositTracker}
+     */
+    on(eventName, listener) {
+        _eventEmitter.get(this).on(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Registers a listener that is only called the first time the event is
+     * emitted.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {DepositTracker}
+     */
+    once(eventName, listener) {
+        _eventEmitter.get(this).once(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener previously registered with on() or once().
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - The registered listener
+     * @returns {DepositTracker}
+     */
+    removeListener(eventName, listener) {
+        _eventEmitter.get(this).removeListener(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Retrieves the available nahmii balance of a wallet in a currency, e.g.
+     * as the initial balance of a deposit.
+     * @param {Wallet} wallet
+     * @param {Currency} currency
+     * @returns {Promise<BigNumber>}
+     */
+    static async getAvailableBalance(wallet, currency) {
+        const balances = await wallet.provider.getNahmiiBalances(wallet.address);
+        const balance = (balances || []).find(b => {
+            try {
+                return Currency.from(b.currency).isEqual(currency);
+            }
+            catch (err) {
+                return false;
+            }
+        });
+        return ethers.utils.bigNumberify(balance ? balance.amountAvailable : 0);
+    }
+}
+
+/**
+ * Creates the deferred promises of the states that can be waited for.
+ * @private
+ * @returns {Object}
+ */
+function createMilestones() {
+    const milestones = {};
+    for (const state of STATES.slice(1)) {
+        const milestone = {settled: false};
+        milestone.promise = new Promise((resolve, reject) => {
+            milestone.resolve = resolve;
+            milestone.reject = reject;
+        });
+        // Rejections are only reported to callers of the promise methods
+        milestone.promise.catch(() => {});
+        milestones[state] = milestone;
+    }
+    return milestones;
+}
+
+/**
+ * Polls the deposit until it is credited, fails or times out.
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ */
+async function track() {
+    const {pollInterval, timeout} = _options.get(this);
+    const tracking = _tracking.get(this);
+    const transaction = _transaction.get(this);
+    const context = {confirmations: 0, nonce: null, from: null, lastSeen: Date.now()};
+    // Known up front, a transaction replaced before the node has seen it is still detected
+    if (transaction.from && Number.isInteger(transaction.nonce)) {
+        context.from = transaction.from;
+        context.nonce = transaction.nonce;
+    }
+    let state = null;
+    let deadline;
+
+    while (!tracking.stopped && STATES.indexOf(this.state) >= 0 && this.state !== 'credited') {
+        if (state !== this.state) {
+            state = this.state;
+            deadline = Date.now() + timeout * 1000;
+        }
+        else if (Date.now() >= deadline) {
+            const error = new Error(`Timed out waiting for deposit transaction ${this.hash} to be ${STATES[STATES.indexOf(state) + 1]}`);
+            fail.call(this, null, error);
+            _eventEmitter.get(this).emit('timeout', error);
+            return;
+        }
+
+        try {
+            await step.call(this, context);
+        }
+        catch (err) {
+            // Polling again until the state times out, as the node or the API may be briefly unavailable
+            _eventEmitter.get(this).emit('pollFailed', err);
+        }
+
+        if (!tracking.stopped && this.state === state) {
+            await new Promise(resolve => {
+                tracking.wakeUp = resolve;
+                tracking.timer = setTimeout(resolve, Math.min(pollInterval * 1000, Math.max(deadline - Date.now(), 0)));
+            });
+        }
+    }
+}
+
+/**
+ * Advances the deposit from its current state, if possible.
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ * @param {Object} context - What is known about the transaction so far
+ */
+async function step(context) {
+    if (this.state === 'submitted')
+        await stepSubmitted.call(this, context);
+    else if (this.state === 'mined')
+        await stepMined.call(this, context);
+    else
+        await stepConfirmed.call(this);
+}
+
+/**
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ * @param {Object} context
+ */
+async function stepSubmitted(context) {
+    const provider = _wallet.get(this).provider;
+    const {dropTimeout} = _options.get(this);
+
+    const receipt = await provider.getTransactionReceipt(this.hash);
+    if (receipt)
+        return enterMined.call(this, receipt);
+
+    const transaction = await provider.getTransaction(this.hash);
+    if (transaction) {
+        context.nonce = transaction.nonce;
+        context.from = transaction.from;
+        context.lastSeen = Date.now();
+    }
+
+    if (context.from && await provider.getTransactionCount(context.from, 'latest') > context.nonce) {
+        // The nonce is used, so unless mined meanwhile, by another transaction
+        const lateReceipt = await provider.getTransactionReceipt(this.hash);
+        if (lateReceipt)
+            return enterMined.call(this, lateReceipt);
+        return fail.call(this, 'replaced', new Error(`The deposit transaction ${this.hash} was replaced`), context.nonce);
+    }
+
+    if (!transaction && Date.now() - context.lastSeen > dropTimeout * 1000)
+        fail.call(this, 'dropped', new Error(`The deposit transaction ${this.hash} was dropped`));
+}
+
+/**
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ * @param {Object} receipt
+ */
+function enterMined(receipt) {
+    if (receipt.status === 0)
+        fail.call(this, 'reverted', new Error(`The deposit transaction ${this.hash} was reverted`), receipt);
+    else
+        enter.call(this, 'mined', receipt);
+}
+
+/**
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ * @param {Object} context
+ */
+async function stepMined(context) {
+    const provider = _wallet.get(this).provider;
+    const {confirmations} = _options.get(this);
+
+    const receipt = await provider.getTransactionReceipt(this.hash);
+    if (!receipt) {
+        // The block of the transaction was reorganized away
+        context.confirmations = 0;
+        _state.set(this, 'submitted');
+        return;
+    }
+
+    const count = await provider.getBlockNumber() - receipt.blockNumber + 1;
+    if (count > context.confirmations) {
+        context.confirmations = count;
+        _eventEmitter.get(this).emit('confirmation', count, receipt);
+    }
+    if (count >= confirmations)
+        enter.call(this, 'confirmed', receipt);
+}
+
+/**
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ */
+async function stepConfirmed() {
+    const expectedBalance = (await _initialBalance.get(this)).add(this.monetaryAmount.amount);
+    const available = await DepositTracker.getAvailableBalance(_wallet.get(this), this.monetaryAmount.currency);
+    if (available.gte(expectedBalance))
+        enter.call(this, 'credited', new MonetaryAmount(available, this.monetaryAmount.currency));
+}
+
+/**
+ * Enters a state, resolving its promise and emitting its event.
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ * @param {string} state
+ * @param {*} value - The value of the state
+ */
+function enter(state, value) {
+    _state.set(this, state);
+    const milestone = _milestones.get(this)[state];
+    if (!milestone.settled) {
+        milestone.settled = true;
+        milestone.resolve(value);
+    }
+    _eventEmitter.get(this).emit(state, value);
+}
+
+/**
+ * Rejects the promises that have not resolved yet, and enters a failed state
+ * if given.
+ * Private method, invoke with 'this' bound to DepositTracker instance.
+ * @private
+ * @param {string|null} state - The failed state, if any
+ * @param {Error} error
+ * @param {*} [value] - The value of the failed state
+ */
+function fail(state, error, value) {
+    if (state)
+        _state.set(this, state);
+    for (const milestone of Object.values(_milestones.get(this))) {
+        if (!milestone.settled) {
+            milestone.settled = true;
+            milestone.reject(error);
+        }
+    }
+    if (state)
+        _eventEmitter.get(this).emit(state, value);
+}
+
+module.exports = DepositTracker;
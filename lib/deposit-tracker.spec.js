@@ -0,0 +1,239 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const ethers = require('ethers');
+const MonetaryAmount = require('./monetary-amount');
+const DepositTracker = require('./deposit-tracker');
+
+const walletAddress = '0x0000000000000000000000000000000000000001';
+const ct = '0x0000000000000000000000000000000000000002';
+const hash = '0x' + '12'.repeat(32);
+
+function balances(amountAvailable) {
+    return [
+        {currency: {ct: '0x0000000000000000000000000000000000000000', id: '0'}, amountAvailable: '999'},
+        {currency: {ct, id: '0'}, amountAvailable}
+    ];
+}
+
+describe('DepositTracker', () => {
+    let provider, wallet, monetaryAmount;
+
+    beforeEach(() => {
+        provider = {
+            getTransactionReceipt: sinon.stub().resolves({status: 1, blockNumber: 10}),
+            getTransaction: sinon.stub().resolves({hash, nonce: 5, from: walletAddress}),
+            getTransactionCount: sinon.stub().resolves(5),
+            getBlockNumber: sinon.stub().resolves(10),
+            getNahmiiBalances: sinon.stub().resolves(balances('100'))
+        };
+        wallet = {address: walletAddress, provider};
+        monetaryAmount = MonetaryAmount.from('50', ct, 0);
+    });
+
+    it('requires a transaction', () => {
+        expect(() => new DepositTracker(wallet, {}, monetaryAmount)).to.throw(TypeError, /hash/);
+    });
+
+    it('requires a monetary amount', () => {
+        expect(() => new DepositTracker(wallet, {hash}, '50')).to.throw(TypeError, /MonetaryAmount/);
+    });
+
+    it('retrieves the available balance of a wallet in a currency', async () => {
+        expect(await DepositTracker.getAvailableBalance(wallet, monetaryAmount.currency)).to.eql(ethers.utils.bigNumberify(100));
+        provider.getNahmiiBalances.resolves([]);
+        expect(await DepositTracker.getAvailableBalance(wallet, monetaryAmount.currency)).to.eql(ethers.constants.Zero);
+    });
+
+    it('skips balances with an invalid currency when retrieving the available balance', async () => {
+        const balances = await provider.getNahmiiBalances();
+        provider.getNahmiiBalances.resolves([{currency: {ct: 'invalid'}, amountAvailable: '50'}, ...balances]);
+        expect(await DepositTracker.getAvailableBalance(wallet, monetaryAmount.currency)).to.eql(ethers.utils.bigNumberify(100));
+    });
+
+    context('a tracker', () => {
+        let tracker;
+
+        beforeEach(() => {
+            tracker = new DepositTracker(wallet, {hash}, monetaryAmount, {confirmations: 2, pollInterval: 0.001, timeout: 1});
+        });
+
+        it('has the deposit', () => {
+            expect(tracker.wallet).to.equal(wallet);
+            expect(tracker.transaction).to.eql({hash});
+            expect(tracker.hash).to.eql(hash);
+            expect(tracker.monetaryAmount).to.equal(monetaryAmount);
+        });
+
+        it('retrieves the initial balance', () => {
+            expect(provider.getNahmiiBalances).to.have.been.calledWith(walletAddress);
+        });
+
+        it('is confirmed once mined and confirmed', async () => {
+            provider.getTransactionReceipt.onFirstCall().resolves(null);
+            provider.getBlockNumber.onFirstCall().resolves(10);
+            provider.getBlockNumber.onSecondCall().resolves(11);
+            expect(await tracker.confirmed()).to.eql({status: 1, blockNumber: 10});
+            expect(provider.getTransactionReceipt).to.have.been.calledWith(hash);
+            expect(provider.getBlockNumber).to.have.been.calledTwice;
+        });
+
+        it('is submitted and not tracking until started', () => {
+            expect(tracker.state).to.eql('submitted');
+            expect(provider.getTransactionReceipt).to.not.have.been.called;
+        });
+
+        it('emits the states and confirmations', async () => {
+            const events = [];
+            ['mined', 'confirmation', 'confirmed', 'credited'].forEach(name => {
+                tracker.on(name, value => events.push(name === 'confirmation' ? `${name} ${value}` : name));
+            });
+            provider.getBlockNumber.onSecondCall().resolves(11);
+            provider.getNahmiiBalances.resolves(balances('150'));
+            tracker.start();
+            await tracker.credited();
+            expect(events).to.eql(['mined', 'confirmation 1', 'confirmation 2', 'confirmed', 'credited']);
+            expect(tracker.state).to.eql('credited');
+        });
+
+        it('is mined before confirmed', async () => {
+            expect(await tracker.mined()).to.eql({status: 1, blockNumber: 10});
+        });
+
+        it('is reverted when the transaction failed', async () => {
+            const reverted = sinon.spy();
+            tracker.on('reverted', reverted);
+            provider.getTransactionReceipt.resolves({status: 0, blockNumber: 10});
+            await tracker.confirmed()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/reverted/));
+            expect(tracker.state).to.eql('reverted');
+            expect(reverted).to.have.been.calledWith({status: 0, blockNumber: 10});
+            await tracker.credited()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/reverted/));
+        });
+
+        it('is replaced when the nonce is used by another transaction', async () => {
+            const replaced = sinon.spy();
+            tracker.on('replaced', replaced);
+            provider.getTransactionReceipt.resolves(null);
+            provider.getTransactionCount.onSecondCall().resolves(6);
+            await tracker.mined()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/replaced/));
+            expect(tracker.state).to.eql('replaced');
+            expect(replaced).to.have.been.calledWith(5);
+            expect(provider.getTransactionCount).to.have.been.calledWith(walletAddress, 'latest');
+        });
+
+        it('is replaced when replaced before the transaction was seen', async () => {
+            const replaced = sinon.spy();
+            provider.getTransactionReceipt.resolves(null);
+            provider.getTransaction.resolves(null);
+            provider.getTransactionCount.resolves(6);
+            tracker = new DepositTracker(wallet, {hash, from: walletAddress, nonce: 5}, monetaryAmount, {pollInterval: 0.001});
+            tracker.on('replaced', replaced);
+            await tracker.mined()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/replaced/));
+            expect(replaced).to.have.been.calledWith(5);
+        });
+
+        it('is mined when mined while checking for replacement', async () => {
+            provider.getTransactionReceipt.onFirstCall().resolves(null);
+            provider.getTransactionCount.resolves(6);
+            expect(await tracker.mined()).to.eql({status: 1, blockNumber: 10});
+        });
+
+        it('is dropped when the transaction is unknown for too long', async () => {
+            const dropped = sinon.spy();
+            provider.getTransactionReceipt.resolves(null);
+            provider.getTransaction.resolves(null);
+            tracker = new DepositTracker(wallet, {hash}, monetaryAmount, {pollInterval: 0.001, dropTimeout: 0.01});
+            tracker.on('dropped', dropped);
+            await tracker.mined()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/dropped/));
+            expect(tracker.state).to.eql('dropped');
+            expect(dropped).to.have.been.calledOnce;
+        });
+
+        it('is submitted again when the block of the transaction is reorganized away', async () => {
+            const mined = sinon.spy();
+            tracker.on('mined', mined);
+            provider.getTransactionReceipt.onSecondCall().resolves(null);
+            provider.getBlockNumber.resolves(11);
+            await tracker.confirmed();
+            expect(mined).to.have.been.calledTwice;
+        });
+
+        it('keeps polling when polling fails', async () => {
+            const pollFailed = sinon.spy();
+            const error = new Error('service unavailable');
+            tracker.on('pollFailed', pollFailed);
+            provider.getTransactionReceipt.onFirstCall().rejects(error);
+            expect(await tracker.mined()).to.eql({status: 1, blockNumber: 10});
+            expect(pollFailed).to.have.been.calledOnceWith(error);
+        });
+
+        it('times out when polling keeps failing', async () => {
+            const pollFailed = sinon.spy();
+            provider.getTransactionReceipt.rejects(new Error('service unavailable'));
+            tracker = new DepositTracker(wallet, {hash}, monetaryAmount, {pollInterval: 0.001, timeout: 0.01});
+            tracker.on('pollFailed', pollFailed);
+            await tracker.mined()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/Timed out.*mined/));
+            expect(pollFailed).to.have.been.called;
+        });
+
+        it('rejects the promises when stopped', async () => {
+            provider.getTransactionReceipt.resolves(null);
+            const mined = tracker.mined();
+            tracker.stop();
+            await mined.then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/stopped/));
+        });
+
+        it('times out when the transaction is not mined', async () => {
+            const timeout = sinon.spy();
+            provider.getTransactionReceipt.resolves(null);
+            tracker = new DepositTracker(wallet, {hash}, monetaryAmount, {pollInterval: 0.001, timeout: 0.01});
+            tracker.on('timeout', timeout);
+            await tracker.confirmed()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/Timed out.*mined/));
+            expect(timeout).to.have.been.calledOnce;
+            expect(tracker.state).to.eql('submitted');
+        });
+
+        it('times out when the deposit is not credited', async () => {
+            provider.getBlockNumber.resolves(11);
+            tracker = new DepositTracker(wallet, {hash}, monetaryAmount, {pollInterval: 0.001, timeout: 0.01});
+            await tracker.credited()
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/Timed out.*credited/));
+            expect(tracker.state).to.eql('confirmed');
+        });
+
+        it('is credited once the balance has increased by the amount', async () => {
+            provider.getBlockNumber.resolves(11);
+            provider.getNahmiiBalances.onCall(1).resolves(balances('120'));
+            provider.getNahmiiBalances.onCall(2).resolves(balances('150'));
+            const balance = await tracker.credited();
+            expect(balance.toJSON()).to.eql({amount: '150', currency: {ct, id: '0'}});
+            expect(provider.getNahmiiBalances).to.have.been.calledThrice;
+        });
+
+        it('is credited relative to the initial balance given', async () => {
+            provider.getBlockNumber.resolves(11);
+            tracker = new DepositTracker(wallet, {hash}, monetaryAmount, {initialBalance: ethers.utils.bigNumberify(50), pollInterval: 0.001, timeout: 1});
+            expect((await tracker.credited()).amount).to.eql(ethers.utils.bigNumberify(100));
+        });
+
+        it('shares the promises of repeated calls', async () => {
+            provider.getBlockNumber.resolves(11);
+            provider.getNahmiiBalances.resolves(balances('150'));
+            expect(tracker.confirmed()).to.equal(tracker.confirmed());
+            expect(tracker.credited()).to.equal(tracker.credited());
+            await tracker.credited();
+        });
+    });
+});
@@ -0,0 +1,211 @@
+'use strict';
+
+const ethers = require('ethers');
+const {fromRpcSig} = require('./utils');
+
+const SCHEME = 'eip712';
+
+const DOMAIN_FIELDS = [
+    {name: 'name', type: 'string'},
+    {name: 'version', type: 'string'},
+    {name: 'chainId', type: 'uint256'},
+    {name: 'verifyingContract', type: 'address'},
+    {name: 'salt', type: 'bytes32'}
+];
+
+/**
+ * Hashes typed structured data according to
+ * {@link https://eips.ethereum.org/EIPS/eip-712|EIP-712}, i.e. the digest that
+ * is signed.
+ * @param {Object} domain - The domain, with any of name, version, chainId, verifyingContract and salt
+ * @param {Object} types - The struct types by name, each an array of {name, type}, not including EIP712Domain
+ * @param {string} primaryType - The type of the data
+ * @param {Object} data - The data to hash
+ * @returns {string} 32 byte hash value as hex
+ * @throws {Error} The data is missing a value of its type
+ */
+function hashTypedData(domain, types, primaryType, data) {
+    return ethers.utils.keccak256(ethers.utils.concat([
+        '0x1901',
+        hashDomain(domain),
+        hashStruct(primaryType, types, data)
+    ]));
+}
+
+/**
+ * Returns the primary type of a set of types, i.e. the one type no other type
+ * refers to.
+ * @param {Object} types
+ * @returns {string}
+ * @throws {Error} There is not exactly one such type
+ */
+function getPrimaryType(types) {
+    const referenced = new Set();
+    for (const fields of Object.values(types)) {
+        for (const field of fields)
+            referenced.add(field.type.replace(/\[\d*\]$/, ''));
+    }
+    const primaryTypes = Object.keys(types).filter(t => !referenced.has(t));
+    if (primaryTypes.length !== 1)
+        throw new Error('The types do not have exactly one primary type');
+    return primaryTypes[0];
+}
+
+/**
+ * Hashes a domain into its domain separator.
+ * @param {Object} domain
+ * @returns {string} 32 byte hash value as hex
+ */
+function hashDomain(domain) {
+    const fields = DOMAIN_FIELDS.filter(f => domain[f.name] !== undefined);
+    return hashStruct('EIP712Domain', {EIP712Domain: fields}, domain);
+}
+
+/**
+ * Hashes a struct of a type.
+ * @param {string} primaryType
+ * @param {Object} types
+ * @param {Object} data
+ * @returns {string} 32 byte hash value as hex
+ */
+function hashStruct(primaryType, types, data) {
+    return ethers.utils.keccak256(encodeData(primaryType, types, data));
+}
+
+/**
+ * Encodes the type of a struct with the types it references, e.g.
+ * 'Mail(Person from,Person to,string contents)Person(string name,address wallet)'.
+ * @private
+ * @param {string} primaryType
+ * @param {Object} types
+ * @returns {string}
+ */
+function encodeType(primaryType, types) {
+    const dependencies = findDependencies(primaryType, types).filter(t => t !== primaryType).sort();
+    return [primaryType, ...dependencies]
+        .map(type => `${type}(${types[type].map(f => `${f.type} ${f.name}`).join(',')})`)
+        .join('');
+}
+
+function findDependencies(type, types, found = []) {
+    const baseType = type.replace(/\[\d*\]$/, '');
+    if (found.includes(baseType) || !types[baseType])
+        return found;
+    found.push(baseType);
+    for (const field of types[baseType])
+        findDependencies(field.type, types, found);
+    return found;
+}
+
+function encodeData(primaryType, types, data) {
+    if (!data || typeof data !== 'object')
+        throw new Error(`Missing value of type ${primaryType}`);
+
+    const encodedTypes = ['bytes32'];
+    const values = [ethers.utils.keccak256(ethers.utils.toUtf8Bytes(encodeType(primaryType, types)))];
+    for (const field of types[primaryType]) {
+        const value = data[field.name];
+        if (value === undefined || value === null)
+            throw new Error(`Missing value of ${primaryType}.${field.name}`);
+        const [type, encoded] = encodeValue(field.type, types, value);
+        encodedTypes.push(type);
+        values.push(encoded);
+    }
+    return ethers.utils.defaultAbiCoder.encode(encodedTypes, values);
+}
+
+function encodeValue(type, types, value) {
+    if (types[type])
+        return ['bytes32', hashStruct(type, types, value)];
+
+    if (type === 'string')
+        return ['bytes32', ethers.utils.keccak256(ethers.utils.toUtf8Bytes(value))];
+
+    if (type === 'bytes')
+        return ['bytes32', ethers.utils.keccak256(value)];
+
+    const arrayMatch = type.match(/^(.*)\[\d*\]$/);
+    if (arrayMatch) {
+        const elements = value.map(element => {
+            const [elementType, encoded] = encodeValue(arrayMatch[1], types, element);
+            return ethers.utils.defaultAbiCoder.encode([elementType], [encoded]);
+        });
+        return ['bytes32', ethers.utils.keccak256(ethers.utils.concat(elements))];
+    }
+
+    return [type, value];
+}
+
+/**
+ * Signs a digest of typed data with a private key.
+ * @param {string} digest - The digest, see hashTypedData()
+ * @param {string} privateKey - hexadecimal string
+ * @returns {Object} Signature as an object literal with r, s and v properties.
+ */
+function signDigest(digest, privateKey) {
+    const {r, s, v} = new ethers.utils.SigningKey(privateKey).signDigest(digest);
+    return {r, s, v};
+}
+
+/**
+ * Signs typed data, either with a private key or with a signer that has a
+ * signTypedData(domain, types, data) method resolving into a flat format
+ * signature, like Wallet.
+ * @param {Object|string} signer - The signer, or a private key as hexadecimal string
+ * @param {Object} domain
+ * @param {Object} types
+ * @param {string} primaryType
+ * @param {Object} data
+ * @returns {Promise<Object>} Signature as an object literal with r, s and v properties.
+ * @throws {Error} The signer does not support typed data signing
+ */
+async function signTypedData(signer, domain, types, primaryType, data) {
+    if (typeof signer === 'string')
+        return signDigest(hashTypedData(domain, types, primaryType, data), signer);
+
+    if (typeof signer.signTypedData !== 'function')
+        throw new Error('The signer does not support EIP-712 typed data signing');
+
+    return fromRpcSig(await signer.signTypedData(domain, types, data));
+}
+
+/**
+ * Checks whether or not the address is the address of the private key used to
+ * sign the digest of typed data.
+ * @param {string} digest - The digest, see hashTypedData()
+ * @param {Object} signature - The signature of the digest given as V, R and S properties
+ * @param {string} address - A hexadecimal representation of the address to verify
+ * @returns {boolean}
+ */
+function isSignedBy(digest, signature, address) {
+    try {
+        const signer = ethers.utils.recoverAddress(digest, signature);
+        return signer.toLowerCase() === address.toLowerCase();
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether or not any seal of a payment or receipt has an EIP-712
+ * signature, which can not be verified without the domain.
+ * @param {Object} json - A payment or receipt as JSON
+ * @returns {boolean}
+ */
+function hasTypedDataSeal(json) {
+    const seals = (json && json.seals) || {};
+    return Object.values(seals).some(seal => !!seal && seal.scheme === SCHEME);
+}
+
+module.exports = {
+    SCHEME,
+    hashTypedData,
+    hashDomain,
+    hashStruct,
+    getPrimaryType,
+    signDigest,
+    signTypedData,
+    isSignedBy,
+    hasTypedDataSeal
+};
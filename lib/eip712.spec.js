@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const ethers = require('ethers');
+const eip712 = require('./eip712');
+
+// The example of EIP-712, https://eips.ethereum.org/EIPS/eip-712
+const domain = {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+};
+const types = {
+    Person: [
+        {name: 'name', type: 'string'},
+        {name: 'wallet', type: 'address'}
+    ],
+    Mail: [
+        {name: 'from', type: 'Person'},
+        {name: 'to', type: 'Person'},
+        {name: 'contents', type: 'string'}
+    ]
+};
+const mail = {
+    from: {name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826'},
+    to: {name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB'},
+    contents: 'Hello, Bob!'
+};
+const privateKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('cow'));
+
+describe('EIP-712', () => {
+    it('hashes the domain into the domain separator', () => {
+        expect(eip712.hashDomain(domain)).to.eql('0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f');
+    });
+
+    it('hashes a struct', () => {
+        expect(eip712.hashStruct('Mail', types, mail)).to.eql('0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e');
+    });
+
+    it('hashes typed data', () => {
+        expect(eip712.hashTypedData(domain, types, 'Mail', mail)).to.eql('0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+    });
+
+    it('hashes arrays of structs', () => {
+        const arrayTypes = Object.assign({Group: [{name: 'members', type: 'Person[]'}]}, types);
+        const hash = eip712.hashStruct('Group', arrayTypes, {members: [mail.from, mail.to]});
+        expect(hash).to.not.eql(eip712.hashStruct('Group', arrayTypes, {members: [mail.to, mail.from]}));
+    });
+
+    it('rejects data that is missing a value', () => {
+        expect(() => eip712.hashTypedData(domain, types, 'Mail', {from: mail.from, to: mail.to}))
+            .to.throw(Error, 'Missing value of Mail.contents');
+    });
+
+    it('signs a digest', () => {
+        const signature = eip712.signDigest(eip712.hashTypedData(domain, types, 'Mail', mail), privateKey);
+        expect(signature).to.eql({
+            v: 28,
+            r: '0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d',
+            s: '0x07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562'
+        });
+    });
+
+    it('verifies the signer of a digest', () => {
+        const digest = eip712.hashTypedData(domain, types, 'Mail', mail);
+        const signature = eip712.signDigest(digest, privateKey);
+        expect(eip712.isSignedBy(digest, signature, mail.from.wallet)).to.be.true;
+        expect(eip712.isSignedBy(digest, signature, mail.to.wallet)).to.be.false;
+        expect(eip712.isSignedBy(digest, {v: 27, r: '0x00', s: '0x00'}, mail.from.wallet)).to.be.false;
+    });
+
+    it('detects EIP-712 seals of payments and receipts', () => {
+        expect(eip712.hasTypedDataSeal({seals: {wallet: {scheme: 'eip712'}}})).to.be.true;
+        expect(eip712.hasTypedDataSeal({seals: {wallet: {}, operator: {scheme: 'eip712'}}})).to.be.true;
+        expect(eip712.hasTypedDataSeal({seals: {wallet: {}, operator: {}}})).to.be.false;
+        expect(eip712.hasTypedDataSeal({})).to.be.false;
+    });
+});
@@ -14,6 +14,7 @@ const NahmiiProvider = require('../nahmii-provider');
 const _eventEmitter = new WeakMap();
 const _socket = new WeakMap();
 const _provider = new WeakMap();
+const _listeners = new WeakMap();
 
 const EventNames = Object.freeze({
     newReceipt: Symbol('new receipt event')
@@ -68,6 +69,7 @@ class NahmiiEventProvider {
             throw new TypeError('Argument should be string or NahmiiProvider');
 
         _eventEmitter.set(this, new EventEmitter());
+        _listeners.set(this, new Map());
         _socket.set(this, io.connect(`https://${domain}/receipts`, {path: '/events/socket.io'}));
         subscribeToEvents.call(this);
     }
@@ -101,9 +103,35 @@ class NahmiiEventProvider {
      * @returns {NahmiiEventProvider}
      */
     onNewReceipt(listener) {
-        _eventEmitter.get(this).on(EventNames.newReceipt, receipt => {
+        const boundListener = receipt => {
             listener.call(this, receipt);
-        });
+        };
+        const listeners = _listeners.get(this);
+        listeners.set(listener, [...(listeners.get(listener) || []), boundListener]);
+        _eventEmitter.get(this).on(EventNames.newReceipt, boundListener);
+        return this;
+    }
+
+    /**
+     * Removes a listener function registered with onNewReceipt(). If the
+     * listener has been registered multiple times, the last registration is
+     * removed. Does nothing if the listener is not registered, or if the
+     * NahmiiEventProvider has been disposed.
+     * Returns a reference to the NahmiiEventProvider, so that calls can be
+     * chained.
+     * @param listener
+     * @returns {NahmiiEventProvider}
+     */
+    offNewReceipt(listener) {
+        const emitter = _eventEmitter.get(this);
+        const listeners = _listeners.get(this);
+        const boundListeners = emitter && listeners.get(listener);
+        if (!boundListeners)
+            return this;
+
+        emitter.removeListener(EventNames.newReceipt, boundListeners.pop());
+        if (!boundListeners.length)
+            listeners.delete(listener);
         return this;
     }
 
@@ -117,6 +145,7 @@ class NahmiiEventProvider {
         const socket = _socket.get(this);
 
         _eventEmitter.set(this, null);
+        _listeners.get(this).clear();
         _socket.set(this, null);
         _provider.set(this, null);
 
@@ -152,7 +181,14 @@ function subscribeToEvents() {
     });
 
     socket.on('new_receipt', receiptJSON => {
-        const receipt = Receipt.from(receiptJSON, _provider.get(this));
+        let receipt;
+        try {
+            receipt = Receipt.from(receiptJSON, _provider.get(this));
+        }
+        catch (err) {
+            dbg('Dropping an invalid receipt from the Event API: ' + err.message);
+            return;
+        }
         _eventEmitter.get(this).emit(EventNames.newReceipt, receipt);
     });
 }
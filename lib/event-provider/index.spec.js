@@ -159,6 +159,10 @@ describe('Nahmii Event Provider', () => {
             expect(onNewReceipt).to.not.have.been.called;
         });
 
+        it('ignores removing a listener', () => {
+            expect(() => provider.offNewReceipt(onNewReceipt)).to.not.throw();
+        });
+
         it('clears all socket listeners', () => {
             expect(fakeSocket.removeAllListeners).to.have.been.calledOnce;
         });
@@ -187,6 +191,34 @@ describe('Nahmii Event Provider', () => {
             fakeSocket.emit('new_receipt', receiptJSON);
         });
 
+        it('drops and logs invalid receipts issued by the server', () => {
+            const listener = sinon.stub();
+            provider.onNewReceipt(listener);
+            fakeSocket.emit('new_receipt', {...receiptJSON, operator: undefined});
+            expect(listener).to.not.have.been.called;
+            expect(debugLogger).to.have.been.calledWithMatch(/invalid receipt/);
+        });
+
+        it('stops emitting "new receipt" events to a removed listener', () => {
+            const listener = sinon.stub();
+            const otherListener = sinon.stub();
+            provider.onNewReceipt(listener).onNewReceipt(otherListener).offNewReceipt(listener);
+            fakeSocket.emit('new_receipt', receiptJSON);
+            expect(listener).to.not.have.been.called;
+            expect(otherListener).to.have.been.calledOnce;
+        });
+
+        it('removes one registration of a listener registered multiple times', () => {
+            const listener = sinon.stub();
+            provider.onNewReceipt(listener).onNewReceipt(listener).offNewReceipt(listener);
+            fakeSocket.emit('new_receipt', receiptJSON);
+            expect(listener).to.have.been.calledOnce;
+        });
+
+        it('ignores removing a listener that is not registered', () => {
+            expect(provider.offNewReceipt(sinon.stub())).to.equal(provider);
+        });
+
         ['connect_error', 'error', 'disconnect', 'reconnect_error', 'reconnect_failed'].forEach(event => {
             it('logs to debug output whenever an error event is emitted from socket', () => {
                 expect(debugLogger).not.to.have.been.called;
@@ -1,7 +1,16 @@
 'use strict';
 
+/**
+ * @module nahmii-sdk
+ */
+
 const request = require('superagent');
 
+const _appId = new WeakMap();
+const _appSecret = new WeakMap();
+const _token = new WeakMap();
+const _fetchToken = new WeakMap();
+
 function createApiToken(baseUrl, appId, appSecret) {
     return request
         .post(`https://${baseUrl}/identity/apptoken`)
@@ -12,4 +21,165 @@ function createApiToken(baseUrl, appId, appSecret) {
         .then(res => res.body.userToken);
 }
 
-module.exports = {createApiToken};
+/**
+ * Decodes the claims of a JWT. The signature is NOT verified, the claims are
+ * only used to schedule the renewal of the token.
+ * @private
+ * @param {string} token - A JWT
+ * @returns {Object|null} The claims of the token, or null if it is not a JWT
+ */
+function decodeApiToken(token) {
+    if (typeof token !== 'string')
+        return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3)
+        return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+        return (claims && typeof claims === 'object') ? claims : null;
+    }
+    catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Returns the expiry time of a JWT as given by its "exp" claim.
+ * @private
+ * @param {string} token - A JWT
+ * @returns {number|null} Expiry time in milliseconds since epoch, or null if unknown
+ */
+function getApiTokenExpiry(token) {
+    const claims = decodeApiToken(token);
+    if (!claims || typeof claims.exp !== 'number')
+        return null;
+    return claims.exp * 1000;
+}
+
+/**
+ * @class AppSecretCredentials
+ * Credential strategy that obtains API access tokens from the nahmii identity
+ * service in exchange for an app-ID and app-secret.
+ * A credential strategy is any object with a getApiToken() method that
+ * resolves into an API access token.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {NahmiiProvider, AppSecretCredentials} = require('nahmii-sdk');
+ *
+ * const credentials = new AppSecretCredentials(app_id, app_secret);
+ * const provider = await NahmiiProvider.from('api.nahmii.io', credentials);
+ */
+class AppSecretCredentials {
+    /**
+     * Constructor
+     * @param {string} appId - nahmii API app-ID
+     * @param {string} appSecret - nahmii API app-secret
+     */
+    constructor(appId, appSecret) {
+        _appId.set(this, appId);
+        _appSecret.set(this, appSecret);
+    }
+
+    /**
+     * Obtains a new API access token from the identity service.
+     * @param {string} nahmiiDomain - The domain name for the nahmii API
+     * @returns {Promise<string>} A promise that resolves into an API access token
+     */
+    getApiToken(nahmiiDomain) {
+        return createApiToken(nahmiiDomain, _appId.get(this), _appSecret.get(this));
+    }
+}
+
+/**
+ * @class StaticTokenCredentials
+ * Credential strategy for a pre-issued API access token. The token can not be
+ * renewed, so the provider will stop working once the token expires.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {NahmiiProvider, StaticTokenCredentials} = require('nahmii-sdk');
+ *
+ * const credentials = new StaticTokenCredentials(api_access_token);
+ * const provider = await NahmiiProvider.from('api.nahmii.io', credentials);
+ */
+class StaticTokenCredentials {
+    /**
+     * Constructor
+     * @param {string} token - A pre-issued API access token
+     */
+    constructor(token) {
+        if (typeof token !== 'string' || !token)
+            throw new TypeError('token is not a non-empty string');
+
+        _token.set(this, token);
+    }
+
+    /**
+     * Resolves into the pre-issued API access token.
+     * @returns {Promise<string>} A promise that resolves into an API access token
+     */
+    async getApiToken() {
+        return _token.get(this);
+    }
+}
+
+/**
+ * @class TokenCallbackCredentials
+ * Credential strategy that obtains API access tokens from a callback, e.g. a
+ * request to a backend that vends tokens, so that the app-secret never has to
+ * be shipped to clients.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {NahmiiProvider, TokenCallbackCredentials} = require('nahmii-sdk');
+ *
+ * const credentials = new TokenCallbackCredentials(async () => {
+ *     const res = await fetch('/my-backend/nahmii-token');
+ *     return (await res.json()).token;
+ * });
+ * const provider = await NahmiiProvider.from('api.nahmii.io', credentials);
+ */
+class TokenCallbackCredentials {
+    /**
+     * Constructor
+     * @param {function} fetchToken - Called with the nahmii domain, must resolve into an API access token
+     */
+    constructor(fetchToken) {
+        if (typeof fetchToken !== 'function')
+            throw new TypeError('fetchToken is not a function');
+
+        _fetchToken.set(this, fetchToken);
+    }
+
+    /**
+     * Obtains a new API access token from the callback.
+     * @param {string} nahmiiDomain - The domain name for the nahmii API
+     * @returns {Promise<string>} A promise that resolves into an API access token
+     */
+    async getApiToken(nahmiiDomain) {
+        const token = await _fetchToken.get(this)(nahmiiDomain);
+        if (typeof token !== 'string' || !token)
+            throw new TypeError('Token callback did not resolve into a token');
+        return token;
+    }
+}
+
+/**
+ * Checks whether the input implements the credential strategy interface.
+ * @private
+ * @param {*} credentials
+ * @returns {boolean}
+ */
+function isCredentialStrategy(credentials) {
+    return !!credentials && typeof credentials.getApiToken === 'function';
+}
+
+module.exports = {
+    createApiToken,
+    decodeApiToken,
+    getApiTokenExpiry,
+    isCredentialStrategy,
+    AppSecretCredentials,
+    StaticTokenCredentials,
+    TokenCallbackCredentials
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const nock = require('nock');
+
+const {
+    decodeApiToken,
+    getApiTokenExpiry,
+    isCredentialStrategy,
+    AppSecretCredentials,
+    StaticTokenCredentials,
+    TokenCallbackCredentials
+} = require('./identity-model');
+
+const nahmiiDomain = 'some.nahmii.server';
+
+function createJWT(claims) {
+    const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64');
+    return `${encode({alg: 'HS256', typ: 'JWT'})}.${encode(claims)}.signature`;
+}
+
+describe('Identity model', () => {
+    describe('#decodeApiToken()', () => {
+        it('returns the claims of a JWT', () => {
+            const claims = {sub: 'some app', exp: 1600000000};
+            expect(decodeApiToken(createJWT(claims))).to.eql(claims);
+        });
+
+        [
+            undefined,
+            'not a jwt',
+            'a.b',
+            'header.bm90IGpzb24.signature',
+            `header.${Buffer.from('"string"').toString('base64')}.signature`
+        ].forEach(token => {
+            it(`returns null for ${JSON.stringify(token)}`, () => {
+                expect(decodeApiToken(token)).to.be.null;
+            });
+        });
+    });
+
+    describe('#getApiTokenExpiry()', () => {
+        it('returns the exp claim in milliseconds', () => {
+            expect(getApiTokenExpiry(createJWT({exp: 1600000000}))).to.eql(1600000000000);
+        });
+
+        it('returns null when the token does not expire', () => {
+            expect(getApiTokenExpiry(createJWT({sub: 'some app'}))).to.be.null;
+        });
+
+        it('returns null when the token is not a JWT', () => {
+            expect(getApiTokenExpiry('some token')).to.be.null;
+        });
+    });
+
+    describe('AppSecretCredentials', () => {
+        before(() => {
+            nock.disableNetConnect();
+        });
+
+        after(() => {
+            nock.enableNetConnect();
+            nock.cleanAll();
+        });
+
+        it('exchanges app-ID and app-secret for an API access token', async () => {
+            const scope = nock('https://' + nahmiiDomain)
+                .post('/identity/apptoken', {appid: 'some app id', secret: 'some app secret'})
+                .reply(200, {userToken: 'some JWT'});
+            const credentials = new AppSecretCredentials('some app id', 'some app secret');
+            expect(await credentials.getApiToken(nahmiiDomain)).to.eql('some JWT');
+            expect(scope.isDone()).to.be.true;
+        });
+    });
+
+    describe('StaticTokenCredentials', () => {
+        it('resolves into the pre-issued token', async () => {
+            const credentials = new StaticTokenCredentials('some JWT');
+            expect(await credentials.getApiToken(nahmiiDomain)).to.eql('some JWT');
+        });
+
+        [undefined, '', 123].forEach(token => {
+            it(`can not be created from ${JSON.stringify(token)}`, () => {
+                expect(() => new StaticTokenCredentials(token)).to.throw(TypeError);
+            });
+        });
+    });
+
+    describe('TokenCallbackCredentials', () => {
+        it('resolves into the token of the callback', async () => {
+            const fetchToken = sinon.stub().withArgs(nahmiiDomain).resolves('some JWT');
+            const credentials = new TokenCallbackCredentials(fetchToken);
+            expect(await credentials.getApiToken(nahmiiDomain)).to.eql('some JWT');
+        });
+
+        it('rejects when the callback does not resolve into a token', () => {
+            const credentials = new TokenCallbackCredentials(sinon.stub().resolves(null));
+            return expect(credentials.getApiToken(nahmiiDomain)).to.be.rejectedWith(TypeError);
+        });
+
+        it('can not be created without a callback', () => {
+            expect(() => new TokenCallbackCredentials('some JWT')).to.throw(TypeError);
+        });
+    });
+
+    describe('#isCredentialStrategy()', () => {
+        it('accepts objects implementing getApiToken()', () => {
+            expect(isCredentialStrategy(new StaticTokenCredentials('some JWT'))).to.be.true;
+            expect(isCredentialStrategy({getApiToken: () => 'some JWT'})).to.be.true;
+        });
+
+        it('rejects other values', () => {
+            expect(isCredentialStrategy('some app id')).to.be.false;
+            expect(isCredentialStrategy(null)).to.be.false;
+        });
+    });
+});
@@ -4,22 +4,45 @@
  * @module nahmii-sdk
  */
 
+const ethers = require('ethers');
+const {NahmiiApiError} = require('./api-errors');
+const MonetaryAmount = require('./monetary-amount');
+const Currency = require('./currency');
+
 const _minimumBalance = new WeakMap();
+const _required = new WeakMap();
+const _available = new WeakMap();
 
 /**
  * @class InsufficientFundsError
  * Class for relaying the 402 - insufficient funds error from the API.
- * If the API returns information about the minimum balance required, then the
- * property *minimumBalance* will be present.
+ * If the API returns the amount required and the amount available, then the
+ * properties *required*, *available*, *currency* and *shortfall* will be
+ * present as exact amounts in base units.
  * @alias module:nahmii-sdk
+ * @example
+ * try {
+ *     await payment.register();
+ * }
+ * catch (err) {
+ *     if (!(err instanceof InsufficientFundsError))
+ *         throw err;
+ *     const {required, available, shortfall, symbol} = await err.format(provider);
+ *     console.log(`Need ${required} ${symbol}, have ${available} ${symbol}, short by ${shortfall} ${symbol}`);
+ * }
  */
-class InsufficientFundsError extends Error {
+class InsufficientFundsError extends NahmiiApiError {
     /**
      * Construct an error instance based on the options provided.
      * @param options.message - The error message
+     * @param {Object|string} [options.required] - The amount required, either as a serialized MonetaryAmount or in base units of *options.currency*
+     * @param {Object|string} [options.available] - The amount available, either as a serialized MonetaryAmount or in base units of *options.currency*
+     * @param {Object} [options.currency] - The serialized currency of the amounts given in base units
+     * @param {Object} [details] - Details of the failed request, see NahmiiApiError
+     * @param {Error} [details.innerError] - The original error
      */
-    constructor(options) {
-        super(options.message);
+    constructor(options, details = {}) {
+        super(details.innerError, options.message, Object.assign({status: 402, body: options}, details));
 
         if (Error.captureStackTrace)
             Error.captureStackTrace(this, InsufficientFundsError);
@@ -28,15 +51,106 @@ class InsufficientFundsError extends Error {
         if (mb && mb.length)
             mb = Number.parseFloat(mb[0]);
         _minimumBalance.set(this, mb);
+
+        _required.set(this, parseMonetaryAmount(options.required, options.currency));
+        _available.set(this, parseMonetaryAmount(options.available, options.currency));
     }
 
     /**
      * Returns the minimum balance if the original error indicated this.
+     * @deprecated The value is parsed from the message and may be imprecise, use *required* instead.
      * @returns {Number|undefined}
      */
     get minimumBalance() {
         return _minimumBalance.get(this);
     }
+
+    /**
+     * Returns the amount required by the rejected request.
+     * @returns {MonetaryAmount|null}
+     */
+    get required() {
+        return _required.get(this);
+    }
+
+    /**
+     * Returns the amount that was available to the wallet.
+     * @returns {MonetaryAmount|null}
+     */
+    get available() {
+        return _available.get(this);
+    }
+
+    /**
+     * Returns the currency of the required amount.
+     * @returns {Currency|null}
+     */
+    get currency() {
+        const amount = this.required || this.available;
+        return amount ? amount.currency : null;
+    }
+
+    /**
+     * Returns the amount missing for the request to succeed, i.e. the amount
+     * required less the amount available.
+     * @returns {MonetaryAmount|null}
+     */
+    get shortfall() {
+        const required = this.required;
+        const available = this.available;
+        if (!required || !available || !required.currency.isEqual(available.currency))
+            return null;
+
+        const shortfall = required.amount.sub(available.amount);
+        return new MonetaryAmount(shortfall.lt(0) ? ethers.utils.bigNumberify(0) : shortfall, required.currency);
+    }
+
+    /**
+     * Formats the amounts of the error using the decimals of the token.
+     * Amounts not given by the API are null.
+     * @param {NahmiiProvider} provider - A provider to look up the token information
+     * @returns {Promise<Object>} A promise that resolves into an object with the properties required, available, shortfall and symbol
+     */
+    async format(provider) {
+        const currency = this.currency;
+        if (!currency)
+            return {required: null, available: null, shortfall: null, symbol: null};
+
+        const tokenInfo = await provider.getTokenInfo(currency.ct.toString(), true);
+        const formatAmount = monetaryAmount => {
+            return monetaryAmount ? ethers.utils.formatUnits(monetaryAmount.amount, tokenInfo.decimals) : null;
+        };
+
+        return {
+            required: formatAmount(this.required),
+            available: formatAmount(this.available),
+            shortfall: formatAmount(this.shortfall),
+            symbol: tokenInfo.symbol
+        };
+    }
+}
+
+/**
+ * @private
+ * Parses an amount of the 402 response body.
+ * @param {Object|string} [amount] - A serialized MonetaryAmount, or an amount in base units
+ * @param {Object} [currency] - A serialized Currency, used with amounts in base units
+ * @returns {MonetaryAmount|null}
+ */
+function parseMonetaryAmount(amount, currency) {
+    if (amount === undefined || amount === null)
+        return null;
+
+    try {
+        if (typeof amount === 'object' && amount.currency && typeof amount.currency === 'object')
+            return MonetaryAmount.from(amount);
+
+        const {ct, id} = Currency.from(currency);
+        return MonetaryAmount.from(amount, ct, id);
+    }
+    catch (err) {
+        return null;
+    }
 }
 
 module.exports = InsufficientFundsError;
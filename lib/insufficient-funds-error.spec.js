@@ -1,9 +1,12 @@
 'use strict';
 
 const chai = require('chai');
+const sinon = require('sinon');
 const expect = chai.expect;
+const ethers = require('ethers');
 
 const InsufficientFundsError = require('./insufficient-funds-error');
+const {NahmiiApiError} = require('./api-errors');
 
 describe('InsufficientFundsError', () => {
     it('uses the message property as the error message', () => {
@@ -16,6 +19,27 @@ describe('InsufficientFundsError', () => {
         expect(e.minimumBalance).to.eql(991.234);
     });
 
+    it('is a NahmiiApiError with status 402', () => {
+        const e = new InsufficientFundsError({message: 'some error'});
+        expect(e).to.be.an.instanceOf(NahmiiApiError);
+        expect(e.status).to.eql(402);
+        expect(e.body).to.eql({message: 'some error'});
+    });
+
+    it('has the details of the failed request', () => {
+        const innerError = new Error('inner error');
+        const e = new InsufficientFundsError({message: 'some error'}, {
+            innerError,
+            endpoint: 'POST /trading/payments',
+            requestId: 'abc123',
+            body: {message: 'some error', code: 7}
+        });
+        expect(e.innerError.message).to.eql('inner error');
+        expect(e.endpoint).to.eql('POST /trading/payments');
+        expect(e.requestId).to.eql('abc123');
+        expect(e.body).to.eql({message: 'some error', code: 7});
+    });
+
     it('has a call stack when thrown', (done) => {
         try {
             throw new InsufficientFundsError({message: 'some error'});
@@ -25,4 +49,112 @@ describe('InsufficientFundsError', () => {
             done();
         }
     });
+
+    context('with a structured body', () => {
+        const ct = '0x0000000000000000000000000000000000000001';
+        const otherCt = '0x0000000000000000000000000000000000000002';
+
+        [
+            ['serialized monetary amounts', {
+                message: 'Insufficient funds',
+                required: {amount: '1000000000000000001', currency: {ct, id: '0'}},
+                available: {amount: '250000000000000000', currency: {ct, id: '0'}}
+            }],
+            ['amounts in base units of a currency', {
+                message: 'Insufficient funds',
+                required: '1000000000000000001',
+                available: '250000000000000000',
+                currency: {ct, id: '0'}
+            }]
+        ].forEach(([description, body]) => {
+            context(`given ${description}`, () => {
+                let e;
+
+                beforeEach(() => {
+                    e = new InsufficientFundsError(body);
+                });
+
+                it('has the exact amount required', () => {
+                    expect(e.required.amount.toString()).to.eql('1000000000000000001');
+                    expect(e.required.currency.ct.toString()).to.eql(ct);
+                });
+
+                it('has the exact amount available', () => {
+                    expect(e.available.amount.toString()).to.eql('250000000000000000');
+                });
+
+                it('has the currency', () => {
+                    expect(e.currency.ct.toString()).to.eql(ct);
+                    expect(e.currency.id).to.eql(0);
+                });
+
+                it('has the exact shortfall', () => {
+                    expect(e.shortfall.amount.toString()).to.eql('750000000000000001');
+                    expect(e.shortfall.currency.isEqual(e.currency)).to.be.true;
+                });
+
+                it('can format the amounts with the decimals of the token', async () => {
+                    const provider = {getTokenInfo: sinon.stub()};
+                    provider.getTokenInfo.withArgs(ct, true).resolves({symbol: 'TT1', decimals: 18});
+                    expect(await e.format(provider)).to.eql({
+                        required: '1.000000000000000001',
+                        available: '0.25',
+                        shortfall: '0.750000000000000001',
+                        symbol: 'TT1'
+                    });
+                });
+            });
+        });
+
+        it('has no shortfall when the amount available exceeds the amount required', () => {
+            const e = new InsufficientFundsError({
+                message: 'Insufficient funds', required: '1', available: '2', currency: {ct}
+            });
+            expect(e.shortfall.amount).to.eql(ethers.utils.bigNumberify(0));
+        });
+
+        it('has no shortfall for amounts of different currencies', () => {
+            const e = new InsufficientFundsError({
+                message: 'Insufficient funds',
+                required: {amount: '2', currency: {ct}},
+                available: {amount: '1', currency: {ct: otherCt}}
+            });
+            expect(e.shortfall).to.be.null;
+        });
+
+        it('has no shortfall without the amount available', () => {
+            const e = new InsufficientFundsError({message: 'Insufficient funds', required: '2', currency: {ct}});
+            expect(e.required.amount.toString()).to.eql('2');
+            expect(e.available).to.be.null;
+            expect(e.shortfall).to.be.null;
+        });
+
+        it('ignores amounts in base units without a valid currency', () => {
+            const e = new InsufficientFundsError({message: 'Insufficient funds', required: '2', currency: {ct: 'foo'}});
+            expect(e.required).to.be.null;
+            expect(e.currency).to.be.null;
+        });
+
+        it('ignores amounts that are not integers', () => {
+            const e = new InsufficientFundsError({message: 'Insufficient funds', required: '1.2', currency: {ct}});
+            expect(e.required).to.be.null;
+        });
+    });
+
+    context('without a structured body', () => {
+        it('has no amounts', () => {
+            const e = new InsufficientFundsError({message: 'The minimum balance of this token is 1.2.'});
+            expect(e.required).to.be.null;
+            expect(e.available).to.be.null;
+            expect(e.currency).to.be.null;
+            expect(e.shortfall).to.be.null;
+        });
+
+        it('formats into null amounts without looking up the token', async () => {
+            const provider = {getTokenInfo: sinon.stub()};
+            const e = new InsufficientFundsError({message: 'some error'});
+            expect(await e.format(provider)).to.eql({required: null, available: null, shortfall: null, symbol: null});
+            expect(provider.getTokenInfo.called).to.be.false;
+        });
+    });
 });
@@ -3,6 +3,8 @@
 const ethers = require('ethers');
 const Currency = require('./currency');
 const BSON = require('bson');
+const schemas = require('./schemas');
+const {ValidationError} = require('./api-errors');
 
 /**
  * @module nahmii-sdk
@@ -11,17 +13,30 @@ const BSON = require('bson');
 const _amount = new WeakMap();
 const _currency = new WeakMap();
 
-function rectifyAmount(amount) {
-    if ((typeof amount === 'object') && (ethers.utils.BigNumber.isBigNumber(amount)))
-        return amount;
-
-    if (Number.isInteger(amount))
-        return ethers.utils.bigNumberify(amount);
-
-    if ((typeof amount === 'string') && /^[-]?[0-9]+$/.test(amount))
-        return ethers.utils.bigNumberify(amount);
+function toAmountJSON(amount) {
+    if (ethers.utils.BigNumber.isBigNumber(amount) || Number.isInteger(amount))
+        return amount.toString();
+    return amount;
+}
 
-    return null;
+/**
+ * Runs a validation, and returns the violations it reports with their paths
+ * relative to the given path.
+ * @private
+ * @param {function} validate - Throws a ValidationError if invalid
+ * @param {string} [path='$'] - JSON path of the validated data
+ * @returns {Object[]} The violations as {path, message}
+ */
+function violationsOf(validate, path = '$') {
+    try {
+        validate();
+        return [];
+    }
+    catch (err) {
+        if (!(err instanceof ValidationError))
+            throw err;
+        return err.violations.map(v => ({path: path + v.path.slice(1), message: v.message}));
+    }
 }
 
 /**
@@ -92,32 +107,53 @@ class MonetaryAmount {
     }
 
     /**
-     * Factory/de-serializing method
+     * Factory/de-serializing method. The input is validated against the
+     * published monetary amount schema once the amount and the currency have
+     * been converted into their JSON form, see Currency.from(). Amounts are
+     * non-negative, use the constructor for e.g. balance changes.
      * @param {(Object|BigNumber|String|Integer)} jsonOrAmount - either a JSON object that can be de-serialized to a MonetaryAmount instance, or a currency amount.
      * @param {EthereumAddress|String} [ctOrUndefined] - currency contract address. Exclusive with JSON as first argument.
      * @param {String|Integer} [idOrUndefined] - positive number that identifies the currency item (0 for ERC20 tokens). Exclusive with JSON as first argument.
-     * @returns {MonetaryAmount|null} - a new instance, or null if parsing fails.
+     * @returns {MonetaryAmount} - a new instance.
+     * @throws {ValidationError} The input does not conform to the schema. The error lists every violation.
      */
     static from(jsonOrAmount, ctOrUndefined, idOrUndefined) {
         const gotJson = (arguments.length === 1) &&
-            (typeof jsonOrAmount === 'object') &&
-            (typeof jsonOrAmount.currency === 'object');
-
-        if (gotJson) {
-            ctOrUndefined = jsonOrAmount.currency.ct;
-            idOrUndefined = jsonOrAmount.currency.id;
-            jsonOrAmount = jsonOrAmount.amount;
+            (typeof jsonOrAmount === 'object') && (jsonOrAmount !== null) &&
+            !ethers.utils.BigNumber.isBigNumber(jsonOrAmount);
+
+        const amount = toAmountJSON(gotJson ? jsonOrAmount.amount : jsonOrAmount);
+        const currencyInput = gotJson ? jsonOrAmount.currency : {ct: ctOrUndefined, id: idOrUndefined};
+
+        // The currency is validated by Currency, as it converts the currency into JSON
+        const violations = violationsOf(() => MonetaryAmount.validate({amount}))
+            .filter(v => v.path === '$.amount');
+        let currency = currencyInput instanceof Currency ? currencyInput : null;
+        if (currencyInput === undefined || currencyInput === null) {
+            violations.push({path: '$.currency', message: 'is required'});
+        }
+        else if (!currency) {
+            violations.push(...violationsOf(() => {
+                currency = Currency.from(currencyInput);
+            }, '$.currency'));
         }
 
-        const amount = rectifyAmount(jsonOrAmount);
-        if (amount === null)
-            return null;
+        if (violations.length) {
+            const summary = violations.map(v => `${v.path} ${v.message}`).join(', ');
+            throw new ValidationError(null, `Invalid monetary amount: ${summary}`, {violations});
+        }
 
-        const currency = Currency.from({ct: ctOrUndefined, id: idOrUndefined});
-        if (currency === null)
-            return null;
+        return new MonetaryAmount(ethers.utils.bigNumberify(amount), currency);
+    }
 
-        return new MonetaryAmount(amount, currency);
+    /**
+     * Validates JSON against the published monetary amount schema, without
+     * creating a MonetaryAmount.
+     * @param {Object} json - A monetary amount as JSON, e.g. as received from the API
+     * @throws {ValidationError} The JSON does not conform to the schema. The error lists every violation.
+     */
+    static validate(json) {
+        schemas.validate('monetaryAmount', json);
     }
 }
 
@@ -34,9 +34,15 @@ const legalConstructorAmounts = [
 ];
 
 const legalFactoryAmounts = [
-    -1000, -1, 0, 1, 1000,
-    '-1000', '-1', '0', '1', '1000',
-    ...legalConstructorAmounts
+    0, 1, 1000,
+    '0', '1', '1000',
+    ...legalConstructorAmounts.filter(amount => !amount.lt(0))
+];
+
+const negativeFactoryAmounts = [
+    -1000, -1,
+    '-1000', '-1',
+    ...legalConstructorAmounts.filter(amount => amount.lt(0))
 ];
 
 const legalConstructorCts = [
@@ -103,9 +109,17 @@ const factoryArgs = [
 ];
 
 const badConstructorArgs = [
+    [ null, Currency.from({ct: addrx0}) ],
+    [ ethers.utils.bigNumberify(0), null ],
+    [ ethers.utils.bigNumberify(0), {ct: addrx0, id: 0} ]
+];
+
+const badFactoryArgs = [
     [ null, EthereumAddress.from(addrx0), 0 ],
     [ ethers.utils.bigNumberify(0), null, 0 ],
-    [ ethers.utils.bigNumberify(0), EthereumAddress.from(addrx0), -1 ]
+    [ ethers.utils.bigNumberify(0), EthereumAddress.from(addrx0), -1 ],
+    [ '1.5', addrx0, 0 ],
+    ...cartesian(cartesian(negativeFactoryAmounts, [ addrx0 ]), [ 0 ])
 ];
 
 describe('MonetaryAmount', () => {
@@ -122,9 +136,8 @@ describe('MonetaryAmount', () => {
     });
 
     context('Constructor throws on illegal input', () => {
-        for (const [amount, ct, id] of badConstructorArgs) {
-            it (`with "${amount}" ${typeStr(amount)}, "${ct}" ${typeStr(ct)}, "${id}" ${typeStr(id)}`, () => {
-                const currency = Currency.from({ct, id});
+        for (const [amount, currency] of badConstructorArgs) {
+            it (`with "${amount}" ${typeStr(amount)}, "${JSON.stringify(currency)}" ${typeStr(currency)}`, () => {
                 expect(() => new MonetaryAmount(amount, currency)).to.throw(TypeError);
             });
         }
@@ -140,12 +153,27 @@ describe('MonetaryAmount', () => {
         }
     });
 
-    context('Factory return null on illegal input', () => {
-        for (const [amount, ct, id] of badConstructorArgs) {
+    context('Factory throws on illegal input', () => {
+        const {ValidationError} = require('./api-errors');
+
+        for (const [amount, ct, id] of badFactoryArgs) {
             it (`with "${amount}" ${typeStr(amount)}, "${ct}" ${typeStr(ct)}, "${id}" ${typeStr(id)}`, () => {
-                expect(MonetaryAmount.from(amount, ct, id)).to.equal(null);
+                expect(() => MonetaryAmount.from(amount, ct, id)).to.throw(ValidationError);
             });
         }
+
+        it ('with json listing every violation', () => {
+            expect(() => MonetaryAmount.from({amount: '-1', currency: {ct: '0x01', id: 0}})).to.throw(ValidationError).with.property('violations').that.eql([
+                {path: '$.amount', message: 'should match pattern "^[0-9]+$"'},
+                {path: '$.currency.ct', message: 'should match pattern "^0x[0-9a-fA-F]{40}$"'}
+            ]);
+        });
+
+        it ('with json without currency', () => {
+            expect(() => MonetaryAmount.from({amount: '1'})).to.throw(ValidationError).with.property('violations').that.eql([
+                {path: '$.currency', message: 'is required'}
+            ]);
+        });
     });
 
     context('Factory constructs from JSON and can serialize to JSON and BSON', () => {
@@ -240,4 +268,19 @@ describe('MonetaryAmount', () => {
             expect(() => (MonetaryAmount.from()).toJSON()).to.throw();
         });
     });
+
+    context('validating JSON', () => {
+        const {ValidationError} = require('./api-errors');
+
+        it('accepts a valid monetary amount', () => {
+            expect(() => MonetaryAmount.validate({amount: '1000', currency: {ct: '0x0000000000000000000000000000000000000001', id: '0'}})).to.not.throw();
+        });
+
+        it('lists every violation of an invalid monetary amount', () => {
+            expect(() => MonetaryAmount.validate({amount: '1.5', currency: {id: 0}})).to.throw(ValidationError).with.property('violations').that.eql([
+                {path: '$.amount', message: 'should match pattern "^[0-9]+$"'},
+                {path: '$.currency.ct', message: 'is required'}
+            ]);
+        });
+    });
 });
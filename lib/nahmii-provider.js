@@ -6,33 +6,89 @@
 
 const dbg = require('./dbg');
 const ethers = require('ethers');
-const {prefix0x} = require('./utils');
-const {createApiToken} = require('./identity-model');
+const EventEmitter = require('events');
+const {prefix0x, parseSenderData} = require('./utils');
+const {getApiTokenExpiry, isCredentialStrategy, AppSecretCredentials} = require('./identity-model');
 const NahmiiRequest = require('./nahmii-request');
+const RetryPolicy = require('./retry-policy');
+const CircuitBreaker = require('./circuit-breaker');
 const ClusterInformation = require('./cluster-information');
+const WalletReceiptIterator = require('./wallet-receipt-iterator');
+const MonetaryAmount = require('./monetary-amount');
+const ConfigurationContract = require('./settlement/configuration-contract');
 const InsufficientFundsError = require('./insufficient-funds-error');
+const {
+    NahmiiApiError, UnauthorizedError, NotFoundError, ValidationError, ConflictError, RateLimitedError
+} = require('./api-errors');
 const {EthereumAddress} = require('nahmii-ethereum-address');
 const NestedError = require('./nested-error');
 
 // Private properties
 const _nahmiiDomain = new WeakMap();
-const _appId = new WeakMap();
-const _appSecret = new WeakMap();
+const _credentials = new WeakMap();
 const _apiAccessToken = new WeakMap();
 const _apiAccessTokenPending = new WeakMap();
-const _tokenInterval = new WeakMap();
+const _isUpdating = new WeakMap();
+const _tokenTimer = new WeakMap();
+const _tokenEventEmitter = new WeakMap();
 const _nahmii = new WeakMap();
 const _operator = new WeakMap();
 
+// Fee ratios in the fee schedule are parts per this number
+const FEE_PARTS_PER = ethers.utils.bigNumberify('1000000000000000000');
+// Discount tier of the nominal fee, i.e. without discount. Discount tiers are
+// assigned to wallets by the operator and are not available to clients.
+const NOMINAL_DISCOUNT_TIER = 0;
+
+// Number of the latest receipts of a wallet searched for a payment by sender reference
+const SENDER_REF_SEARCH_LIMIT = 100;
+
+// Time before the token expires at which it is renewed
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+// Renewal interval for tokens that do not carry an expiry time
+const TOKEN_REFRESH_INTERVAL = 60 * 1000;
+// Delay before retrying a failed renewal, also the minimum renewal delay
+const TOKEN_RETRY_DELAY = 10 * 1000;
+// Tokens this close to their expiry time are considered expired
+const TOKEN_EXPIRY_LEEWAY = 5 * 1000;
+
+// Name and version of the EIP-712 domain of payments and receipts
+const EIP712_DOMAIN_NAME = 'nahmii';
+const EIP712_DOMAIN_VERSION = '1';
+
+const TokenEventNames = Object.freeze(['tokenRefreshed', 'tokenRefreshFailed']);
+
+const ApiErrorClasses = Object.freeze({
+    400: ValidationError,
+    401: UnauthorizedError,
+    403: UnauthorizedError,
+    404: NotFoundError,
+    409: ConflictError,
+    422: ValidationError,
+    429: RateLimitedError
+});
+
 
 /**
  * @class NahmiiProvider
  * A class providing low-level access to the _nahmii_ APIs.
+ * Methods that call the APIs reject with a NahmiiApiError, or one of its sub
+ * classes such as NotFoundError, when a request fails.
  * @alias module:nahmii-sdk
  * @example
  * const {NahmiiProvider} = require('nahmii-sdk');
  *
  * const provider = await NahmiiProvider.from('api.nahmii.io', app_id, app_secret);
+ *
+ * @example <caption>Using a credential strategy</caption>
+ * const {NahmiiProvider, StaticTokenCredentials} = require('nahmii-sdk');
+ *
+ * const credentials = new StaticTokenCredentials(api_access_token);
+ * const provider = await NahmiiProvider.from('api.nahmii.io', credentials);
+ *
+ * @example <caption>Monitoring the API access token</caption>
+ * provider.on('tokenRefreshed', token => console.log('New API access token issued'));
+ * provider.on('tokenRefreshFailed', err => console.error('Unable to renew API access token', err));
  */
 class NahmiiProvider extends ethers.providers.JsonRpcProvider {
     /**
@@ -40,23 +96,33 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * Instead of using this constructor directly it is recommended that you use
      * the NahmiiProvider.from() factory function.
      * @param {string} nahmiiDomain - The domain name for the nahmii API
-     * @param {string} apiAppId - nahmii API app-ID
-     * @param {string} apiAppSecret - nahmii API app-secret
+     * @param {string|Object} apiAppIdOrCredentials - nahmii API app-ID, or a credential strategy such as StaticTokenCredentials
+     * @param {string} [apiAppSecret] - nahmii API app-secret, ignored when a credential strategy is given
      * @param {string} nodeUrl - url to an ethereum node to connect to
      * @param {string|number} network - a known ethereum network name or ID
      * @param {EthereumAddress} [operator] - The address of the nahmii operator
+     * @param {Object} [options] - Options for requests to the nahmii API
+     * @param {RetryPolicy|null} [options.retryPolicy] - Retry policy for GET requests. Defaults to a RetryPolicy with default settings, null disables retries
+     * @param {RetryPolicy|null} [options.postRetryPolicy=null] - Retry policy for POST requests that carry a client reference, such as payments
+     * @param {CircuitBreaker|null} [options.circuitBreaker] - Circuit breaker for all API requests. Defaults to a CircuitBreaker with default settings, null disables it
      */
-    constructor(nahmiiDomain, apiAppId, apiAppSecret, nodeUrl, network, operator = null) {
+    constructor(nahmiiDomain, apiAppIdOrCredentials, apiAppSecret, nodeUrl, network, operator = null, options = {}) {
         super(nodeUrl, network);
 
         if (operator && !(operator instanceof EthereumAddress))
             throw new TypeError('Invalid argument - operator not an EthereumAddress');
 
         _nahmiiDomain.set(this, nahmiiDomain);
-        _appId.set(this, apiAppId);
-        _appSecret.set(this, apiAppSecret);
-        _nahmii.set(this, new NahmiiRequest(nahmiiDomain, () => {
-            return this.getApiAccessToken();
+        _credentials.set(this, isCredentialStrategy(apiAppIdOrCredentials)
+            ? apiAppIdOrCredentials
+            : new AppSecretCredentials(apiAppIdOrCredentials, apiAppSecret));
+        _tokenEventEmitter.set(this, new EventEmitter());
+        _nahmii.set(this, new NahmiiRequest(nahmiiDomain, (renew = false) => {
+            return renew ? this.refreshApiAccessToken() : this.getApiAccessToken();
+        }, undefined, {
+            retryPolicy: 'retryPolicy' in options ? options.retryPolicy : new RetryPolicy(),
+            postRetryPolicy: options.postRetryPolicy || null,
+            circuitBreaker: 'circuitBreaker' in options ? options.circuitBreaker : new CircuitBreaker()
         }));
         _operator.set(this, (operator || null));
     }
@@ -65,14 +131,15 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * Factory method for creating a new NahmiiProvider automatically configured
      * from the specified nahmii cluster.
      * @param {string} nahmiiDomain - The domain name for the nahmii API
-     * @param {string} apiAppId - nahmii API app-ID
-     * @param {string} apiAppSecret - nahmii API app-secret
+     * @param {string|Object} apiAppIdOrCredentials - nahmii API app-ID, or a credential strategy such as StaticTokenCredentials
+     * @param {string} [apiAppSecret] - nahmii API app-secret, ignored when a credential strategy is given
+     * @param {Object} [options] - Options for requests to the nahmii API, see the constructor
      * @returns {Promise<NahmiiProvider>}
      */
-    static async from(nahmiiDomain, apiAppId, apiAppSecret) {
+    static async from(nahmiiDomain, apiAppIdOrCredentials, apiAppSecret, options = {}) {
         const {ethereum} = await ClusterInformation.get(nahmiiDomain);
         const operator = EthereumAddress.from(ethereum.operatorAddress);
-        return new NahmiiProvider(nahmiiDomain, apiAppId, apiAppSecret, ethereum.node, ethereum.net, operator);
+        return new NahmiiProvider(nahmiiDomain, apiAppIdOrCredentials, apiAppSecret, ethereum.node, ethereum.net, operator, options);
     }
 
     /**
@@ -93,8 +160,10 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
     }
 
     /**
-     * Force provider to start updating the API access token once a minute. The
-     * update will continue until stopUpdate() is called.
+     * Force provider to start updating the API access token. The token is
+     * renewed shortly before it expires, as given by the "exp" claim of the
+     * JWT, or once a minute if the token does not expire. The update will
+     * continue until stopUpdate() is called.
      * Using any methods that require an API access token will automatically
      * start the update process.
      */
@@ -102,24 +171,10 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
         if (this.isUpdating)
             return;
 
-        const updateToken = () => {
-            dbg('Updating API access token...');
-            const appId = _appId.get(this);
-            const appSecret = _appSecret.get(this);
-
-            _apiAccessTokenPending.set(this, createApiToken(this.nahmiiDomain, appId, appSecret)
-                .then(t => {
-                    dbg('Successfully updated API access token.');
-                    _apiAccessToken.set(this, t);
-                    return t;
-                })
-                .catch(err => {
-                    console.error('Failed to update nahmii API access token!', err);
-                }));
-        };
-
-        updateToken();
-        _tokenInterval.set(this, setInterval(updateToken, 60 * 1000));
+        _isUpdating.set(this, true);
+        this.refreshApiAccessToken().catch(() => {
+            // Reported through the 'tokenRefreshFailed' event
+        });
     }
 
     /**
@@ -128,8 +183,9 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * lingering references.
      */
     stopUpdate() {
-        clearInterval(_tokenInterval.get(this));
-        _tokenInterval.set(this);
+        clearTimeout(_tokenTimer.get(this));
+        _tokenTimer.set(this);
+        _isUpdating.set(this, false);
     }
 
     /**
@@ -137,7 +193,7 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * @returns {boolean} True if the update is running, false otherwise.
      */
     get isUpdating() {
-        return !!_tokenInterval.get(this);
+        return !!_isUpdating.get(this);
     }
 
     /**
@@ -151,7 +207,85 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
             return currentToken;
 
         this.startUpdate();
-        return _apiAccessTokenPending.get(this);
+        return this.refreshApiAccessToken();
+    }
+
+    /**
+     * Obtains a new API access token from the server, regardless of the
+     * validity of the current token. Concurrent calls share the same request.
+     * Emits 'tokenRefreshed' with the new token on success, or
+     * 'tokenRefreshFailed' with the error on failure.
+     * @returns {Promise} A promise that resolves into the new API access token
+     */
+    refreshApiAccessToken() {
+        const pendingToken = _apiAccessTokenPending.get(this);
+        if (pendingToken)
+            return pendingToken;
+
+        dbg('Updating API access token...');
+        const newPendingToken = getApiToken.call(this)
+            .then(t => {
+                dbg('Successfully updated API access token.');
+                _apiAccessToken.set(this, t);
+                _apiAccessTokenPending.delete(this);
+                scheduleTokenRefresh.call(this, getTokenRefreshDelay(t));
+                _tokenEventEmitter.get(this).emit('tokenRefreshed', t);
+                return t;
+            }, err => {
+                dbg('Failed to update nahmii API access token!', err);
+                _apiAccessTokenPending.delete(this);
+                scheduleTokenRefresh.call(this, TOKEN_RETRY_DELAY);
+                _tokenEventEmitter.get(this).emit('tokenRefreshFailed', err);
+                throw new NestedError(err, 'Failed to update nahmii API access token!');
+            });
+
+        _apiAccessTokenPending.set(this, newPendingToken);
+        return newPendingToken;
+    }
+
+    /**
+     * Registers a listener. The events 'tokenRefreshed' and
+     * 'tokenRefreshFailed' are emitted by the API access token update, all
+     * other events are handled by the ethers provider.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {NahmiiProvider}
+     */
+    on(eventName, listener) {
+        if (!TokenEventNames.includes(eventName))
+            return super.on(eventName, listener);
+
+        _tokenEventEmitter.get(this).on(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Registers a listener that is only called the first time the event is
+     * emitted.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {NahmiiProvider}
+     */
+    once(eventName, listener) {
+        if (!TokenEventNames.includes(eventName))
+            return super.once(eventName, listener);
+
+        _tokenEventEmitter.get(this).once(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener previously registered with on() or once().
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - The registered listener
+     * @returns {NahmiiProvider}
+     */
+    removeListener(eventName, listener) {
+        if (!TokenEventNames.includes(eventName))
+            return super.removeListener(eventName, listener);
+
+        _tokenEventEmitter.get(this).removeListener(eventName, listener);
+        return this;
     }
 
     /**
@@ -159,7 +293,11 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * @returns {Promise} A promise that resolves into an array of token definitions.
      */
     getSupportedTokens() {
-        return _nahmii.get(this).get('/ethereum/supported-tokens');
+        return _nahmii.get(this)
+            .get('/ethereum/supported-tokens')
+            .catch(err => {
+                throw toApiError(err, 'getSupportedTokens', 'GET /ethereum/supported-tokens');
+            });
     }
 
     /**
@@ -173,7 +311,7 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
         const searchBy = byAddress ? 'currency' : 'symbol';
         const tokenInfo = supportedTokens.find(t => t[searchBy].toUpperCase() === symbolOrAddress.toUpperCase());
         if (!tokenInfo)
-            throw new Error('Unknown currency. See "nahmii show tokens" for a list of supported tokens.');
+            throw new NotFoundError(null, 'Unknown currency. See "nahmii show tokens" for a list of supported tokens.');
         return tokenInfo;
     }
 
@@ -183,7 +321,11 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * @returns {Promise} A promise that resolves into a array of balance information.
      */
     getNahmiiBalances(address) {
-        return _nahmii.get(this).get(`/trading/wallets/${prefix0x(address)}/balances`);
+        return _nahmii.get(this)
+            .get(`/trading/wallets/${prefix0x(address)}/balances`)
+            .catch(err => {
+                throw toApiError(err, 'getNahmiiBalances', 'GET /trading/wallets/{address}/balances');
+            });
     }
 
     /**
@@ -192,31 +334,31 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * @returns {Promise} A promise that resolves into an array of registered payments
      */
     getPendingPayments() {
-        return _nahmii.get(this).get('/trading/payments');
+        return _nahmii.get(this)
+            .get('/trading/payments')
+            .catch(err => {
+                throw toApiError(err, 'getPendingPayments', 'GET /trading/payments');
+            });
     }
 
     /**
      * Registers a payment with the server to have it effectuated. The payment
      * is expected to be hashed and signed according to the _nahmii_
      * protocol.
+     * The payment carries the sender's unique reference, so the registration
+     * is retried according to the postRetryPolicy option, if given.
      * @param payment A JSON object of a serialized signed Payment
+     * @param {Object} [options]
+     * @param {boolean} [options.retry=true] - Whether to retry according to the postRetryPolicy option, turned off by callers retrying themselves
      * @returns {Promise} A promise that resolves into a registered payment payload
      */
-    async registerPayment(payment) {
+    async registerPayment(payment, options = {}) {
+        const {retry = true} = options;
         return _nahmii.get(this)
-            .post('/trading/payments', payment)
+            .post('/trading/payments', payment, {retryable: retry})
             .catch(err => {
                 dbg('the actual error:\n' + JSON.stringify(err, null, 4));
-                switch (err.status) {
-                case 402:
-                    throw new InsufficientFundsError(JSON.parse(err.response.text));
-                case 403:
-                    throw new Error('Not authorized!');
-                case 422:
-                    throw new Error(JSON.parse(err.response.text).message);
-                default:
-                    throw new NestedError(err, 'registerPayment() failed.');
-                }
+                throw toApiError(err, 'registerPayment', 'POST /trading/payments');
             });
     }
 
@@ -231,16 +373,7 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
         return _nahmii.get(this)
             .post('/trading/receipts', receipt)
             .catch(err => {
-                switch (err.status) {
-                case 403:
-                    throw new Error('Not authorized!');
-                case 404:
-                    throw new Error('Payment not found');
-                case 422:
-                    throw new Error(err.response.body.message);
-                default:
-                    throw new NestedError(err, 'effectuatePayment() failed.');
-                }
+                throw toApiError(err, 'effectuatePayment', 'POST /trading/receipts', {404: 'Payment not found'});
             });
     }
 
@@ -254,16 +387,7 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
         return _nahmii.get(this)
             .post('/trading/settlements', {serialized: serializedTransaction})
             .catch(err => {
-                switch (err.status) {
-                case 402:
-                    throw new Error(JSON.parse(err.response.text).message);
-                case 409:
-                    throw new Error(JSON.parse(err.response.text).message);
-                case 422:
-                    throw new Error(JSON.parse(err.response.text).message);
-                default:
-                    throw new NestedError(err, 'registerSettlement() failed.');
-                }
+                throw toApiError(err, 'registerSettlement', 'POST /trading/settlements');
             });
     }
 
@@ -272,7 +396,11 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
      * @returns {Promise} A promise that resolves into an array of payment receipts
      */
     getAllReceipts() {
-        return _nahmii.get(this).get('/trading/receipts');
+        return _nahmii.get(this)
+            .get('/trading/receipts')
+            .catch(err => {
+                throw toApiError(err, 'getAllReceipts', 'GET /trading/receipts');
+            });
     }
 
     /**
@@ -293,7 +421,68 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
         if (asc)
             queries.direction = 'asc';
 
-        return _nahmii.get(this).get(`/trading/wallets/${address}/receipts`, queries);
+        return _nahmii.get(this)
+            .get(`/trading/wallets/${address}/receipts`, queries)
+            .catch(err => {
+                throw toApiError(err, 'getWalletReceipts', 'GET /trading/wallets/{address}/receipts');
+            });
+    }
+
+    /**
+     * Iterates all receipts for effectuated payments of a wallet, fetching
+     * them from the server a page at a time.
+     * @param {Address} address - The wallet address
+     * @param {Object} [options] - Filter and pagination options, see WalletReceiptIterator
+     * @param {number} [options.fromNonce] - Lowest wallet nonce to include
+     * @param {number} [options.toNonce] - Highest wallet nonce to include
+     * @param {string} [options.direction='asc'] - Order of the receipts, either 'asc' or 'desc'
+     * @param {number} [options.pageSize=100] - Number of receipts fetched per request
+     * @param {Currency|EthereumAddress|string} [options.currency] - Only include receipts in this currency
+     * @returns {WalletReceiptIterator} An async iterable of Receipt instances
+     * @example
+     * for await (const receipt of provider.iterateWalletReceipts(address, {currency: ct}))
+     *     console.log(receipt.toJSON());
+     */
+    iterateWalletReceipts(address, options = {}) {
+        return new WalletReceiptIterator(this, address, options);
+    }
+
+    /**
+     * Finds a payment of a wallet by the sender's unique reference, first
+     * among the pending payments, then among the latest receipts of the
+     * wallet. Use it to learn whether a payment was registered when the
+     * outcome of the registration is unknown, e.g. after a network timeout.
+     * Only the latest receipts are searched, in a single request, as such a
+     * payment is effectuated shortly after its registration.
+     * @param {EthereumAddress|string} wallet - The address of the sender wallet
+     * @param {string} senderRef - The sender's unique reference of the payment
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Number of the latest receipts of the wallet to search
+     * @returns {Promise<Object|null>} A promise that resolves into {status: 'pending', payment} or {status: 'effectuated', receipt}, with the payment or receipt as JSON, or null if the payment is not found
+     * @example
+     * const found = await provider.findPaymentBySenderRef(wallet.address, payment.senderRef);
+     * if (!found)
+     *     await payment.register();
+     */
+    async findPaymentBySenderRef(wallet, senderRef, options = {}) {
+        const {limit = SENDER_REF_SEARCH_LIMIT} = options;
+        const address = EthereumAddress.from(wallet);
+        if (!address)
+            throw new TypeError('wallet is not a valid address');
+        if (typeof senderRef !== 'string' || !senderRef)
+            throw new TypeError('senderRef is not a non-empty string');
+        if (!Number.isInteger(limit) || limit <= 0)
+            throw new TypeError('limit must be a positive integer');
+
+        const pendingPayments = await this.getPendingPayments();
+        const payment = (pendingPayments || []).find(json => isPaymentBySenderRef(json, address, senderRef));
+        if (payment)
+            return {status: 'pending', payment};
+
+        // The latest receipts, in descending order
+        const receipts = await this.getWalletReceipts(address.toString(), null, limit);
+        const receipt = (receipts || []).find(json => isPaymentBySenderRef(json, address, senderRef));
+        return receipt ? {status: 'effectuated', receipt} : null;
     }
 
     /**
@@ -324,13 +513,208 @@ class NahmiiProvider extends ethers.providers.JsonRpcProvider {
     async getClusterInformation() {
         return await ClusterInformation.get(this.nahmiiDomain);
     }
+
+    /**
+     * Retrieves the EIP-712 domain of payments and receipts of the connected
+     * cluster. It binds typed data signatures to the chain ID of the network
+     * and to the cluster's Validator contract, which verifies the signatures
+     * on-chain.
+     * @returns {Promise<Object>} A promise that resolves into {name, version, chainId, verifyingContract}
+     */
+    async getEip712Domain() {
+        const {ethereum} = await this.getClusterInformation();
+        const verifyingContract = EthereumAddress.from(ethereum.contracts && ethereum.contracts.Validator);
+        if (!verifyingContract)
+            throw new Error('The cluster information has no valid address of the Validator contract');
+
+        return {
+            name: EIP712_DOMAIN_NAME,
+            version: EIP712_DOMAIN_VERSION,
+            chainId: this.network.chainId,
+            verifyingContract: verifyingContract.toString()
+        };
+    }
+
+    /**
+     * Estimates the fee of a payment, using the payment fee schedule of the
+     * cluster's Configuration contract as of the latest block. The fee is
+     * paid by the sender, in the currency of the payment, on top of the
+     * amount received by the recipient.
+     * The estimate is the nominal fee. Senders in a discount tier of the fee
+     * schedule are charged less, but their tiers are assigned by the operator
+     * and are not known to clients, so the estimate is an upper bound.
+     * @param {MonetaryAmount} monetaryAmount - The amount to pay
+     * @param {EthereumAddress|string} sender - The address of the sender, validated only as the fee schedule does not depend on it
+     * @param {EthereumAddress|string} recipient - The address of the recipient, validated only as the fee schedule does not depend on it
+     * @returns {Promise<Object>} A promise that resolves into {sent, received, fee}, all MonetaryAmount
+     * @example
+     * const amount = MonetaryAmount.from(ethers.utils.parseEther('1'), ethCt);
+     * const {sent, received, fee} = await provider.estimatePaymentFee(amount, wallet.address, recipient);
+     * console.log(`You send ${sent.amount}, recipient gets ${received.amount}, fee ${fee.amount}`);
+     */
+    async estimatePaymentFee(monetaryAmount, sender, recipient) {
+        if (!(monetaryAmount instanceof MonetaryAmount))
+            throw new TypeError('monetaryAmount is not a MonetaryAmount');
+        if (!EthereumAddress.from(sender))
+            throw new TypeError('sender is not a valid address');
+        if (!EthereumAddress.from(recipient))
+            throw new TypeError('recipient is not a valid address');
+
+        const {amount, currency} = monetaryAmount;
+        const ct = currency.ct.toString();
+        const configuration = new ConfigurationContract(this);
+        const blockNumber = await this.getBlockNumber();
+        const [feeRatio, minimumFee] = await Promise.all([
+            configuration.currencyPaymentFee(blockNumber, ct, currency.id, NOMINAL_DISCOUNT_TIER),
+            configuration.currencyPaymentMinimumFee(blockNumber, ct, currency.id)
+        ]);
+
+        let fee = amount.mul(feeRatio).div(FEE_PARTS_PER);
+        if (fee.lt(minimumFee))
+            fee = minimumFee;
+
+        return {
+            sent: new MonetaryAmount(amount.add(fee), currency),
+            received: monetaryAmount,
+            fee: new MonetaryAmount(fee, currency)
+        };
+    }
 }
 
 module.exports = NahmiiProvider;
 
 function isValidToken(currentToken) {
-    // TODO: check JWT.exp also
-    return !!currentToken;
+    if (!currentToken)
+        return false;
+
+    const expiry = getApiTokenExpiry(currentToken);
+    return expiry === null || expiry - TOKEN_EXPIRY_LEEWAY > Date.now();
+}
+
+function getTokenRefreshDelay(token) {
+    const expiry = getApiTokenExpiry(token);
+    if (expiry === null)
+        return TOKEN_REFRESH_INTERVAL;
+
+    return Math.max(expiry - TOKEN_REFRESH_MARGIN - Date.now(), TOKEN_RETRY_DELAY);
+}
+
+/**
+ * Obtains a new API access token from the credential strategy, which may
+ * return the token itself rather than a promise of it.
+ * Private method, invoke with 'this' bound to provider instance.
+ * @private
+ * @returns {Promise<string>}
+ */
+function getApiToken() {
+    try {
+        return Promise.resolve(_credentials.get(this).getApiToken(this.nahmiiDomain));
+    }
+    catch (err) {
+        return Promise.reject(err);
+    }
+}
+
+/**
+ * Schedules the next renewal of the API access token, unless the update
+ * process has been stopped.
+ * Private method, invoke with 'this' bound to provider instance.
+ * @private
+ * @param {number} delay - Milliseconds until the renewal
+ */
+function scheduleTokenRefresh(delay) {
+    clearTimeout(_tokenTimer.get(this));
+    _tokenTimer.set(this);
+
+    if (!this.isUpdating)
+        return;
+
+    _tokenTimer.set(this, setTimeout(() => {
+        this.refreshApiAccessToken().catch(() => {
+            // Reported through the 'tokenRefreshFailed' event
+        });
+    }, delay));
+}
+
+/**
+ * Translates an error from a request to the nahmii API into a NahmiiApiError,
+ * or a sub class of it, depending on the HTTP status of the response.
+ * @private
+ * @param {Error} err - The error from NahmiiRequest
+ * @param {string} method - Name of the provider method, used in generic messages
+ * @param {string} endpoint - Method and path of the request
+ * @param {Object} [messages] - Messages by HTTP status for responses without a message
+ * @returns {NahmiiApiError}
+ */
+function toApiError(err, method, endpoint, messages = {}) {
+    if (err instanceof NahmiiApiError)
+        return err;
+
+    const response = err && err.response;
+    const status = err && err.status;
+    const body = parseResponseBody(response);
+    const headers = response && (response.headers || response.header);
+    const details = {
+        status,
+        endpoint,
+        requestId: headers ? headers['x-request-id'] : undefined,
+        body
+    };
+    const bodyMessage = body && typeof body.message === 'string' ? body.message : null;
+
+    if (status === 402) {
+        const options = Object.assign({}, typeof body === 'object' ? body : {}, {
+            message: bodyMessage || 'Insufficient funds'
+        });
+        return new InsufficientFundsError(options, Object.assign({innerError: err}, details));
+    }
+
+    const ErrorClass = ApiErrorClasses[status];
+    if (!ErrorClass)
+        return new NahmiiApiError(err, `${method}() failed.`, details);
+
+    const defaultMessage = ErrorClass === UnauthorizedError ? 'Not authorized!' : `${method}() failed.`;
+    return new ErrorClass(err, bodyMessage || messages[status] || defaultMessage, details);
+}
+
+/**
+ * Returns the body of a failed response, parsed as JSON if possible.
+ * @private
+ * @param {Object} [response] - The superagent response
+ * @returns {*}
+ */
+function parseResponseBody(response) {
+    if (!response)
+        return undefined;
+
+    if (response.body && Object.keys(response.body).length)
+        return response.body;
+
+    try {
+        return JSON.parse(response.text);
+    }
+    catch (err) {
+        return response.text || undefined;
+    }
+}
+
+/**
+ * Checks whether the payment, or receipt, as JSON is sent from the wallet with
+ * the sender reference.
+ * @private
+ * @param {Object} json - A payment or receipt as JSON
+ * @param {EthereumAddress} address - The address of the sender wallet
+ * @param {string} senderRef - The sender's unique reference of the payment
+ * @returns {boolean}
+ */
+function isPaymentBySenderRef(json, address, senderRef) {
+    const sender = json && json.sender;
+    const senderAddress = sender && EthereumAddress.from(sender.wallet);
+    if (!senderAddress || !senderAddress.isEqual(address))
+        return false;
+
+    const senderData = parseSenderData(sender.data);
+    return !!senderData && senderData.ref === senderRef;
 }
 
 function deferredIsNotNull(promise) {
@@ -8,10 +8,30 @@ chai.use(sinonChai);
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const InsufficientFundsError = require('./insufficient-funds-error');
+const CircuitOpenError = require('./circuit-open-error');
+const {
+    NahmiiApiError, UnauthorizedError, NotFoundError, ValidationError, ConflictError, RateLimitedError
+} = require('./api-errors');
+const RetryPolicy = require('./retry-policy');
+const CircuitBreaker = require('./circuit-breaker');
 const {EthereumAddress} = require('nahmii-ethereum-address');
+const identityModel = require('./identity-model');
+const MonetaryAmount = require('./monetary-amount');
+const ethers = require('ethers');
 
 const stubbedIdentityModel = {
-    createApiToken: sinon.stub()
+    ...identityModel,
+    createApiToken: sinon.stub(),
+    AppSecretCredentials: class {
+        constructor(appId, appSecret) {
+            this.appId = appId;
+            this.appSecret = appSecret;
+        }
+
+        getApiToken(nahmiiDomain) {
+            return stubbedIdentityModel.createApiToken(nahmiiDomain, this.appId, this.appSecret);
+        }
+    }
 };
 
 const stubbedNahmiiRequestCtr = sinon.stub();
@@ -20,12 +40,21 @@ const stubbedNahmiiRequest = {
     post: sinon.stub()
 };
 const stubbedClusterInformation = {};
+const stubbedConfigurationContract = {
+    currencyPaymentFee: sinon.stub(),
+    currencyPaymentMinimumFee: sinon.stub()
+};
 
 function proxyquireProvider() {
     return proxyquire('./nahmii-provider', {
         './identity-model': stubbedIdentityModel,
         './nahmii-request': stubbedNahmiiRequestCtr,
-        './cluster-information': stubbedClusterInformation
+        './cluster-information': stubbedClusterInformation,
+        './retry-policy': RetryPolicy,
+        './circuit-breaker': CircuitBreaker,
+        './settlement/configuration-contract': function() {
+            return stubbedConfigurationContract;
+        }
     });
 }
 
@@ -37,6 +66,11 @@ const node = 'some ethereum node url';
 const network = 'testnet';
 const walletAddr = '0000000000000000000000000000000000000001';
 
+function createJWT(claims) {
+    const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64');
+    return `${encode({alg: 'HS256', typ: 'JWT'})}.${encode(claims)}.signature`;
+}
+
 const testTokens = [
     {
         currency: '0x0000000000000000000000000000000000000000',
@@ -128,6 +162,133 @@ describe('Nahmii Provider', () => {
         validateExpectedBehaviorOfProvider();
     });
 
+    [
+        ['a static token', () => new identityModel.StaticTokenCredentials(expectedJWT)],
+        ['a token callback', () => new identityModel.TokenCallbackCredentials(sinon.stub().withArgs(baseUrl).resolves(expectedJWT))],
+        ['a custom strategy returning the token synchronously', () => ({getApiToken: () => expectedJWT})]
+    ].forEach(([description, createCredentials]) => {
+        context(`a NahmiiProvider from cluster information and ${description}`, () => {
+            beforeEach(async () => {
+                stubbedNahmiiRequestCtr
+                    .withArgs(baseUrl)
+                    .returns(stubbedNahmiiRequest);
+                const NahmiiProvider = proxyquireProvider();
+                provider = await NahmiiProvider.from(baseUrl, createCredentials());
+            });
+
+            afterEach(() => {
+                provider.stopUpdate();
+            });
+
+            it('can retrieve the API access token', async () => {
+                expect(await provider.getApiAccessToken()).to.eql(expectedJWT);
+            });
+
+            it('does not use the app-secret exchange', async () => {
+                await provider.getApiAccessToken();
+                expect(stubbedIdentityModel.createApiToken).to.not.have.been.called;
+            });
+        });
+    });
+
+    context('a NahmiiProvider with request options', () => {
+        let NahmiiProvider;
+
+        beforeEach(() => {
+            stubbedNahmiiRequestCtr.resetHistory();
+            stubbedNahmiiRequestCtr
+                .withArgs(baseUrl)
+                .returns(stubbedNahmiiRequest);
+            NahmiiProvider = proxyquireProvider();
+        });
+
+        it('retries GET requests and uses a circuit breaker by default', async () => {
+            provider = await NahmiiProvider.from(baseUrl, appId, appSecret);
+            const options = stubbedNahmiiRequestCtr.lastCall.args[3];
+            expect(options.retryPolicy).to.be.instanceOf(RetryPolicy);
+            expect(options.postRetryPolicy).to.be.null;
+            expect(options.circuitBreaker).to.be.instanceOf(CircuitBreaker);
+        });
+
+        it('passes the specified policies to the requests', async () => {
+            const retryPolicy = new RetryPolicy({retries: 5});
+            const postRetryPolicy = new RetryPolicy({retries: 1});
+            provider = await NahmiiProvider.from(baseUrl, appId, appSecret, {
+                retryPolicy,
+                postRetryPolicy,
+                circuitBreaker: null
+            });
+            const options = stubbedNahmiiRequestCtr.lastCall.args[3];
+            expect(options.retryPolicy).to.equal(retryPolicy);
+            expect(options.postRetryPolicy).to.equal(postRetryPolicy);
+            expect(options.circuitBreaker).to.be.null;
+        });
+
+        it('flags payment registrations as retryable', async () => {
+            provider = await NahmiiProvider.from(baseUrl, appId, appSecret);
+            const payment = {sender: {data: 'some sender data'}};
+            const registeredPayment = {};
+            stubbedNahmiiRequest.post
+                .withArgs('/trading/payments', payment, {retryable: true})
+                .resolves(registeredPayment);
+            expect(await provider.registerPayment(payment)).to.equal(registeredPayment);
+        });
+
+        it('can register a payment without retries', async () => {
+            provider = await NahmiiProvider.from(baseUrl, appId, appSecret);
+            const payment = {sender: {data: 'some sender data'}};
+            const registeredPayment = {};
+            stubbedNahmiiRequest.post
+                .withArgs('/trading/payments', payment, {retryable: false})
+                .resolves(registeredPayment);
+            expect(await provider.registerPayment(payment, {retry: false})).to.equal(registeredPayment);
+        });
+    });
+
+    context('a NahmiiProvider with a failing token callback', () => {
+        beforeEach(() => {
+            stubbedNahmiiRequestCtr
+                .withArgs(baseUrl)
+                .returns(stubbedNahmiiRequest);
+            const NahmiiProvider = proxyquireProvider();
+            const credentials = new identityModel.TokenCallbackCredentials(sinon.stub().rejects(new Error('backend down')));
+            provider = new NahmiiProvider(baseUrl, credentials, null, node, network);
+        });
+
+        afterEach(() => {
+            provider.stopUpdate();
+        });
+
+        it('rejects when asked for the API access token', async () => {
+            const err = await provider.getApiAccessToken().catch(err => err);
+            expect(err.innerError.message).to.eql('backend down');
+        });
+    });
+
+    context('a NahmiiProvider with a custom strategy throwing synchronously', () => {
+        beforeEach(() => {
+            stubbedNahmiiRequestCtr
+                .withArgs(baseUrl)
+                .returns(stubbedNahmiiRequest);
+            const NahmiiProvider = proxyquireProvider();
+            const credentials = {
+                getApiToken() {
+                    throw new Error('no token');
+                }
+            };
+            provider = new NahmiiProvider(baseUrl, credentials, null, node, network);
+        });
+
+        afterEach(() => {
+            provider.stopUpdate();
+        });
+
+        it('rejects when asked for the API access token', async () => {
+            const err = await provider.getApiAccessToken().catch(err => err);
+            expect(err.innerError.message).to.eql('no token');
+        });
+    });
+
     function validateExpectedBehaviorOfProvider() {
         it('can retrieve the API access token', async () => {
             expect(await provider.getApiAccessToken()).to.eql(expectedJWT);
@@ -174,6 +335,102 @@ describe('Nahmii Provider', () => {
             clock.restore();
         });
 
+        context('with API access tokens that expire', () => {
+            let clock, now;
+
+            beforeEach(() => {
+                now = Math.floor(Date.now() / 1000) * 1000;
+                clock = sinon.useFakeTimers(now);
+            });
+
+            afterEach(() => {
+                clock.restore();
+            });
+
+            it('renews the token one minute before it expires', async () => {
+                const t1 = createJWT({exp: Math.floor(now / 1000) + 3600});
+                const t2 = createJWT({exp: Math.floor(now / 1000) + 7200});
+                stubbedIdentityModel.createApiToken.reset();
+                stubbedIdentityModel.createApiToken.onFirstCall().resolves(t1);
+                stubbedIdentityModel.createApiToken.onSecondCall().resolves(t2);
+
+                expect(await provider.getApiAccessToken()).to.eql(t1);
+                clock.tick(3540 * 1000 - 1);
+                expect(stubbedIdentityModel.createApiToken.callCount).to.eql(1);
+                clock.tick(1);
+                expect(stubbedIdentityModel.createApiToken.callCount).to.eql(2);
+                await provider.refreshApiAccessToken();
+                expect(await provider.getApiAccessToken()).to.eql(t2);
+            });
+
+            it('obtains a new token when the current token has expired', async () => {
+                const t1 = createJWT({exp: Math.floor(now / 1000) + 3600});
+                const t2 = createJWT({exp: Math.floor(now / 1000) + 7200});
+                stubbedIdentityModel.createApiToken.reset();
+                stubbedIdentityModel.createApiToken.onFirstCall().resolves(t1);
+                stubbedIdentityModel.createApiToken.onSecondCall().resolves(t2);
+
+                expect(await provider.getApiAccessToken()).to.eql(t1);
+                provider.stopUpdate();
+                clock.tick(3600 * 1000);
+                expect(await provider.getApiAccessToken()).to.eql(t2);
+                expect(stubbedIdentityModel.createApiToken.callCount).to.eql(2);
+            });
+
+            it('emits an event when the token has been renewed', async () => {
+                const listener = sinon.stub();
+                const token = createJWT({exp: Math.floor(now / 1000) + 3600});
+                stubbedIdentityModel.createApiToken.reset();
+                stubbedIdentityModel.createApiToken.resolves(token);
+
+                provider.on('tokenRefreshed', listener);
+                await provider.getApiAccessToken();
+                expect(listener).to.have.been.calledOnceWith(token);
+            });
+
+            it('emits an event and retries when the token could not be renewed', async () => {
+                const listener = sinon.stub();
+                const error = new Error('identity service unavailable');
+                const token = createJWT({exp: Math.floor(now / 1000) + 3600});
+                stubbedIdentityModel.createApiToken.reset();
+                stubbedIdentityModel.createApiToken.onFirstCall().rejects(error);
+                stubbedIdentityModel.createApiToken.onSecondCall().resolves(token);
+
+                provider.once('tokenRefreshFailed', listener);
+                const err = await provider.getApiAccessToken().catch(err => err);
+                expect(err.innerError.message).to.eql(error.message);
+                expect(listener).to.have.been.calledOnceWith(error);
+
+                clock.tick(10 * 1000);
+                expect(await provider.refreshApiAccessToken()).to.eql(token);
+                expect(await provider.getApiAccessToken()).to.eql(token);
+            });
+
+            it('no longer notifies removed listeners', async () => {
+                const listener = sinon.stub();
+                stubbedIdentityModel.createApiToken.reset();
+                stubbedIdentityModel.createApiToken.resolves(createJWT({exp: Math.floor(now / 1000) + 3600}));
+
+                provider.on('tokenRefreshed', listener);
+                provider.removeListener('tokenRefreshed', listener);
+                await provider.getApiAccessToken();
+                expect(listener).to.not.have.been.called;
+            });
+
+            it('uses the API with a renewed token when the current token is rejected', async () => {
+                const t1 = createJWT({exp: Math.floor(now / 1000) + 3600});
+                const t2 = createJWT({exp: Math.floor(now / 1000) + 3601});
+                stubbedIdentityModel.createApiToken.reset();
+                stubbedIdentityModel.createApiToken.onFirstCall().resolves(t1);
+                stubbedIdentityModel.createApiToken.onSecondCall().resolves(t2);
+
+                const authProvider = stubbedNahmiiRequestCtr.lastCall.args[1];
+                expect(await authProvider()).to.eql(t1);
+                expect(await authProvider(true)).to.eql(t2);
+                expect(await provider.getApiAccessToken()).to.eql(t2);
+            });
+        });
+
         it('can retrieve a list of supported tokens', async () => {
             const tokens = await provider.getSupportedTokens();
             expect(tokens).to.equal(testTokens);
@@ -222,6 +479,12 @@ describe('Nahmii Provider', () => {
             expect(token).to.eql(testTokens[2]);
         });
 
+        it('rejects with a NotFoundError for an unknown token', async () => {
+            const err = await provider.getTokenInfo('XYZ').catch(e => e);
+            expect(err).to.be.an.instanceOf(NotFoundError);
+            expect(err.message).to.match(/unknown currency/i);
+        });
+
         it('can retrieve the balance for a wallet', async () => {
             const expectedBalances = [];
             stubbedNahmiiRequest.get
@@ -274,6 +537,84 @@ describe('Nahmii Provider', () => {
             expect(result).to.equal(expectedReceipts);
         });
 
+        it('can iterate all payment receipts for a wallet a page at a time', async () => {
+            const address = '0x0000000000000000000000000000000000000001';
+            const receiptJSON = (nonce) => ({
+                currency: {ct: '0x0000000000000000000000000000000000000000', id: '0'},
+                sender: {wallet: address, nonce},
+                recipient: {wallet: '0x0000000000000000000000000000000000000002', nonce: 1}
+            });
+            stubbedNahmiiRequest.get
+                .withArgs(`/trading/wallets/${address}/receipts`, {limit: 2, direction: 'asc'})
+                .resolves([receiptJSON(1), receiptJSON(2)]);
+            stubbedNahmiiRequest.get
+                .withArgs(`/trading/wallets/${address}/receipts`, {fromNonce: 3, limit: 2, direction: 'asc'})
+                .resolves([receiptJSON(3)]);
+
+            const receipts = [];
+            for await (const receipt of provider.iterateWalletReceipts(address, {pageSize: 2}).json())
+                receipts.push(receipt);
+
+            expect(receipts).to.eql([receiptJSON(1), receiptJSON(2), receiptJSON(3)]);
+        });
+
+        context('finding a payment by sender reference', () => {
+            const sender = '0x0000000000000000000000000000000000000001';
+            const senderRef = 'c3cc73cc-756a-11e9-957c-705ab6aee958';
+            const senderData = ref => Buffer.from(JSON.stringify({ref})).toString('base64');
+            const recipient = {wallet: '0x0000000000000000000000000000000000000002', nonce: 1};
+            const paymentJSON = (wallet, ref) => ({sender: {wallet, data: senderData(ref)}, recipient});
+            const receiptJSON = (nonce, data) => ({sender: {wallet: sender, nonce, data}, recipient});
+            let pendingPayments, receipts;
+
+            beforeEach(() => {
+                pendingPayments = [paymentJSON(sender, 'other-ref'), paymentJSON('0x0000000000000000000000000000000000000002', senderRef)];
+                receipts = [receiptJSON(1, senderData('other-ref')), receiptJSON(2, 'not base64 JSON')];
+                stubbedNahmiiRequest.get
+                    .withArgs('/trading/payments')
+                    .callsFake(async () => pendingPayments);
+                sinon.stub(provider, 'getWalletReceipts').callsFake(async () => receipts);
+            });
+
+            it('finds a pending payment', async () => {
+                pendingPayments.push(paymentJSON(sender, senderRef));
+                expect(await provider.findPaymentBySenderRef(sender, senderRef)).to.eql({status: 'pending', payment: pendingPayments[2]});
+                expect(provider.getWalletReceipts).not.to.have.been.called;
+            });
+
+            it('finds an effectuated payment among the receipts of the wallet', async () => {
+                receipts.push(receiptJSON(3, senderData(senderRef)));
+                const found = await provider.findPaymentBySenderRef(EthereumAddress.from(sender), senderRef);
+                expect(found).to.eql({status: 'effectuated', receipt: receipts[2]});
+            });
+
+            it('searches only the latest receipts of the wallet, in a single request', async () => {
+                await provider.findPaymentBySenderRef(sender, senderRef);
+                expect(provider.getWalletReceipts).to.have.been.calledOnceWithExactly(EthereumAddress.from(sender).toString(), null, 100);
+            });
+
+            it('searches a given number of the latest receipts of the wallet', async () => {
+                await provider.findPaymentBySenderRef(sender, senderRef, {limit: 10});
+                expect(provider.getWalletReceipts).to.have.been.calledOnceWithExactly(EthereumAddress.from(sender).toString(), null, 10);
+            });
+
+            it('resolves into null if the payment is not found', async () => {
+                expect(await provider.findPaymentBySenderRef(sender, senderRef)).to.be.null;
+            });
+
+            [
+                ['wallet', () => provider.findPaymentBySenderRef('foo', senderRef)],
+                ['sender reference', () => provider.findPaymentBySenderRef(sender, '')],
+                ['limit', () => provider.findPaymentBySenderRef(sender, senderRef, {limit: 0})]
+            ].forEach(([description, call]) => {
+                it(`can not find a payment with an invalid ${description}`, async () => {
+                    await call().then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(TypeError);
+                    });
+                });
+            });
+        });
+
         it('can register a payment', () => {
             const expectedPayment = {};
             stubbedNahmiiRequest.post
@@ -337,6 +678,32 @@ describe('Nahmii Provider', () => {
                 });
         });
 
+        it('sends back the exact amounts when API fails due to insufficient funds to register payment', async () => {
+            const payment = {id: 'insufficient funds payment'};
+            const currency = {ct: '0x0000000000000000000000000000000000000001', id: '0'};
+            const error = {
+                status: 402,
+                response: {
+                    body: {
+                        message: 'Insufficient funds',
+                        required: {amount: '1000000000000000001', currency},
+                        available: {amount: '1', currency}
+                    }
+                }
+            };
+            stubbedNahmiiRequest.post
+                .withArgs('/trading/payments', payment)
+                .rejects(error);
+
+            const err = await provider.registerPayment(payment).catch(e => e);
+
+            expect(err).to.be.an.instanceOf(InsufficientFundsError);
+            expect(err.required.amount.toString()).to.eql('1000000000000000001');
+            expect(err.available.amount.toString()).to.eql('1');
+            expect(err.shortfall.amount.toString()).to.eql('1000000000000000000');
+            expect(err.currency.ct.toString()).to.eql(currency.ct);
+        });
+
         it('can effectuate a payment', () => {
             const expectedReceipt = {};
             stubbedNahmiiRequest.post
@@ -400,6 +767,123 @@ describe('Nahmii Provider', () => {
             });
         });
 
+        context('when a request to the API fails', () => {
+            const payment = {id: 'typed errors payment'};
+
+            function rejectPayment(status, body, headers = {}) {
+                const error = new Error('superagent error');
+                error.status = status;
+                error.response = {
+                    headers,
+                    text: JSON.stringify(body)
+                };
+                stubbedNahmiiRequest.post
+                    .withArgs('/trading/payments', payment)
+                    .rejects(error);
+                return error;
+            }
+
+            [
+                [400, ValidationError],
+                [401, UnauthorizedError],
+                [402, InsufficientFundsError],
+                [403, UnauthorizedError],
+                [404, NotFoundError],
+                [409, ConflictError],
+                [422, ValidationError],
+                [429, RateLimitedError]
+            ].forEach(([status, ErrorClass]) => {
+                it(`rejects with a ${ErrorClass.name} on status ${status}`, async () => {
+                    const body = {message: 'some message'};
+                    const error = rejectPayment(status, body, {'x-request-id': 'req-1'});
+
+                    const err = await provider.registerPayment(payment).catch(e => e);
+
+                    expect(err).to.be.an.instanceOf(ErrorClass);
+                    expect(err).to.be.an.instanceOf(NahmiiApiError);
+                    expect(err.name).to.eql(ErrorClass.name);
+                    expect(err.message).to.eql('some message');
+                    expect(err.status).to.eql(status);
+                    expect(err.endpoint).to.eql('POST /trading/payments');
+                    expect(err.requestId).to.eql('req-1');
+                    expect(err.body).to.eql(body);
+                    expect(err.innerError.message).to.eql(error.message);
+                });
+            });
+
+            it('rejects with a NahmiiApiError on server errors', async () => {
+                rejectPayment(503, {message: 'Service unavailable'});
+
+                const err = await provider.registerPayment(payment).catch(e => e);
+
+                expect(err.constructor).to.equal(NahmiiApiError);
+                expect(err.message).to.eql('registerPayment() failed.');
+                expect(err.status).to.eql(503);
+                expect(err.body).to.eql({message: 'Service unavailable'});
+            });
+
+            it('uses the parsed body of the response when present', async () => {
+                const error = new Error();
+                error.status = 422;
+                error.response = {body: {message: 'Invalid receipt'}};
+                stubbedNahmiiRequest.post
+                    .withArgs('/trading/receipts', payment)
+                    .rejects(error);
+
+                const err = await provider.effectuatePayment(payment).catch(e => e);
+
+                expect(err).to.be.an.instanceOf(ValidationError);
+                expect(err.message).to.eql('Invalid receipt');
+                expect(err.endpoint).to.eql('POST /trading/receipts');
+            });
+
+            it('passes errors from the circuit breaker through', async () => {
+                const error = new CircuitOpenError(Date.now());
+                stubbedNahmiiRequest.post
+                    .withArgs('/trading/payments', payment)
+                    .rejects(error);
+
+                const err = await provider.registerPayment(payment).catch(e => e);
+
+                expect(err).to.equal(error);
+                expect(err).to.be.an.instanceOf(NahmiiApiError);
+            });
+
+            [
+                ['getSupportedTokens', [], '/ethereum/supported-tokens', 'GET /ethereum/supported-tokens'],
+                ['getNahmiiBalances', ['0xabcd'], '/trading/wallets/0xabcd/balances', 'GET /trading/wallets/{address}/balances'],
+                ['getPendingPayments', [], '/trading/payments', 'GET /trading/payments'],
+                ['getAllReceipts', [], '/trading/receipts', 'GET /trading/receipts'],
+                ['getWalletReceipts', ['0xabcd'], '/trading/wallets/0xabcd/receipts', 'GET /trading/wallets/{address}/receipts']
+            ].forEach(([method, args, uri, endpoint]) => {
+                it(`${method}() rejects with a typed error`, async () => {
+                    const error = new Error();
+                    error.status = 404;
+                    error.response = {text: 'Not Found'};
+                    stubbedNahmiiRequest.get.withArgs(uri).rejects(error);
+
+                    const err = await provider[method](...args).catch(e => e);
+
+                    expect(err).to.be.an.instanceOf(NotFoundError);
+                    expect(err.message).to.eql(`${method}() failed.`);
+                    expect(err.endpoint).to.eql(endpoint);
+                    expect(err.body).to.eql('Not Found');
+                });
+
+                it(`${method}() rejects with a NahmiiApiError on network errors`, async () => {
+                    const error = new Error('socket hang up');
+                    error.code = 'ECONNRESET';
+                    stubbedNahmiiRequest.get.withArgs(uri).rejects(error);
+
+                    const err = await provider[method](...args).catch(e => e);
+
+                    expect(err).to.be.an.instanceOf(NahmiiApiError);
+                    expect(err.status).to.be.undefined;
+                    expect(err.innerError.code).to.eql('ECONNRESET');
+                });
+            });
+        });
+
         it('can watch a tx hash and resolve when it\'s mined and executed successfully', async () => {
             const txReceipt = {hash: 'magic tx hash', status: 1};
             const txHash = '0x1bb332f5b3c2c6b56e43284145c1cb7454606d89bd9b82bd8821e3edfe8d35ad';
@@ -437,5 +921,84 @@ describe('Nahmii Provider', () => {
         it('has the operator address', () => {
             expect(provider.operatorAddress.toString()).to.eql(clusterInformation.ethereum.operatorAddress);
         });
+
+        context('retrieving the EIP-712 domain', () => {
+            afterEach(() => {
+                delete clusterInformation.ethereum.contracts;
+            });
+
+            it('has the chain ID and the Validator contract of the cluster', async () => {
+                clusterInformation.ethereum.contracts = {Validator: '0x000000000000000000000000000000000000AbCd'};
+                expect(await provider.getEip712Domain()).to.eql({
+                    name: 'nahmii',
+                    version: '1',
+                    chainId: provider.network.chainId,
+                    verifyingContract: '0x000000000000000000000000000000000000abcd'
+                });
+            });
+
+            it('fails without a Validator contract', async () => {
+                clusterInformation.ethereum.contracts = {};
+                await provider.getEip712Domain().then(() => expect.fail('should have rejected'), err => {
+                    expect(err.message).to.match(/Validator/);
+                });
+            });
+        });
+
+        context('estimating payment fees', () => {
+            const ct = '0x0000000000000000000000000000000000000001';
+            const sender = '0x0000000000000000000000000000000000000002';
+            const recipient = '0x0000000000000000000000000000000000000003';
+
+            beforeEach(() => {
+                sinon.stub(provider, 'getBlockNumber').resolves(1234);
+                stubbedConfigurationContract.currencyPaymentFee
+                    .withArgs(1234, ct, 0)
+                    .resolves(ethers.utils.parseEther('0.002'));
+                stubbedConfigurationContract.currencyPaymentMinimumFee
+                    .withArgs(1234, ct, 0)
+                    .resolves(ethers.utils.bigNumberify(50));
+            });
+
+            afterEach(() => {
+                stubbedConfigurationContract.currencyPaymentFee.reset();
+                stubbedConfigurationContract.currencyPaymentMinimumFee.reset();
+            });
+
+            function estimate(amount) {
+                return provider.estimatePaymentFee(MonetaryAmount.from(amount, ct), sender, recipient)
+                    .then(({sent, received, fee}) => [sent, received, fee].map(a => a.toJSON().amount));
+            }
+
+            it('can estimate the fee from the fee schedule', async () => {
+                expect(await estimate('100000')).to.eql(['100200', '100000', '200']);
+            });
+
+            it('estimates the nominal fee, without discount', async () => {
+                await estimate('100000');
+                expect(stubbedConfigurationContract.currencyPaymentFee).to.have.been.calledWithExactly(1234, ct, 0, 0);
+            });
+
+            it('estimates at least the minimum fee', async () => {
+                expect(await estimate('1000')).to.eql(['1050', '1000', '50']);
+            });
+
+            it('estimates the fee in the currency of the payment', async () => {
+                const {fee} = await provider.estimatePaymentFee(MonetaryAmount.from('1000', ct), sender, recipient);
+                expect(fee.currency.ct.toString()).to.eql(ct);
+            });
+
+            [
+                ['amount', () => provider.estimatePaymentFee('1000', sender, recipient)],
+                ['sender', () => provider.estimatePaymentFee(MonetaryAmount.from('1000', ct), 'foo', recipient)],
+                ['recipient', () => provider.estimatePaymentFee(MonetaryAmount.from('1000', ct), sender, 'foo')]
+            ].forEach(([description, call]) => {
+                it(`can not estimate a fee with an invalid ${description}`, async () => {
+                    await call().then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(TypeError);
+                    });
+                });
+            });
+        });
     }
 });
@@ -1,10 +1,14 @@
 'use strict';
 
+const dbg = require('./dbg');
 const request = require('superagent');
 const https = require('https');
 
 const _authProvider = new WeakMap();
 const _timeout = new WeakMap();
+const _retryPolicy = new WeakMap();
+const _postRetryPolicy = new WeakMap();
+const _circuitBreaker = new WeakMap();
 
 function prefixSlash(value) {
     if (value.toString().startsWith('/'))
@@ -24,30 +28,112 @@ function getSuperagent() {
 }
 
 module.exports = class NahmiiRequest {
-    constructor(apiRoot, authProvider, timeout = 30000 /* 30 sec */) {
+    /**
+     * @param {string} apiRoot - The domain name for the nahmii API
+     * @param {function} authProvider - Resolves into an API access token, or a renewed token when called with true
+     * @param {number} [timeout] - Response timeout in ms
+     * @param {Object} [options]
+     * @param {RetryPolicy} [options.retryPolicy] - Retry policy for GET requests, no retries if omitted
+     * @param {RetryPolicy} [options.postRetryPolicy] - Retry policy for POST requests flagged as retryable, no retries if omitted
+     * @param {CircuitBreaker} [options.circuitBreaker] - Circuit breaker shared by all requests, none if omitted
+     */
+    constructor(apiRoot, authProvider, timeout = 30000 /* 30 sec */, options = {}) {
         _authProvider.set(this, authProvider);
         _timeout.set(this, timeout);
+        _retryPolicy.set(this, options.retryPolicy || null);
+        _postRetryPolicy.set(this, options.postRetryPolicy || null);
+        _circuitBreaker.set(this, options.circuitBreaker || null);
         this.apiRoot = apiRoot;
     }
 
     async get(uri, queries = null) {
-        const authToken = await _authProvider.get(this)();
-        let r = getSuperagent()
-            .get(`https://${this.apiRoot}${prefixSlash(uri)}`)
-            .set('authorization', `Bearer ${authToken}`)
-            .timeout({ response: _timeout.get(this) });
-        if (queries)
-            r = r.query(queries);
-        return r.then(res => res.body);
+        return sendRequest.call(this, _retryPolicy.get(this), authToken => {
+            let r = getSuperagent()
+                .get(`https://${this.apiRoot}${prefixSlash(uri)}`)
+                .set('authorization', `Bearer ${authToken}`)
+                .timeout({ response: _timeout.get(this) });
+            if (queries)
+                r = r.query(queries);
+            return r;
+        });
     }
 
-    async post(uri, payload) {
-        const authToken = await _authProvider.get(this)();
-        return getSuperagent()
-            .post(`https://${this.apiRoot}${prefixSlash(uri)}`)
-            .send(payload)
-            .set('authorization', `Bearer ${authToken}`)
-            .timeout({ response: _timeout.get(this) })
-            .then(res => res.body);
+    /**
+     * @param {string} uri
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable=false] - Whether the request is safe to send more than once, e.g. because it carries a client reference
+     */
+    async post(uri, payload, options = {}) {
+        const retryPolicy = options.retryable ? _postRetryPolicy.get(this) : null;
+        return sendRequest.call(this, retryPolicy, authToken => {
+            return getSuperagent()
+                .post(`https://${this.apiRoot}${prefixSlash(uri)}`)
+                .send(payload)
+                .set('authorization', `Bearer ${authToken}`)
+                .timeout({ response: _timeout.get(this) });
+        });
     }
 };
+
+/**
+ * Sends a request, guarded by the circuit breaker and retried according to
+ * the retry policy.
+ * Private method, invoke with 'this' bound to request instance.
+ * @private
+ * @param {RetryPolicy|null} retryPolicy - Retry policy, or null to only try once
+ * @param {function} createRequest - Creates the request given an API access token
+ * @returns {Promise} A promise that resolves into the body of the response
+ */
+async function sendRequest(retryPolicy, createRequest) {
+    const circuitBreaker = _circuitBreaker.get(this);
+
+    for (let attempt = 1; ; attempt++) {
+        if (circuitBreaker)
+            circuitBreaker.assertRequestAllowed();
+
+        try {
+            const body = await authorizedRequest.call(this, createRequest);
+            if (circuitBreaker)
+                circuitBreaker.record();
+            return body;
+        }
+        catch (err) {
+            if (circuitBreaker)
+                circuitBreaker.record(err);
+
+            if (!retryPolicy || !retryPolicy.shouldRetry(err, attempt))
+                throw err;
+
+            const delay = retryPolicy.getDelay(err, attempt);
+            dbg(`Request failed (${err.status || err.code}), attempt ${attempt}. Retrying in ${delay} ms.`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Sends a request with the current API access token. If the server rejects
+ * the token as unauthorized (401), the token is renewed and the request is
+ * sent once more.
+ * Private method, invoke with 'this' bound to request instance.
+ * @private
+ * @param {function} createRequest - Creates the request given an API access token
+ * @returns {Promise} A promise that resolves into the body of the response
+ */
+async function authorizedRequest(createRequest) {
+    const authProvider = _authProvider.get(this);
+    const authToken = await authProvider();
+    try {
+        const res = await createRequest(authToken);
+        return res.body;
+    }
+    catch (err) {
+        if (err.status !== 401)
+            throw err;
+
+        const renewedAuthToken = await authProvider(true);
+        const res = await createRequest(renewedAuthToken);
+        return res.body;
+    }
+}
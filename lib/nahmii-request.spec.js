@@ -9,6 +9,9 @@ chai.use(require('sinon-chai'));
 const nock = require('nock');
 
 const NahmiiRequest = require('./nahmii-request');
+const RetryPolicy = require('./retry-policy');
+const CircuitBreaker = require('./circuit-breaker');
+const CircuitOpenError = require('./circuit-open-error');
 
 function prefixSlash(value) {
     if (value.toString().startsWith('/'))
@@ -89,6 +92,31 @@ describe('Nahmii Request', () => {
                 });
             });
 
+            it('renews the token and retries once when the token is rejected', async () => {
+                const renewedToken = 'some renewed JWT';
+                stubbedAuthProvider.withArgs(true).resolves(renewedToken);
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .get('/api')
+                    .matchHeader('authorization', `Bearer ${testToken}`)
+                    .reply(401)
+                    .get('/api')
+                    .matchHeader('authorization', `Bearer ${renewedToken}`)
+                    .reply(200, ['item 1']);
+                const result = await request.get('api');
+                expect(scope.isDone()).to.eql(true);
+                expect(result).to.eql(['item 1']);
+            });
+
+            it('rejects when the renewed token is also rejected', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .get('/api')
+                    .times(2)
+                    .reply(401);
+                const err = await request.get('api').catch(err => err);
+                expect(scope.isDone()).to.eql(true);
+                expect(err.status).to.eql(401);
+            });
+
             [
                 [null, null],
                 ['', null],
@@ -148,6 +176,20 @@ describe('Nahmii Request', () => {
                     expect(scope.isDone()).to.eql(true);
                 });
 
+                it('renews the token and retries once when the token is rejected', async () => {
+                    const renewedToken = 'some renewed JWT';
+                    stubbedAuthProvider.withArgs(true).resolves(renewedToken);
+                    const scope = nock('https://' + fakeConfig.apiRoot)
+                        .post(prefixSlash(uri))
+                        .matchHeader('authorization', `Bearer ${testToken}`)
+                        .reply(401)
+                        .post(prefixSlash(uri))
+                        .matchHeader('authorization', `Bearer ${renewedToken}`)
+                        .reply(201, {});
+                    await request.post(uri, {});
+                    expect(scope.isDone()).to.eql(true);
+                });
+
                 [
                     [400, 'Bad Request'],
                     [403, 'Forbidden'],
@@ -170,4 +212,74 @@ describe('Nahmii Request', () => {
             });
         });
     });
+
+    context('instantiated with retry policies and a circuit breaker', () => {
+        let request, testToken;
+
+        beforeEach(() => {
+            testToken = 'some JWT';
+            stubbedAuthProvider.resolves(testToken);
+            request = new NahmiiRequest(fakeConfig.apiRoot, stubbedAuthProvider, timeout, {
+                retryPolicy: new RetryPolicy({retries: 2, minDelay: 1, maxDelay: 5}),
+                postRetryPolicy: new RetryPolicy({retries: 1, minDelay: 1, maxDelay: 5}),
+                circuitBreaker: new CircuitBreaker({failureThreshold: 3, resetTimeout: 60000})
+            });
+        });
+
+        describe('#get()', () => {
+            it('retries transient failures', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .get('/api').reply(503)
+                    .get('/api').replyWithError({code: 'ECONNRESET'})
+                    .get('/api').reply(200, ['item 1']);
+                const result = await request.get('api');
+                expect(scope.isDone()).to.eql(true);
+                expect(result).to.eql(['item 1']);
+            });
+
+            it('gives up when retries are exhausted', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .get('/api').times(3).reply(503);
+                const err = await request.get('api').catch(err => err);
+                expect(scope.isDone()).to.eql(true);
+                expect(err.status).to.eql(503);
+            });
+
+            it('does not retry client errors', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .get('/api').reply(404);
+                const err = await request.get('api').catch(err => err);
+                expect(scope.isDone()).to.eql(true);
+                expect(err.status).to.eql(404);
+            });
+
+            it('fails fast while the API is down', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .get('/api').times(3).reply(500);
+                await request.get('api').catch(err => err);
+                expect(scope.isDone()).to.eql(true);
+                const err = await request.get('api').catch(err => err);
+                expect(err).to.be.instanceOf(CircuitOpenError);
+            });
+        });
+
+        describe('#post()', () => {
+            it('does not retry requests by default', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .post('/api').reply(503);
+                const err = await request.post('api', {}).catch(err => err);
+                expect(scope.isDone()).to.eql(true);
+                expect(err.status).to.eql(503);
+            });
+
+            it('retries requests flagged as retryable', async () => {
+                const scope = nock('https://' + fakeConfig.apiRoot)
+                    .post('/api').reply(429, {}, {'Retry-After': '0'})
+                    .post('/api').reply(201, {id: 1});
+                const result = await request.post('api', {}, {retryable: true});
+                expect(scope.isDone()).to.eql(true);
+                expect(result).to.eql({id: 1});
+            });
+        });
+    });
 });
@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const dbg = require('./dbg');
+const ethers = require('ethers');
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const Payment = require('./payment');
+const InsufficientFundsError = require('./insufficient-funds-error');
+const {ValidationError} = require('./api-errors');
+
+const _wallet = new WeakMap();
+const _concurrency = new WeakMap();
+const _checkpoint = new WeakMap();
+const _payments = new WeakMap();
+
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * @class PaymentBatch
+ * Sends a batch of payments from a wallet. All payments are validated, and
+ * the summed amount per currency is checked against the nahmii balance of
+ * the wallet, before any payment is signed and registered. Payments are
+ * registered a few at a time, and the outcome of each is reported as:
+ * - 'registered': the payment was registered
+ * - 'failed': the payment was invalid or registration failed, see *error*
+ * - 'skipped': the payment was registered by an earlier run
+ *
+ * Payments attempted by an earlier run are looked up before the balance
+ * check, and only registered again if the API does not have them.
+ *
+ * The progress is recorded in a checkpoint keyed by sender reference, so that
+ * a batch that was interrupted can be run again without paying twice. For
+ * this the payments must be given the same sender references in every run,
+ * e.g. derived from the payment subject with uuid v5.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {PaymentBatch, MonetaryAmount} = require('nahmii-sdk');
+ *
+ * const batch = new PaymentBatch(wallet, {checkpoint: persistentStore});
+ * for (const {amount, recipient, ref} of payroll)
+ *     batch.add(MonetaryAmount.from(amount, ct), recipient, {senderRef: ref});
+ *
+ * const results = await batch.run();
+ * results.filter(r => r.status === 'failed').forEach(r => console.log(r.senderRef, r.error.message));
+ */
+class PaymentBatch {
+    /**
+     * Constructor
+     * @param {Wallet} wallet - The wallet sending the payments
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=5] - Max number of payments being registered at a time
+     * @param {Object} [options.checkpoint] - Where progress is recorded, any object with get(senderRef) and set(senderRef, state) methods that may return promises. Defaults to a Map.
+     */
+    constructor(wallet, options = {}) {
+        const {concurrency = DEFAULT_CONCURRENCY, checkpoint = new Map()} = options;
+
+        if (!Number.isInteger(concurrency) || concurrency < 1)
+            throw new TypeError('concurrency must be a positive integer');
+
+        if (!checkpoint || typeof checkpoint.get !== 'function' || typeof checkpoint.set !== 'function')
+            throw new TypeError('checkpoint does not have get() and set() methods');
+
+        _wallet.set(this, wallet);
+        _concurrency.set(this, concurrency);
+        _checkpoint.set(this, checkpoint);
+        _payments.set(this, []);
+    }
+
+    /**
+     * The checkpoint the progress is recorded in.
+     * @returns {Object}
+     */
+    get checkpoint() {
+        return _checkpoint.get(this);
+    }
+
+    /**
+     * The payments of the batch, in the order added.
+     * @returns {Payment[]}
+     */
+    get payments() {
+        return _payments.get(this).slice();
+    }
+
+    /**
+     * Adds a payment from the wallet to the batch.
+     * @param {MonetaryAmount} amount - Amount in a currency
+     * @param {EthereumAddress|string} recipient - Recipient address
+     * @param {Object} [options]
+     * @param {string} [options.senderRef] - Unique uuid of the payment, random if undefined
+     * @param {string} [options.senderPayload] - Stringified sender payload of the payment
+     * @returns {Payment} The payment added
+     * @throws {TypeError} The recipient is not a valid address, or is the sender
+     */
+    add(amount, recipient, options = {}) {
+        const {senderRef, senderPayload} = options;
+        const wallet = _wallet.get(this);
+        const payment = new Payment(amount, wallet.address, recipient.toString(), wallet, senderRef, senderPayload);
+        _payments.get(this).push(payment);
+        return payment;
+    }
+
+    /**
+     * Validates, signs and registers the payments of the batch.
+     * @returns {Promise<Object[]>} A promise that resolves into a result {senderRef, payment, status, response, error} per payment, in the order added
+     * @throws {InsufficientFundsError} The nahmii balance of the wallet is lower than the summed amount of a currency. No payment is registered.
+     */
+    async run() {
+        const checkpoint = _checkpoint.get(this);
+        const results = _payments.get(this).map(payment => ({
+            senderRef: payment.senderRef,
+            payment,
+            status: null,
+            response: null,
+            error: null
+        }));
+
+        const previousStates = new Map();
+        for (const result of results) {
+            const previousState = await checkpoint.get(result.senderRef);
+            previousStates.set(result, previousState);
+            if (previousState === 'registered')
+                result.status = 'skipped';
+        }
+
+        validate.call(this, results);
+        await findRegistered.call(this, results, previousStates);
+        await checkBalances.call(this, results);
+
+        const pending = results.filter(r => r.status === null);
+        for (const result of pending) {
+            try {
+                await result.payment.sign();
+            }
+            catch (err) {
+                fail(result, err);
+            }
+        }
+
+        await registerAll.call(this, pending.filter(r => r.status === null));
+
+        dbg(`Payment batch: ${count(results, 'registered')} registered, ${count(results, 'failed')} failed, ${count(results, 'skipped')} skipped`);
+        return results;
+    }
+}
+
+/**
+ * Fails the payments that can not be registered.
+ * Private method, invoke with 'this' bound to batch instance.
+ * @private
+ * @param {Object[]} results
+ */
+function validate(results) {
+    const sender = EthereumAddress.from(_wallet.get(this).address);
+    const senderRefs = new Set();
+
+    for (const result of results) {
+        const {payment, senderRef} = result;
+        const recipient = EthereumAddress.from(payment.recipient);
+
+        let message = null;
+        if (senderRefs.has(senderRef))
+            message = `Duplicate sender reference ${senderRef}`;
+        else if (!payment.amount.amount.gt(0))
+            message = 'Amount must be greater than zero';
+        else if (!recipient)
+            message = 'Recipient is not a valid address';
+        else if (recipient.isEqual(sender))
+            message = 'Recipient is the sender';
+        senderRefs.add(senderRef);
+
+        if (message && result.status === null)
+            fail(result, new ValidationError(null, message));
+    }
+}
+
+/**
+ * Skips the payments attempted by an earlier run that the API already has,
+ * as the outcome of their registration may not have been recorded.
+ * Payments that can not be looked up are failed, so that they are not
+ * registered twice.
+ * Private method, invoke with 'this' bound to batch instance.
+ * @private
+ * @param {Object[]} results
+ * @param {Map} previousStates - State recorded in the checkpoint by result
+ * @returns {Promise}
+ */
+async function findRegistered(results, previousStates) {
+    const wallet = _wallet.get(this);
+    const checkpoint = _checkpoint.get(this);
+    for (const result of results) {
+        if (result.status !== null || !previousStates.get(result))
+            continue;
+        try {
+            const found = await wallet.provider.findPaymentBySenderRef(wallet.address, result.senderRef);
+            if (!found)
+                continue;
+            result.status = 'skipped';
+        }
+        catch (err) {
+            fail(result, err);
+            continue;
+        }
+        await recordState(checkpoint, result.senderRef, 'registered');
+    }
+}
+
+/**
+ * Checks the summed amount per currency of the payments to register against
+ * the nahmii balance of the wallet.
+ * Private method, invoke with 'this' bound to batch instance.
+ * @private
+ * @param {Object[]} results
+ */
+async function checkBalances(results) {
+    const wallet = _wallet.get(this);
+    const required = new Map();
+    for (const result of results) {
+        if (result.status !== null)
+            continue;
+        const {amount, currency} = result.payment.amount;
+        const key = currencyKey(currency.toJSON());
+        required.set(key, amount.add(required.get(key) || 0));
+    }
+    if (!required.size)
+        return;
+
+    const balances = await wallet.provider.getNahmiiBalances(wallet.address);
+    for (const [key, amount] of required) {
+        const balance = (balances || []).find(b => currencyKey(b.currency) === key);
+        const available = ethers.utils.bigNumberify(balance ? balance.amountAvailable : 0);
+        if (available.lt(amount)) {
+            const [ct, id] = key.split('/');
+            throw new InsufficientFundsError({
+                message: 'Insufficient funds for the payment batch',
+                required: amount.toString(),
+                available: available.toString(),
+                currency: {ct, id}
+            }, {status: null});
+        }
+    }
+}
+
+/**
+ * Registers the payments, a few at a time.
+ * Private method, invoke with 'this' bound to batch instance.
+ * @private
+ * @param {Object[]} results
+ * @returns {Promise}
+ */
+async function registerAll(results) {
+    let next = 0;
+    const worker = async () => {
+        while (next < results.length) {
+            const result = results[next++];
+            await register.call(this, result);
+        }
+    };
+    const workerCount = Math.min(_concurrency.get(this), results.length);
+    await Promise.all(Array.from({length: workerCount}, worker));
+}
+
+/**
+ * Registers a payment, recording the progress in the checkpoint.
+ * Private method, invoke with 'this' bound to batch instance.
+ * @private
+ * @param {Object} result
+ * @returns {Promise}
+ */
+async function register(result) {
+    const checkpoint = _checkpoint.get(this);
+    try {
+        await checkpoint.set(result.senderRef, 'pending');
+        result.response = await result.payment.register();
+        result.status = 'registered';
+    }
+    catch (err) {
+        fail(result, err);
+        await recordState(checkpoint, result.senderRef, 'failed');
+        return;
+    }
+    await recordState(checkpoint, result.senderRef, 'registered');
+}
+
+async function recordState(checkpoint, senderRef, state) {
+    try {
+        await checkpoint.set(senderRef, state);
+    }
+    catch (err) {
+        dbg(`Failed to record state '${state}' of payment ${senderRef}`, err);
+    }
+}
+
+function fail(result, error) {
+    result.status = 'failed';
+    result.error = error;
+}
+
+function count(results, status) {
+    return results.filter(r => r.status === status).length;
+}
+
+function currencyKey(currency) {
+    return `${currency.ct.toString().toLowerCase()}/${currency.id || 0}`;
+}
+
+module.exports = PaymentBatch;
@@ -0,0 +1,253 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const MonetaryAmount = require('./monetary-amount');
+const InsufficientFundsError = require('./insufficient-funds-error');
+const {ValidationError, ConflictError, RateLimitedError} = require('./api-errors');
+
+class StubbedPayment {
+    constructor(amount, sender, recipient, wallet, senderRef, senderPayload) {
+        this.amount = amount;
+        this.sender = sender;
+        this.recipient = recipient;
+        this.wallet = wallet;
+        this.senderRef = senderRef || `random-ref-${StubbedPayment.count++}`;
+        this.senderPayload = senderPayload;
+        this.sign = sinon.stub().resolves();
+        this.register = sinon.stub().resolves({registered: this.senderRef});
+    }
+}
+StubbedPayment.count = 0;
+
+const PaymentBatch = proxyquire('./payment-batch', {
+    './payment': StubbedPayment
+});
+
+const walletAddress = '0x0000000000000000000000000000000000000001';
+const ct1 = '0x0000000000000000000000000000000000000011';
+const ct2 = '0x0000000000000000000000000000000000000022';
+
+function recipient(n) {
+    return `0x00000000000000000000000000000000000001${n.toString().padStart(2, '0')}`;
+}
+
+describe('PaymentBatch', () => {
+    let wallet, batch;
+
+    beforeEach(() => {
+        wallet = {
+            address: walletAddress,
+            provider: {
+                getNahmiiBalances: sinon.stub().withArgs(walletAddress).resolves([
+                    {currency: {ct: ct1, id: '0'}, amountAvailable: '1000'},
+                    {currency: {ct: ct2, id: '0'}, amountAvailable: '50'}
+                ]),
+                findPaymentBySenderRef: sinon.stub().resolves(null)
+            }
+        };
+        batch = new PaymentBatch(wallet, {concurrency: 2});
+    });
+
+    function add(amount, n, ct = ct1) {
+        return batch.add(MonetaryAmount.from(amount, ct), recipient(n), {senderRef: `ref-${n}`});
+    }
+
+    function statuses(results) {
+        return results.map(r => [r.senderRef, r.status]);
+    }
+
+    it('requires a positive concurrency', () => {
+        expect(() => new PaymentBatch(wallet, {concurrency: 0})).to.throw(TypeError);
+    });
+
+    it('requires a checkpoint with get() and set()', () => {
+        expect(() => new PaymentBatch(wallet, {checkpoint: {}})).to.throw(TypeError);
+    });
+
+    it('creates payments from the wallet', () => {
+        const payment = batch.add(MonetaryAmount.from('10', ct1), recipient(1), {senderRef: 'ref', senderPayload: 'data'});
+        expect(payment).to.include({sender: walletAddress, recipient: recipient(1), wallet, senderRef: 'ref', senderPayload: 'data'});
+        expect(batch.payments).to.eql([payment]);
+    });
+
+    it('signs and registers all payments', async () => {
+        const payments = [add('400', 1), add('600', 2), add('50', 3, ct2)];
+        const results = await batch.run();
+
+        expect(statuses(results)).to.eql([['ref-1', 'registered'], ['ref-2', 'registered'], ['ref-3', 'registered']]);
+        expect(results[0]).to.include({payment: payments[0], error: null});
+        expect(results[0].response).to.eql({registered: 'ref-1'});
+        payments.forEach(p => expect(p.sign).to.have.been.calledBefore(p.register));
+        expect(batch.checkpoint.get('ref-2')).to.eql('registered');
+    });
+
+    it('registers a bounded number of payments at a time', async () => {
+        let active = 0, maxActive = 0;
+        for (let i = 0; i < 6; i++) {
+            add('1', i).register = async () => {
+                maxActive = Math.max(maxActive, ++active);
+                await new Promise(resolve => setImmediate(resolve));
+                active--;
+            };
+        }
+        await batch.run();
+        expect(maxActive).to.eql(2);
+    });
+
+    it('fails invalid payments without registering them', async () => {
+        add('0', 1);
+        batch.add(MonetaryAmount.from('10', ct1), walletAddress, {senderRef: 'ref-self'});
+        batch.add(MonetaryAmount.from('10', ct1), 'not an address', {senderRef: 'ref-invalid'});
+        add('10', 2);
+        const duplicate = add('10', 2);
+
+        const results = await batch.run();
+        expect(statuses(results)).to.eql([
+            ['ref-1', 'failed'], ['ref-self', 'failed'], ['ref-invalid', 'failed'], ['ref-2', 'registered'], ['ref-2', 'failed']
+        ]);
+        expect(results[0].error).to.be.an.instanceOf(ValidationError);
+        expect(results[4].error.message).to.match(/duplicate/i);
+        expect(duplicate.register).not.to.have.been.called;
+    });
+
+    it('does not register any payment if the summed amount of a currency exceeds the balance', async () => {
+        const payments = [add('10', 1), add('30', 2, ct2), add('30', 3, ct2)];
+        await batch.run().then(() => expect.fail('should have rejected'), err => {
+            expect(err).to.be.an.instanceOf(InsufficientFundsError);
+            expect(err.required.amount.toString()).to.eql('60');
+            expect(err.available.amount.toString()).to.eql('50');
+            expect(err.currency.ct.toString()).to.eql(ct2);
+        });
+        payments.forEach(p => expect(p.register).not.to.have.been.called);
+    });
+
+    it('does not count invalid payments against the balance', async () => {
+        add('10', 1);
+        add('1000', 1);
+        expect(statuses(await batch.run())).to.eql([['ref-1', 'registered'], ['ref-1', 'failed']]);
+    });
+
+    it('reports failed registrations with the error', async () => {
+        add('10', 1);
+        add('10', 2).register.rejects(new RateLimitedError(null, 'Slow down', {status: 429}));
+        const results = await batch.run();
+        expect(statuses(results)).to.eql([['ref-1', 'registered'], ['ref-2', 'failed']]);
+        expect(results[1].error).to.be.an.instanceOf(RateLimitedError);
+        expect(batch.checkpoint.get('ref-2')).to.eql('failed');
+    });
+
+    it('reports failed signing with the error', async () => {
+        const payment = add('10', 1);
+        payment.sign.rejects(new Error('Signer unavailable'));
+        const [result] = await batch.run();
+        expect(result.status).to.eql('failed');
+        expect(result.error.message).to.eql('Signer unavailable');
+        expect(payment.register).not.to.have.been.called;
+    });
+
+    context('resuming from a checkpoint', () => {
+        let checkpoint;
+
+        beforeEach(() => {
+            checkpoint = new Map([['ref-1', 'registered'], ['ref-2', 'pending'], ['ref-3', 'failed']]);
+            batch = new PaymentBatch(wallet, {checkpoint});
+        });
+
+        it('skips payments registered by an earlier run', async () => {
+            const payment = add('10', 1);
+            expect(statuses(await batch.run())).to.eql([['ref-1', 'skipped']]);
+            expect(payment.sign).not.to.have.been.called;
+            expect(payment.register).not.to.have.been.called;
+        });
+
+        it('skips pending payments that the API already has', async () => {
+            wallet.provider.findPaymentBySenderRef.withArgs(walletAddress, 'ref-2').resolves({status: 'pending', payment: {}});
+            const payment = add('10', 2);
+            expect(statuses(await batch.run())).to.eql([['ref-2', 'skipped']]);
+            expect(payment.sign).not.to.have.been.called;
+            expect(payment.register).not.to.have.been.called;
+            expect(checkpoint.get('ref-2')).to.eql('registered');
+        });
+
+        it('registers pending payments that the API does not have', async () => {
+            const payment = add('10', 2);
+            expect(statuses(await batch.run())).to.eql([['ref-2', 'registered']]);
+            expect(wallet.provider.findPaymentBySenderRef).to.have.been.calledWith(walletAddress, 'ref-2');
+            expect(payment.register).to.have.been.calledOnce;
+            expect(checkpoint.get('ref-2')).to.eql('registered');
+        });
+
+        it('fails pending payments that can not be looked up', async () => {
+            wallet.provider.findPaymentBySenderRef.rejects(new Error('Network error'));
+            const payment = add('10', 2);
+            const [result] = await batch.run();
+            expect(result.status).to.eql('failed');
+            expect(result.error.message).to.eql('Network error');
+            expect(payment.register).not.to.have.been.called;
+            expect(checkpoint.get('ref-2')).to.eql('pending');
+        });
+
+        it('counts pending payments the API does not have against the balance', async () => {
+            const payments = [add('600', 2), add('600', 4)];
+            await batch.run().then(() => expect.fail('should have rejected'), err => {
+                expect(err).to.be.an.instanceOf(InsufficientFundsError);
+                expect(err.required.amount.toString()).to.eql('1200');
+            });
+            payments.forEach(p => expect(p.register).not.to.have.been.called);
+        });
+
+        it('does not count payments the API already has against the balance', async () => {
+            wallet.provider.findPaymentBySenderRef.withArgs(walletAddress, 'ref-2').resolves({status: 'effectuated', receipt: {}});
+            add('1000', 2);
+            add('1000', 4);
+            expect(statuses(await batch.run())).to.eql([['ref-2', 'skipped'], ['ref-4', 'registered']]);
+        });
+
+        it('retries failed payments', async () => {
+            add('10', 3);
+            expect(statuses(await batch.run())).to.eql([['ref-3', 'registered']]);
+        });
+
+        it('does not look up new payments', async () => {
+            add('10', 4);
+            await batch.run();
+            expect(wallet.provider.findPaymentBySenderRef).not.to.have.been.called;
+        });
+
+        it('fails new payments that the API rejects as duplicates', async () => {
+            add('10', 4).register.rejects(new ConflictError(null, 'Duplicate', {status: 409}));
+            const [result] = await batch.run();
+            expect(result.status).to.eql('failed');
+            expect(result.error).to.be.an.instanceOf(ConflictError);
+        });
+
+        it('fails payments if the progress can not be recorded', async () => {
+            checkpoint.set = sinon.stub().rejects(new Error('Disk full'));
+            const payment = add('10', 4);
+            const [result] = await batch.run();
+            expect(result.status).to.eql('failed');
+            expect(result.error.message).to.eql('Disk full');
+            expect(payment.register).not.to.have.been.called;
+        });
+
+        it('supports asynchronous checkpoints', async () => {
+            const store = new Map(checkpoint);
+            batch = new PaymentBatch(wallet, {
+                checkpoint: {
+                    get: async ref => store.get(ref),
+                    set: async (ref, state) => store.set(ref, state)
+                }
+            });
+            add('10', 1);
+            add('10', 4);
+            expect(statuses(await batch.run())).to.eql([['ref-1', 'skipped'], ['ref-4', 'registered']]);
+            expect(store.get('ref-4')).to.eql('registered');
+        });
+    });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const Payment = require('./payment');
+
+const _payment = new WeakMap();
+const _hash = new WeakMap();
+const _domain = new WeakMap();
+
+const BUNDLE_TYPE = 'nahmii-payment';
+const BUNDLE_VERSION = 1;
+const QR_PREFIX = `${BUNDLE_TYPE}:`;
+
+/**
+ * @class PaymentBundle
+ * A portable bundle of a payment, for signing payments on an air-gapped
+ * machine. The online machine exports the unsigned payment as JSON or as a
+ * string for QR codes, the offline machine signs it with the private key or
+ * an external signer of the sender, needing no provider, and the online
+ * machine imports the sealed payment and registers it.
+ * The bundle carries the hash of the payment, which is verified against the
+ * payment on every import, and the signature is verified to be by the sender
+ * both when signing and when importing.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {PaymentBundle} = require('nahmii-sdk');
+ *
+ * // Online machine
+ * const qrString = new PaymentBundle(payment).toQRString();
+ *
+ * // Offline machine
+ * const bundle = PaymentBundle.from(qrString);
+ * await bundle.sign(senderPrivateKey);
+ * const sealedQrString = bundle.toQRString();
+ *
+ * // Online machine
+ * const sealed = PaymentBundle.from(sealedQrString, wallet);
+ * if (sealed.isSigned())
+ *     await sealed.payment.register();
+ */
+class PaymentBundle {
+    /**
+     * Constructor
+     * @param {Payment} payment - The payment to bundle, signed or not
+     */
+    constructor(payment) {
+        if (!(payment instanceof Payment))
+            throw new TypeError('payment is not an instance of Payment');
+
+        _payment.set(this, payment);
+        _hash.set(this, payment.hash);
+        _domain.set(this, null);
+    }
+
+    /**
+     * The payment of the bundle
+     * @returns {Payment}
+     */
+    get payment() {
+        return _payment.get(this);
+    }
+
+    /**
+     * The hash of the payment recorded in the bundle
+     * @returns {string}
+     */
+    get hash() {
+        return _hash.get(this);
+    }
+
+    /**
+     * The EIP-712 domain the payment was signed with, if signed as typed data.
+     * @returns {Object|null}
+     */
+    get domain() {
+        return _domain.get(this);
+    }
+
+    /**
+     * Verifies that the payment of the bundle is signed by the sender, and
+     * has not been tampered with since.
+     * @returns {boolean}
+     */
+    isSigned() {
+        const payment = _payment.get(this);
+        const domain = _domain.get(this);
+        if (payment.signatureScheme === 'eip712' && !domain)
+            return false;
+        return payment.hash === _hash.get(this) && payment.isSigned({domain});
+    }
+
+    /**
+     * Signs the payment of the bundle. The hash of the payment is verified
+     * before signing, and the signature is verified to be by the sender.
+     * @param {Object|string} signer - The private key of the sender as hex string, or any object with a signMessage() method, see Payment.sign()
+     * @param {Object} [options]
+     * @param {string} [options.scheme] - The signature scheme, see Payment.sign()
+     * @param {Object} [options.domain] - The EIP-712 domain, required for the 'eip712' scheme as there is no provider offline
+     * @returns {Promise<PaymentBundle>} A promise that resolves into the bundle
+     * @throws {Error} The payment does not match the hash of the bundle, or the signer is not the sender
+     */
+    async sign(signer, options = {}) {
+        const {scheme = null, domain = null} = options;
+        if (!signer)
+            throw new TypeError('signer is undefined');
+        if (scheme === 'eip712' && !domain)
+            throw new TypeError('domain is required for EIP-712 signing');
+
+        verifyHash.call(this);
+
+        const payment = _payment.get(this);
+        await payment.sign(signer, {scheme, domain});
+        if (!payment.isSigned({domain}))
+            throw new Error('The payment must be signed by the sender');
+
+        _domain.set(this, scheme === 'eip712' ? domain : null);
+        return this;
+    }
+
+    /**
+     * Converts the bundle into a JSON object.
+     * @returns {Object}
+     */
+    toJSON() {
+        const result = {
+            type: BUNDLE_TYPE,
+            version: BUNDLE_VERSION,
+            hash: _hash.get(this),
+            payment: _payment.get(this).toJSON()
+        };
+        if (_domain.get(this))
+            result.domain = _domain.get(this);
+        return result;
+    }
+
+    /**
+     * Encodes the bundle as a JSON string.
+     * @returns {string}
+     */
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+
+    /**
+     * Encodes the bundle as a string for QR codes.
+     * @returns {string}
+     * @example
+     * nahmii-payment:eyJ0eXBlIjoibmFobWlpLXBheW1lbnQiLC...
+     */
+    toQRString() {
+        return QR_PREFIX + Buffer.from(this.toString()).toString('base64');
+    }
+
+    /**
+     * Decodes a bundle, and verifies the hash and any signature of its
+     * payment.
+     * @param {Object|string} bundle - The bundle as JSON, as a JSON string, or as a QR string
+     * @param {Wallet|NahmiiProvider} [walletOrProvider] - The wallet or provider of the payment, e.g. for registering it
+     * @returns {PaymentBundle}
+     * @throws {TypeError} The bundle can not be decoded
+     * @throws {ValidationError} The payment does not conform to the payment schema
+     * @throws {Error} The payment does not match the hash of the bundle, or is not signed by the sender
+     */
+    static from(bundle, walletOrProvider = null) {
+        const json = decode(bundle);
+
+        const payment = Payment.from(json.payment, walletOrProvider);
+        const result = Object.create(PaymentBundle.prototype);
+        _payment.set(result, payment);
+        _hash.set(result, json.hash);
+        _domain.set(result, json.domain || null);
+
+        verifyHash.call(result);
+        if (json.payment.seals && !result.isSigned())
+            throw new Error('The payment of the bundle is not signed by the sender');
+
+        return result;
+    }
+}
+
+/**
+ * Verifies that the payment matches the hash recorded in the bundle.
+ * Private method, invoke with 'this' bound to bundle instance.
+ * @private
+ * @throws {Error} The payment does not match the hash
+ */
+function verifyHash() {
+    if (_payment.get(this).hash !== _hash.get(this))
+        throw new Error('The payment does not match the hash of the bundle');
+}
+
+/**
+ * Decodes the JSON of a bundle.
+ * @private
+ * @param {Object|string} bundle
+ * @returns {Object}
+ * @throws {TypeError} The bundle can not be decoded
+ */
+function decode(bundle) {
+    let json = bundle;
+    if (typeof bundle === 'string') {
+        let encoded = bundle;
+        if (bundle.startsWith(QR_PREFIX))
+            encoded = Buffer.from(bundle.substring(QR_PREFIX.length), 'base64').toString('utf8');
+        try {
+            json = JSON.parse(encoded);
+        }
+        catch (err) {
+            throw new TypeError('bundle is not a payment bundle');
+        }
+    }
+
+    if (!json || json.type !== BUNDLE_TYPE || typeof json.hash !== 'string' || !json.payment)
+        throw new TypeError('bundle is not a payment bundle');
+
+    if (json.version !== BUNDLE_VERSION)
+        throw new TypeError(`Version ${json.version} of payment bundles is not supported`);
+
+    return json;
+}
+
+module.exports = PaymentBundle;
@@ -0,0 +1,190 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const ethers = require('ethers');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const MonetaryAmount = require('./monetary-amount');
+
+const Wallet = proxyquire('./wallet/wallet', {
+    './client-fund-contract': function() {
+        return {};
+    },
+    './balance-tracker-contract': function() {
+        return {};
+    },
+    './erc20-contract': function() {
+        return {};
+    }
+});
+
+const Payment = proxyquire('./payment', {
+    './wallet': Wallet
+});
+
+const PaymentBundle = proxyquire('./payment-bundle', {
+    './payment': Payment
+});
+
+const senderKey = '0x3a1076bf45ab87712ad64ccb3b10217737f7faacbf2872e88fdd9a537d8fe266';
+const otherKey = '0x252c772d9e9d570c726473927c52f23227cc674b6567935287d3f4a76a57d352';
+const recipient = '0x0000000000000000000000000000000000000003';
+const senderRef = '8bd4ed98-0d5c-4a24-9d72-4b7e0e7c9b3a';
+
+describe('PaymentBundle', () => {
+    let sender, payment, bundle;
+
+    beforeEach(() => {
+        sender = new ethers.Wallet(senderKey).address;
+        const amount = MonetaryAmount.from('1000', '0x0000000000000000000000000000000000000001', 0);
+        payment = new Payment(amount, sender, recipient, null, senderRef, 'some payload');
+        bundle = new PaymentBundle(payment);
+    });
+
+    it('requires a payment', () => {
+        expect(() => new PaymentBundle(payment.toJSON())).to.throw(TypeError, /Payment/);
+    });
+
+    it('has the payment and its hash', () => {
+        expect(bundle.payment).to.equal(payment);
+        expect(bundle.hash).to.match(/^0x[0-9a-f]{64}$/).and.eql(payment.hash);
+    });
+
+    it('is not signed', () => {
+        expect(bundle.isSigned()).to.be.false;
+    });
+
+    it('can be serialized to JSON', () => {
+        expect(bundle.toJSON()).to.eql({type: 'nahmii-payment', version: 1, hash: payment.hash, payment: payment.toJSON()});
+        expect(JSON.parse(bundle.toString())).to.eql(bundle.toJSON());
+    });
+
+    it('can be encoded as a QR string', () => {
+        expect(bundle.toQRString()).to.match(/^nahmii-payment:[A-Za-z0-9+/]+=*$/);
+    });
+
+    [
+        ['JSON', b => b.toJSON()],
+        ['a JSON string', b => b.toString()],
+        ['a QR string', b => b.toQRString()]
+    ].forEach(([description, encode]) => {
+        it(`can be decoded from ${description}`, () => {
+            const decoded = PaymentBundle.from(encode(bundle));
+            expect(decoded).to.be.an.instanceOf(PaymentBundle);
+            expect(decoded.toJSON()).to.eql(bundle.toJSON());
+            expect(decoded.payment.senderRef).to.eql(senderRef);
+        });
+    });
+
+    context('signed offline', () => {
+        [
+            ['a private key', () => senderKey],
+            ['an external signer', () => new ethers.Wallet(senderKey)]
+        ].forEach(([description, createSigner]) => {
+            it(`is signed by the sender with ${description}`, async () => {
+                const offlineBundle = PaymentBundle.from(bundle.toQRString());
+                expect(await offlineBundle.sign(createSigner())).to.equal(offlineBundle);
+                expect(offlineBundle.isSigned()).to.be.true;
+                expect(offlineBundle.payment.isSigned()).to.be.true;
+            });
+        });
+
+        it('is signed as EIP-712 typed data in the domain given', async () => {
+            const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000010'};
+            const offlineBundle = PaymentBundle.from(bundle.toQRString());
+            await offlineBundle.sign(senderKey, {scheme: 'eip712', domain});
+            expect(offlineBundle.domain).to.eql(domain);
+
+            const sealed = PaymentBundle.from(offlineBundle.toQRString());
+            expect(sealed.domain).to.eql(domain);
+            expect(sealed.payment.signatureScheme).to.eql('eip712');
+            expect(sealed.isSigned()).to.be.true;
+        });
+
+        it('requires a domain for EIP-712 typed data', async () => {
+            try {
+                await bundle.sign(senderKey, {scheme: 'eip712'});
+                expect.fail('should have rejected');
+            }
+            catch (err) {
+                expect(err.message).to.match(/domain/);
+            }
+        });
+
+        it('is not signed by another key', async () => {
+            const offlineBundle = PaymentBundle.from(bundle.toQRString());
+            try {
+                await offlineBundle.sign(otherKey);
+                expect.fail('should have rejected');
+            }
+            catch (err) {
+                expect(err.message).to.eql('The payment must be signed by the sender');
+            }
+        });
+
+        it('requires a signer', async () => {
+            try {
+                await bundle.sign();
+                expect.fail('should have rejected');
+            }
+            catch (err) {
+                expect(err).to.be.an.instanceOf(TypeError);
+            }
+        });
+    });
+
+    context('imported sealed', () => {
+        let sealedQrString, provider;
+
+        beforeEach(async () => {
+            const offlineBundle = PaymentBundle.from(bundle.toQRString());
+            await offlineBundle.sign(senderKey);
+            sealedQrString = offlineBundle.toQRString();
+            provider = {registerPayment: sinon.stub().resolves({})};
+        });
+
+        it('is signed and can be registered', async () => {
+            const sealed = PaymentBundle.from(sealedQrString, provider);
+            expect(sealed.isSigned()).to.be.true;
+            await sealed.payment.register();
+            expect(provider.registerPayment).to.have.been.calledWith(sealed.payment.toJSON());
+            expect(sealed.payment.toJSON().seals.wallet.hash).to.eql(bundle.hash);
+        });
+
+        it('is rejected when the payment has been tampered with', () => {
+            const json = PaymentBundle.from(sealedQrString).toJSON();
+            json.payment.amount = '999999';
+            expect(() => PaymentBundle.from(json)).to.throw(Error, 'The payment does not match the hash of the bundle');
+        });
+
+        it('is rejected when the payment and hash have been tampered with', () => {
+            const json = PaymentBundle.from(sealedQrString).toJSON();
+            json.payment.amount = '999999';
+            json.hash = Payment.from(json.payment).hash;
+            expect(() => PaymentBundle.from(json)).to.throw(Error, 'The payment of the bundle is not signed by the sender');
+        });
+    });
+
+    context('decoding an invalid bundle', () => {
+        [
+            ['not JSON', 'payment'],
+            ['a QR string that is not JSON', 'nahmii-payment:cGF5bWVudA=='],
+            ['null', null],
+            ['of another type', {type: 'nahmii-receipt', version: 1, hash: '0x', payment: {}}],
+            ['without hash', {type: 'nahmii-payment', version: 1, payment: {}}]
+        ].forEach(([description, encoded]) => {
+            it(`throws a TypeError for ${description}`, () => {
+                expect(() => PaymentBundle.from(encoded)).to.throw(TypeError, 'bundle is not a payment bundle');
+            });
+        });
+
+        it('throws a TypeError for an unsupported version', () => {
+            const json = Object.assign(bundle.toJSON(), {version: 2});
+            expect(() => PaymentBundle.from(json)).to.throw(TypeError, /Version 2/);
+        });
+    });
+});
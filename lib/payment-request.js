@@ -0,0 +1,361 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const ethers = require('ethers');
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const uuidv4 = require('uuid/v4');
+const MonetaryAmount = require('./monetary-amount');
+const Payment = require('./payment');
+const Receipt = require('./receipt');
+const {fromRpcSig, hash, isSignedBy} = require('./utils');
+
+const _amount = new WeakMap();
+const _recipient = new WeakMap();
+const _reference = new WeakMap();
+const _payload = new WeakMap();
+const _expires = new WeakMap();
+const _memo = new WeakMap();
+const _signature = new WeakMap();
+
+const URI_SCHEME = 'nahmii:';
+const ETH_CT = '0x0000000000000000000000000000000000000000';
+const UUID_PATTERN = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i;
+
+// Query parameter names in URIs, and in compact QR strings
+const URI_PARAMS = {
+    amount: ['amount', 'a'],
+    ct: ['currency', 'c'],
+    id: ['currencyId', 'i'],
+    reference: ['reference', 'r'],
+    payload: ['payload', 'p'],
+    expires: ['expires', 'e'],
+    memo: ['memo', 'm'],
+    signature: ['signature', 's']
+};
+
+/**
+ * @class PaymentRequest
+ * A request for payment, e.g. an invoice, issued by the recipient of the
+ * payment. The request is passed to the payer as a `nahmii:` URI or a compact
+ * string for QR codes, and the payer's wallet creates the matching payment
+ * with Wallet.fulfil().
+ * The reference of the request becomes the sender reference of the payment,
+ * and the payload the sender payload, so that receipts can be matched back
+ * to the request, and so that the API rejects a request paid twice.
+ * The request can be signed by the recipient wallet, so that the payer can
+ * verify who issued it.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {PaymentRequest, MonetaryAmount} = require('nahmii-sdk');
+ *
+ * // Recipient
+ * const request = new PaymentRequest(MonetaryAmount.from('1000', ct), merchantWallet.address, {memo: 'Order #1234'});
+ * await request.sign(merchantWallet);
+ * const qrString = request.toQRString();
+ *
+ * // Payer
+ * const payment = await customerWallet.fulfil(PaymentRequest.fromQRString(qrString));
+ * await payment.register();
+ */
+class PaymentRequest {
+    /**
+     * Constructor
+     * @param {MonetaryAmount} amount - Amount requested
+     * @param {EthereumAddress|string} recipient - Address of the recipient wallet
+     * @param {Object} [options]
+     * @param {string} [options.reference] - Unique uuid of the request, used as sender reference of the payment. Random if undefined.
+     * @param {string} [options.payload] - Stringified data used as sender payload of the payment
+     * @param {Date|number} [options.expires] - Time, or milliseconds since epoch, after which the request can not be paid. Rounded down to whole seconds.
+     * @param {string} [options.memo] - Description of the request for the payer
+     */
+    constructor(amount, recipient, options = {}) {
+        const {reference = uuidv4(), payload = null, expires = null, memo = null} = options;
+
+        if (!(amount instanceof MonetaryAmount))
+            throw new TypeError('amount is not an instance of MonetaryAmount');
+
+        if (!amount.amount.gt(0))
+            throw new TypeError('amount must be greater than zero');
+
+        const recipientAddress = EthereumAddress.from(recipient);
+        if (!recipientAddress)
+            throw new TypeError('recipient is not a valid address');
+
+        if (typeof reference !== 'string' || !UUID_PATTERN.test(reference))
+            throw new TypeError('reference is not a uuid string');
+
+        if (payload !== null && typeof payload !== 'string')
+            throw new TypeError('payload is not a string');
+
+        if (memo !== null && typeof memo !== 'string')
+            throw new TypeError('memo is not a string');
+
+        let expiryTime = null;
+        if (expires !== null) {
+            const time = expires instanceof Date ? expires.getTime() : expires;
+            if (typeof time !== 'number' || Number.isNaN(time))
+                throw new TypeError('expires is not a Date or a number of milliseconds');
+            expiryTime = new Date(Math.floor(time / 1000) * 1000);
+        }
+
+        _amount.set(this, amount);
+        _recipient.set(this, recipientAddress);
+        _reference.set(this, reference);
+        _payload.set(this, payload);
+        _expires.set(this, expiryTime);
+        _memo.set(this, memo);
+        _signature.set(this, null);
+    }
+
+    /**
+     * The amount requested
+     * @returns {MonetaryAmount}
+     */
+    get amount() {
+        return _amount.get(this);
+    }
+
+    /**
+     * The address of the recipient wallet
+     * @returns {EthereumAddress}
+     */
+    get recipient() {
+        return _recipient.get(this);
+    }
+
+    /**
+     * The unique reference of the request, used as sender reference of the
+     * payment.
+     * @returns {string}
+     */
+    get reference() {
+        return _reference.get(this);
+    }
+
+    /**
+     * The data used as sender payload of the payment, if any.
+     * @returns {string|null}
+     */
+    get payload() {
+        return _payload.get(this);
+    }
+
+    /**
+     * The time after which the request can not be paid, if any.
+     * @returns {Date|null}
+     */
+    get expires() {
+        const expires = _expires.get(this);
+        return expires ? new Date(expires.getTime()) : null;
+    }
+
+    /**
+     * The description of the request, if any.
+     * @returns {string|null}
+     */
+    get memo() {
+        return _memo.get(this);
+    }
+
+    /**
+     * The signature of the recipient wallet as a flat hex string, if signed.
+     * @returns {string|null}
+     */
+    get signature() {
+        return _signature.get(this);
+    }
+
+    /**
+     * Checks whether the request has expired.
+     * @param {Date|number} [now=Date.now()] - The time to check against
+     * @returns {boolean}
+     */
+    isExpired(now = Date.now()) {
+        const expires = _expires.get(this);
+        return !!expires && expires.getTime() < new Date(now).getTime();
+    }
+
+    /**
+     * Signs the request with the recipient wallet.
+     * @param {Wallet} wallet - The wallet of the recipient
+     * @returns {Promise}
+     */
+    async sign(wallet) {
+        const signer = wallet && EthereumAddress.from(wallet.address);
+        if (!signer || !signer.isEqual(this.recipient))
+            throw new Error('The request can only be signed by the recipient wallet');
+
+        const signature = await wallet.signMessage(ethers.utils.arrayify(hashRequest.call(this)));
+        _signature.set(this, signature);
+    }
+
+    /**
+     * Verifies that the request is signed by the recipient wallet and has not
+     * been tampered with since.
+     * @returns {boolean}
+     */
+    isSigned() {
+        const signature = _signature.get(this);
+        if (!signature)
+            return false;
+
+        try {
+            return isSignedBy(hashRequest.call(this), fromRpcSig(signature), this.recipient.toString());
+        }
+        catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks whether a payment, or the payment of a receipt, is the payment of
+     * this request, i.e. that it has the reference of the request as sender
+     * reference, and the amount and recipient requested.
+     * @param {Payment|Receipt|Object} paymentOrReceipt - A payment or receipt, or either as JSON
+     * @returns {boolean}
+     */
+    matches(paymentOrReceipt) {
+        let payment = paymentOrReceipt instanceof Receipt ? paymentOrReceipt.payment : paymentOrReceipt;
+        if (!(payment instanceof Payment)) {
+            try {
+                payment = Payment.from(payment);
+            }
+            catch (err) {
+                return false;
+            }
+        }
+
+        const recipient = EthereumAddress.from(payment.recipient);
+        const amount = payment.amount;
+        return !!recipient && recipient.isEqual(this.recipient) &&
+            !!amount && amount.currency.isEqual(this.amount.currency) && amount.amount.eq(this.amount.amount) &&
+            typeof payment.senderRef === 'string' && payment.senderRef.toLowerCase() === this.reference.toLowerCase();
+    }
+
+    /**
+     * Encodes the request as a `nahmii:` URI, with the amount in the smallest
+     * unit of the currency.
+     * @returns {string}
+     * @example
+     * nahmii:0x...?amount=1000&currency=0x...&currencyId=0&reference=...&memo=Order+%231234
+     */
+    toURI() {
+        return encode.call(this, 0, false);
+    }
+
+    /**
+     * Encodes the request as a compact string for QR codes. It is a
+     * `nahmii:` URI with short parameter names, where the currency is left
+     * out for ETH and the currency ID when 0.
+     * @returns {string}
+     */
+    toQRString() {
+        return encode.call(this, 1, true);
+    }
+
+    /**
+     * Decodes a request from a `nahmii:` URI, or a compact QR string.
+     * @param {string} uri - The URI
+     * @returns {PaymentRequest}
+     * @throws {TypeError} The URI is not a valid payment request
+     */
+    static fromURI(uri) {
+        if (typeof uri !== 'string' || !uri.toLowerCase().startsWith(URI_SCHEME))
+            throw new TypeError('uri is not a nahmii: URI');
+
+        const url = new URL(URI_SCHEME + uri.substring(URI_SCHEME.length));
+
+        const param = name => {
+            const [longName, shortName] = URI_PARAMS[name];
+            return url.searchParams.has(longName) ? url.searchParams.get(longName) : url.searchParams.get(shortName);
+        };
+
+        const ct = param('ct') || ETH_CT;
+        let amount;
+        try {
+            amount = MonetaryAmount.from(param('amount'), ct, param('id') || 0);
+        }
+        catch (err) {
+            throw new TypeError('uri does not have a valid amount and currency');
+        }
+
+        const expires = param('expires');
+        if (expires !== null && !/^\d+$/.test(expires))
+            throw new TypeError('uri does not have a valid expiry time');
+
+        const request = new PaymentRequest(amount, decodeURIComponent(url.pathname), {
+            reference: param('reference') || undefined,
+            payload: param('payload'),
+            expires: expires === null ? null : Number.parseInt(expires) * 1000,
+            memo: param('memo')
+        });
+        _signature.set(request, param('signature'));
+        return request;
+    }
+
+    /**
+     * Decodes a request from a compact QR string, or a `nahmii:` URI.
+     * @param {string} qrString - The QR string
+     * @returns {PaymentRequest}
+     * @throws {TypeError} The string is not a valid payment request
+     */
+    static fromQRString(qrString) {
+        return PaymentRequest.fromURI(qrString);
+    }
+}
+
+/**
+ * Hashes the properties of the request that are signed.
+ * Private method, invoke with 'this' bound to request instance.
+ * @private
+ * @returns {string}
+ */
+function hashRequest() {
+    const {amount, currency} = this.amount;
+    const expires = _expires.get(this);
+    return hash(
+        {type: 'address', value: this.recipient.toString()},
+        {type: 'uint256', value: amount.toString()},
+        {type: 'address', value: currency.ct.toString()},
+        {type: 'uint256', value: currency.id.toString()},
+        {type: 'string', value: this.reference},
+        {type: 'string', value: this.payload || ''},
+        {type: 'uint256', value: expires ? (expires.getTime() / 1000).toString() : '0'},
+        {type: 'string', value: this.memo || ''}
+    );
+}
+
+/**
+ * Encodes the request as a URI.
+ * Private method, invoke with 'this' bound to request instance.
+ * @private
+ * @param {number} nameIndex - Index of the parameter names in URI_PARAMS
+ * @param {boolean} isCompact - Leave out parameters that have default values
+ * @returns {string}
+ */
+function encode(nameIndex, isCompact) {
+    const {amount, currency} = this.amount;
+    const expires = _expires.get(this);
+    const params = new URLSearchParams();
+    const set = (name, value) => {
+        if (value !== null)
+            params.set(URI_PARAMS[name][nameIndex], value);
+    };
+
+    const isEth = currency.ct.isEqual(EthereumAddress.from(ETH_CT));
+    set('amount', amount.toString());
+    set('ct', isCompact && isEth ? null : currency.ct.toString());
+    set('id', isCompact && currency.id === 0 ? null : currency.id.toString());
+    set('reference', this.reference);
+    set('payload', this.payload);
+    set('expires', expires ? (expires.getTime() / 1000).toString() : null);
+    set('memo', this.memo);
+    set('signature', this.signature);
+
+    return `${URI_SCHEME}${this.recipient}?${params}`;
+}
+
+module.exports = PaymentRequest;
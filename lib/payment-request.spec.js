@@ -0,0 +1,211 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const MonetaryAmount = require('./monetary-amount');
+
+const Wallet = proxyquire('./wallet/wallet', {
+    './client-fund-contract': function() {
+        return {};
+    },
+    './balance-tracker-contract': function() {
+        return {};
+    },
+    './erc20-contract': function() {
+        return {};
+    }
+});
+
+const Payment = proxyquire('./payment', {
+    './wallet': Wallet
+});
+
+const Receipt = proxyquire('./receipt', {
+    './wallet': Wallet,
+    './payment': Payment
+});
+
+const PaymentRequest = proxyquire('./payment-request', {
+    './payment': Payment,
+    './receipt': Receipt
+});
+
+const recipientKey = '3a1076bf45ab87712ad64ccb3b10217737f7faacbf2872e88fdd9a537d8fe266';
+const payer = '0x0000000000000000000000000000000000000001';
+const ct = '0x0000000000000000000000000000000000000002';
+const ethCt = '0x0000000000000000000000000000000000000000';
+const reference = '8bd4ed98-0d5c-4a24-9d72-4b7e0e7c9b3a';
+const expires = new Date('2030-01-01T00:00:00Z');
+
+describe('PaymentRequest', () => {
+    let recipientWallet, amount, request;
+
+    beforeEach(() => {
+        recipientWallet = new Wallet(recipientKey, {});
+        amount = MonetaryAmount.from('1000', ct, 1);
+        request = new PaymentRequest(amount, recipientWallet.address, {
+            reference, payload: 'some payload', expires, memo: 'Order #1234 & more'
+        });
+    });
+
+    it('has the properties given', () => {
+        expect(request.amount).to.equal(amount);
+        expect(request.recipient.toString()).to.eql(recipientWallet.address.toLowerCase());
+        expect(request).to.include({reference, payload: 'some payload', memo: 'Order #1234 & more', signature: null});
+        expect(request.expires).to.eql(expires);
+    });
+
+    it('has a random reference if none is given', () => {
+        const other = new PaymentRequest(amount, recipientWallet.address);
+        expect(other.reference).to.match(/^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/);
+        expect(other.reference).not.to.eql(new PaymentRequest(amount, recipientWallet.address).reference);
+        expect(other).to.include({payload: null, memo: null, expires: null});
+    });
+
+    it('rounds the expiry time down to whole seconds', () => {
+        const other = new PaymentRequest(amount, recipientWallet.address, {expires: expires.getTime() + 999});
+        expect(other.expires).to.eql(expires);
+    });
+
+    [
+        ['an amount that is not a MonetaryAmount', () => new PaymentRequest('1000', payer)],
+        ['an amount that is zero', () => new PaymentRequest(MonetaryAmount.from('0', ct), payer)],
+        ['an invalid recipient', () => new PaymentRequest(amount, 'not an address')],
+        ['a reference that is not a uuid', () => new PaymentRequest(amount, payer, {reference: 'ref'})],
+        ['a payload that is not a string', () => new PaymentRequest(amount, payer, {payload: {}})],
+        ['a memo that is not a string', () => new PaymentRequest(amount, payer, {memo: 42})],
+        ['an invalid expiry time', () => new PaymentRequest(amount, payer, {expires: '2030-01-01'})]
+    ].forEach(([description, create]) => {
+        it(`can not be created with ${description}`, () => {
+            expect(create).to.throw(TypeError);
+        });
+    });
+
+    it('expires after the expiry time', () => {
+        expect(request.isExpired(expires)).to.be.false;
+        expect(request.isExpired(expires.getTime() + 1000)).to.be.true;
+        expect(new PaymentRequest(amount, payer).isExpired()).to.be.false;
+    });
+
+    context('signing', () => {
+        it('is not signed initially', () => {
+            expect(request.isSigned()).to.be.false;
+        });
+
+        it('can be signed by the recipient wallet', async () => {
+            await request.sign(recipientWallet);
+            expect(request.signature).to.match(/^0x[a-f0-9]{130}$/);
+            expect(request.isSigned()).to.be.true;
+        });
+
+        it('can not be signed by another wallet', async () => {
+            const other = new PaymentRequest(amount, payer);
+            await other.sign(recipientWallet).then(() => expect.fail('should have rejected'), err => {
+                expect(err.message).to.match(/recipient wallet/);
+            });
+        });
+
+        it('does not verify after it has been tampered with', async () => {
+            await request.sign(recipientWallet);
+            const tampered = PaymentRequest.fromURI(request.toURI().replace('amount=1000', 'amount=1001'));
+            expect(tampered.isSigned()).to.be.false;
+        });
+
+        it('does not verify with a malformed signature', () => {
+            const malformed = PaymentRequest.fromURI(`${request.toURI()}&signature=0x1234`);
+            expect(malformed.isSigned()).to.be.false;
+        });
+    });
+
+    context('encoding', () => {
+        beforeEach(async () => {
+            await request.sign(recipientWallet);
+        });
+
+        function expectEqualRequests(actual, expected) {
+            expect(actual.amount.toJSON()).to.eql(expected.amount.toJSON());
+            expect(actual.recipient.isEqual(expected.recipient)).to.be.true;
+            ['reference', 'payload', 'memo', 'signature'].forEach(property => {
+                expect(actual[property]).to.eql(expected[property]);
+            });
+            expect(actual.expires).to.eql(expected.expires);
+        }
+
+        it('encodes to a nahmii: URI', () => {
+            expect(request.toURI()).to.eql(
+                `nahmii:${request.recipient}?amount=1000&currency=${ct}&currencyId=1&reference=${reference}` +
+                `&payload=some+payload&expires=1893456000&memo=Order+%231234+%26+more&signature=${request.signature}`
+            );
+        });
+
+        it('decodes from a nahmii: URI', () => {
+            const decoded = PaymentRequest.fromURI(request.toURI());
+            expectEqualRequests(decoded, request);
+            expect(decoded.isSigned()).to.be.true;
+        });
+
+        it('encodes to a compact QR string', () => {
+            const unsigned = new PaymentRequest(MonetaryAmount.from('1000', ethCt), payer, {reference});
+            expect(unsigned.toQRString()).to.eql(`nahmii:${payer}?a=1000&r=${reference}`);
+        });
+
+        it('decodes from a compact QR string', () => {
+            const decoded = PaymentRequest.fromQRString(request.toQRString());
+            expectEqualRequests(decoded, request);
+            expect(decoded.isSigned()).to.be.true;
+        });
+
+        it('decodes ETH requests without currency from a compact QR string', () => {
+            const decoded = PaymentRequest.fromQRString(`nahmii:${payer}?a=1000&r=${reference}`);
+            expect(decoded.amount.toJSON()).to.eql({amount: '1000', currency: {ct: ethCt, id: '0'}});
+        });
+
+        [
+            ['a string without the nahmii: scheme', `ethereum:${payer}?amount=1000`],
+            ['a URI without an amount', `nahmii:${payer}?currency=${ct}`],
+            ['a URI with an invalid amount', `nahmii:${payer}?amount=1.5`],
+            ['a URI with an invalid currency', `nahmii:${payer}?amount=1000&currency=0x12`],
+            ['a URI with an invalid recipient', 'nahmii:0x12?amount=1000'],
+            ['a URI with an invalid expiry time', `nahmii:${payer}?amount=1000&expires=soon`],
+            ['something else than a string', 42]
+        ].forEach(([description, uri]) => {
+            it(`can not decode ${description}`, () => {
+                expect(() => PaymentRequest.fromURI(uri)).to.throw(TypeError);
+            });
+        });
+    });
+
+    context('matching payments', () => {
+        let payment;
+
+        beforeEach(() => {
+            payment = new Payment(amount, payer, recipientWallet.address, null, reference, 'some payload');
+        });
+
+        it('matches the payment of the request', () => {
+            expect(request.matches(payment)).to.be.true;
+        });
+
+        it('matches the payment of the request as JSON', () => {
+            expect(request.matches(payment.toJSON())).to.be.true;
+        });
+
+        it('matches the receipt of the payment', () => {
+            expect(request.matches(new Receipt(payment))).to.be.true;
+        });
+
+        [
+            ['another reference', () => new Payment(amount, payer, recipientWallet.address, null, '0bd4ed98-0d5c-4a24-9d72-4b7e0e7c9b3a')],
+            ['another amount', () => new Payment(MonetaryAmount.from('999', ct, 1), payer, recipientWallet.address, null, reference)],
+            ['another currency', () => new Payment(MonetaryAmount.from('1000', ct, 2), payer, recipientWallet.address, null, reference)],
+            ['another recipient', () => new Payment(amount, payer, '0x0000000000000000000000000000000000000099', null, reference)],
+            ['malformed JSON', () => ({})]
+        ].forEach(([description, createPayment]) => {
+            it(`does not match a payment with ${description}`, () => {
+                expect(request.matches(createPayment())).to.be.false;
+            });
+        });
+    });
+});
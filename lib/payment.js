@@ -4,10 +4,18 @@
  * @module nahmii-sdk
  */
 
+const dbg = require('./dbg');
 const ethers = require('ethers');
+const {EthereumAddress} = require('nahmii-ethereum-address');
 const MonetaryAmount = require('./monetary-amount');
-const {fromRpcSig, hashObject, hash, isSignedBy} = require('./utils');
+const {encodeSenderData, fromRpcSig, hashObject, hash, isSignedBy, parseSenderData, prefix0x, sign: signHash} = require('./utils');
 const Wallet = require('./wallet');
+const RetryPolicy = require('./retry-policy');
+const SenderPayload = require('./sender-payload');
+const SenderPayloadError = require('./sender-payload-error');
+const {ConflictError} = require('./api-errors');
+const schemas = require('./schemas');
+const eip712 = require('./eip712');
 const uuidv4 = require('uuid/v4');
 
 const _amount = new WeakMap();
@@ -20,6 +28,9 @@ const _wallet = new WeakMap();
 const _provider = new WeakMap();
 const _senderPayload = new WeakMap();
 const _senderRef = new WeakMap();
+const _isSenderDataMalformed = new WeakMap();
+const _scheme = new WeakMap();
+const _domain = new WeakMap();
 
 const PAYMENT_REQUEST_HASH_PARTS = [
     ['amount', 'currency.ct', 'currency.id'],
@@ -27,6 +38,27 @@ const PAYMENT_REQUEST_HASH_PARTS = [
     ['recipient.wallet']
 ];
 
+// EIP-712 types of a payment, mirroring PAYMENT_REQUEST_HASH_PARTS
+const PAYMENT_TYPES = {
+    Payment: [
+        {name: 'amount', type: 'uint256'},
+        {name: 'currency', type: 'Currency'},
+        {name: 'sender', type: 'PaymentSender'},
+        {name: 'recipient', type: 'PaymentRecipient'}
+    ],
+    Currency: [
+        {name: 'ct', type: 'address'},
+        {name: 'id', type: 'uint256'}
+    ],
+    PaymentSender: [
+        {name: 'wallet', type: 'address'},
+        {name: 'data', type: 'string'}
+    ],
+    PaymentRecipient: [
+        {name: 'wallet', type: 'address'}
+    ]
+};
+
 /**
  * @class Payment
  * A class for creating a _nahmii_ payment.
@@ -55,11 +87,11 @@ class Payment {
      * Constructor
      * Creates a new payment with a unique sender reference.
      * @param {MonetaryAmount} amount - Amount in a currency
-     * @param {Address} sender - Senders address
-     * @param {Address} recipient - Recipient address
+     * @param {EthereumAddress|string} sender - Senders address
+     * @param {EthereumAddress|string} recipient - Recipient address
      * @param {Wallet|NahmiiProvider} [walletOrProvider] - An optional Wallet or NahmiiProvider instance
      * @param {String} [senderRef] - Optional uuid identifying the payment. Must be unique per sender wallet. Random if undefined.
-     * @param {String} [senderPayload] - Optional stringified payment sender data payload
+     * @param {String|SenderPayload} [senderPayload] - Optional stringified or structured payment sender data payload
      *
      * @example
      * // Normal, random sender reference and no sender payload
@@ -77,18 +109,38 @@ class Payment {
      * // Advanced, random sender reference and stringified sender payload
      * const senderPayload = 'some sender payload';
      * const payment = new nahmii.Payment(paymentAmount, senderWallet.address, recipientWallet.address, senderWallet, null, senderPayload);
+     *
+     * // Advanced, random sender reference and structured sender payload
+     * const senderPayload = new nahmii.SenderPayload({invoice: 'INV-1234'}, {schema: invoiceSchema});
+     * const payment = new nahmii.Payment(paymentAmount, senderWallet.address, recipientWallet.address, senderWallet, null, senderPayload);
+     * @throws {TypeError} An address is invalid or has an invalid checksum, or the recipient is the sender
+     * @throws {SenderPayloadError} The sender data exceeds the size limit of the payload, 1024 bytes for a stringified payload
      */
     constructor(amount, sender, recipient, walletOrProvider, senderRef, senderPayload) {
         if (!(amount instanceof MonetaryAmount))
             throw new TypeError('amount is not an instance of MonetaryAmount');
 
+        const senderAddress = toEthereumAddress(sender, 'sender');
+        const recipientAddress = toEthereumAddress(recipient, 'recipient');
+        if (senderAddress.isEqual(recipientAddress))
+            throw new TypeError('recipient is the sender');
+
         senderRef = senderRef || uuidv4();
 
         if (!/^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i.test(senderRef))
             throw new TypeError('senderRef is not a uuid string');
 
+        let maxSize;
+        if (senderPayload instanceof SenderPayload) {
+            maxSize = senderPayload.maxSize;
+            senderPayload = senderPayload.toString();
+        }
+
         if (senderPayload && 'string' !== typeof senderPayload)
-            throw new TypeError('senderPayload is not an instance of string');
+            throw new TypeError('senderPayload is not an instance of string or SenderPayload');
+
+        if (senderPayload)
+            SenderPayload.checkSize(senderRef, senderPayload, maxSize);
 
         const wallet = walletOrProvider instanceof Wallet ? walletOrProvider : null;
         const provider = wallet ? wallet.provider : walletOrProvider;
@@ -96,9 +148,8 @@ class Payment {
         _wallet.set(this, wallet);
         _provider.set(this, provider);
         _amount.set(this, amount);
-        // TODO: ensure sender/recipient addresses are of EthereumAddress type.
-        _sender.set(this, sender);
-        _recipient.set(this, recipient);
+        _sender.set(this, senderAddress);
+        _recipient.set(this, recipientAddress);
         _senderRef.set(this, senderRef);
         if (senderPayload)
             _senderPayload.set(this, senderPayload);
@@ -113,19 +164,19 @@ class Payment {
     }
 
     /**
-     * The sender of the payment
-     * @returns {Address}
+     * The address of the sender of the payment, as lowercase hex string
+     * @returns {string}
      */
     get sender() {
-        return _sender.get(this);
+        return _sender.get(this).toString();
     }
 
     /**
-     * The recipient of the payment
-     * @returns {Address}
+     * The address of the recipient of the payment, as lowercase hex string
+     * @returns {string}
      */
     get recipient() {
-        return _recipient.get(this);
+        return _recipient.get(this).toString();
     }
 
     /**
@@ -146,42 +197,119 @@ class Payment {
     }
 
     /**
-     * Will hash and sign the payment with the wallet passed into the constructor
+     * Decodes the sender's payload, decrypting it if needed. Plain string
+     * payloads decode into the string itself.
+     * @param {Object} [options] - Schema and decryption keys, see SenderPayload.from()
+     * @returns {*} The data of the payload, or undefined if the payment has no payload
+     * @throws {SenderPayloadError} The payload can not be decoded or decrypted, or does not conform to the schema
+     * @example
+     * const {invoice} = receipt.payment.decodeSenderPayload({schema: invoiceSchema, privateKey});
+     */
+    decodeSenderPayload(options = {}) {
+        if (_isSenderDataMalformed.get(this))
+            throw new SenderPayloadError('malformed', 'The sender data of the payment can not be decoded');
+
+        if (!_senderPayload.has(this))
+            return undefined;
+
+        return SenderPayload.from(_senderPayload.get(this), options).data;
+    }
+
+    /**
+     * The hash of the payment that is signed by the sender. It is computed
+     * from the amount, currency, sender, sender data and recipient of the
+     * payment, so it changes if any of these is tampered with.
+     * @returns {string}
      */
-    async sign() {
-        const wallet = _wallet.get(this);
-        if (!wallet)
+    get hash() {
+        return hashPayment(this.toJSON());
+    }
+
+    /**
+     * The signature scheme of the sender's seal: 'eip712' for EIP-712 typed
+     * data signatures, else 'eth-sign'.
+     * @returns {string}
+     */
+    get signatureScheme() {
+        return _scheme.get(this) === eip712.SCHEME ? eip712.SCHEME : 'eth-sign';
+    }
+
+    /**
+     * Will hash and sign the payment with the wallet passed into the
+     * constructor, or with the signer given. A signer needs no provider, so
+     * that payments can be signed on an offline machine, see PaymentBundle.
+     * By default the hash is signed as an Ethereum message. With the 'eip712'
+     * scheme the payment is signed as EIP-712 typed data instead, so that
+     * hardware and browser wallets can show what is signed. The domain of the
+     * typed data is retrieved from the provider unless given.
+     * @param {Object|string} [signer] - Any object with a signMessage() method, and a signTypedData() method for EIP-712, e.g. a Wallet or an external signer, or the private key of the sender as hex string
+     * @param {Object} [options]
+     * @param {string} [options.scheme] - The signature scheme, 'eip712' or undefined for Ethereum messages
+     * @param {Object} [options.domain] - The EIP-712 domain, see NahmiiProvider.getEip712Domain()
+     * @example
+     * await payment.sign(null, {scheme: 'eip712'});
+     */
+    async sign(signer = null, options = {}) {
+        const {scheme = null, domain = null} = options;
+        signer = signer || _wallet.get(this);
+        if (!signer)
             throw new Error('No wallet is available for signing!');
 
-        const h = hashPayment(this.toJSON());
-        const hArr = ethers.utils.arrayify(h);
-        const sigFlat = await wallet.signMessage(hArr);
-        const sigExpanded = fromRpcSig(sigFlat);
+        if (scheme !== null && scheme !== eip712.SCHEME)
+            throw new TypeError(`Unknown signature scheme: ${scheme}`);
+
+        const serializedPayment = this.toJSON();
+        let h, signature;
+        if (scheme === eip712.SCHEME) {
+            const typedDataDomain = domain || await getEip712Domain.call(this);
+            h = hashTypedPayment(serializedPayment, typedDataDomain);
+            signature = await eip712.signTypedData(signer, typedDataDomain, PAYMENT_TYPES, 'Payment', serializedPayment);
+            _domain.set(this, typedDataDomain);
+        }
+        else if (typeof signer === 'string') {
+            h = hashPayment(serializedPayment);
+            signature = signHash(h, signer);
+        }
+        else {
+            h = hashPayment(serializedPayment);
+            const sigFlat = await signer.signMessage(ethers.utils.arrayify(h));
+            signature = fromRpcSig(sigFlat);
+        }
 
         _hash.set(this, h);
-        _signature.set(this, sigExpanded);
+        _signature.set(this, signature);
+        _scheme.set(this, scheme);
     }
 
     /**
      * Verifies that the payment is signed by the sender and has not been
-     * tampered with since.
+     * tampered with since. EIP-712 signatures are verified against the
+     * domain given, else against the domain the payment was signed with.
+     * @param {Object} [options]
+     * @param {Object} [options.domain] - The EIP-712 domain, see NahmiiProvider.getEip712Domain()
      * @returns {Boolean}
+     * @throws {Error} The payment has an EIP-712 signature, and the domain is unknown
      */
-    isSigned() {
+    isSigned(options = {}) {
         const serializedPayment = this.toJSON();
-        const h = hashPayment(serializedPayment);
-
         if (!serializedPayment.seals || !serializedPayment.seals.wallet)
             return false;
 
-        if (h !== serializedPayment.seals.wallet.hash)
+        const {hash: sealHash, signature} = serializedPayment.seals.wallet;
+        const sender = serializedPayment.sender.wallet;
+
+        if (this.signatureScheme === eip712.SCHEME) {
+            const domain = options.domain || _domain.get(this);
+            if (!domain)
+                throw new Error('Unable to validate EIP-712 signature without domain');
+            return hashTypedPayment(serializedPayment, domain) === sealHash &&
+                eip712.isSignedBy(sealHash, signature, sender);
+        }
+
+        if (hashPayment(serializedPayment) !== sealHash)
             return false;
 
-        return isSignedBy(
-            serializedPayment.seals.wallet.hash,
-            serializedPayment.seals.wallet.signature,
-            serializedPayment.sender.wallet
-        );
+        return isSignedBy(sealHash, signature, sender);
     }
 
     /**
@@ -197,35 +325,86 @@ class Payment {
     }
 
     /**
-     * Converts the payment into a JSON object
+     * Registers the payment with the server, unless it has been registered
+     * already. The payment is first looked up by its sender reference. If it
+     * is not found, it is registered, and failed registrations are retried
+     * according to the retry policy. Whenever the outcome of a registration
+     * is unknown, e.g. after a network timeout or a conflict, the payment is
+     * looked up again before it is retried, so that it is never registered
+     * twice. The provider's postRetryPolicy is not applied on top of the
+     * retry policy, as it retries without looking up the payment.
+     * @param {Object} [options]
+     * @param {RetryPolicy} [options.retryPolicy] - Policy for retrying failed registrations, defaults to a RetryPolicy with default options
+     * @returns {Promise<Object>} A promise that resolves into {status: 'registered', payment} for a new registration, else the payment found, see NahmiiProvider.findPaymentBySenderRef()
+     * @example
+     * await payment.sign();
+     * const {status} = await payment.registerIdempotent();
+     * console.log(status); // 'registered', 'pending' or 'effectuated'
+     */
+    async registerIdempotent(options = {}) {
+        const {retryPolicy = new RetryPolicy()} = options;
+
+        const provider = _provider.get(this);
+        if (!provider)
+            throw new Error('No provider is available for API access!');
+
+        const existing = await provider.findPaymentBySenderRef(this.sender, this.senderRef);
+        if (existing)
+            return existing;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const payment = await provider.registerPayment(this.toJSON(), {retry: false});
+                return {status: 'registered', payment};
+            }
+            catch (err) {
+                const isConflict = err instanceof ConflictError;
+                const isRetried = !isConflict && retryPolicy.shouldRetry(retryCause(err), attempt);
+
+                if (isConflict || isRetried || !err.status) {
+                    const found = await provider.findPaymentBySenderRef(this.sender, this.senderRef);
+                    if (found)
+                        return found;
+                }
+
+                if (!isRetried)
+                    throw err;
+
+                const delay = retryPolicy.getDelay(err, attempt);
+                dbg(`Registration of payment ${this.senderRef} failed, attempt ${attempt}. Retrying in ${delay} ms.`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Converts the payment into a JSON object, with addresses as lowercase
+     * hex strings.
      * @returns A JSON object that is in the format the API expects
      */
     toJSON() {
         const amount = _amount.get(this).toJSON();
 
-        const senderData = {
-            ref: _senderRef.get(this)
-        };
-        if (_senderPayload.has(this))
-            senderData.payload = _senderPayload.get(this);
-
-        const senderDataB64 = Buffer.from(JSON.stringify(senderData)).toString('base64');
+        const senderDataB64 = encodeSenderData(_senderRef.get(this), _senderPayload.get(this));
 
         const result = Object.assign({}, amount, {
             sender: {
-                wallet: _sender.get(this),
+                wallet: _sender.get(this).toString(),
                 data: senderDataB64
             },
             recipient: {
-                wallet: _recipient.get(this)
+                wallet: _recipient.get(this).toString()
             }
         });
 
         const hash = _hash.get(this);
         const signature = _signature.get(this);
 
-        if (hash && signature)
+        if (hash && signature) {
             result.seals = {wallet: {hash, signature}};
+            if (_scheme.get(this))
+                result.seals.wallet.scheme = _scheme.get(this);
+        }
 
         return result;
     }
@@ -235,34 +414,90 @@ class Payment {
      * @param json - A JSON object that can be de-serialized to a Payment instance
      * @param {Wallet|NahmiiProvider} [walletOrProvider] - The wallet used for signing the payment
      * @returns {Payment}
+     * @throws {ValidationError} The JSON does not conform to the payment schema. The error lists every violation.
+     * @throws {TypeError} An address has an invalid checksum, or the recipient is the sender
      */
     static from(json, walletOrProvider = null) {
-        // TODO: implement proper data validation before instantiation of new Payment
+        schemas.validate('payment', json);
+
         const amount = MonetaryAmount.from(json);
         const p = new Payment(amount, json.sender.wallet, json.recipient.wallet, walletOrProvider);
         _senderData.set(p, json.sender.data);
         if (json.seals && json.seals.wallet) {
             _hash.set(p, json.seals.wallet.hash);
             _signature.set(p, json.seals.wallet.signature);
+            _scheme.set(p, json.seals.wallet.scheme || null);
         }
-        if (json.sender && json.sender.data && typeof json.sender.data === 'string') {
-            const jsonSenderData = Buffer.from(json.sender.data, 'base64').toString('ascii');
-            try {
-                const senderData = JSON.parse(jsonSenderData);
-                _senderRef.set(p, senderData.ref);
-                if (senderData.payload)
-                    _senderPayload.set(p, senderData.payload);
-            }
-            catch (e) {
-                // Ignore parse errors and leave the _senderPayload and _senderRef undefined.
-                // TODO: Is there an exception safe alternative to JSON.parse?
-            }
+        // Sender data that can not be decoded is reported by decodeSenderPayload()
+        const data = json.sender.data;
+        const senderData = parseSenderData(data);
+        if (senderData) {
+            _senderRef.set(p, senderData.ref);
+            if (senderData.payload)
+                _senderPayload.set(p, senderData.payload);
+        }
+        else if (data) {
+            _isSenderDataMalformed.set(p, true);
         }
 
         return p;
     }
 }
 
+/**
+ * Converts an address into an EthereumAddress. Mixed case hex strings must
+ * have a valid EIP-55 checksum.
+ * @private
+ * @param {EthereumAddress|string} address
+ * @param {string} name - Name of the address in error messages
+ * @returns {EthereumAddress}
+ * @throws {TypeError} The address is invalid or has an invalid checksum
+ */
+function toEthereumAddress(address, name) {
+    const ethereumAddress = EthereumAddress.from(address);
+    if (!ethereumAddress)
+        throw new TypeError(`${name} is not a valid address`);
+
+    if (typeof address === 'string') {
+        try {
+            ethers.utils.getAddress(prefix0x(address));
+        }
+        catch (err) {
+            throw new TypeError(`${name} does not have a valid checksum`);
+        }
+    }
+
+    return ethereumAddress;
+}
+
+/**
+ * Returns the error that tells whether a failed registration can be retried.
+ * API errors that carry no HTTP status hold the network error as inner error.
+ * @private
+ * @param {Error} err - The error of the failed registration
+ * @returns {Object}
+ */
+function retryCause(err) {
+    return err.status || !err.innerError ? err : err.innerError;
+}
+
+/**
+ * Retrieves the EIP-712 domain from the provider of the payment.
+ * Private method, invoke with 'this' bound to payment instance.
+ * @private
+ * @returns {Promise<Object>}
+ */
+async function getEip712Domain() {
+    const provider = _provider.get(this);
+    if (!provider)
+        throw new Error('No provider is available for retrieving the EIP-712 domain!');
+    return provider.getEip712Domain();
+}
+
+function hashTypedPayment(serializedPayment, domain) {
+    return eip712.hashTypedData(domain, PAYMENT_TYPES, 'Payment', serializedPayment);
+}
+
 function hashPayment(serializedPayment) {
     const hashes = PAYMENT_REQUEST_HASH_PARTS.map(properties => {
         return hashObject(serializedPayment, properties);
@@ -9,7 +9,13 @@ chai.use(sinonChai);
 const {ApiPayloadFactory} = require('../test-utils');
 
 const MonetaryAmount = require('./monetary-amount');
+const RetryPolicy = require('./retry-policy');
+const SenderPayload = require('./sender-payload');
+const SenderPayloadError = require('./sender-payload-error');
+const {NahmiiApiError, ConflictError, ValidationError} = require('./api-errors');
 const uuidv4 = require('uuid/v4');
+const ethers = require('ethers');
+const {EthereumAddress} = require('nahmii-ethereum-address');
 
 const expect = chai.expect;
 const given = describe;
@@ -668,6 +674,165 @@ describe('Payment', () => {
         });
     });
 
+    context('given addresses in different formats', () => {
+        let amount, checksummedSender;
+
+        beforeEach(() => {
+            amount = MonetaryAmount.from(fixture.amount, fixture.currency.ct, fixture.currency.id);
+            checksummedSender = ethers.utils.getAddress(fixture.sender);
+        });
+
+        [
+            ['checksummed', () => checksummedSender],
+            ['upper case', () => '0x' + fixture.sender.substring(2).toUpperCase()],
+            ['unprefixed', () => fixture.sender.substring(2)],
+            ['EthereumAddress', () => EthereumAddress.from(fixture.sender)]
+        ].forEach(([description, createSender]) => {
+            it(`normalizes a ${description} sender`, () => {
+                const payment = new Payment(amount, createSender(), fixture.recipient, null, senderRef);
+                expect(payment.sender).to.eql(fixture.sender.toLowerCase());
+                expect(payment.toJSON()).to.eql(new Payment(amount, fixture.sender, fixture.recipient, null, senderRef).toJSON());
+            });
+        });
+
+        it('serializes addresses as lower case hex strings', () => {
+            const json = new Payment(amount, checksummedSender, fixture.recipient, null, senderRef).toJSON();
+            expect(json.sender.wallet).to.eql(checksummedSender.toLowerCase());
+            expect(json.recipient.wallet).to.eql(fixture.recipient);
+        });
+
+        it('verifies a signature made over a checksummed sender', async () => {
+            const wallet = new Wallet(fixture.senderPrivateKey, stubbedProvider);
+            const payment = new Payment(amount, checksummedSender, fixture.recipient, wallet, senderRef);
+            await payment.sign();
+            expect(Payment.from(payment.toJSON()).isSigned()).to.be.true;
+        });
+
+        it('rejects an address with an invalid checksum', () => {
+            const invalidChecksum = checksummedSender.replace(/[a-f]/, c => c.toUpperCase());
+            expect(() => new Payment(amount, invalidChecksum, fixture.recipient)).to.throw(TypeError, 'sender does not have a valid checksum');
+            expect(() => new Payment(amount, fixture.recipient, invalidChecksum)).to.throw(TypeError, 'recipient does not have a valid checksum');
+        });
+
+        it('rejects an invalid address', () => {
+            expect(() => new Payment(amount, '0x1234', fixture.recipient)).to.throw(TypeError, 'sender is not a valid address');
+            expect(() => new Payment(amount, fixture.sender, null)).to.throw(TypeError, 'recipient is not a valid address');
+        });
+
+        it('rejects a payment to the sender', () => {
+            expect(() => new Payment(amount, checksummedSender, fixture.sender)).to.throw(TypeError, 'recipient is the sender');
+        });
+    });
+
+    context('a Payment signed with a signer', () => {
+        let payment;
+
+        beforeEach(() => {
+            const amount = MonetaryAmount.from(fixture.amount, fixture.currency.ct, fixture.currency.id);
+            payment = new Payment(amount, fixture.sender, fixture.recipient, null, senderRef);
+        });
+
+        it('can be signed with the private key of the sender', async () => {
+            await payment.sign(fixture.senderPrivateKey);
+            expect(payment.isSigned()).to.be.true;
+            expect(payment.toJSON().seals.wallet.hash).to.eql(payment.hash);
+        });
+
+        it('can be signed with an external signer', async () => {
+            await payment.sign(new ethers.Wallet(fixture.senderPrivateKey));
+            expect(payment.isSigned()).to.be.true;
+        });
+
+        it('has the same signature as when signed with a wallet', async () => {
+            const wallet = new Wallet(fixture.senderPrivateKey, stubbedProvider);
+            const walletPayment = Payment.from(payment.toJSON(), wallet);
+            await walletPayment.sign();
+            await payment.sign(fixture.senderPrivateKey);
+            expect(payment.toJSON()).to.eql(walletPayment.toJSON());
+        });
+
+        it('has a hash that changes with the payment', () => {
+            const json = payment.toJSON();
+            json.amount = '999';
+            expect(Payment.from(json).hash).to.not.eql(payment.hash);
+        });
+    });
+
+    context('a Payment signed as EIP-712 typed data', () => {
+        const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000010'};
+        let amount, payment;
+
+        beforeEach(async () => {
+            amount = MonetaryAmount.from(fixture.amount, fixture.currency.ct, fixture.currency.id);
+            payment = new Payment(amount, fixture.sender, fixture.recipient, null, senderRef);
+            await payment.sign(fixture.senderPrivateKey, {scheme: 'eip712', domain});
+        });
+
+        it('is signed', () => {
+            expect(payment.signatureScheme).to.eql('eip712');
+            expect(payment.isSigned()).to.be.true;
+        });
+
+        it('has the scheme in the wallet seal', () => {
+            expect(payment.toJSON().seals.wallet.scheme).to.eql('eip712');
+        });
+
+        it('does not have the hash of an Ethereum message signature', () => {
+            expect(payment.toJSON().seals.wallet.hash).to.not.eql(payment.hash);
+        });
+
+        it('has the same signature when signed by a wallet with the domain of the provider', async () => {
+            const provider = {getEip712Domain: sinon.stub().resolves(domain)};
+            const wallet = new Wallet(fixture.senderPrivateKey, provider);
+            const walletPayment = new Payment(amount, fixture.sender, fixture.recipient, wallet, senderRef);
+            await walletPayment.sign(null, {scheme: 'eip712'});
+            expect(walletPayment.toJSON()).to.eql(payment.toJSON());
+        });
+
+        it('can not be signed by a signer without typed data support', async () => {
+            await new Payment(amount, fixture.sender, fixture.recipient, null, senderRef)
+                .sign({signMessage: async () => '0x'}, {scheme: 'eip712', domain})
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/EIP-712/));
+        });
+
+        it('can not be signed with an unknown scheme', async () => {
+            await payment.sign(fixture.senderPrivateKey, {scheme: 'eip191'})
+                .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceOf(TypeError));
+        });
+
+        it('can not be signed without domain or provider', async () => {
+            await new Payment(amount, fixture.sender, fixture.recipient, null, senderRef)
+                .sign(fixture.senderPrivateKey, {scheme: 'eip712'})
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/provider/));
+        });
+
+        context('when de-serialized', () => {
+            let deserialized;
+
+            beforeEach(() => {
+                deserialized = Payment.from(payment.toJSON());
+            });
+
+            it('is signed in the domain', () => {
+                expect(deserialized.isSigned({domain})).to.be.true;
+            });
+
+            it('is not signed in another domain', () => {
+                expect(deserialized.isSigned({domain: Object.assign({}, domain, {verifyingContract: fixture.recipient})})).to.be.false;
+            });
+
+            it('can not be verified without domain', () => {
+                expect(() => deserialized.isSigned()).to.throw(Error, /domain/);
+            });
+
+            it('is not signed when tampered with', () => {
+                const json = payment.toJSON();
+                json.amount = '999';
+                expect(Payment.from(json).isSigned({domain})).to.be.false;
+            });
+        });
+    });
+
     context('a de-serialized unsigned Payment that has a null sender data', () => {
         let payment;
 
@@ -778,7 +943,7 @@ describe('Payment', () => {
 
         beforeEach(async () => {
             modifiedPayload = await fixture.createSignedPayment(fixture.createUnsignedPayment(senderRef, senderPayload));
-            modifiedPayload.seals.wallet.signature = '0xffff9e389115e663107162f9049da8ed06670a53dd6b3bb77165940b6a55eba3156f788625446d6e553dd448608445f122803556c015559b32cf66d781e7d85b18';
+            modifiedPayload.seals.wallet.signature.r = '0xffff9e389115e663107162f9049da8ed06670a53dd6b3bb77165940b6a55eba3';
             payment = Payment.from(modifiedPayload, stubbedWallet);
         });
 
@@ -787,6 +952,32 @@ describe('Payment', () => {
         });
     });
 
+    context('a malformed Payment payload', () => {
+        [
+            [payload => delete payload.recipient, [{path: '$.recipient', message: 'is required'}]],
+            [payload => payload.amount = 1000, [{path: '$.amount', message: 'should be string'}]],
+            [payload => payload.sender.wallet = 'sender', [{path: '$.sender.wallet', message: 'should match pattern "^0x[0-9a-fA-F]{40}$"'}]],
+            [payload => payload.sender.data = 'not base64!', [{path: '$.sender.data', message: 'should match pattern "^[A-Za-z0-9+/]*={0,2}$"'}]],
+            [payload => payload.seals.wallet.signature.s = '0x1234', [{path: '$.seals.wallet.signature.s', message: 'should match pattern "^0x[0-9a-fA-F]{64}$"'}]]
+        ].forEach(([modifier, violations]) => {
+            it('is rejected when ' + modifier.toString(), async () => {
+                const payload = await fixture.createSignedPayment(fixture.createUnsignedPayment(senderRef, senderPayload));
+                modifier(payload);
+                expect(() => Payment.from(payload, stubbedWallet)).to.throw(ValidationError).with.property('violations').that.eql(violations);
+            });
+        });
+
+        it('is rejected with every violation', () => {
+            const payload = fixture.createUnsignedPayment(senderRef, senderPayload);
+            delete payload.currency;
+            payload.recipient.wallet = null;
+            expect(() => Payment.from(payload, stubbedWallet)).to.throw(ValidationError, /Invalid payment/).with.property('violations').that.eql([
+                {path: '$.currency', message: 'is required'},
+                {path: '$.recipient.wallet', message: 'should be string'}
+            ]);
+        });
+    });
+
     given('a Payment constructor that optionally accepts a senderPayload', () => {
         let amount, sender, recipient, wallet;
 
@@ -807,6 +998,59 @@ describe('Payment', () => {
                 const payment = new Payment(amount, sender, recipient, wallet, null, senderPayload);
                 expect(payment.senderPayload).to.equal(senderPayload);
             });
+
+            it('creates Payments with senderPayload property equal to the encoded input SenderPayload', () => {
+                const structuredPayload = new SenderPayload({invoice: 'INV-1234'});
+                const payment = new Payment(amount, sender, recipient, wallet, null, structuredPayload);
+                expect(payment.senderPayload).to.equal(structuredPayload.toString());
+            });
+
+            it('throws if input senderPayload is neither a string nor a SenderPayload', () => {
+                expect(() => new Payment(amount, sender, recipient, wallet, null, {invoice: 'INV-1234'})).to.throw(TypeError);
+            });
+
+            it('throws if the sender data of a plain string senderPayload exceeds the size limit', () => {
+                expect(() => new Payment(amount, sender, recipient, wallet, null, 'x'.repeat(1024)))
+                    .to.throw(SenderPayloadError, /the limit is 1024 bytes/)
+                    .with.property('reason', 'too-large');
+            });
+
+            it('applies the size limit of a SenderPayload to the sender data', () => {
+                const structuredPayload = new SenderPayload('x'.repeat(1024), {maxSize: 2048});
+                const payment = new Payment(amount, sender, recipient, wallet, null, structuredPayload);
+                expect(payment.senderPayload).to.equal(structuredPayload.toString());
+            });
+        });
+
+        when('decoding the senderPayload', () => {
+            it('decodes a structured senderPayload', () => {
+                const payment = new Payment(amount, sender, recipient, wallet, null, new SenderPayload({invoice: 'INV-1234'}));
+                const deserialized = Payment.from(payment.toJSON());
+                expect(deserialized.decodeSenderPayload({schema: {required: ['invoice']}})).to.eql({invoice: 'INV-1234'});
+            });
+
+            it('decodes a senderPayload with non-ASCII text', () => {
+                const payment = new Payment(amount, sender, recipient, wallet, null, new SenderPayload({memo: 'Café ☕'}));
+                const deserialized = Payment.from(payment.toJSON());
+                expect(deserialized.senderRef).to.eql(payment.senderRef);
+                expect(deserialized.decodeSenderPayload()).to.eql({memo: 'Café ☕'});
+            });
+
+            it('decodes a plain string senderPayload', () => {
+                const payment = new Payment(amount, sender, recipient, wallet, null, senderPayload);
+                expect(payment.decodeSenderPayload()).to.eql(senderPayload);
+            });
+
+            it('decodes an undefined senderPayload', () => {
+                expect(new Payment(amount, sender, recipient, wallet).decodeSenderPayload()).to.be.undefined;
+            });
+
+            it('reports sender data that can not be decoded', () => {
+                const json = fixture.createUnsignedPayment(senderRef, senderPayload);
+                json.sender.data = Buffer.from('not JSON').toString('base64');
+                const payment = Payment.from(json);
+                expect(() => payment.decodeSenderPayload()).to.throw(SenderPayloadError, /can not be decoded/);
+            });
         });
     });
 
@@ -849,4 +1093,90 @@ describe('Payment', () => {
             });
         });
     });
+
+    given('a Payment registered idempotently', () => {
+        const retryPolicy = new RetryPolicy({retries: 2, minDelay: 0, maxDelay: 0});
+        const registration = {id: 'registration'};
+        let provider, payment;
+
+        function networkError() {
+            return new NahmiiApiError({code: 'ETIMEDOUT'}, 'registerPayment() failed.', {});
+        }
+
+        beforeEach(() => {
+            provider = {
+                registerPayment: sinon.stub().resolves(registration),
+                findPaymentBySenderRef: sinon.stub().resolves(null)
+            };
+            payment = new Payment(MonetaryAmount.from(fixture.amount, fixture.currency.ct, fixture.currency.id), fixture.sender, fixture.recipient, provider, senderRef);
+        });
+
+        it('registers a payment that is not found', async () => {
+            expect(await payment.registerIdempotent({retryPolicy})).to.eql({status: 'registered', payment: registration});
+            expect(provider.findPaymentBySenderRef).to.have.been.calledWith(payment.sender, senderRef);
+            expect(provider.registerPayment).to.have.been.calledOnceWithExactly(payment.toJSON(), {retry: false});
+        });
+
+        it('returns a payment that is found without registering it', async () => {
+            const found = {status: 'effectuated', receipt: {}};
+            provider.findPaymentBySenderRef.resolves(found);
+            expect(await payment.registerIdempotent()).to.equal(found);
+            expect(provider.registerPayment).not.to.have.been.called;
+        });
+
+        it('returns the payment found after a registration with unknown outcome', async () => {
+            const found = {status: 'pending', payment: {}};
+            provider.registerPayment.rejects(networkError());
+            provider.findPaymentBySenderRef.onSecondCall().resolves(found);
+            expect(await payment.registerIdempotent({retryPolicy})).to.equal(found);
+            expect(provider.registerPayment).to.have.been.calledOnce;
+        });
+
+        it('retries a registration that failed without registering the payment', async () => {
+            provider.registerPayment.onFirstCall().rejects(networkError());
+            expect(await payment.registerIdempotent({retryPolicy})).to.eql({status: 'registered', payment: registration});
+            expect(provider.registerPayment).to.have.been.calledTwice;
+            expect(provider.findPaymentBySenderRef).to.have.been.calledTwice;
+        });
+
+        it('retries failed registrations according to the retry policy', async () => {
+            const error = new NahmiiApiError(null, 'registerPayment() failed.', {status: 503});
+            provider.registerPayment.rejects(error);
+            await payment.registerIdempotent({retryPolicy}).then(() => expect.fail('should have rejected'), err => {
+                expect(err).to.equal(error);
+            });
+            expect(provider.registerPayment).to.have.been.calledThrice;
+        });
+
+        it('returns the payment found after a conflict', async () => {
+            const found = {status: 'pending', payment: {}};
+            provider.registerPayment.rejects(new ConflictError(null, 'Duplicate', {status: 409}));
+            provider.findPaymentBySenderRef.onSecondCall().resolves(found);
+            expect(await payment.registerIdempotent({retryPolicy})).to.equal(found);
+        });
+
+        it('does not retry a conflict with a payment that is not found', async () => {
+            provider.registerPayment.rejects(new ConflictError(null, 'Duplicate', {status: 409}));
+            await payment.registerIdempotent({retryPolicy}).then(() => expect.fail('should have rejected'), err => {
+                expect(err).to.be.an.instanceOf(ConflictError);
+            });
+            expect(provider.registerPayment).to.have.been.calledOnce;
+        });
+
+        it('does not retry or look up a rejected payment', async () => {
+            provider.registerPayment.rejects(new ValidationError(null, 'Invalid payment', {status: 400}));
+            await payment.registerIdempotent({retryPolicy}).then(() => expect.fail('should have rejected'), err => {
+                expect(err).to.be.an.instanceOf(ValidationError);
+            });
+            expect(provider.registerPayment).to.have.been.calledOnce;
+            expect(provider.findPaymentBySenderRef).to.have.been.calledOnce;
+        });
+
+        it('requires a provider', async () => {
+            const paymentWithoutProvider = new Payment(MonetaryAmount.from(fixture.amount, fixture.currency.ct, fixture.currency.id), fixture.sender, fixture.recipient);
+            await paymentWithoutProvider.registerIdempotent().then(() => expect.fail('should have rejected'), err => {
+                expect(err.message).to.match(/no provider/i);
+            });
+        });
+    });
 });
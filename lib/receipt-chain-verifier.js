@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const ethers = require('ethers');
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const Currency = require('./currency');
+const Receipt = require('./receipt');
+const eip712 = require('./eip712');
+
+const {bigNumberify} = ethers.utils;
+
+const _provider = new WeakMap();
+
+/**
+ * @class ReceiptChainVerifier
+ * Verifies that the sequence of payment receipts of a wallet is internally
+ * consistent, i.e. that the operator has not skipped, altered or made up any
+ * of the wallet's payments. The following is checked, and any failure is
+ * reported as a violation of the given type:
+ * - 'malformed-receipt': the receipt can not be read, or does not involve the wallet
+ * - 'invalid-seal': the wallet or operator seal does not verify against provider.operatorAddress,
+ *   or an EIP-712 seal is verified without the domain
+ * - 'duplicate-nonce': two receipts have the same wallet nonce
+ * - 'nonce-gap': the wallet nonces do not increase by one
+ * - 'transfer-mismatch': the single transfer differs from the payment amount
+ * - 'invalid-balance-change': the current balance is not the previous balance
+ *   less the transfer and fee (sender), or plus the transfer (recipient)
+ * - 'balance-mismatch': the previous balance differs from the current balance
+ *   of the preceding receipt in the currency
+ * - 'fee-total-mismatch': the total fees by origin did not grow by exactly
+ *   the fee paid since the preceding receipt in the currency
+ * - 'transfer-total-mismatch': the total transfer did not grow by exactly the
+ *   single transfer since the preceding payment from the same sender to the
+ *   same recipient in the currency
+ *
+ * Each violation holds the receipts proving it, e.g. for use in a challenge.
+ * @alias module:nahmii-sdk
+ * @example
+ * const verifier = new ReceiptChainVerifier(provider);
+ * const report = await verifier.verifyWallet(wallet.address);
+ * if (!report.valid)
+ *     report.violations.forEach(v => console.log(`Receipt ${v.nonce}: ${v.message}`));
+ */
+class ReceiptChainVerifier {
+    /**
+     * Constructor
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     */
+    constructor(provider) {
+        _provider.set(this, provider);
+    }
+
+    /**
+     * Fetches all receipts of the wallet and verifies them. The EIP-712
+     * domain of the cluster is fetched if any receipt has an EIP-712 seal.
+     * @param {EthereumAddress|string} address - The wallet address
+     * @returns {Promise<Object>} A promise that resolves into a report, see verify()
+     */
+    async verifyWallet(address) {
+        const provider = _provider.get(this);
+        const receipts = [];
+        for await (const json of provider.iterateWalletReceipts(address).json())
+            receipts.push(json);
+
+        const domain = receipts.some(eip712.hasTypedDataSeal) ? await provider.getEip712Domain() : null;
+        return this.verify(address, receipts, {domain});
+    }
+
+    /**
+     * Verifies the given receipts of the wallet. The receipts are verified in
+     * nonce order, regardless of the order given.
+     * @param {EthereumAddress|string} address - The wallet address
+     * @param {Array<Receipt|Object>} receipts - Receipts, or receipts as JSON
+     * @param {Object} [options]
+     * @param {Object} [options.domain] - The EIP-712 domain, required to verify EIP-712 seals, see NahmiiProvider.getEip712Domain()
+     * @returns {Object} A report {wallet, receipts, violations, valid}, where receipts is the number of receipts verified and each violation is {type, nonce, message, expected, actual, receipts}
+     */
+    verify(address, receipts, options = {}) {
+        const {domain = null} = options;
+        const wallet = EthereumAddress.from(address);
+        if (!wallet)
+            throw new TypeError('address is not a valid Ethereum address');
+
+        const violations = [];
+        const entries = [];
+        for (const receipt of receipts) {
+            const json = receipt instanceof Receipt ? receipt.toJSON() : receipt;
+            const entry = toEntry(json, wallet);
+            if (entry)
+                entries.push(entry);
+            else
+                violations.push(violation('malformed-receipt', null, 'The receipt can not be read, or does not involve the wallet', [json]));
+        }
+        entries.sort((a, b) => a.nonce - b.nonce);
+
+        const lastByCurrency = new Map();
+        const lastByTransferPair = new Map();
+        let last = null;
+        for (const entry of entries) {
+            violations.push(
+                ...verifySeal.call(this, entry, domain),
+                ...verifyReceipt(entry)
+            );
+
+            if (last)
+                violations.push(...verifyNonce(last, entry));
+            last = entry;
+
+            const lastInCurrency = lastByCurrency.get(entry.currencyKey);
+            if (lastInCurrency) {
+                violations.push(
+                    ...verifyBalances(lastInCurrency, entry),
+                    ...verifyFeeTotals(lastInCurrency, entry)
+                );
+            }
+            lastByCurrency.set(entry.currencyKey, entry);
+
+            const lastOfPair = lastByTransferPair.get(entry.transferPairKey);
+            if (lastOfPair)
+                violations.push(...verifyTransferTotals(lastOfPair, entry));
+            lastByTransferPair.set(entry.transferPairKey, entry);
+        }
+
+        return {
+            wallet: wallet.toString(),
+            receipts: entries.length,
+            violations,
+            valid: violations.length === 0
+        };
+    }
+}
+
+/**
+ * Extracts what is verified from a receipt, or null if the receipt can not
+ * be read.
+ * @private
+ */
+function toEntry(json, wallet) {
+    try {
+        const currency = Currency.from(json.currency);
+        const sender = EthereumAddress.from(json.sender.wallet);
+        const recipient = EthereumAddress.from(json.recipient.wallet);
+        if (!sender || !recipient)
+            return null;
+
+        const role = sender.isEqual(wallet) ? 'sender' : recipient.isEqual(wallet) ? 'recipient' : null;
+        if (!role)
+            return null;
+
+        const party = json[role];
+        if (!Number.isInteger(party.nonce))
+            return null;
+
+        return {
+            json,
+            role,
+            party,
+            nonce: party.nonce,
+            currency,
+            currencyKey: currencyKey(currency),
+            transferPairKey: `${sender}/${recipient}/${currencyKey(currency)}`,
+            amount: bigNumberify(json.amount),
+            previousBalance: bigNumberify(party.balances.previous),
+            currentBalance: bigNumberify(party.balances.current),
+            singleTransfer: bigNumberify(json.transfers.single),
+            totalTransfer: bigNumberify(json.transfers.total),
+            singleFee: role === 'sender' ? toSingleFee(party.fees && party.fees.single) : null,
+            feeTotals: sumFeeTotals(party.fees && party.fees.total)
+        };
+    }
+    catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Private method, invoke with 'this' bound to verifier instance.
+ * @private
+ */
+function verifySeal(entry, domain) {
+    let isSigned;
+    try {
+        isSigned = Receipt.from(entry.json, _provider.get(this)).isSigned({domain});
+    }
+    catch (err) {
+        isSigned = false;
+    }
+    return isSigned ? [] : [
+        violation('invalid-seal', entry.nonce, 'The receipt is not signed by the wallet and the operator', [entry.json])
+    ];
+}
+
+/**
+ * Verifies the receipt on its own.
+ * @private
+ */
+function verifyReceipt(entry) {
+    const violations = [];
+
+    if (!entry.singleTransfer.eq(entry.amount)) {
+        violations.push(violation(
+            'transfer-mismatch', entry.nonce, 'The single transfer differs from the payment amount',
+            [entry.json], entry.amount, entry.singleTransfer
+        ));
+    }
+
+    let expectedBalance = entry.previousBalance;
+    if (entry.role === 'sender') {
+        expectedBalance = expectedBalance.sub(entry.singleTransfer);
+        if (entry.singleFee && entry.singleFee.currency.isEqual(entry.currency))
+            expectedBalance = expectedBalance.sub(entry.singleFee.amount);
+    }
+    else {
+        expectedBalance = expectedBalance.add(entry.singleTransfer);
+    }
+    if (!entry.currentBalance.eq(expectedBalance)) {
+        violations.push(violation(
+            'invalid-balance-change', entry.nonce, 'The balance change does not match the transfer and fee',
+            [entry.json], expectedBalance, entry.currentBalance
+        ));
+    }
+
+    return violations;
+}
+
+/**
+ * @private
+ */
+function verifyNonce(previous, entry) {
+    if (entry.nonce === previous.nonce) {
+        return [violation(
+            'duplicate-nonce', entry.nonce, 'Another receipt has the same nonce',
+            [previous.json, entry.json]
+        )];
+    }
+    if (entry.nonce !== previous.nonce + 1) {
+        return [violation(
+            'nonce-gap', entry.nonce, 'One or more receipts are missing before this receipt',
+            [previous.json, entry.json], previous.nonce + 1, entry.nonce
+        )];
+    }
+    return [];
+}
+
+/**
+ * @private
+ */
+function verifyBalances(previous, entry) {
+    if (entry.previousBalance.eq(previous.currentBalance))
+        return [];
+    return [violation(
+        'balance-mismatch', entry.nonce, 'The previous balance differs from the balance of the preceding receipt',
+        [previous.json, entry.json], previous.currentBalance, entry.previousBalance
+    )];
+}
+
+/**
+ * Verifies that the total fees grew by the fee paid, if any, and that no
+ * total fee of an origin decreased.
+ * @private
+ */
+function verifyFeeTotals(previous, entry) {
+    const expectedIncrease = new Map();
+    if (entry.singleFee)
+        expectedIncrease.set(currencyKey(entry.singleFee.currency), entry.singleFee.amount);
+
+    const increase = new Map();
+    const keys = new Set([...previous.feeTotals.keys(), ...entry.feeTotals.keys()]);
+    for (const key of keys) {
+        const [feeCurrencyKey, originId] = key.split('#');
+        const diff = (entry.feeTotals.get(key) || bigNumberify(0)).sub(previous.feeTotals.get(key) || bigNumberify(0));
+        if (diff.lt(0)) {
+            return [violation(
+                'fee-total-mismatch', entry.nonce, `The total fee of origin ${originId} decreased`,
+                [previous.json, entry.json], previous.feeTotals.get(key), entry.feeTotals.get(key) || bigNumberify(0)
+            )];
+        }
+        increase.set(feeCurrencyKey, diff.add(increase.get(feeCurrencyKey) || 0));
+    }
+
+    const violations = [];
+    const feeCurrencyKeys = new Set([...expectedIncrease.keys(), ...increase.keys()]);
+    for (const key of feeCurrencyKeys) {
+        const expected = expectedIncrease.get(key) || bigNumberify(0);
+        const actual = increase.get(key) || bigNumberify(0);
+        if (!actual.eq(expected)) {
+            violations.push(violation(
+                'fee-total-mismatch', entry.nonce, `The total fees in ${key} did not grow by the fee paid`,
+                [previous.json, entry.json], expected, actual
+            ));
+        }
+    }
+    return violations;
+}
+
+/**
+ * @private
+ */
+function verifyTransferTotals(previous, entry) {
+    const expected = previous.totalTransfer.add(entry.singleTransfer);
+    if (entry.totalTransfer.eq(expected))
+        return [];
+    return [violation(
+        'transfer-total-mismatch', entry.nonce, 'The total transfer did not grow by the single transfer',
+        [previous.json, entry.json], expected, entry.totalTransfer
+    )];
+}
+
+/**
+ * Reads the fee paid by the sender, throws if it is malformed.
+ * @private
+ */
+function toSingleFee(fee) {
+    if (!fee)
+        return null;
+    return {currency: Currency.from(fee.currency), amount: bigNumberify(fee.amount)};
+}
+
+/**
+ * Sums the total fee figures by currency and origin, throws if they are
+ * malformed.
+ * @private
+ */
+function sumFeeTotals(totals = []) {
+    const sums = new Map();
+    for (const {originId, figure} of totals) {
+        const currency = Currency.from(figure.currency);
+        const key = `${currencyKey(currency)}#${originId}`;
+        sums.set(key, bigNumberify(figure.amount).add(sums.get(key) || 0));
+    }
+    return sums;
+}
+
+function currencyKey(currency) {
+    return `${currency.ct}/${currency.id}`;
+}
+
+function violation(type, nonce, message, receipts, expected = null, actual = null) {
+    return {
+        type,
+        nonce,
+        message,
+        expected: expected === null ? null : expected.toString(),
+        actual: actual === null ? null : actual.toString(),
+        receipts
+    };
+}
+
+module.exports = ReceiptChainVerifier;
@@ -0,0 +1,236 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const {ApiPayloadFactory} = require('../test-utils');
+
+const Wallet = proxyquire('./wallet/wallet', {
+    './client-fund-contract': function() {
+        return {};
+    },
+    './balance-tracker-contract': function() {
+        return {};
+    },
+    './erc20-contract': function() {
+        return {};
+    }
+});
+
+const Payment = proxyquire('./payment', {
+    './wallet': Wallet
+});
+
+const Receipt = proxyquire('./receipt', {
+    './wallet': Wallet,
+    './payment': Payment
+});
+
+const ReceiptChainVerifier = proxyquire('./receipt-chain-verifier', {
+    './receipt': Receipt
+});
+
+const currency = {ct: '0x0000000000000000000000000000000000000001', id: '0'};
+const operatorPrivateKey = '252c772d9e9d570c726473927c52f23227cc674b6567935287d3f4a76a57d352';
+const walletKey = '3a1076bf45ab87712ad64ccb3b10217737f7faacbf2872e88fdd9a537d8fe266';
+const otherKey = '0F'.repeat(32);
+const recipient = '0x0000000000000000000000000000000000000003';
+const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000010'};
+
+const wallet = new ApiPayloadFactory({senderPrivateKey: walletKey, operatorPrivateKey, recipient, currency}).sender;
+
+function feeTotal(amount) {
+    return [{originId: '1', figure: {currency, amount}}];
+}
+
+async function signedReceipt(senderKey, recipientAddress, amount, modify) {
+    const fixture = new ApiPayloadFactory({
+        senderPrivateKey: senderKey, operatorPrivateKey, recipient: recipientAddress, currency, amount
+    });
+    const payment = await fixture.createSignedPayment(fixture.createUnsignedPayment('ref'));
+    const receipt = fixture.createUnsignedReceipt(payment);
+    receipt.transfers = {single: amount, total: amount};
+    modify(receipt);
+    return fixture.createSignedReceipt(receipt);
+}
+
+function sent(nonce, previous, current, {amount = '100', fee = '1', transferTotal = amount, feesTotal = fee} = {}) {
+    return signedReceipt(walletKey, recipient, amount, receipt => {
+        receipt.sender.nonce = nonce;
+        receipt.sender.balances = {previous, current};
+        receipt.sender.fees = {single: {currency, amount: fee}, total: feeTotal(feesTotal)};
+        receipt.transfers.total = transferTotal;
+    });
+}
+
+function received(nonce, previous, current, {amount = '50', feesTotal = '1'} = {}) {
+    return signedReceipt(otherKey, wallet, amount, receipt => {
+        receipt.recipient.nonce = nonce;
+        receipt.recipient.balances = {previous, current};
+        receipt.recipient.fees = {total: feeTotal(feesTotal)};
+    });
+}
+
+async function sealedAsTypedData(json, provider) {
+    const receipt = Receipt.from(json, new Wallet(operatorPrivateKey, provider));
+    await receipt.sign({scheme: 'eip712', domain});
+    return receipt.toJSON();
+}
+
+function types(report) {
+    return report.violations.map(v => [v.type, v.nonce]);
+}
+
+describe('ReceiptChainVerifier', () => {
+    let provider, verifier, receipts;
+
+    beforeEach(async () => {
+        receipts = [
+            await sent(1, '1000', '899'),
+            await received(2, '899', '949'),
+            await sent(3, '949', '848', {transferTotal: '200', feesTotal: '2'})
+        ];
+        provider = {
+            operatorAddress: new ApiPayloadFactory({operatorPrivateKey}).operator,
+            iterateWalletReceipts: address => ({
+                json: async function* () {
+                    if (address === wallet)
+                        yield* receipts;
+                }
+            })
+        };
+        verifier = new ReceiptChainVerifier(provider);
+    });
+
+    it('finds no violations in a consistent chain of receipts', async () => {
+        expect(await verifier.verifyWallet(wallet)).to.eql({
+            wallet, receipts: 3, violations: [], valid: true
+        });
+    });
+
+    it('verifies receipts in nonce order', () => {
+        expect(verifier.verify(wallet, receipts.slice().reverse()).valid).to.be.true;
+    });
+
+    it('verifies Receipt instances', () => {
+        const report = verifier.verify(wallet, receipts.map(r => Receipt.from(r, provider)));
+        expect(report.valid).to.be.true;
+    });
+
+    it('throws on an invalid address', () => {
+        expect(() => verifier.verify('not an address', receipts)).to.throw(TypeError);
+    });
+
+    it('reports receipts that do not involve the wallet', () => {
+        const report = verifier.verify(recipient.replace(/3$/, '4'), receipts);
+        expect(report.receipts).to.eql(0);
+        expect(types(report)).to.eql([['malformed-receipt', null], ['malformed-receipt', null], ['malformed-receipt', null]]);
+    });
+
+    it('reports malformed receipts', () => {
+        delete receipts[1].transfers;
+        expect(types(verifier.verify(wallet, receipts))).to.eql([
+            ['malformed-receipt', null], ['nonce-gap', 3], ['balance-mismatch', 3]
+        ]);
+    });
+
+    it('reports receipts with a seal that does not verify', () => {
+        receipts[1].recipient.balances.current = '950';
+        receipts[2].sender.balances.previous = '950';
+        receipts[2].sender.balances.current = '849';
+        const report = verifier.verify(wallet, receipts);
+        expect(types(report)).to.eql([['invalid-seal', 2], ['invalid-balance-change', 2], ['invalid-seal', 3]]);
+        expect(report.violations[0].receipts).to.eql([receipts[1]]);
+    });
+
+    it('verifies EIP-712 seals against the domain of the cluster', async () => {
+        receipts[1] = await sealedAsTypedData(receipts[1], provider);
+        provider.getEip712Domain = sinon.stub().resolves(domain);
+        expect((await verifier.verifyWallet(wallet)).valid).to.be.true;
+        expect(provider.getEip712Domain).to.have.been.calledOnce;
+    });
+
+    it('verifies EIP-712 seals against the domain given', async () => {
+        receipts[1] = await sealedAsTypedData(receipts[1], provider);
+        expect(verifier.verify(wallet, receipts, {domain}).valid).to.be.true;
+        expect(types(verifier.verify(wallet, receipts, {domain: Object.assign({}, domain, {chainId: 1})})))
+            .to.eql([['invalid-seal', 2]]);
+    });
+
+    it('reports EIP-712 seals verified without a domain', async () => {
+        receipts[1] = await sealedAsTypedData(receipts[1], provider);
+        expect(types(verifier.verify(wallet, receipts))).to.eql([['invalid-seal', 2]]);
+    });
+
+    it('reports receipts signed by another operator', () => {
+        provider.operatorAddress = recipient;
+        expect(types(verifier.verify(wallet, receipts))).to.eql([['invalid-seal', 1], ['invalid-seal', 2], ['invalid-seal', 3]]);
+    });
+
+    it('reports missing receipts', async () => {
+        receipts.splice(1, 1);
+        const report = verifier.verify(wallet, receipts);
+        expect(types(report)).to.eql([['nonce-gap', 3], ['balance-mismatch', 3]]);
+        expect(report.violations[0]).to.include({expected: '2', actual: '3'});
+        expect(report.violations[0].receipts).to.eql(receipts);
+        expect(report.violations[1]).to.include({expected: '899', actual: '949'});
+        expect(report.valid).to.be.false;
+    });
+
+    it('reports receipts with the same nonce', async () => {
+        receipts[2] = await sent(2, '949', '848', {transferTotal: '200', feesTotal: '2'});
+        expect(types(verifier.verify(wallet, receipts))).to.eql([['duplicate-nonce', 2]]);
+    });
+
+    it('reports a transfer that differs from the payment amount', async () => {
+        receipts[0] = await signedReceipt(walletKey, recipient, '100', receipt => {
+            receipt.sender.balances = {previous: '1000', current: '899'};
+            receipt.sender.fees = {single: {currency, amount: '1'}, total: feeTotal('1')};
+            receipt.transfers = {single: '100', total: '100'};
+            receipt.amount = '99';
+        });
+        expect(types(verifier.verify(wallet, receipts))).to.eql([['invalid-seal', 1], ['transfer-mismatch', 1]]);
+    });
+
+    it('reports a balance change that does not match the transfer and fee', async () => {
+        receipts[2] = await sent(3, '949', '849', {transferTotal: '200', feesTotal: '2'});
+        const report = verifier.verify(wallet, receipts);
+        expect(types(report)).to.eql([['invalid-balance-change', 3]]);
+        expect(report.violations[0]).to.include({expected: '848', actual: '849'});
+    });
+
+    it('does not deduct fees paid in another currency from the balance', async () => {
+        receipts = [await signedReceipt(walletKey, recipient, '100', receipt => {
+            receipt.sender.balances = {previous: '1000', current: '900'};
+            receipt.sender.fees.single.currency = {ct: '0x0000000000000000000000000000000000000002', id: '0'};
+        })];
+        expect(verifier.verify(wallet, receipts).valid).to.be.true;
+    });
+
+    it('reports total fees that did not grow by the fee paid', async () => {
+        receipts[2] = await sent(3, '949', '848', {transferTotal: '200', feesTotal: '3'});
+        const report = verifier.verify(wallet, receipts);
+        expect(types(report)).to.eql([['fee-total-mismatch', 3]]);
+        expect(report.violations[0]).to.include({expected: '1', actual: '2'});
+    });
+
+    it('reports total fees that decreased', async () => {
+        receipts[1] = await received(2, '899', '949', {feesTotal: '0'});
+        receipts[2] = await sent(3, '949', '848', {transferTotal: '200', feesTotal: '1'});
+        const report = verifier.verify(wallet, receipts);
+        expect(types(report)).to.eql([['fee-total-mismatch', 2]]);
+        expect(report.violations[0]).to.include({expected: '1', actual: '0'});
+    });
+
+    it('reports total transfers that did not grow by the transfer', async () => {
+        receipts[2] = await sent(3, '949', '848', {transferTotal: '100', feesTotal: '2'});
+        const report = verifier.verify(wallet, receipts);
+        expect(types(report)).to.eql([['transfer-total-mismatch', 3]]);
+        expect(report.violations[0]).to.include({expected: '200', actual: '100'});
+        expect(report.violations[0].receipts).to.eql([receipts[0], receipts[2]]);
+    });
+});
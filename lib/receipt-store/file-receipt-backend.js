@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const fs = require('fs');
+const {promisify} = require('util');
+const ReceiptStoreBackend = require('./receipt-store-backend');
+const MemoryReceiptBackend = require('./memory-receipt-backend');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+const _path = new WeakMap();
+const _memory = new WeakMap();
+const _pendingWrite = new WeakMap();
+
+/**
+ * @class FileReceiptBackend
+ * Receipt store backend keeping the receipts in a JSON file. The file is
+ * read on first use and rewritten whenever receipts are added, so it is
+ * suited for a moderate number of receipts, e.g. for dashboards and scripts.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {ReceiptStore, FileReceiptBackend} = require('nahmii-sdk');
+ *
+ * const store = new ReceiptStore(provider, {backend: new FileReceiptBackend('./receipts.json')});
+ */
+class FileReceiptBackend extends ReceiptStoreBackend {
+    /**
+     * Constructor
+     * @param {string} path - Path to the JSON file, created if it does not exist
+     */
+    constructor(path) {
+        super();
+
+        if (typeof path !== 'string' || !path)
+            throw new TypeError('path is not a non-empty string');
+
+        _path.set(this, path);
+        _pendingWrite.set(this, Promise.resolve());
+    }
+
+    async getLastNonce(wallet) {
+        const memory = await load.call(this);
+        return memory.getLastNonce(wallet);
+    }
+
+    async putReceipts(wallet, records, lastNonce) {
+        await update.call(this, memory => memory.putReceipts(wallet, records, lastNonce));
+    }
+
+    async getReceipts(wallet, filter = {}) {
+        const memory = await load.call(this);
+        return memory.getReceipts(wallet, filter);
+    }
+}
+
+/**
+ * Reads the file into memory, once.
+ * Private method, invoke with 'this' bound to backend instance.
+ * @private
+ * @returns {Promise<MemoryReceiptBackend>}
+ */
+function load() {
+    if (!_memory.has(this)) {
+        _memory.set(this, readFile(_path.get(this), 'utf8')
+            .then(text => new MemoryReceiptBackend(JSON.parse(text)))
+            .catch(err => {
+                if (err.code === 'ENOENT')
+                    return new MemoryReceiptBackend();
+                _memory.delete(this);
+                throw err;
+            }));
+    }
+    return _memory.get(this);
+}
+
+/**
+ * Applies a change to a copy of the data, writes the copy to a temporary file
+ * and renames it over the file, so that the file is never left half written.
+ * The copy replaces the data in memory only once written, so that a failed
+ * write leaves both unchanged. Updates are serialized.
+ * Private method, invoke with 'this' bound to backend instance.
+ * @private
+ * @param {function(MemoryReceiptBackend): Promise} change - Applies the change to the copy
+ * @returns {Promise}
+ */
+function update(change) {
+    const path = _path.get(this);
+    const write = _pendingWrite.get(this)
+        .catch(() => {
+            // Reported by the update that failed
+        })
+        .then(() => load.call(this))
+        .then(async memory => {
+            const next = new MemoryReceiptBackend(memory.toJSON());
+            await change(next);
+            const tmpPath = `${path}.tmp`;
+            await writeFile(tmpPath, JSON.stringify(next.toJSON()), 'utf8');
+            await rename(tmpPath, path);
+            _memory.set(this, Promise.resolve(next));
+        });
+    _pendingWrite.set(this, write);
+    return write;
+}
+
+module.exports = FileReceiptBackend;
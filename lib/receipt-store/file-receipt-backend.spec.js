@@ -0,0 +1,87 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileReceiptBackend = require('./file-receipt-backend');
+
+const wallet = '0x0000000000000000000000000000000000000001';
+const eth = {ct: '0x0000000000000000000000000000000000000000', id: 0};
+
+function record(nonce) {
+    return {nonce, currency: eth, receipt: {nonce}};
+}
+
+describe('FileReceiptBackend', () => {
+    let dir, file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-receipts-'));
+        file = path.join(dir, 'receipts.json');
+    });
+
+    afterEach(() => {
+        for (const f of fs.readdirSync(dir))
+            fs.unlinkSync(path.join(dir, f));
+        fs.rmdirSync(dir);
+    });
+
+    it('requires a path', () => {
+        expect(() => new FileReceiptBackend()).to.throw(TypeError);
+    });
+
+    it('starts empty if the file does not exist', async () => {
+        const backend = new FileReceiptBackend(file);
+        expect(await backend.getLastNonce(wallet)).to.be.null;
+        expect(await backend.getReceipts(wallet)).to.eql([]);
+    });
+
+    it('writes the receipts to the file', async () => {
+        const backend = new FileReceiptBackend(file);
+        await backend.putReceipts(wallet, [record(1), record(2)], 2);
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(data.wallets[wallet].lastNonce).to.eql(2);
+        expect(fs.existsSync(`${file}.tmp`)).to.be.false;
+    });
+
+    it('reads the receipts from the file', async () => {
+        await new FileReceiptBackend(file).putReceipts(wallet, [record(1), record(2)], 3);
+        const backend = new FileReceiptBackend(file);
+        expect(await backend.getLastNonce(wallet)).to.eql(3);
+        expect(await backend.getReceipts(wallet, {fromNonce: 2})).to.eql([{nonce: 2}]);
+    });
+
+    it('serializes concurrent writes', async () => {
+        const backend = new FileReceiptBackend(file);
+        await Promise.all([
+            backend.putReceipts(wallet, [record(1)], 1),
+            backend.putReceipts(wallet, [record(2)], 2)
+        ]);
+        const reloaded = new FileReceiptBackend(file);
+        expect(await reloaded.getReceipts(wallet)).to.eql([{nonce: 1}, {nonce: 2}]);
+        expect(await reloaded.getLastNonce(wallet)).to.eql(2);
+    });
+
+    it('keeps the receipts in memory unchanged if writing the file fails', async () => {
+        const backend = new FileReceiptBackend(path.join(dir, 'missing', 'receipts.json'));
+        await backend.putReceipts(wallet, [record(1)], 1).then(() => expect.fail('should have rejected'), err => {
+            expect(err.code).to.eql('ENOENT');
+        });
+        expect(await backend.getLastNonce(wallet)).to.be.null;
+        expect(await backend.getReceipts(wallet)).to.eql([]);
+    });
+
+    it('rejects if the file is corrupt, and reads it again on next use', async () => {
+        fs.writeFileSync(file, 'not json');
+        const backend = new FileReceiptBackend(file);
+        await backend.getLastNonce(wallet).then(() => expect.fail('should have rejected'), err => {
+            expect(err).to.be.an.instanceOf(SyntaxError);
+        });
+
+        fs.writeFileSync(file, JSON.stringify({wallets: {[wallet]: {lastNonce: 7, receipts: {}}}}));
+        expect(await backend.getLastNonce(wallet)).to.eql(7);
+    });
+});
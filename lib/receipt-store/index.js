@@ -0,0 +1,13 @@
+'use strict';
+
+const ReceiptStore = require('./receipt-store');
+const ReceiptStoreBackend = require('./receipt-store-backend');
+const MemoryReceiptBackend = require('./memory-receipt-backend');
+const FileReceiptBackend = require('./file-receipt-backend');
+
+module.exports = {
+    ReceiptStore,
+    ReceiptStoreBackend,
+    MemoryReceiptBackend,
+    FileReceiptBackend
+};
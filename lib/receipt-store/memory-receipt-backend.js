@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const ReceiptStoreBackend = require('./receipt-store-backend');
+
+const _wallets = new WeakMap();
+
+/**
+ * @class MemoryReceiptBackend
+ * Receipt store backend keeping the receipts in memory. Receipts are lost
+ * when the process exits.
+ * @alias module:nahmii-sdk
+ */
+class MemoryReceiptBackend extends ReceiptStoreBackend {
+    /**
+     * Constructor
+     * @param {Object} [data] - Previously stored data, as returned by toJSON()
+     */
+    constructor(data = {}) {
+        super();
+        _wallets.set(this, copy(data.wallets || {}));
+    }
+
+    async getLastNonce(wallet) {
+        const entry = _wallets.get(this)[wallet];
+        return entry ? entry.lastNonce : null;
+    }
+
+    async putReceipts(wallet, records, lastNonce) {
+        const wallets = _wallets.get(this);
+        const entry = wallets[wallet] || {lastNonce: null, receipts: {}};
+
+        for (const record of records)
+            entry.receipts[record.nonce] = copy(record);
+        entry.lastNonce = lastNonce;
+
+        wallets[wallet] = entry;
+    }
+
+    async getReceipts(wallet, filter = {}) {
+        const entry = _wallets.get(this)[wallet];
+        if (!entry)
+            return [];
+
+        const {currency, fromNonce, toNonce} = filter;
+        return Object.values(entry.receipts)
+            .filter(r => (fromNonce === undefined || fromNonce === null || r.nonce >= fromNonce) &&
+                (toNonce === undefined || toNonce === null || r.nonce <= toNonce) &&
+                (!currency || (r.currency.ct === currency.ct && r.currency.id === currency.id)))
+            .sort((a, b) => a.nonce - b.nonce)
+            .map(r => copy(r.receipt));
+    }
+
+    /**
+     * Returns all stored data as a JSON object.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {wallets: copy(_wallets.get(this))};
+    }
+}
+
+function copy(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+module.exports = MemoryReceiptBackend;
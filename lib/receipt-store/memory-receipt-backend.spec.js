@@ -0,0 +1,86 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const MemoryReceiptBackend = require('./memory-receipt-backend');
+const ReceiptStoreBackend = require('./receipt-store-backend');
+
+const wallet = '0x0000000000000000000000000000000000000001';
+const eth = {ct: '0x0000000000000000000000000000000000000000', id: 0};
+const token = {ct: '0x0000000000000000000000000000000000000011', id: 0};
+
+function record(nonce, currency = eth) {
+    return {nonce, currency, receipt: {nonce, currency}};
+}
+
+describe('MemoryReceiptBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = new MemoryReceiptBackend();
+    });
+
+    it('is a ReceiptStoreBackend', () => {
+        expect(backend).to.be.an.instanceOf(ReceiptStoreBackend);
+    });
+
+    it('has no last nonce for an unknown wallet', async () => {
+        expect(await backend.getLastNonce(wallet)).to.be.null;
+    });
+
+    it('has no receipts for an unknown wallet', async () => {
+        expect(await backend.getReceipts(wallet)).to.eql([]);
+    });
+
+    context('with receipts', () => {
+        beforeEach(async () => {
+            await backend.putReceipts(wallet, [record(3, token), record(1)], 3);
+            await backend.putReceipts(wallet, [record(2)], 5);
+        });
+
+        it('has the last nonce', async () => {
+            expect(await backend.getLastNonce(wallet)).to.eql(5);
+        });
+
+        it('returns the receipts ordered by nonce', async () => {
+            expect(await backend.getReceipts(wallet)).to.eql([1, 2, 3].map(n => record(n, n === 3 ? token : eth).receipt));
+        });
+
+        it('filters by currency', async () => {
+            expect(await backend.getReceipts(wallet, {currency: token})).to.eql([record(3, token).receipt]);
+        });
+
+        it('filters by nonce', async () => {
+            expect(await backend.getReceipts(wallet, {fromNonce: 2, toNonce: 2})).to.eql([record(2).receipt]);
+        });
+
+        it('replaces receipts of the same nonce', async () => {
+            await backend.putReceipts(wallet, [{nonce: 2, currency: eth, receipt: {replaced: true}}], 5);
+            expect(await backend.getReceipts(wallet, {fromNonce: 2, toNonce: 2})).to.eql([{replaced: true}]);
+        });
+
+        it('returns copies of the receipts', async () => {
+            const [receipt] = await backend.getReceipts(wallet);
+            receipt.nonce = 100;
+            expect((await backend.getReceipts(wallet))[0].nonce).to.eql(1);
+        });
+
+        it('can be restored from its JSON', async () => {
+            const restored = new MemoryReceiptBackend(JSON.parse(JSON.stringify(backend)));
+            expect(await restored.getLastNonce(wallet)).to.eql(5);
+            expect(await restored.getReceipts(wallet)).to.eql(await backend.getReceipts(wallet));
+        });
+    });
+});
+
+describe('ReceiptStoreBackend', () => {
+    ['getLastNonce', 'putReceipts', 'getReceipts'].forEach(method => {
+        it(`requires ${method}() to be implemented`, async () => {
+            await new ReceiptStoreBackend()[method](wallet)
+                .then(() => expect.fail('should have rejected'), err => {
+                    expect(err.message).to.match(/not implemented/);
+                });
+        });
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+/**
+ * @class ReceiptStoreBackend
+ * Adapter interface for the storage used by a ReceiptStore. Extend this class
+ * to keep receipts in a database; MemoryReceiptBackend and FileReceiptBackend
+ * are provided.
+ * Wallet addresses are passed as lower case hex strings and currencies as
+ * {ct, id} objects with a lower case contract address and a numeric id.
+ * Receipts are passed as plain JSON objects, as returned by the API.
+ * @alias module:nahmii-sdk
+ * @example
+ * class MongoReceiptBackend extends ReceiptStoreBackend {
+ *     async getLastNonce() {
+ *         const doc = await db.collection('wallets').findOne({wallet});
+ *         return doc ? doc.lastNonce : null;
+ *     }
+ *     async putReceipts(wallet, records, lastNonce) {
+ *         if (records.length)
+ *             await db.collection('receipts').insertMany(records.map(r => ({wallet, ...r})));
+ *         await db.collection('wallets').updateOne({wallet}, {$set: {lastNonce}}, {upsert: true});
+ *     }
+ *     async getReceipts(wallet, {currency, fromNonce, toNonce}) {
+ *         // Query, sort by nonce and map to the receipt property
+ *     }
+ * }
+ */
+class ReceiptStoreBackend {
+    /**
+     * Returns the highest nonce the wallet has been synced to.
+     * @param {string} wallet - The wallet address
+     * @returns {Promise<number|null>} The nonce, or null if the wallet has never been synced
+     */
+    async getLastNonce() {
+        throw new Error('getLastNonce() is not implemented');
+    }
+
+    /**
+     * Adds receipts of a wallet and updates the nonce the wallet has been
+     * synced to. Receipts already stored for a nonce are replaced.
+     * @param {string} wallet - The wallet address
+     * @param {Object[]} records - The receipts to add
+     * @param {number} records[].nonce - The nonce of the wallet in the receipt
+     * @param {Object} records[].currency - The currency of the receipt
+     * @param {Object} records[].receipt - The receipt as JSON
+     * @param {number} lastNonce - The highest nonce the wallet has been synced to
+     * @returns {Promise}
+     */
+    async putReceipts() {
+        throw new Error('putReceipts() is not implemented');
+    }
+
+    /**
+     * Returns the stored receipts of a wallet, ordered by ascending nonce.
+     * @param {string} wallet - The wallet address
+     * @param {Object} [filter]
+     * @param {Object} [filter.currency] - Only receipts in this currency
+     * @param {number} [filter.fromNonce] - Lowest nonce to include
+     * @param {number} [filter.toNonce] - Highest nonce to include
+     * @returns {Promise<Object[]>} The receipts as JSON
+     */
+    async getReceipts() {
+        throw new Error('getReceipts() is not implemented');
+    }
+}
+
+module.exports = ReceiptStoreBackend;
@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const dbg = require('../dbg');
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const Currency = require('../currency');
+const Receipt = require('../receipt');
+const eip712 = require('../eip712');
+const WalletReceiptIterator = require('../wallet-receipt-iterator');
+const {determineNonceFromReceipt} = require('../settlement/utils');
+const MemoryReceiptBackend = require('./memory-receipt-backend');
+
+const _provider = new WeakMap();
+const _backend = new WeakMap();
+const _verify = new WeakMap();
+const _pageSize = new WeakMap();
+const _queues = new WeakMap();
+const _pendingSyncs = new WeakMap();
+const _eventProvider = new WeakMap();
+const _eip712Domain = new WeakMap();
+
+/**
+ * @class ReceiptStore
+ * Keeps a local copy of the payment receipts of wallets, so that the receipt
+ * history does not have to be downloaded from the API every time it is used.
+ * Receipts are synced incrementally by nonce, and only receipts signed by
+ * the operator are stored. The store can keep itself current by watching a
+ * NahmiiEventProvider for new receipts.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {ReceiptStore, FileReceiptBackend, NahmiiEventProvider} = require('nahmii-sdk');
+ *
+ * const store = new ReceiptStore(provider, {backend: new FileReceiptBackend('./receipts.json')});
+ * await store.sync(wallet_address);
+ * store.watch(await NahmiiEventProvider.from(provider));
+ *
+ * const receipts = await store.getReceipts(wallet_address, {currency: ct});
+ */
+class ReceiptStore {
+    /**
+     * Constructor
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance, used to fetch and verify receipts
+     * @param {Object} [options]
+     * @param {ReceiptStoreBackend} [options.backend] - Where the receipts are kept, defaults to a MemoryReceiptBackend
+     * @param {boolean} [options.verify=true] - Only store receipts that are signed by the operator
+     * @param {number} [options.pageSize=100] - Number of receipts fetched per request when syncing
+     */
+    constructor(provider, options = {}) {
+        const {backend = new MemoryReceiptBackend(), verify = true, pageSize = 100} = options;
+
+        if (!backend || typeof backend.getLastNonce !== 'function' ||
+            typeof backend.putReceipts !== 'function' || typeof backend.getReceipts !== 'function')
+            throw new TypeError('backend does not implement the ReceiptStoreBackend interface');
+
+        _provider.set(this, provider);
+        _backend.set(this, backend);
+        _verify.set(this, !!verify);
+        _pageSize.set(this, pageSize);
+        _queues.set(this, new Map());
+        _pendingSyncs.set(this, new Map());
+        _eip712Domain.set(this, null);
+    }
+
+    /**
+     * The backend the receipts are kept in.
+     * @returns {ReceiptStoreBackend}
+     */
+    get backend() {
+        return _backend.get(this);
+    }
+
+    /**
+     * Fetches the receipts of the wallet that are newer than the stored ones.
+     * Receipts that fail verification are skipped, and the wallet is synced
+     * only up to before them, so that later syncs fetch them again.
+     * Concurrent calls for the same wallet share the same sync.
+     * @param {EthereumAddress|string} address - The wallet address
+     * @returns {Promise<Object>} A promise that resolves into {added, rejected}, the number of receipts stored and the number that failed verification
+     */
+    sync(address) {
+        const wallet = toWalletKey(address);
+        const pendingSyncs = _pendingSyncs.get(this);
+        if (pendingSyncs.has(wallet))
+            return pendingSyncs.get(wallet);
+
+        const pendingSync = enqueue.call(this, wallet, () => syncWallet.call(this, wallet));
+        pendingSyncs.set(wallet, pendingSync);
+
+        const done = () => pendingSyncs.delete(wallet);
+        pendingSync.then(done, done);
+
+        return pendingSync;
+    }
+
+    /**
+     * Returns the stored receipts of the wallet, ordered by ascending nonce.
+     * Does not sync the wallet.
+     * @param {EthereumAddress|string} address - The wallet address
+     * @param {Object} [filter]
+     * @param {Currency|EthereumAddress|string} [filter.currency] - Only receipts in this currency, or currency contract address
+     * @param {number} [filter.fromNonce] - Lowest wallet nonce to include
+     * @param {number} [filter.toNonce] - Highest wallet nonce to include
+     * @returns {Promise<Receipt[]>} Receipts bound to the provider
+     */
+    async getReceipts(address, filter = {}) {
+        const provider = _provider.get(this);
+        const receipts = await this.getReceiptsJSON(address, filter);
+        return receipts.map(json => Receipt.from(json, provider));
+    }
+
+    /**
+     * Returns the stored receipts of the wallet as JSON objects, as returned by
+     * the API, ordered by ascending nonce. Does not sync the wallet.
+     * @param {EthereumAddress|string} address - The wallet address
+     * @param {Object} [filter] - See getReceipts()
+     * @returns {Promise<Object[]>}
+     */
+    async getReceiptsJSON(address, filter = {}) {
+        const {currency, fromNonce, toNonce} = filter;
+        return _backend.get(this).getReceipts(toWalletKey(address), {
+            currency: currency ? toCurrencyKey(currency) : null,
+            fromNonce: fromNonce === undefined ? null : fromNonce,
+            toNonce: toNonce === undefined ? null : toNonce
+        });
+    }
+
+    /**
+     * Returns the stored receipt of the wallet with the highest nonce in the
+     * currency. Does not sync the wallet.
+     * @param {EthereumAddress|string} address - The wallet address
+     * @param {Currency|EthereumAddress|string} currency - The currency, or currency contract address
+     * @returns {Promise<Receipt|null>}
+     */
+    async getLatestReceipt(address, currency) {
+        const receipts = await this.getReceipts(address, {currency});
+        return receipts.length ? receipts[receipts.length - 1] : null;
+    }
+
+    /**
+     * Keeps the store current by adding receipts pushed by the event provider
+     * for wallets that have been synced. A gap in the nonces triggers a sync.
+     * @param {NahmiiEventProvider} eventProvider - The event provider to watch
+     * @returns {ReceiptStore}
+     */
+    watch(eventProvider) {
+        if (_eventProvider.get(this))
+            throw new Error('The receipt store is already watching an event provider');
+
+        _eventProvider.set(this, eventProvider);
+        eventProvider.onNewReceipt(receipt => {
+            if (_eventProvider.get(this) !== eventProvider)
+                return;
+            addNewReceipt.call(this, receipt.toJSON()).catch(err => {
+                dbg('Failed to add new receipt to receipt store', err);
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Stops adding receipts from the event provider given to watch(). The
+     * event provider is not disposed.
+     */
+    unwatch() {
+        _eventProvider.delete(this);
+    }
+}
+
+/**
+ * Fetches and stores the receipts newer than the last synced nonce.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @param {string} wallet - The wallet key
+ * @returns {Promise<Object>}
+ */
+async function syncWallet(wallet) {
+    const backend = _backend.get(this);
+    const lastNonce = await backend.getLastNonce(wallet);
+    const fromNonce = lastNonce === null ? null : lastNonce + 1;
+
+    const receipts = new WalletReceiptIterator(_provider.get(this), wallet, {
+        fromNonce,
+        pageSize: _pageSize.get(this)
+    });
+
+    const walletAddress = EthereumAddress.from(wallet);
+    const pageSize = _pageSize.get(this);
+
+    let records = [];
+    let added = 0;
+    let rejected = 0;
+    let syncedNonce = lastNonce;
+    let highestNonce = lastNonce;
+    let rejectedNonce = null;
+    // The wallet is synced up to before the first rejected receipt, so that it is fetched again on the next sync
+    const syncableNonce = () => rejectedNonce === null ? highestNonce : rejectedNonce - 1;
+
+    for await (const json of receipts.json()) {
+        const nonce = determineNonceFromReceipt(json, walletAddress);
+        highestNonce = highestNonce === null ? nonce : Math.max(highestNonce, nonce);
+
+        const record = await toVerifiedRecord.call(this, json, nonce);
+        if (record) {
+            records.push(record);
+        }
+        else {
+            rejected++;
+            if (rejectedNonce === null || nonce < rejectedNonce)
+                rejectedNonce = nonce;
+        }
+
+        // Store progress as we go, so that large histories are not held in memory
+        if (records.length >= pageSize) {
+            await backend.putReceipts(wallet, records, syncableNonce());
+            added += records.length;
+            records = [];
+            syncedNonce = highestNonce;
+        }
+    }
+
+    if (highestNonce !== syncedNonce) {
+        await backend.putReceipts(wallet, records, syncableNonce());
+        added += records.length;
+    }
+
+    dbg(`Synced receipts of ${wallet}: ${added} added, ${rejected} rejected`);
+    return {added, rejected};
+}
+
+/**
+ * Adds a receipt pushed by the event provider to the synced wallets of the
+ * sender and recipient.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @param {Object} json - The receipt as JSON
+ * @returns {Promise}
+ */
+async function addNewReceipt(json) {
+    const backend = _backend.get(this);
+    const parties = [json.sender, json.recipient].filter(party => party && party.wallet);
+
+    await Promise.all(parties.map(async party => {
+        const wallet = toWalletKey(party.wallet);
+        if (await backend.getLastNonce(wallet) === null)
+            return;
+
+        await enqueue.call(this, wallet, async () => {
+            const lastNonce = await backend.getLastNonce(wallet);
+            if (party.nonce <= lastNonce)
+                return;
+
+            const record = party.nonce === lastNonce + 1 ? await toVerifiedRecord.call(this, json, party.nonce) : null;
+            if (record) {
+                await backend.putReceipts(wallet, [record], party.nonce);
+                return;
+            }
+
+            await syncWallet.call(this, wallet);
+        });
+    }));
+}
+
+/**
+ * Runs the task after all tasks previously queued for the wallet, so that
+ * syncs and pushed receipts do not interleave.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @param {string} wallet - The wallet key
+ * @param {function} task - Function returning a promise
+ * @returns {Promise}
+ */
+function enqueue(wallet, task) {
+    const queues = _queues.get(this);
+    const previous = queues.get(wallet) || Promise.resolve();
+    const next = previous.catch(() => {
+        // Reported to the caller of the failed task
+    }).then(task);
+
+    queues.set(wallet, next);
+    const cleanup = () => {
+        if (queues.get(wallet) === next)
+            queues.delete(wallet);
+    };
+    next.then(cleanup, cleanup);
+
+    return next;
+}
+
+/**
+ * Converts a receipt into a backend record, if it passes verification.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @param {Object} json - The receipt as JSON
+ * @param {number} nonce - The nonce of the wallet in the receipt
+ * @returns {Promise<Object|null>} The record, or null if the receipt is rejected
+ */
+async function toVerifiedRecord(json, nonce) {
+    const verify = _verify.get(this);
+    // Failing to fetch the domain fails the sync, rather than rejecting the receipt
+    const domain = verify && eip712.hasTypedDataSeal(json) ? await getEip712Domain.call(this) : null;
+
+    let currency;
+    try {
+        currency = Currency.from(json.currency);
+        if (verify && !Receipt.from(json, _provider.get(this)).isSigned({domain}))
+            return null;
+    }
+    catch (err) {
+        return null;
+    }
+
+    return {
+        nonce,
+        currency: {ct: currency.ct.toString(), id: currency.id},
+        receipt: json
+    };
+}
+
+/**
+ * Fetches the EIP-712 domain of the cluster once, to verify EIP-712 seals.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @returns {Promise<Object>}
+ */
+async function getEip712Domain() {
+    if (!_eip712Domain.get(this))
+        _eip712Domain.set(this, await _provider.get(this).getEip712Domain());
+    return _eip712Domain.get(this);
+}
+
+function toWalletKey(address) {
+    const wallet = EthereumAddress.from(address);
+    if (!wallet)
+        throw new TypeError('address is not a valid wallet address');
+    return wallet.toString();
+}
+
+function toCurrencyKey(currency) {
+    let c;
+    try {
+        c = currency instanceof Currency ? currency : Currency.from({ct: currency.toString()});
+    }
+    catch (err) {
+        throw new TypeError('currency is not a Currency or currency contract address');
+    }
+    return {ct: c.ct.toString(), id: c.id};
+}
+
+module.exports = ReceiptStore;
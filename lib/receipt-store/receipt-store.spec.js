@@ -0,0 +1,297 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const Currency = require('../currency');
+const MemoryReceiptBackend = require('./memory-receipt-backend');
+
+const stubbedReceipt = {
+    from: (json, provider) => ({
+        json,
+        provider,
+        isSigned: (options = {}) => {
+            if (json.seals && !options.domain)
+                throw new Error('Unable to validate EIP-712 signature without domain');
+            return json.signed !== false;
+        }
+    })
+};
+
+const ReceiptStore = proxyquire('./receipt-store', {
+    '../receipt': stubbedReceipt
+});
+
+const walletAddress = '0x0000000000000000000000000000000000000001';
+const otherAddress = '0x0000000000000000000000000000000000000002';
+const ct1 = '0x0000000000000000000000000000000000000011';
+const ct2 = '0x0000000000000000000000000000000000000022';
+
+function fakeReceipt(nonce, ct = ct1) {
+    return {
+        currency: {ct, id: '0'},
+        sender: {wallet: walletAddress, nonce},
+        recipient: {wallet: otherAddress, nonce: 1000 + nonce}
+    };
+}
+
+function nonces(receipts) {
+    return receipts.map(r => (r.json || r).sender.nonce);
+}
+
+async function waitFor(predicate) {
+    for (let i = 0; i < 100 && !(await predicate()); i++)
+        await new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ReceiptStore', () => {
+    let provider, apiReceipts, backend, store;
+
+    beforeEach(() => {
+        apiReceipts = [1, 2, 3, 4].map(n => fakeReceipt(n, n === 3 ? ct2 : ct1));
+        provider = {
+            getWalletReceipts: sinon.spy(async (address, fromNonce, limit) => {
+                return apiReceipts
+                    .filter(r => fromNonce === null || r.sender.nonce >= fromNonce)
+                    .slice(0, limit);
+            })
+        };
+        backend = new MemoryReceiptBackend();
+        store = new ReceiptStore(provider, {backend, pageSize: 2});
+    });
+
+    it('uses a memory backend by default', () => {
+        expect(new ReceiptStore(provider).backend).to.be.an.instanceOf(MemoryReceiptBackend);
+    });
+
+    it('throws if the backend does not implement the interface', () => {
+        expect(() => new ReceiptStore(provider, {backend: {}})).to.throw(TypeError);
+    });
+
+    context('sync()', () => {
+        it('stores all receipts of a new wallet', async () => {
+            expect(await store.sync(walletAddress)).to.eql({added: 4, rejected: 0});
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 2, 3, 4]);
+            expect(await backend.getLastNonce(walletAddress)).to.eql(4);
+        });
+
+        it('fetches only receipts newer than the stored ones', async () => {
+            await store.sync(walletAddress);
+            apiReceipts.push(fakeReceipt(5));
+            provider.getWalletReceipts.resetHistory();
+
+            expect(await store.sync(walletAddress)).to.eql({added: 1, rejected: 0});
+            expect(provider.getWalletReceipts).to.have.been.calledOnceWith(walletAddress, 5, 2, true);
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 2, 3, 4, 5]);
+        });
+
+        it('does not write to the backend when there is nothing new', async () => {
+            await store.sync(walletAddress);
+            const spy = sinon.spy(backend, 'putReceipts');
+            expect(await store.sync(walletAddress)).to.eql({added: 0, rejected: 0});
+            expect(spy).not.to.have.been.called;
+        });
+
+        it('does not store receipts that fail verification', async () => {
+            apiReceipts[1].signed = false;
+            expect(await store.sync(walletAddress)).to.eql({added: 3, rejected: 1});
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 3, 4]);
+        });
+
+        it('does not sync past receipts that fail verification', async () => {
+            apiReceipts[1].signed = false;
+            await store.sync(walletAddress);
+            expect(await backend.getLastNonce(walletAddress)).to.eql(1);
+
+            delete apiReceipts[1].signed;
+            expect(await store.sync(walletAddress)).to.eql({added: 3, rejected: 0});
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 2, 3, 4]);
+            expect(await backend.getLastNonce(walletAddress)).to.eql(4);
+        });
+
+        it('verifies EIP-712 seals against the domain of the cluster', async () => {
+            apiReceipts.forEach(r => r.seals = {operator: {scheme: 'eip712'}});
+            provider.getEip712Domain = sinon.stub().resolves({name: 'nahmii'});
+            expect(await store.sync(walletAddress)).to.eql({added: 4, rejected: 0});
+            expect(provider.getEip712Domain).to.have.been.calledOnce;
+        });
+
+        it('fails to sync receipts with EIP-712 seals if the domain can not be fetched', async () => {
+            apiReceipts.forEach(r => r.seals = {operator: {scheme: 'eip712'}});
+            provider.getEip712Domain = sinon.stub().rejects(new Error('no connection'));
+            await store.sync(walletAddress).then(() => expect.fail('should have rejected'), err => {
+                expect(err.message).to.eql('no connection');
+            });
+            expect(await backend.getLastNonce(walletAddress)).to.be.null;
+        });
+
+        it('does not store receipts with an invalid currency', async () => {
+            apiReceipts[0].currency = {ct: 'invalid'};
+            const unverifiedStore = new ReceiptStore(provider, {backend, verify: false});
+            expect(await unverifiedStore.sync(walletAddress)).to.eql({added: 3, rejected: 1});
+        });
+
+        it('stores unsigned receipts when verification is disabled', async () => {
+            apiReceipts[1].signed = false;
+            const unverifiedStore = new ReceiptStore(provider, {backend, verify: false});
+            expect(await unverifiedStore.sync(walletAddress)).to.eql({added: 4, rejected: 0});
+        });
+
+        it('stores receipts as the pages are fetched', async () => {
+            const spy = sinon.spy(backend, 'putReceipts');
+            await store.sync(walletAddress);
+            expect(spy).to.have.been.calledTwice;
+            expect(spy.firstCall.args[2]).to.eql(2);
+            expect(spy.secondCall.args[2]).to.eql(4);
+        });
+
+        it('shares concurrent syncs of the same wallet', async () => {
+            const [r1, r2] = await Promise.all([store.sync(walletAddress), store.sync(walletAddress)]);
+            expect(r1).to.equal(r2);
+            expect(provider.getWalletReceipts).to.have.been.calledThrice;
+        });
+
+        it('rejects if the API fails, and can sync again', async () => {
+            const getWalletReceipts = provider.getWalletReceipts;
+            provider.getWalletReceipts = sinon.stub().rejects(new Error('API down'));
+            await store.sync(walletAddress).then(() => expect.fail('should have rejected'), err => {
+                expect(err.message).to.eql('API down');
+            });
+
+            provider.getWalletReceipts = getWalletReceipts;
+            expect(await store.sync(walletAddress)).to.eql({added: 4, rejected: 0});
+        });
+
+        it('rejects on an invalid address', () => {
+            expect(() => store.sync('not an address')).to.throw(TypeError);
+        });
+    });
+
+    context('with synced receipts', () => {
+        beforeEach(async () => {
+            await store.sync(walletAddress);
+        });
+
+        it('returns Receipt instances bound to the provider', async () => {
+            const receipts = await store.getReceipts(walletAddress);
+            expect(nonces(receipts)).to.eql([1, 2, 3, 4]);
+            expect(receipts[0].provider).to.equal(provider);
+        });
+
+        [
+            ['Currency', Currency.from({ct: ct1, id: 0})],
+            ['contract address', ct1]
+        ].forEach(([description, currency]) => {
+            it(`filters by currency given as ${description}`, async () => {
+                expect(nonces(await store.getReceiptsJSON(walletAddress, {currency}))).to.eql([1, 2, 4]);
+            });
+        });
+
+        it('filters by nonce', async () => {
+            expect(nonces(await store.getReceiptsJSON(walletAddress, {fromNonce: 2, toNonce: 3}))).to.eql([2, 3]);
+        });
+
+        it('throws on an invalid currency', async () => {
+            await store.getReceiptsJSON(walletAddress, {currency: 'foo'})
+                .then(() => expect.fail('should have rejected'), err => {
+                    expect(err).to.be.an.instanceOf(TypeError);
+                });
+        });
+
+        it('returns the latest receipt in a currency', async () => {
+            expect((await store.getLatestReceipt(walletAddress, ct2)).json).to.eql(apiReceipts[2]);
+            expect((await store.getLatestReceipt(walletAddress, ct1)).json).to.eql(apiReceipts[3]);
+        });
+
+        it('returns null if there is no receipt in the currency', async () => {
+            expect(await store.getLatestReceipt(walletAddress, '0x0000000000000000000000000000000000000033')).to.be.null;
+        });
+
+        it('returns no receipts for other wallets', async () => {
+            expect(await store.getReceipts(otherAddress)).to.eql([]);
+        });
+    });
+
+    context('watching an event provider', () => {
+        let eventProvider;
+
+        function pushReceipt(json) {
+            eventProvider.listeners.forEach(listener => listener({toJSON: () => json}));
+        }
+
+        beforeEach(async () => {
+            eventProvider = {
+                listeners: [],
+                onNewReceipt(listener) {
+                    this.listeners.push(listener);
+                    return this;
+                }
+            };
+            await store.sync(walletAddress);
+            store.watch(eventProvider);
+            provider.getWalletReceipts.resetHistory();
+        });
+
+        afterEach(() => {
+            store.unwatch();
+        });
+
+        it('adds the next receipt of a synced wallet without fetching', async () => {
+            pushReceipt(fakeReceipt(5));
+            await waitFor(async () => await backend.getLastNonce(walletAddress) === 5);
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 2, 3, 4, 5]);
+            expect(provider.getWalletReceipts).not.to.have.been.called;
+        });
+
+        it('adds the next receipt with an EIP-712 seal', async () => {
+            provider.getEip712Domain = sinon.stub().resolves({name: 'nahmii'});
+            pushReceipt(Object.assign(fakeReceipt(5), {seals: {operator: {scheme: 'eip712'}}}));
+            await waitFor(async () => await backend.getLastNonce(walletAddress) === 5);
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 2, 3, 4, 5]);
+            expect(provider.getEip712Domain).to.have.been.calledOnce;
+        });
+
+        it('syncs the wallet when there is a gap in the nonces', async () => {
+            apiReceipts.push(fakeReceipt(5), fakeReceipt(6));
+            pushReceipt(fakeReceipt(6));
+            await waitFor(async () => await backend.getLastNonce(walletAddress) === 6);
+            expect(nonces(await store.getReceiptsJSON(walletAddress))).to.eql([1, 2, 3, 4, 5, 6]);
+            expect(provider.getWalletReceipts).to.have.been.calledWith(walletAddress, 5);
+        });
+
+        it('ignores receipts already stored', async () => {
+            const spy = sinon.spy(backend, 'putReceipts');
+            pushReceipt(fakeReceipt(4));
+            await waitFor(() => false);
+            expect(spy).not.to.have.been.called;
+        });
+
+        it('ignores receipts of wallets that have not been synced', async () => {
+            pushReceipt(fakeReceipt(5));
+            await waitFor(async () => await backend.getLastNonce(walletAddress) === 5);
+            expect(await backend.getLastNonce(otherAddress)).to.be.null;
+        });
+
+        it('stops adding receipts when unwatched', async () => {
+            store.unwatch();
+            pushReceipt(fakeReceipt(5));
+            await waitFor(() => false);
+            expect(await backend.getLastNonce(walletAddress)).to.eql(4);
+        });
+
+        it('can not watch two event providers at once', () => {
+            expect(() => store.watch(eventProvider)).to.throw();
+        });
+
+        it('reports failures without rejecting', async () => {
+            provider.getWalletReceipts = sinon.stub().rejects(new Error('API down'));
+            pushReceipt(fakeReceipt(7));
+            await waitFor(() => provider.getWalletReceipts.called);
+            expect(await backend.getLastNonce(walletAddress)).to.eql(4);
+        });
+    });
+});
@@ -9,6 +9,8 @@ const {hashObject, fromRpcSig, hash, isSignedBy} = require('./utils');
 const Payment = require('./payment');
 const MonetaryAmount = require('./monetary-amount');
 const Wallet = require('./wallet');
+const schemas = require('./schemas');
+const eip712 = require('./eip712');
 
 const _provider = new WeakMap();
 const _wallet = new WeakMap();
@@ -29,6 +31,8 @@ const _recipientPreviousBalance = new WeakMap();
 const _recipientTotalFees = new WeakMap();
 const _totalTransfer = new WeakMap();
 const _singleTransfer = new WeakMap();
+const _scheme = new WeakMap();
+const _domain = new WeakMap();
 
 const noData = Buffer.from(JSON.stringify({})).toString('base64');
 
@@ -70,6 +74,62 @@ const PAYMENT_RECEIPT_HASH_PARTS = [
     ]
 ];
 
+// EIP-712 types of a receipt, mirroring PAYMENT_RECEIPT_HASH_PARTS
+const RECEIPT_TYPES = {
+    Receipt: [
+        {name: 'walletSignature', type: 'Signature'},
+        {name: 'sender', type: 'ReceiptSender'},
+        {name: 'recipient', type: 'ReceiptRecipient'},
+        {name: 'transfers', type: 'Transfers'},
+        {name: 'operator', type: 'Operator'}
+    ],
+    Signature: [
+        {name: 'v', type: 'uint8'},
+        {name: 'r', type: 'bytes32'},
+        {name: 's', type: 'bytes32'}
+    ],
+    ReceiptSender: [
+        {name: 'nonce', type: 'uint256'},
+        {name: 'balances', type: 'Balances'},
+        {name: 'fees', type: 'SenderFees'}
+    ],
+    ReceiptRecipient: [
+        {name: 'nonce', type: 'uint256'},
+        {name: 'balances', type: 'Balances'},
+        {name: 'fees', type: 'RecipientFees'}
+    ],
+    Balances: [
+        {name: 'current', type: 'uint256'},
+        {name: 'previous', type: 'uint256'}
+    ],
+    SenderFees: [
+        {name: 'single', type: 'Figure'},
+        {name: 'total', type: 'OriginFigure[]'}
+    ],
+    RecipientFees: [
+        {name: 'total', type: 'OriginFigure[]'}
+    ],
+    OriginFigure: [
+        {name: 'originId', type: 'uint256'},
+        {name: 'figure', type: 'Figure'}
+    ],
+    Figure: [
+        {name: 'amount', type: 'uint256'},
+        {name: 'currency', type: 'Currency'}
+    ],
+    Currency: [
+        {name: 'ct', type: 'address'},
+        {name: 'id', type: 'uint256'}
+    ],
+    Transfers: [
+        {name: 'single', type: 'uint256'},
+        {name: 'total', type: 'uint256'}
+    ],
+    Operator: [
+        {name: 'data', type: 'string'}
+    ]
+};
+
 /**
  * @class Receipt
  * A class for modelling a _nahmii_ payment receipt.
@@ -110,8 +170,8 @@ class Receipt {
     }
 
     /**
-     * The address of the sender
-     * @returns {Address}
+     * The address of the sender, as lowercase hex string
+     * @returns {string}
      */
     get sender() {
         return this.payment.sender;
@@ -122,8 +182,8 @@ class Receipt {
     }
 
     /**
-     * The address of the recipient
-     * @returns {Address}
+     * The address of the recipient, as lowercase hex string
+     * @returns {string}
      */
     get recipient() {
         return this.payment.recipient;
@@ -133,6 +193,30 @@ class Receipt {
         return _recipientNonce.get(this);
     }
 
+    /**
+     * The fee paid by the sender for this payment.
+     * @returns {MonetaryAmount|null}
+     */
+    get senderFee() {
+        return _senderSingleFee.get(this) || null;
+    }
+
+    /**
+     * The total fees paid by the sender, by fee origin.
+     * @returns {Array<{originId: string, figure: MonetaryAmount}>}
+     */
+    get senderTotalFees() {
+        return (_senderTotalFees.get(this) || []).map(f => ({...f}));
+    }
+
+    /**
+     * The total fees paid by the recipient, by fee origin.
+     * @returns {Array<{originId: string, figure: MonetaryAmount}>}
+     */
+    get recipientTotalFees() {
+        return (_recipientTotalFees.get(this) || []).map(f => ({...f}));
+    }
+
     /**
      * The ID of the operator that effectuated this payment.
      * @returns {Number}
@@ -142,28 +226,64 @@ class Receipt {
     }
 
     /**
-     * Will hash and sign the receipt with the wallet passed into the constructor
+     * The signature scheme of the operator's seal: 'eip712' for EIP-712
+     * typed data signatures, else 'eth-sign'.
+     * @returns {string}
      */
-    async sign() {
+    get signatureScheme() {
+        return _scheme.get(this) === eip712.SCHEME ? eip712.SCHEME : 'eth-sign';
+    }
+
+    /**
+     * Will hash and sign the receipt with the wallet passed into the
+     * constructor. By default the hash is signed as an Ethereum message. With
+     * the 'eip712' scheme the receipt is signed as EIP-712 typed data
+     * instead. The domain of the typed data is retrieved from the provider
+     * unless given.
+     * @param {Object} [options]
+     * @param {string} [options.scheme] - The signature scheme, 'eip712' or undefined for Ethereum messages
+     * @param {Object} [options.domain] - The EIP-712 domain, see NahmiiProvider.getEip712Domain()
+     */
+    async sign(options = {}) {
+        const {scheme = null, domain = null} = options;
         const wallet = _wallet.get(this);
         if (!wallet)
             throw new Error('No wallet is available for signing!');
 
-        const h = hashReceipt(this.toJSON());
-        const hArr = ethers.utils.arrayify(h);
-        const sigFlat = await wallet.signMessage(hArr);
-        const sigExpanded = fromRpcSig(sigFlat);
+        if (scheme !== null && scheme !== eip712.SCHEME)
+            throw new TypeError(`Unknown signature scheme: ${scheme}`);
+
+        const serializedReceipt = this.toJSON();
+        let h, signature;
+        if (scheme === eip712.SCHEME) {
+            const typedDataDomain = domain || await _provider.get(this).getEip712Domain();
+            const typedReceipt = toTypedReceipt(serializedReceipt);
+            h = eip712.hashTypedData(typedDataDomain, RECEIPT_TYPES, 'Receipt', typedReceipt);
+            signature = await eip712.signTypedData(wallet, typedDataDomain, RECEIPT_TYPES, 'Receipt', typedReceipt);
+            _domain.set(this, typedDataDomain);
+        }
+        else {
+            h = hashReceipt(serializedReceipt);
+            const hArr = ethers.utils.arrayify(h);
+            const sigFlat = await wallet.signMessage(hArr);
+            signature = fromRpcSig(sigFlat);
+        }
 
         _hash.set(this, h);
-        _signature.set(this, sigExpanded);
+        _signature.set(this, signature);
+        _scheme.set(this, scheme);
     }
 
     /**
      * Verifies that the receipt is signed by both sender and operator, and has
-     * not been tampered with since.
+     * not been tampered with since. EIP-712 signatures are verified against
+     * the domain given, else against the domain the receipt was signed with.
+     * @param {Object} [options]
+     * @param {Object} [options.domain] - The EIP-712 domain, see NahmiiProvider.getEip712Domain()
      * @returns {Boolean}
+     * @throws {Error} A seal has an EIP-712 signature, and the domain is unknown
      */
-    isSigned() {
+    isSigned(options = {}) {
         const provider = _provider.get(this);
         if (!provider)
             throw new Error('Unable to validate signature without provider or wallet');
@@ -172,25 +292,35 @@ class Receipt {
         if (!payment)
             return false;
 
-        if (!payment.isSigned())
+        const domain = options.domain || _domain.get(this);
+        if (!payment.isSigned({domain}))
             return false;
 
         const serializedReceipt = this.toJSON();
-        const h = hashReceipt(serializedReceipt);
-
         if (!serializedReceipt.seals || !serializedReceipt.seals.operator)
             return false;
 
-        if (h !== serializedReceipt.seals.operator.hash)
-            return false;
-
+        const {hash: sealHash, signature} = serializedReceipt.seals.operator;
         const operatorAddress = provider.operatorAddress;
 
-        return isSignedBy(
-            serializedReceipt.seals.operator.hash,
-            serializedReceipt.seals.operator.signature,
-            operatorAddress
-        );
+        if (this.signatureScheme === eip712.SCHEME) {
+            if (!domain)
+                throw new Error('Unable to validate EIP-712 signature without domain');
+            let h;
+            try {
+                h = eip712.hashTypedData(domain, RECEIPT_TYPES, 'Receipt', toTypedReceipt(serializedReceipt));
+            }
+            catch (err) {
+                return false;
+            }
+            return h === sealHash && eip712.isSignedBy(sealHash, signature, operatorAddress.toString());
+        }
+
+        const h = hashReceipt(serializedReceipt);
+        if (h !== sealHash)
+            return false;
+
+        return isSignedBy(sealHash, signature, operatorAddress);
     }
 
     /**
@@ -261,8 +391,11 @@ class Receipt {
         const hash = _hash.get(this);
         const signature = _signature.get(this);
 
-        if (hash && signature)
+        if (hash && signature) {
             result.seals.operator = {hash, signature};
+            if (_scheme.get(this))
+                result.seals.operator.scheme = _scheme.get(this);
+        }
 
         return result;
     }
@@ -272,8 +405,11 @@ class Receipt {
      * @param json - A JSON object that can be de-serialized to a Receipt instance
      * @param {Wallet|NahmiiProvider} [walletOrProvider] - Optional wallet or provider instance
      * @returns {Receipt}
+     * @throws {ValidationError} The JSON does not conform to the receipt schema. The error lists every violation.
      */
     static from(json, walletOrProvider = null) {
+        schemas.validate('receipt', json);
+
         const p = Payment.from(json, walletOrProvider);
         const r = new Receipt(p, walletOrProvider);
 
@@ -281,56 +417,62 @@ class Receipt {
         _operatorId.set(r, json.operator.id);
         _operatorData.set(r, json.operator.data);
 
-        if (json.sender) {
-            _senderNonce.set(r, json.sender.nonce);
-            if (json.sender.balances) {
-                _senderCurrentBalance.set(r, json.sender.balances.current);
-                _senderPreviousBalance.set(r, json.sender.balances.previous);
-            }
-            if (json.sender.fees) {
+        _senderNonce.set(r, json.sender.nonce);
+        _senderCurrentBalance.set(r, json.sender.balances.current);
+        _senderPreviousBalance.set(r, json.sender.balances.previous);
+        if (json.sender.fees) {
+            if (json.sender.fees.single)
                 _senderSingleFee.set(r, MonetaryAmount.from(json.sender.fees.single));
-                if (json.sender.fees.total) {
-                    const totalFees = json.sender.fees.total.map(f => {
-                        return {
-                            originId: f.originId,
-                            figure: MonetaryAmount.from(f.figure)
-                        };
-                    });
-                    _senderTotalFees.set(r, totalFees);
-                }
-            }
+            if (json.sender.fees.total)
+                _senderTotalFees.set(r, json.sender.fees.total.map(toFee));
         }
 
-        if (json.recipient) {
-            _recipientNonce.set(r, json.recipient.nonce);
-            if (json.recipient.balances) {
-                _recipientCurrentBalance.set(r, json.recipient.balances.current);
-                _recipientPreviousBalance.set(r, json.recipient.balances.previous);
-            }
-            if (json.recipient.fees) {
-                const totalFees = json.recipient.fees.total.map(f => {
-                    return {
-                        originId: f.originId,
-                        figure: MonetaryAmount.from(f.figure)
-                    };
-                });
-                _recipientTotalFees.set(r, totalFees);
-            }
-        }
+        _recipientNonce.set(r, json.recipient.nonce);
+        _recipientCurrentBalance.set(r, json.recipient.balances.current);
+        _recipientPreviousBalance.set(r, json.recipient.balances.previous);
+        if (json.recipient.fees)
+            _recipientTotalFees.set(r, json.recipient.fees.total.map(toFee));
 
-        if (json.transfers) {
-            _totalTransfer.set(r, json.transfers.total);
-            _singleTransfer.set(r, json.transfers.single);
-        }
+        _totalTransfer.set(r, json.transfers.total);
+        _singleTransfer.set(r, json.transfers.single);
 
         if (json.seals && json.seals.operator) {
             _hash.set(r, json.seals.operator.hash);
             _signature.set(r, json.seals.operator.signature);
+            _scheme.set(r, json.seals.operator.scheme || null);
         }
         return r;
     }
 }
 
+function toFee(json) {
+    return {
+        originId: json.originId,
+        figure: MonetaryAmount.from(json.figure)
+    };
+}
+
+/**
+ * Arranges a serialized receipt as the data of the EIP-712 Receipt type.
+ * @private
+ * @param {Object} serializedReceipt
+ * @returns {Object}
+ */
+function toTypedReceipt(serializedReceipt) {
+    const {seals, sender, recipient} = serializedReceipt;
+    return {
+        walletSignature: seals && seals.wallet && seals.wallet.signature,
+        sender: Object.assign({}, sender, {
+            fees: {single: sender.fees.single, total: sender.fees.total || []}
+        }),
+        recipient: Object.assign({}, recipient, {
+            fees: {total: (recipient.fees && recipient.fees.total) || []}
+        }),
+        transfers: serializedReceipt.transfers,
+        operator: serializedReceipt.operator
+    };
+}
+
 function hashReceipt(serializedReceipt) {
     // Due to how Solidity encodes and hashes uint8 values, we must explicitly
     // hash them as uint8 values to avoid Solidity encoding and hashing them
@@ -10,6 +10,7 @@ chai.use(sinonChai);
 chai.use(chaiAsPromised);
 
 const {ApiPayloadFactory} = require('../test-utils');
+const MonetaryAmount = require('./monetary-amount');
 
 const Wallet = proxyquire('./wallet/wallet', {
     './client-fund-contract': function() {
@@ -101,6 +102,12 @@ describe('Receipt', () => {
             it('does not have a payment', () => {
                 expect(receipt.payment).to.be.undefined;
             });
+
+            it('does not have fees', () => {
+                expect(receipt.senderFee).to.be.null;
+                expect(receipt.senderTotalFees).to.eql([]);
+                expect(receipt.recipientTotalFees).to.eql([]);
+            });
         });
 
         context('a serialized incomplete Receipt', () => {
@@ -111,8 +118,7 @@ describe('Receipt', () => {
 
         context('a de-serialized incomplete Receipt', () => {
             [
-                payload => delete payload.sender.fees.single,
-                payload => delete payload.sender.balances.current
+                payload => delete payload.sender.fees.single
             ].forEach(modifier => {
                 context('when ' + modifier.toString(), () => {
                     it('can not be signed', async () => {
@@ -165,6 +171,10 @@ describe('Receipt', () => {
                 expect(receipt.toJSON().recipient.fees).to.eql({total: []});
             });
 
+            it('has no recipient total fees', () => {
+                expect(receipt.recipientTotalFees).to.eql([]);
+            });
+
             it('can be registered with the API', () => {
                 receipt.effectuate();
                 expect(stubbedProvider.effectuatePayment).to.have.been.calledWith(receipt.toJSON());
@@ -214,7 +224,7 @@ describe('Receipt', () => {
 
             beforeEach(async () => {
                 modifiedPayload = await createSignedReceiptPayload();
-                modifiedPayload.sender.wallet = '0';
+                modifiedPayload.sender.wallet = '0x0000000000000000000000000000000000000001';
                 receipt = Receipt.from(modifiedPayload, wallet);
             });
 
@@ -270,7 +280,6 @@ describe('Receipt', () => {
         context('a de-serialized incomplete Receipt', () => {
             [
                 payload => delete payload.sender.fees.single,
-                payload => delete payload.sender.balances.current,
                 payload => delete payload.nonce
             ].forEach(modifier => {
                 context('when ' + modifier.toString(), () => {
@@ -395,7 +404,7 @@ describe('Receipt', () => {
 
             beforeEach(async () => {
                 modifiedPayload = await createSignedReceiptPayload();
-                modifiedPayload.sender.wallet = '0';
+                modifiedPayload.sender.wallet = '0x0000000000000000000000000000000000000001';
                 receipt = Receipt.from(modifiedPayload, stubbedProvider);
             });
 
@@ -454,7 +463,6 @@ describe('Receipt', () => {
         context('a de-serialized incomplete Receipt', () => {
             [
                 payload => delete payload.sender.fees.single,
-                payload => delete payload.sender.balances.current,
                 payload => delete payload.nonce
             ].forEach(modifier => {
                 context('when ' + modifier.toString(), () => {
@@ -573,7 +581,7 @@ describe('Receipt', () => {
 
             beforeEach(async () => {
                 modifiedPayload = await createSignedReceiptPayload();
-                modifiedPayload.sender.wallet = '0';
+                modifiedPayload.sender.wallet = '0x0000000000000000000000000000000000000001';
                 receipt = Receipt.from(modifiedPayload);
             });
 
@@ -634,5 +642,121 @@ describe('Receipt', () => {
             const payload = await createUnsignedReceiptPayload();
             expect(receipt.recipient).to.eql(payload.recipient.wallet);
         });
+
+        it('has a sender fee', async () => {
+            const payload = await createUnsignedReceiptPayload();
+            expect(receipt.senderFee).to.be.an.instanceOf(MonetaryAmount);
+            expect(receipt.senderFee.toJSON()).to.eql(payload.sender.fees.single);
+        });
+
+        it('has sender total fees', async () => {
+            const payload = await createUnsignedReceiptPayload();
+            expect(receipt.senderTotalFees.map(f => ({originId: f.originId, figure: f.figure.toJSON()})))
+                .to.eql(payload.sender.fees.total);
+        });
+
+        it('has recipient total fees', () => {
+            expect(receipt.recipientTotalFees.map(f => ({originId: f.originId, figure: f.figure.toJSON()})))
+                .to.eql(receipt.toJSON().recipient.fees.total);
+        });
     }
+
+    context('a Receipt signed as EIP-712 typed data', () => {
+        const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000010'};
+        let wallet;
+
+        beforeEach(async () => {
+            stubbedProvider.getEip712Domain = sinon.stub().resolves(domain);
+            wallet = new Wallet(fixture.operatorPrivateKey, stubbedProvider);
+            receipt = Receipt.from(await createUnsignedReceiptPayload(), wallet);
+            await receipt.sign({scheme: 'eip712'});
+        });
+
+        it('is signed with the domain of the provider', () => {
+            expect(stubbedProvider.getEip712Domain).to.have.been.calledOnce;
+            expect(receipt.signatureScheme).to.eql('eip712');
+            expect(receipt.isSigned()).to.be.true;
+        });
+
+        it('has the scheme in the operator seal', () => {
+            expect(receipt.toJSON().seals.operator.scheme).to.eql('eip712');
+        });
+
+        it('does not have the hash of an Ethereum message signature', async () => {
+            const legacyReceipt = Receipt.from(await createUnsignedReceiptPayload(), wallet);
+            await legacyReceipt.sign();
+            expect(legacyReceipt.signatureScheme).to.eql('eth-sign');
+            expect(receipt.toJSON().seals.operator.hash).to.not.eql(legacyReceipt.toJSON().seals.operator.hash);
+        });
+
+        context('when de-serialized', () => {
+            let deserialized;
+
+            beforeEach(() => {
+                deserialized = Receipt.from(receipt.toJSON(), stubbedProvider);
+            });
+
+            it('can be serialized again', () => {
+                expect(deserialized.toJSON()).to.eql(receipt.toJSON());
+            });
+
+            it('is signed in the domain', () => {
+                expect(deserialized.isSigned({domain})).to.be.true;
+            });
+
+            it('is not signed in another domain', () => {
+                expect(deserialized.isSigned({domain: Object.assign({}, domain, {chainId: 1})})).to.be.false;
+            });
+
+            it('can not be verified without domain', () => {
+                expect(() => deserialized.isSigned()).to.throw(Error, /domain/);
+            });
+
+            it('is not signed when tampered with', () => {
+                const json = receipt.toJSON();
+                json.transfers.single = '1';
+                expect(Receipt.from(json, stubbedProvider).isSigned({domain})).to.be.false;
+            });
+        });
+    });
+
+    context('a malformed Receipt payload', () => {
+        const {ValidationError} = require('./api-errors');
+
+        function expectViolations(payload, violations) {
+            expect(() => Receipt.from(payload)).to.throw(ValidationError).with.property('violations').that.eql(violations);
+        }
+
+        [
+            [payload => delete payload.operator, [{path: '$.operator', message: 'is required'}]],
+            [payload => delete payload.sender.balances.current, [{path: '$.sender.balances.current', message: 'is required'}]],
+            [payload => payload.sender.nonce = -1, [{path: '$.sender.nonce', message: 'should be >= 0'}]],
+            [payload => payload.transfers.total = '1e18', [{path: '$.transfers.total', message: 'should match pattern "^[0-9]+$"'}]],
+            [payload => payload.recipient.fees = {}, [{path: '$.recipient.fees.total', message: 'is required'}]],
+            [payload => payload.seals.operator.signature.v = '27', [{path: '$.seals.operator.signature.v', message: 'should be integer'}]]
+        ].forEach(([modifier, violations]) => {
+            it('is rejected when ' + modifier.toString(), async () => {
+                const payload = await createSignedReceiptPayload();
+                modifier(payload);
+                expectViolations(payload, violations);
+            });
+        });
+
+        it('is rejected with every violation', async () => {
+            const payload = await createSignedReceiptPayload();
+            payload.sender.wallet = '0x1234';
+            payload.amount = '-1000';
+            delete payload.seals.wallet;
+            expectViolations(payload, [
+                {path: '$.seals.wallet', message: 'is required'},
+                {path: '$.amount', message: 'should match pattern "^[0-9]+$"'},
+                {path: '$.sender.wallet', message: 'should match pattern "^0x[0-9a-fA-F]{40}$"'}
+            ]);
+        });
+
+        it('is rejected when not an object', () => {
+            expect(() => Receipt.from(null)).to.throw(ValidationError);
+            expect(() => Receipt.from('receipt')).to.throw(ValidationError);
+        });
+    });
 });
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const _retries = new WeakMap();
+const _minDelay = new WeakMap();
+const _maxDelay = new WeakMap();
+const _factor = new WeakMap();
+const _jitter = new WeakMap();
+const _retryStatuses = new WeakMap();
+const _retryErrorCodes = new WeakMap();
+
+const DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+const DEFAULT_RETRY_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'
+];
+
+/**
+ * @class RetryPolicy
+ * Decides whether, and when, a failed API request is sent again. Delays grow
+ * exponentially with the number of attempts, are randomized (full jitter) to
+ * avoid clients retrying in lockstep, and honor any Retry-After header sent
+ * by the API.
+ * By default NahmiiProvider retries GET requests only. POST requests are only
+ * retried with an explicit policy, and only for requests that are safe to
+ * repeat because they carry a client reference (e.g. payments).
+ * @alias module:nahmii-sdk
+ * @example
+ * const {NahmiiProvider, RetryPolicy} = require('nahmii-sdk');
+ *
+ * const provider = await NahmiiProvider.from('api.nahmii.io', app_id, app_secret, {
+ *     retryPolicy: new RetryPolicy({retries: 5, maxDelay: 30000}),
+ *     postRetryPolicy: new RetryPolicy({retries: 2})
+ * });
+ */
+class RetryPolicy {
+    /**
+     * Constructor
+     * @param {Object} [options]
+     * @param {number} [options.retries=3] - Max number of retries after the first attempt
+     * @param {number} [options.minDelay=200] - Delay in ms before the first retry
+     * @param {number} [options.maxDelay=10000] - Upper bound in ms of any delay, including Retry-After
+     * @param {number} [options.factor=2] - Growth factor of the delay per attempt
+     * @param {boolean} [options.jitter=true] - Randomize delays between 0 and the computed delay
+     * @param {number[]} [options.retryStatuses] - HTTP statuses that are retried, defaults to 408, 429 and 5xx gateway errors
+     * @param {string[]} [options.retryErrorCodes] - Network error codes that are retried, defaults to socket resets and timeouts
+     */
+    constructor(options = {}) {
+        const {
+            retries = 3,
+            minDelay = 200,
+            maxDelay = 10000,
+            factor = 2,
+            jitter = true,
+            retryStatuses = DEFAULT_RETRY_STATUSES,
+            retryErrorCodes = DEFAULT_RETRY_ERROR_CODES
+        } = options;
+
+        if (!Number.isInteger(retries) || retries < 0)
+            throw new TypeError('retries must be a non-negative integer');
+
+        if (typeof minDelay !== 'number' || minDelay < 0 || typeof maxDelay !== 'number' || maxDelay < minDelay)
+            throw new TypeError('delays must be non-negative numbers where maxDelay >= minDelay');
+
+        _retries.set(this, retries);
+        _minDelay.set(this, minDelay);
+        _maxDelay.set(this, maxDelay);
+        _factor.set(this, factor);
+        _jitter.set(this, !!jitter);
+        _retryStatuses.set(this, retryStatuses);
+        _retryErrorCodes.set(this, retryErrorCodes);
+    }
+
+    /**
+     * Max number of retries after the first attempt.
+     * @returns {number}
+     */
+    get retries() {
+        return _retries.get(this);
+    }
+
+    /**
+     * Checks whether a request that failed with the specified error should be
+     * sent again.
+     * @param {Error} error - The error of the failed attempt
+     * @param {number} attempt - The number of the failed attempt, starting at 1
+     * @returns {boolean}
+     */
+    shouldRetry(error, attempt) {
+        if (attempt > this.retries || !error)
+            return false;
+
+        if (error.status)
+            return _retryStatuses.get(this).includes(error.status);
+
+        return _retryErrorCodes.get(this).includes(error.code);
+    }
+
+    /**
+     * Returns the delay before the next attempt.
+     * @param {Error} error - The error of the failed attempt
+     * @param {number} attempt - The number of the failed attempt, starting at 1
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(error, attempt) {
+        const maxDelay = _maxDelay.get(this);
+
+        let delay = Math.min(_minDelay.get(this) * Math.pow(_factor.get(this), attempt - 1), maxDelay);
+        if (_jitter.get(this))
+            delay = Math.random() * delay;
+
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter !== null)
+            delay = Math.max(delay, retryAfter);
+
+        return Math.min(Math.round(delay), maxDelay);
+    }
+}
+
+/**
+ * Parses the Retry-After header of a failed response, given either as a
+ * number of seconds or as a HTTP date.
+ * @private
+ * @param {Error} error - A superagent error
+ * @returns {number|null} Delay in milliseconds, or null if not present
+ */
+function getRetryAfter(error) {
+    const headers = error && error.response && (error.response.headers || error.response.header);
+    const retryAfter = headers && headers['retry-after'];
+    if (!retryAfter)
+        return null;
+
+    if (/^\d+$/.test(retryAfter.toString().trim()))
+        return Number.parseInt(retryAfter) * 1000;
+
+    const date = Date.parse(retryAfter);
+    if (Number.isNaN(date))
+        return null;
+
+    return Math.max(date - Date.now(), 0);
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,123 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const RetryPolicy = require('./retry-policy');
+
+function httpError(status, headers = {}) {
+    const err = new Error('http error');
+    err.status = status;
+    err.response = {headers};
+    return err;
+}
+
+function networkError(code) {
+    const err = new Error('network error');
+    err.code = code;
+    return err;
+}
+
+describe('RetryPolicy', () => {
+    context('with default settings', () => {
+        let policy;
+
+        beforeEach(() => {
+            policy = new RetryPolicy();
+        });
+
+        it('retries 3 times', () => {
+            expect(policy.retries).to.eql(3);
+            expect(policy.shouldRetry(httpError(503), 3)).to.be.true;
+            expect(policy.shouldRetry(httpError(503), 4)).to.be.false;
+        });
+
+        [408, 429, 500, 502, 503, 504].forEach(status => {
+            it(`retries on status ${status}`, () => {
+                expect(policy.shouldRetry(httpError(status), 1)).to.be.true;
+            });
+        });
+
+        [400, 401, 402, 403, 404, 409, 422, 501].forEach(status => {
+            it(`does not retry on status ${status}`, () => {
+                expect(policy.shouldRetry(httpError(status), 1)).to.be.false;
+            });
+        });
+
+        ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT'].forEach(code => {
+            it(`retries on network error ${code}`, () => {
+                expect(policy.shouldRetry(networkError(code), 1)).to.be.true;
+            });
+        });
+
+        it('does not retry on other errors', () => {
+            expect(policy.shouldRetry(new TypeError('bug'), 1)).to.be.false;
+            expect(policy.shouldRetry(networkError('ECIRCUITOPEN'), 1)).to.be.false;
+            expect(policy.shouldRetry(undefined, 1)).to.be.false;
+        });
+
+        context('with randomized delays', () => {
+            afterEach(() => {
+                sinon.restore();
+            });
+
+            it('picks a delay between 0 and the exponential delay', () => {
+                sinon.stub(Math, 'random').returns(0.5);
+                expect(policy.getDelay(httpError(503), 1)).to.eql(100);
+                expect(policy.getDelay(httpError(503), 3)).to.eql(400);
+            });
+        });
+    });
+
+    context('without jitter', () => {
+        let policy;
+
+        beforeEach(() => {
+            policy = new RetryPolicy({minDelay: 100, maxDelay: 1000, jitter: false});
+        });
+
+        it('doubles the delay for each attempt', () => {
+            expect(policy.getDelay(httpError(503), 1)).to.eql(100);
+            expect(policy.getDelay(httpError(503), 2)).to.eql(200);
+            expect(policy.getDelay(httpError(503), 3)).to.eql(400);
+        });
+
+        it('limits the delay to the max delay', () => {
+            expect(policy.getDelay(httpError(503), 10)).to.eql(1000);
+        });
+
+        it('honors Retry-After given in seconds', () => {
+            expect(policy.getDelay(httpError(429, {'retry-after': '0.5'}), 1)).to.eql(100);
+            expect(policy.getDelay(httpError(429, {'retry-after': '1'}), 1)).to.eql(1000);
+        });
+
+        it('honors Retry-After given as a date', () => {
+            const clock = sinon.useFakeTimers(new Date('2020-01-01T00:00:00Z'));
+            try {
+                const retryAfter = new Date('2020-01-01T00:00:00.500Z').toUTCString();
+                expect(policy.getDelay(httpError(503, {'retry-after': retryAfter}), 1)).to.eql(100);
+                const later = new Date('2020-01-01T00:01:00Z').toUTCString();
+                expect(policy.getDelay(httpError(503, {'retry-after': later}), 1)).to.eql(1000);
+            }
+            finally {
+                clock.restore();
+            }
+        });
+
+        it('ignores malformed Retry-After', () => {
+            expect(policy.getDelay(httpError(503, {'retry-after': 'soon'}), 2)).to.eql(200);
+        });
+    });
+
+    [
+        {retries: -1},
+        {retries: 1.5},
+        {minDelay: -1},
+        {minDelay: 1000, maxDelay: 100}
+    ].forEach(options => {
+        it(`can not be created with ${JSON.stringify(options)}`, () => {
+            expect(() => new RetryPolicy(options)).to.throw(TypeError);
+        });
+    });
+});
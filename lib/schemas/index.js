@@ -0,0 +1,59 @@
+'use strict';
+
+const Ajv = require('ajv');
+const {ValidationError} = require('../api-errors');
+
+const definitions = require('./definitions.json');
+const currency = require('./currency.json');
+const monetaryAmount = require('./monetary-amount.json');
+const payment = require('./payment.json');
+const receipt = require('./receipt.json');
+
+const ajv = new Ajv({allErrors: true, schemas: [definitions, currency, monetaryAmount, payment, receipt]});
+
+/**
+ * The published JSON schemas of the data exchanged with the nahmii API, by
+ * name. Schemas refer to each other by their $id, e.g. 'currency.json'.
+ * @type {Object}
+ */
+const schemas = Object.freeze({definitions, currency, monetaryAmount, payment, receipt});
+
+/**
+ * Validates JSON against one of the published schemas.
+ * @param {string} name - Name of the schema, e.g. 'payment'
+ * @param {*} json - The data to validate
+ * @throws {ValidationError} The data does not conform to the schema. The error lists every violation in its property *violations*.
+ * @example
+ * try {
+ *     validate('receipt', json);
+ * }
+ * catch (err) {
+ *     err.violations.forEach(v => console.log(`${v.path} ${v.message}`));
+ * }
+ */
+function validate(name, json) {
+    const schema = schemas[name];
+    if (!schema || name === 'definitions')
+        throw new TypeError(`${name} is not the name of a schema`);
+
+    if (ajv.validate(schema.$id, json))
+        return;
+
+    const violations = ajv.errors.map(toViolation);
+    const summary = violations.map(v => `${v.path} ${v.message}`).join(', ');
+    throw new ValidationError(null, `Invalid ${schema.title.toLowerCase()}: ${summary}`, {violations});
+}
+
+function toViolation(error) {
+    if (error.keyword === 'required')
+        return {path: `$${error.dataPath}.${error.params.missingProperty}`, message: 'is required'};
+    return {path: `$${error.dataPath}`, message: error.message};
+}
+
+/**
+ * @exports nahmii-sdk/schemas
+ */
+module.exports = {
+    schemas,
+    validate
+};
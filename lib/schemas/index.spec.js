@@ -0,0 +1,48 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {schemas, validate} = require('./index');
+const {ValidationError} = require('../api-errors');
+
+describe('Schemas', () => {
+    it('are published by name', () => {
+        expect(schemas).to.have.all.keys('definitions', 'currency', 'monetaryAmount', 'payment', 'receipt');
+        expect(schemas.payment.$id).to.eql('payment.json');
+    });
+
+    it('can not be modified', () => {
+        expect(Object.isFrozen(schemas)).to.be.true;
+    });
+
+    context('validating', () => {
+        const currency = {ct: '0x0000000000000000000000000000000000000001', id: '0'};
+
+        it('accepts data that conforms to the schema', () => {
+            expect(() => validate('monetaryAmount', {amount: '1', currency})).to.not.throw();
+        });
+
+        it('throws a ValidationError with a message that lists the violations', () => {
+            expect(() => validate('monetaryAmount', {amount: '-1'}))
+                .to.throw(ValidationError, 'Invalid monetary amount: $.amount should match pattern "^[0-9]+$", $.currency is required');
+        });
+
+        it('reports violations with the JSON path of nested properties', () => {
+            expect(() => validate('monetaryAmount', {amount: '1', currency: {ct: currency.ct, id: 1.5}}))
+                .to.throw(ValidationError).with.property('violations').that.eql([
+                    {path: '$.currency.id', message: 'should be integer,string'}
+                ]);
+        });
+
+        it('reports a value that is not an object', () => {
+            expect(() => validate('currency', 'ETH'))
+                .to.throw(ValidationError).with.property('violations').that.eql([{path: '$', message: 'should be object'}]);
+        });
+
+        it('throws a TypeError for an unknown schema', () => {
+            expect(() => validate('order', {})).to.throw(TypeError, /order/);
+            expect(() => validate('definitions', {})).to.throw(TypeError, /definitions/);
+        });
+    });
+});
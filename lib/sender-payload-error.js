@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const NestedError = require('./nested-error');
+
+/**
+ * @class SenderPayloadError
+ * Thrown when a sender payload can not be encoded or decoded. The property
+ * *reason* tells why, and is one of:
+ * - 'malformed': the payload, or the sender data holding it, can not be decoded
+ * - 'schema-violation': the data does not conform to the schema, see *errors*
+ * - 'too-large': the sender data of the payment exceeds the size limit
+ * - 'key-required': the payload is encrypted, and no key was given to decrypt it
+ * - 'decryption-failed': the payload can not be decrypted with the key given
+ * @alias module:nahmii-sdk
+ * @example
+ * try {
+ *     const invoice = payment.decodeSenderPayload({schema: invoiceSchema});
+ * }
+ * catch (err) {
+ *     if (err instanceof SenderPayloadError && err.reason === 'schema-violation')
+ *         err.errors.forEach(e => console.log(`${e.path} ${e.message}`));
+ * }
+ */
+class SenderPayloadError extends NestedError {
+    /**
+     * Construct an error instance.
+     * @param {string} reason - Why the payload can not be encoded or decoded
+     * @param {string} message - The error message
+     * @param {Object} [details]
+     * @param {Object[]} [details.errors] - The schema violations as {path, message}
+     * @param {Error} [details.innerError] - The original error
+     */
+    constructor(reason, message, details = {}) {
+        super(details.innerError, message);
+
+        if (Error.captureStackTrace)
+            Error.captureStackTrace(this, SenderPayloadError);
+
+        this.name = 'SenderPayloadError';
+        this.reason = reason;
+        this.errors = details.errors || [];
+    }
+}
+
+module.exports = SenderPayloadError;
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const {encodeSenderData, strip0x} = require('./utils');
+const SenderPayloadError = require('./sender-payload-error');
+
+const _data = new WeakMap();
+const _encoded = new WeakMap();
+const _encryption = new WeakMap();
+const _maxSize = new WeakMap();
+
+const DEFAULT_MAX_SIZE = 1024;
+const SENDER_REF_PLACEHOLDER = '00000000-0000-0000-0000-000000000000';
+
+const TYPE_JSON = 'json';
+const TYPE_AES = 'aes-256-gcm';
+const TYPE_ECIES = 'ecies-secp256k1';
+const CURVE = 'secp256k1';
+const IV_LENGTH = 12;
+
+const ajv = new Ajv({allErrors: true});
+
+/**
+ * @class SenderPayload
+ * Structured sender payload of a payment. The data is any JSON value, which
+ * is validated against a JSON schema, if given, and which can be encrypted,
+ * either with a symmetric key (AES-256-GCM) or to the public key of the
+ * recipient (ECIES on secp256k1), so that it is not readable by everyone
+ * with access to the API.
+ * The sender data of the payment, i.e. the base64 encoded reference and
+ * payload, is checked against a size limit when the payload is created, and
+ * again when the payment is created, before it is signed. Payloads that can not be decoded are reported
+ * with a SenderPayloadError, never silently ignored.
+ * Plain string payloads of earlier versions decode into the string itself.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {SenderPayload, Payment} = require('nahmii-sdk');
+ *
+ * // Sender
+ * const senderPayload = new SenderPayload({invoice: 'INV-1234'}, {
+ *     schema: invoiceSchema,
+ *     encryption: {publicKey: recipientPublicKey}
+ * });
+ * const payment = new Payment(amount, wallet.address, recipient, wallet, null, senderPayload);
+ *
+ * // Recipient
+ * const {invoice} = receipt.payment.decodeSenderPayload({schema: invoiceSchema, privateKey: recipientPrivateKey});
+ */
+class SenderPayload {
+    /**
+     * Constructor
+     * @param {*} data - Any value that can be serialized as JSON
+     * @param {Object} [options]
+     * @param {Object} [options.schema] - JSON schema the data must conform to
+     * @param {number} [options.maxSize=1024] - Max size in bytes of the sender data of the payment carrying the payload
+     * @param {Object} [options.encryption] - Encrypt the data, given either *key* or *publicKey*
+     * @param {Buffer|string} [options.encryption.key] - Symmetric 32 byte key, as buffer or hex string
+     * @param {Buffer|string} [options.encryption.publicKey] - secp256k1 public key of the recipient, as buffer or hex string
+     * @throws {SenderPayloadError} The data does not conform to the schema, or the payload is too large
+     */
+    constructor(data, options = {}) {
+        const {schema = null, maxSize = DEFAULT_MAX_SIZE, encryption = null} = options;
+
+        if (data === undefined || typeof data === 'function')
+            throw new TypeError('data can not be serialized as JSON');
+
+        if (!Number.isInteger(maxSize) || maxSize < 1)
+            throw new TypeError('maxSize must be a positive integer');
+
+        validate(data, schema);
+
+        let envelope;
+        if (!encryption)
+            envelope = {type: TYPE_JSON, data};
+        else if (encryption.key)
+            envelope = encryptSymmetric(JSON.stringify(data), toKey(encryption.key, 32, 'key'));
+        else if (encryption.publicKey)
+            envelope = encryptEcies(JSON.stringify(data), toPublicKey(encryption.publicKey));
+        else
+            throw new TypeError('encryption has neither a key nor a publicKey');
+
+        const encoded = JSON.stringify(envelope);
+        SenderPayload.checkSize(SENDER_REF_PLACEHOLDER, encoded, maxSize);
+
+        _data.set(this, data);
+        _encoded.set(this, encoded);
+        _encryption.set(this, envelope.type === TYPE_JSON ? null : envelope.type);
+        _maxSize.set(this, maxSize);
+    }
+
+    /**
+     * The data of the payload
+     * @returns {*}
+     */
+    get data() {
+        return _data.get(this);
+    }
+
+    /**
+     * The encryption scheme of the payload, either 'aes-256-gcm' or
+     * 'ecies-secp256k1', or null if it is not encrypted.
+     * @returns {string|null}
+     */
+    get encryption() {
+        return _encryption.get(this);
+    }
+
+    /**
+     * Max size in bytes of the sender data of the payment carrying the payload.
+     * @returns {number}
+     */
+    get maxSize() {
+        return _maxSize.get(this);
+    }
+
+    /**
+     * Encodes the payload as the string carried by the payment.
+     * @returns {string}
+     */
+    toString() {
+        return _encoded.get(this);
+    }
+
+    /**
+     * Decodes a payload, decrypting it if needed.
+     * @param {string} encoded - The encoded payload, e.g. Payment.senderPayload
+     * @param {Object} [options]
+     * @param {Object} [options.schema] - JSON schema the data must conform to
+     * @param {Buffer|string} [options.key] - Symmetric key of an 'aes-256-gcm' payload
+     * @param {Buffer|string} [options.privateKey] - secp256k1 private key of the recipient of an 'ecies-secp256k1' payload
+     * @returns {SenderPayload}
+     * @throws {SenderPayloadError} The payload can not be decoded or decrypted, or does not conform to the schema
+     */
+    static from(encoded, options = {}) {
+        const {schema = null, key = null, privateKey = null} = options;
+
+        if (typeof encoded !== 'string')
+            throw new SenderPayloadError('malformed', 'The sender payload is not a string');
+
+        const envelope = parseEnvelope(encoded);
+        let data;
+        if (!envelope) {
+            data = encoded;
+        }
+        else if (envelope.type === TYPE_JSON) {
+            data = envelope.data;
+        }
+        else {
+            const decryptionKey = envelope.type === TYPE_AES ? key : privateKey;
+            if (!decryptionKey)
+                throw new SenderPayloadError('key-required', `The sender payload is encrypted with ${envelope.type}, a ${envelope.type === TYPE_AES ? 'key' : 'privateKey'} is required`);
+            data = decrypt(envelope, decryptionKey);
+        }
+
+        validate(data, schema);
+
+        const payload = Object.create(SenderPayload.prototype);
+        _data.set(payload, data);
+        _encoded.set(payload, encoded);
+        _encryption.set(payload, envelope && envelope.type !== TYPE_JSON ? envelope.type : null);
+        _maxSize.set(payload, DEFAULT_MAX_SIZE);
+        return payload;
+    }
+
+    /**
+     * Checks the size of the sender data of a payment, whatever the type of
+     * its payload.
+     * @param {string} senderRef - The sender's unique reference of the payment
+     * @param {string} payload - The stringified sender payload
+     * @param {number} [maxSize=1024] - Max size in bytes of the sender data
+     * @throws {SenderPayloadError} The sender data is too large
+     */
+    static checkSize(senderRef, payload, maxSize = DEFAULT_MAX_SIZE) {
+        const size = Buffer.byteLength(encodeSenderData(senderRef, payload));
+        if (size > maxSize)
+            throw new SenderPayloadError('too-large', `The sender data is ${size} bytes, the limit is ${maxSize} bytes`);
+    }
+}
+
+/**
+ * Validates the data against the JSON schema, if any.
+ * @private
+ * @param {*} data
+ * @param {Object} [schema]
+ * @throws {SenderPayloadError} The data does not conform to the schema
+ */
+function validate(data, schema) {
+    if (!schema)
+        return;
+
+    let isValid;
+    try {
+        isValid = ajv.validate(schema, data);
+    }
+    catch (err) {
+        throw new TypeError(`schema is not a valid JSON schema: ${err.message}`);
+    }
+
+    if (!isValid) {
+        const errors = ajv.errors.map(e => ({path: `data${e.dataPath}`, message: e.message}));
+        throw new SenderPayloadError(
+            'schema-violation', `The sender payload does not conform to the schema: ${ajv.errorsText(ajv.errors)}`, {errors}
+        );
+    }
+}
+
+/**
+ * Returns the envelope of an encoded payload, or null for plain string
+ * payloads.
+ * @private
+ * @param {string} encoded
+ * @returns {Object|null}
+ * @throws {SenderPayloadError} The envelope is incomplete
+ */
+function parseEnvelope(encoded) {
+    let envelope;
+    try {
+        envelope = JSON.parse(encoded);
+    }
+    catch (err) {
+        return null;
+    }
+
+    if (!envelope || typeof envelope !== 'object' || ![TYPE_JSON, TYPE_AES, TYPE_ECIES].includes(envelope.type))
+        return null;
+
+    const requiredProperties = {
+        [TYPE_JSON]: ['data'],
+        [TYPE_AES]: ['iv', 'tag', 'data'],
+        [TYPE_ECIES]: ['ephemeralPublicKey', 'iv', 'tag', 'data']
+    }[envelope.type];
+    const missing = requiredProperties.filter(p => envelope[p] === undefined);
+    if (missing.length)
+        throw new SenderPayloadError('malformed', `The ${envelope.type} sender payload is missing ${missing.join(', ')}`);
+
+    return envelope;
+}
+
+function encryptSymmetric(plaintext, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(TYPE_AES, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        type: TYPE_AES,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function encryptEcies(plaintext, publicKey) {
+    const ephemeral = crypto.createECDH(CURVE);
+    ephemeral.generateKeys();
+    let key;
+    try {
+        key = deriveKey(ephemeral.computeSecret(publicKey));
+    }
+    catch (err) {
+        throw new TypeError('publicKey is not a secp256k1 public key');
+    }
+    return Object.assign(encryptSymmetric(plaintext, key), {
+        type: TYPE_ECIES,
+        ephemeralPublicKey: ephemeral.getPublicKey('hex', 'compressed')
+    });
+}
+
+/**
+ * Decrypts the data of an envelope.
+ * @private
+ * @param {Object} envelope
+ * @param {Buffer|string} decryptionKey - The symmetric key, or the private key for ECIES
+ * @returns {*}
+ * @throws {SenderPayloadError} The data can not be decrypted with the key
+ */
+function decrypt(envelope, decryptionKey) {
+    try {
+        let key;
+        if (envelope.type === TYPE_ECIES) {
+            const ecdh = crypto.createECDH(CURVE);
+            ecdh.setPrivateKey(toKey(decryptionKey, 32, 'privateKey'));
+            key = deriveKey(ecdh.computeSecret(Buffer.from(envelope.ephemeralPublicKey, 'hex')));
+        }
+        else {
+            key = toKey(decryptionKey, 32, 'key');
+        }
+
+        const decipher = crypto.createDecipheriv(TYPE_AES, key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    }
+    catch (err) {
+        throw new SenderPayloadError('decryption-failed', `The sender payload can not be decrypted: ${err.message}`, {innerError: err});
+    }
+}
+
+function deriveKey(sharedSecret) {
+    return crypto.createHash('sha256').update(sharedSecret).digest();
+}
+
+function toKey(key, length, name) {
+    const buffer = Buffer.isBuffer(key) ? key : Buffer.from(strip0x(String(key)), 'hex');
+    if (buffer.length !== length)
+        throw new TypeError(`${name} must be ${length} bytes`);
+    return buffer;
+}
+
+function toPublicKey(publicKey) {
+    const buffer = Buffer.isBuffer(publicKey) ? publicKey : Buffer.from(strip0x(String(publicKey)), 'hex');
+    if (buffer.length === 64)
+        return Buffer.concat([Buffer.from([4]), buffer]);
+    if (buffer.length !== 33 && buffer.length !== 65)
+        throw new TypeError('publicKey is not a secp256k1 public key');
+    return buffer;
+}
+
+module.exports = SenderPayload;
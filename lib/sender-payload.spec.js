@@ -0,0 +1,178 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const crypto = require('crypto');
+const SenderPayload = require('./sender-payload');
+const SenderPayloadError = require('./sender-payload-error');
+
+const schema = {
+    type: 'object',
+    properties: {
+        invoice: {type: 'string'},
+        lines: {type: 'array', items: {type: 'number'}}
+    },
+    required: ['invoice'],
+    additionalProperties: false
+};
+
+const data = {invoice: 'INV-1234', lines: [1, 2]};
+
+function expectError(fn, reason) {
+    let error;
+    try {
+        fn();
+    }
+    catch (err) {
+        error = err;
+    }
+    expect(error).to.be.an.instanceOf(SenderPayloadError);
+    expect(error.reason).to.eql(reason);
+    return error;
+}
+
+describe('SenderPayload', () => {
+    context('a structured payload', () => {
+        let payload;
+
+        beforeEach(() => {
+            payload = new SenderPayload(data, {schema});
+        });
+
+        it('has the data', () => {
+            expect(payload.data).to.equal(data);
+        });
+
+        it('is not encrypted', () => {
+            expect(payload.encryption).to.be.null;
+        });
+
+        it('is encoded as a JSON envelope', () => {
+            expect(JSON.parse(payload.toString())).to.eql({type: 'json', data});
+        });
+
+        it('can be decoded', () => {
+            const decoded = SenderPayload.from(payload.toString(), {schema});
+            expect(decoded.data).to.eql(data);
+            expect(decoded.encryption).to.be.null;
+            expect(decoded.toString()).to.eql(payload.toString());
+        });
+    });
+
+    it('decodes a plain string payload into the string', () => {
+        expect(SenderPayload.from('some sender payload').data).to.eql('some sender payload');
+        expect(SenderPayload.from('{"type": "other"}').data).to.eql('{"type": "other"}');
+    });
+
+    it('does not create a payload that does not conform to the schema', () => {
+        const err = expectError(() => new SenderPayload({lines: ['one'], other: true}, {schema}), 'schema-violation');
+        expect(err.errors).to.deep.include.members([
+            {path: 'data', message: 'should have required property \'invoice\''},
+            {path: 'data.lines[0]', message: 'should be number'}
+        ]);
+    });
+
+    it('does not decode a payload that does not conform to the schema', () => {
+        const encoded = new SenderPayload({invoice: 42}).toString();
+        expectError(() => SenderPayload.from(encoded, {schema}), 'schema-violation');
+    });
+
+    it('does not create a payload whose sender data exceeds the size limit', () => {
+        const err = expectError(() => new SenderPayload('x'.repeat(1024)), 'too-large');
+        expect(err.message).to.match(/The sender data is 1488 bytes, the limit is 1024 bytes/);
+        expect(new SenderPayload('x'.repeat(1024), {maxSize: 2048}).data).to.have.lengthOf(1024);
+    });
+
+    it('reports a payload envelope that is incomplete', () => {
+        expectError(() => SenderPayload.from('{"type": "aes-256-gcm", "data": ""}'), 'malformed');
+    });
+
+    it('reports a payload that is not a string', () => {
+        expectError(() => SenderPayload.from({}), 'malformed');
+    });
+
+    [
+        ['undefined data', () => new SenderPayload(undefined)],
+        ['an invalid size limit', () => new SenderPayload(data, {maxSize: 0})],
+        ['an invalid schema', () => new SenderPayload(data, {schema: {type: 'nonsense'}})],
+        ['encryption without a key', () => new SenderPayload(data, {encryption: {}})],
+        ['a key of the wrong size', () => new SenderPayload(data, {encryption: {key: '0x1234'}})],
+        ['a public key of the wrong size', () => new SenderPayload(data, {encryption: {publicKey: '0x1234'}})],
+        ['a public key that is not on the curve', () => new SenderPayload(data, {encryption: {publicKey: '02' + '00'.repeat(32)}})]
+    ].forEach(([description, create]) => {
+        it(`can not be created with ${description}`, () => {
+            expect(create).to.throw(TypeError);
+        });
+    });
+
+    context('a payload encrypted with a symmetric key', () => {
+        const key = crypto.randomBytes(32);
+        let payload;
+
+        beforeEach(() => {
+            payload = new SenderPayload(data, {encryption: {key}});
+        });
+
+        it('is encrypted', () => {
+            expect(payload.encryption).to.eql('aes-256-gcm');
+            expect(payload.toString()).not.to.include('INV-1234');
+        });
+
+        it('can be decrypted with the key', () => {
+            const decoded = SenderPayload.from(payload.toString(), {key: `0x${key.toString('hex')}`, schema});
+            expect(decoded.data).to.eql(data);
+            expect(decoded.encryption).to.eql('aes-256-gcm');
+        });
+
+        it('can not be decoded without the key', () => {
+            expectError(() => SenderPayload.from(payload.toString()), 'key-required');
+        });
+
+        it('can not be decrypted with another key', () => {
+            expectError(() => SenderPayload.from(payload.toString(), {key: crypto.randomBytes(32)}), 'decryption-failed');
+        });
+
+        it('can not be decrypted after it has been tampered with', () => {
+            const envelope = JSON.parse(payload.toString());
+            envelope.data = Buffer.from('tampered').toString('base64');
+            expectError(() => SenderPayload.from(JSON.stringify(envelope), {key}), 'decryption-failed');
+        });
+    });
+
+    context('a payload encrypted to the public key of the recipient', () => {
+        let recipient, payload;
+
+        beforeEach(() => {
+            recipient = crypto.createECDH('secp256k1');
+            recipient.generateKeys();
+            payload = new SenderPayload(data, {encryption: {publicKey: `0x${recipient.getPublicKey('hex')}`}});
+        });
+
+        it('is encrypted', () => {
+            expect(payload.encryption).to.eql('ecies-secp256k1');
+            expect(payload.toString()).not.to.include('INV-1234');
+        });
+
+        it('can be decrypted with the private key of the recipient', () => {
+            const decoded = SenderPayload.from(payload.toString(), {privateKey: recipient.getPrivateKey()});
+            expect(decoded.data).to.eql(data);
+            expect(decoded.encryption).to.eql('ecies-secp256k1');
+        });
+
+        it('can be encrypted to a public key without prefix', () => {
+            const publicKey = recipient.getPublicKey().slice(1);
+            const encoded = new SenderPayload(data, {encryption: {publicKey}}).toString();
+            expect(SenderPayload.from(encoded, {privateKey: recipient.getPrivateKey()}).data).to.eql(data);
+        });
+
+        it('can not be decoded without the private key', () => {
+            const err = expectError(() => SenderPayload.from(payload.toString(), {key: crypto.randomBytes(32)}), 'key-required');
+            expect(err.message).to.match(/privateKey/);
+        });
+
+        it('can not be decrypted with another private key', () => {
+            expectError(() => SenderPayload.from(payload.toString(), {privateKey: crypto.randomBytes(32)}), 'decryption-failed');
+        });
+    });
+});
@@ -3,9 +3,11 @@
 const SettlementFactory = require('./settlement-factory');
 const PaymentSettlement = require('./payment-settlement');
 const OnchainBalanceSettlement = require('./onchain-balance-settlement');
+const SettlementWatcher = require('./settlement-watcher');
 
 module.exports = {
     SettlementFactory,
     PaymentSettlement,
-    OnchainBalanceSettlement
+    OnchainBalanceSettlement,
+    SettlementWatcher
 };
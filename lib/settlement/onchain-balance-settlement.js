@@ -84,6 +84,14 @@ class OnchainBalanceSettlement extends SettlementBase {
         const hasExpired = _hasExpired.get(this);
         return hasExpired === false;
     }
+    /**
+     * Indicates if this settlement has been disqualified by a challenge. A new
+     * settlement can be started once a disqualified settlement has expired.
+     * @returns {boolean}
+     */
+    get isDisqualified() {
+        return this.status === 'Disqualified';
+    }
     /**
      * Indicates if this settlement is ready to be staged
      * @returns {boolean}
@@ -188,7 +196,7 @@ class OnchainBalanceSettlement extends SettlementBase {
      */
     static async create(address, monetaryAmount, provider) {
         const currentSettlement = await OnchainBalanceSettlement.load(address, monetaryAmount.currency, provider);
-        if (currentSettlement && currentSettlement.isStarted && !currentSettlement.isCompleted) 
+        if (currentSettlement && currentSettlement.isStarted && !currentSettlement.isCompleted && !isRestartable(currentSettlement))
             throw new Error('Can not create new settlement object because the last settlement has not completed yet.');
         
         const newSettlement = new OnchainBalanceSettlement(address, monetaryAmount, provider);
@@ -203,7 +211,7 @@ class OnchainBalanceSettlement extends SettlementBase {
      */
     static async checkForCreate(address, currency, provider) {
         const currentSettlement = await OnchainBalanceSettlement.load(address, currency, provider);
-        if (currentSettlement && !currentSettlement.isCompleted) 
+        if (currentSettlement && !currentSettlement.isCompleted && !isRestartable(currentSettlement))
             return {canStart: false, currentSettlement};
         return {canStart: true};
     }
@@ -226,6 +234,10 @@ class OnchainBalanceSettlement extends SettlementBase {
     }
 }
 
+function isRestartable(settlement) {
+    return settlement.isDisqualified && !settlement.isOngoing;
+}
+
 async function sync() {
     const nullSettlementChallengeContract = _nullSettlementChallengeContract.get(this);
 
@@ -251,6 +251,15 @@ describe('OnchainBalanceSettlement', () => {
                 terminated: true
             }),
             expectedInstance
+        }, {
+            name: 'can create an instance when the last settlement is disqualified and expired',
+            wallet: stubbedWallet,
+            stageAmount,
+            contract: Object.assign({}, fakeContractStates, {
+                expired: true,
+                status: 'Disqualified'
+            }),
+            expectedInstance
         }, {
             name: 'should throw error when last settlement has not completed yet',
             wallet: stubbedWallet,
@@ -333,6 +342,16 @@ describe('OnchainBalanceSettlement', () => {
             expectedResult: {
                 canStart: true
             }
+        }, {
+            name: 'can create when the last settlement is disqualified and expired',
+            wallet: stubbedWallet,
+            contract: Object.assign({}, fakeContractStates, {
+                expired: true,
+                status: 'Disqualified'
+            }),
+            expectedResult: {
+                canStart: true
+            }
         }, {
             name: 'can create when it is a first attempted settlement',
             wallet: stubbedWallet,
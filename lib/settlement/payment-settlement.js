@@ -5,6 +5,7 @@ const SettlementBase = require('./settlement');
 const DriipSettlementContract = require('./driip-settlement-contract');
 const DriipSettlementChallengeContract = require('./driip-settlement-challenge-contract');
 const NestedError = require('../nested-error');
+const WalletReceiptIterator = require('../wallet-receipt-iterator');
 const {determineNonceFromReceipt, determineBalanceFromReceipt} = require('./utils');
 
 const _expirationTime = new WeakMap();
@@ -116,6 +117,14 @@ class PaymentSettlement extends SettlementBase {
         const hasExpired = _hasExpired.get(this);
         return hasExpired === false && !this.isTerminated;
     }
+    /**
+     * Indicates if this settlement has been disqualified by a challenge. A new
+     * settlement can be started once a disqualified settlement has expired.
+     * @returns {boolean}
+     */
+    get isDisqualified() {
+        return this.status === 'Disqualified';
+    }
     /**
      * Indicates if this settlement is ready to be staged
      * @returns {boolean}
@@ -190,9 +199,11 @@ class PaymentSettlement extends SettlementBase {
      * @param {EthereumAddress} address - The ethereum address
      * @param {Currency} currency - The currency
      * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {Object} [options]
+     * @param {ReceiptStore} [options.receiptStore] - Look up receipts in this store, after syncing it, instead of fetching them all from the API
      * @returns {Promise} A promise that resolves into a PaymentSettlement instance.
      */
-    static async load(address, currency, provider) {
+    static async load(address, currency, provider, options = {}) {
         const contract = new DriipSettlementChallengeContract(provider);
         const [nonce, stageAmount] = await Promise.all([
             contract.getCurrentProposalNonce(address, currency.ct, currency.id),
@@ -201,11 +212,7 @@ class PaymentSettlement extends SettlementBase {
         if (!nonce) 
             return null;
         
-        const allWalletReceipts = await provider.getWalletReceipts(address.toString(), nonce.toNumber());
-
-        const usedReceipt = allWalletReceipts.find(
-            r => determineNonceFromReceipt(r, address) === nonce.toNumber()
-        );
+        const usedReceipt = await findReceiptByNonce(address, nonce.toNumber(), provider, options.receiptStore);
         const currentSettlement = new PaymentSettlement(address, usedReceipt, stageAmount, provider);
         await sync.call(currentSettlement);
         return currentSettlement;
@@ -215,15 +222,17 @@ class PaymentSettlement extends SettlementBase {
      * @param {EthereumAddress} address - The ethereum address
      * @param {MonetaryAmount} monetaryAmount - The monetary amount
      * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {Object} [options]
+     * @param {ReceiptStore} [options.receiptStore] - Look up receipts in this store, after syncing it, instead of fetching them all from the API
      * @returns {Promise} A promise that resolves into a PaymentSettlement instance.
      */
-    static async create(address, monetaryAmount, provider) {
+    static async create(address, monetaryAmount, provider, options = {}) {
         const {currency, amount} = monetaryAmount;
-        const currentSettlement = await PaymentSettlement.load(address, currency, provider);
-        if (currentSettlement && !currentSettlement.isCompleted) 
+        const currentSettlement = await PaymentSettlement.load(address, currency, provider, options);
+        if (currentSettlement && !currentSettlement.isCompleted && !isRestartable(currentSettlement))
             throw new Error('Can not create new settlement object until the last settlement is completed.');
         
-        const latestReceipt = await getLatestReceipt(address, currency.ct, provider);
+        const latestReceipt = await getLatestReceipt(address, currency.ct, provider, options.receiptStore);
         const receiptBalance = determineBalanceFromReceipt(latestReceipt, address);
         if (receiptBalance.lt(amount)) 
             throw new Error('The intended stage amount is greater than the receipt balance.');
@@ -236,16 +245,19 @@ class PaymentSettlement extends SettlementBase {
      * @param {EthereumAddress} address - The ethereum address
      * @param {Currency} currency - The currency
      * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {Object} [options]
+     * @param {ReceiptStore} [options.receiptStore] - Look up receipts in this store, after syncing it, instead of fetching them all from the API
      * @returns {Promise} A promise that resolves into an object {canStart: [boolean], maxStageAmount: [BigNumber], receiptToUse: [Receipt]}.
      */
-    static async checkForCreate(address, currency, provider) {
-        const latestReceipt = await getLatestReceipt(address, currency.ct, provider);
+    static async checkForCreate(address, currency, provider, options = {}) {
+        const latestReceipt = await getLatestReceipt(address, currency.ct, provider, options.receiptStore);
         if (!latestReceipt) 
             return {canStart: false, receiptToUse: null};
 
-        const currentSettlement = await PaymentSettlement.load(address, currency, provider);
+        const currentSettlement = await PaymentSettlement.load(address, currency, provider, options);
         if (currentSettlement) {
-            if (!currentSettlement.isCompleted || JSON.stringify(currentSettlement.receipt) === JSON.stringify(latestReceipt)) 
+            const isDone = currentSettlement.isCompleted || isRestartable(currentSettlement);
+            if (!isDone || JSON.stringify(currentSettlement.receipt) === JSON.stringify(latestReceipt))
                 return {canStart: false, receiptToUse: null, currentSettlement};
         }
 
@@ -273,6 +285,10 @@ class PaymentSettlement extends SettlementBase {
     }
 }
 
+function isRestartable(settlement) {
+    return settlement.isDisqualified && !settlement.isOngoing;
+}
+
 async function sync() {
     const driipSettlementContract = _driipSettlementContract.get(this);
     const driipSettlementChallengeContract = _driipSettlementChallengeContract.get(this);
@@ -292,14 +308,28 @@ async function sync() {
     _settlementHistory.set(this, settlementHistory);
 }
 
-async function getLatestReceipt(address, ct, provider) {
-    const receipts = await provider.getWalletReceipts(address.toString(), null, 100);
-    const filteredReceipts = receipts
-        .filter(r => EthereumAddress.from(r.currency.ct).isEqual(ct))
-        .sort((a, b) => determineNonceFromReceipt(b, address) - determineNonceFromReceipt(a, address));
-    
-    const latestReceipt = filteredReceipts[0];
-    return latestReceipt;
+async function findReceiptByNonce(address, nonce, provider, receiptStore) {
+    if (receiptStore) {
+        await receiptStore.sync(address);
+        const [storedReceipt] = await receiptStore.getReceiptsJSON(address, {fromNonce: nonce, toNonce: nonce});
+        return storedReceipt;
+    }
+
+    const receipts = new WalletReceiptIterator(provider, address, {fromNonce: nonce, toNonce: nonce});
+    for await (const receipt of receipts.json())
+        return receipt;
+}
+
+async function getLatestReceipt(address, ct, provider, receiptStore) {
+    if (receiptStore) {
+        await receiptStore.sync(address);
+        const storedReceipts = await receiptStore.getReceiptsJSON(address, {currency: ct});
+        return storedReceipts[storedReceipts.length - 1];
+    }
+
+    const receipts = new WalletReceiptIterator(provider, address, {direction: 'desc', currency: ct});
+    for await (const receipt of receipts.json())
+        return receipt;
 }
 
 module.exports = PaymentSettlement;
\ No newline at end of file
@@ -527,6 +527,33 @@ describe('PaymentSettlement', () => {
                 receiptToUse: fakeReceipt2,
                 maxStageAmount: ethers.utils.bigNumberify(fakeReceipt2.sender.balances.current)
             }
+        }, {
+            name: 'can create when last settlement is disqualified and expired',
+            wallet: stubbedWallet,
+            contract: Object.assign({}, fakeContractStates, {
+                expired: true,
+                status: 'Disqualified',
+                settlementHistory: null
+            }),
+            receipts: fakeReceipts,
+            expectedResult: {
+                canStart: true,
+                receiptToUse: fakeReceipt2,
+                maxStageAmount: ethers.utils.bigNumberify(fakeReceipt2.sender.balances.current)
+            }
+        }, {
+            name: 'can not create when last settlement is disqualified but ongoing',
+            wallet: stubbedWallet,
+            contract: Object.assign({}, fakeContractStates, {
+                expired: false,
+                status: 'Disqualified',
+                settlementHistory: null
+            }),
+            receipts: fakeReceipts,
+            expectedResult: {
+                canStart: false,
+                receiptToUse: null
+            }
         }, {
             name: 'can create when it is the first attempted settlement',
             wallet: fakeWallet,
@@ -561,6 +588,74 @@ describe('PaymentSettlement', () => {
                     expect(checks.currentSettlement.toJSON()).to.deep.equal(expectedResult.currentSettlement);
             });
         });
+
+        it('finds the latest receipt in the currency beyond the latest page of receipts', async () => {
+            const otherCurrency = {ct: '0x0000000000000000000000000000000000000004', id: '0'};
+            const laterReceipts = [];
+            for (let nonce = 4; nonce < 154; nonce++) {
+                laterReceipts.push(Object.assign({}, fakeReceipt2, {
+                    currency: otherCurrency,
+                    sender: Object.assign({}, fakeReceipt2.sender, {nonce})
+                }));
+            }
+            const receipts = [fakeReceipt1, fakeReceipt2, ...laterReceipts];
+            mockContractStates({}, stubbedWallet, currency);
+            stubbedProvider.getWalletReceipts.callsFake(async (address, fromNonce, limit, asc) => {
+                const page = receipts.filter(r => fromNonce === null || r.sender.nonce >= fromNonce);
+                return (asc ? page : page.reverse()).slice(0, limit);
+            });
+            const checks = await PaymentSettlement.checkForCreate(EthereumAddress.from(stubbedWallet.address), Currency.from(currency), stubbedProvider);
+            expect(checks.receiptToUse).to.equal(fakeReceipt2);
+            expect(stubbedProvider.getWalletReceipts).to.have.been.calledTwice;
+        });
+
+        context('with a receipt store', () => {
+            let receiptStore;
+
+            beforeEach(() => {
+                receiptStore = {
+                    sync: sinon.stub().resolves({added: 0, rejected: 0}),
+                    getReceiptsJSON: sinon.stub()
+                };
+                receiptStore.getReceiptsJSON
+                    .withArgs(EthereumAddressMatcher(stubbedWallet.address), {currency: sinon.match.any})
+                    .resolves(fakeReceipts);
+                receiptStore.getReceiptsJSON
+                    .withArgs(EthereumAddressMatcher(stubbedWallet.address), {fromNonce: 1, toNonce: 1})
+                    .resolves([fakeReceipt1]);
+            });
+
+            it('uses the latest receipt in the synced store instead of the API', async () => {
+                mockContractStates({}, stubbedWallet, currency);
+                const checks = await PaymentSettlement.checkForCreate(
+                    EthereumAddress.from(stubbedWallet.address), Currency.from(currency), stubbedProvider, {receiptStore}
+                );
+                expect(receiptStore.sync).to.have.been.calledWith(EthereumAddressMatcher(stubbedWallet.address));
+                expect(checks.canStart).to.be.true;
+                expect(checks.receiptToUse).to.equal(fakeReceipt2);
+                expect(stubbedProvider.getWalletReceipts).not.to.have.been.called;
+            });
+
+            it('finds the receipt of an ongoing settlement in the store', async () => {
+                mockContractStates(Object.assign({}, fakeContractStates, {expired: false}), stubbedWallet, currency);
+                const checks = await PaymentSettlement.checkForCreate(
+                    EthereumAddress.from(stubbedWallet.address), Currency.from(currency), stubbedProvider, {receiptStore}
+                );
+                expect(checks.canStart).to.be.false;
+                expect(checks.currentSettlement.receipt).to.equal(fakeReceipt1);
+                expect(stubbedProvider.getWalletReceipts).not.to.have.been.called;
+            });
+
+            it('creates a settlement from the latest receipt in the store', async () => {
+                mockContractStates({}, stubbedWallet, currency);
+                const monetaryAmount = MonetaryAmount.from({currency, amount: 1});
+                const settlement = await PaymentSettlement.create(
+                    EthereumAddress.from(stubbedWallet.address), monetaryAmount, stubbedProvider, {receiptStore}
+                );
+                expect(settlement.receipt).to.equal(fakeReceipt2);
+                expect(stubbedProvider.getWalletReceipts).not.to.have.been.called;
+            });
+        });
     });
 
     context('#start()', () => {
@@ -13,6 +13,7 @@ const OnchainBalanceSettlement = require('./onchain-balance-settlement');
 const NestedError = require('../nested-error');
 
 const _provider = new WeakMap();
+const _receiptStore = new WeakMap();
 
 /**
  * @class SettlementFactory
@@ -23,9 +24,12 @@ class SettlementFactory {
     /**
      * Constructor
      * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {Object} [options]
+     * @param {ReceiptStore} [options.receiptStore] - Look up payment receipts in this store instead of fetching them all from the API
      */
-    constructor(provider) {
+    constructor(provider, options = {}) {
         _provider.set(this, provider);
+        _receiptStore.set(this, options.receiptStore || null);
     }
 
     get provider() {
@@ -60,7 +64,8 @@ class SettlementFactory {
                 const newSettlement = await SettlementClass.create(
                     walletAddress, 
                     MonetaryAmount.from({currency, amount: stageAmount}), 
-                    this.provider
+                    this.provider,
+                    settlementOptions.call(this)
                 );
                 residualIntendedAmount = residualIntendedAmount.sub(stageAmount);
                 newSettlements.push(newSettlement);
@@ -86,7 +91,7 @@ class SettlementFactory {
         const walletAddress = EthereumAddress.from(address);
         const currency = Currency.from({ct, id: 0});
         const settlements = await Promise.all([
-            PaymentSettlement.load(walletAddress, currency, this.provider),
+            PaymentSettlement.load(walletAddress, currency, this.provider, settlementOptions.call(this)),
             OnchainBalanceSettlement.load(walletAddress, currency, this.provider)
         ]);
         return settlements.filter(settlement => settlement);
@@ -108,7 +113,7 @@ async function getAllowedSettlementTypes(walletAddress, currency) {
     const provider = _provider.get(this);
     const allowedSettlements = [];
 
-    const paymentSettlementCheck = await PaymentSettlement.checkForCreate(walletAddress, currency, provider);
+    const paymentSettlementCheck = await PaymentSettlement.checkForCreate(walletAddress, currency, provider, settlementOptions.call(this));
     if (paymentSettlementCheck.canStart) {
         allowedSettlements.push({
             maxStageAmount: paymentSettlementCheck.maxStageAmount,
@@ -125,4 +130,9 @@ async function getAllowedSettlementTypes(walletAddress, currency) {
     return allowedSettlements;
 }
 
+function settlementOptions() {
+    const receiptStore = _receiptStore.get(this);
+    return receiptStore ? {receiptStore} : {};
+}
+
 module.exports = SettlementFactory;
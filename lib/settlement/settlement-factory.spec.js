@@ -245,4 +245,31 @@ describe('SettlementFactory', () => {
             });
         });
     });
+    describe('with a receipt store', () => {
+        const receiptStore = {};
+
+        beforeEach(() => {
+            settlementFactory = new SettlementFactory(stubbedProvider, {receiptStore});
+            stubbedProvider.getTokenInfo.resolves({decimals: 18});
+            stubbedProvider.getNahmiiBalances.resolves([{currency, amountAvailable: '10'}]);
+            stubbedPaymentSettlement.checkForCreate.resolves({canStart: true, maxStageAmount: ethers.utils.bigNumberify(10)});
+            stubbedOnchainBalanceSettlement.checkForCreate.resolves({canStart: true});
+            stubbedPaymentSettlement.create.resolves({type: 'payment'});
+        });
+
+        it('passes the store when calculating payment settlements', async () => {
+            const stageMonetaryAmount = MonetaryAmount.from(1, currency.ct);
+            await settlementFactory.calculateRequiredSettlements(fakeWallet.address, stageMonetaryAmount);
+            expect(stubbedPaymentSettlement.checkForCreate)
+                .to.have.been.calledWith(sinon.match.any, sinon.match.any, stubbedProvider, {receiptStore});
+            expect(stubbedPaymentSettlement.create)
+                .to.have.been.calledWith(sinon.match.any, sinon.match.any, stubbedProvider, {receiptStore});
+        });
+
+        it('passes the store when loading payment settlements', async () => {
+            await settlementFactory.getAllSettlements(EthereumAddress.from(fakeWallet.address), currency.ct);
+            expect(stubbedPaymentSettlement.load)
+                .to.have.been.calledWith(sinon.match.any, sinon.match.any, stubbedProvider, {receiptStore});
+        });
+    });
 });
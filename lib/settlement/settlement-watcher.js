@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const EventEmitter = require('events');
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const SettlementFactory = require('./settlement-factory');
+
+const _provider = new WeakMap();
+const _settlementFactory = new WeakMap();
+const _wallet = new WeakMap();
+const _gasPolicy = new WeakMap();
+const _timeout = new WeakMap();
+const _eventEmitter = new WeakMap();
+const _watched = new WeakMap();
+const _staging = new WeakMap();
+const _blockListener = new WeakMap();
+const _syncing = new WeakMap();
+
+/**
+ * @class SettlementWatcher
+ * Watches the settlements of a set of wallets and currencies, and notifies
+ * when their challenge periods end. The settlements are loaded again on every
+ * new block, and changes of their states are emitted as events with the
+ * settlement:
+ * - 'expired' when the challenge period has ended
+ * - 'qualified' when the challenge period has ended without the settlement being disqualified
+ * - 'disqualified' when the settlement has been disqualified by a challenge
+ * - 'stageable' when the settlement can be staged, also when first loaded
+ * - 'completed' when the settlement has been staged
+ *
+ * Given a wallet, settlements of the wallet are staged as soon as they are
+ * stageable, which is emitted as 'staged' with the settlement and the
+ * transaction, or 'stageFailed' with the settlement and the error. Staging
+ * that failed is tried again on the next block. A staging transaction that
+ * reverts is also emitted as 'stageFailed', and staging is tried again. One
+ * that is not mined in time is emitted as 'stageFailed' too, but is waited
+ * for again instead, as it may still be mined.
+ * Failing to load the settlements of a wallet in a currency is emitted as
+ * 'syncFailed' with the error, the address and the currency contract address.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {SettlementWatcher} = require('nahmii-sdk');
+ *
+ * const watcher = new SettlementWatcher(provider, {wallet, gasPolicy: {gasLimit: 1000000}})
+ *     .watch(wallet.address, tokenAddress)
+ *     .on('expired', settlement => console.log(`${settlement.type} settlement expired`))
+ *     .on('staged', (settlement, transaction) => console.log(transaction.hash))
+ *     .start();
+ *
+ * // Notifying users of an exchange, with a gas price policy
+ * const watcher = new SettlementWatcher(provider, {
+ *     wallet: hotWallet,
+ *     gasPolicy: async settlement => ({gasLimit: 1000000, gasPrice: await provider.getGasPrice()})
+ * });
+ * for (const user of users)
+ *     watcher.watch(user.address, tokenAddress);
+ * watcher.on('stageable', settlement => notify(settlement.address)).start();
+ */
+class SettlementWatcher {
+    /**
+     * Constructor
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {Object} [options]
+     * @param {SettlementFactory} [options.settlementFactory] - The factory loading the settlements, one for the provider if not given
+     * @param {ReceiptStore} [options.receiptStore] - Look up payment receipts in this store, see SettlementFactory
+     * @param {Wallet} [options.wallet] - Stage the settlements of this wallet once stageable
+     * @param {Object|function} [options.gasPolicy] - The gasLimit and gasPrice of staging transactions, or a function of the settlement returning them or a promise of them
+     * @param {number} [options.timeout=600] - Seconds to wait for each staging transaction to be mined
+     */
+    constructor(provider, options = {}) {
+        if (!provider)
+            throw new TypeError('provider is undefined');
+
+        const {settlementFactory, receiptStore, wallet = null, gasPolicy = {}, timeout = 600} = options;
+        if (typeof gasPolicy !== 'function' && (typeof gasPolicy !== 'object' || gasPolicy === null))
+            throw new TypeError('gasPolicy is not an object or a function');
+
+        _provider.set(this, provider);
+        _settlementFactory.set(this, settlementFactory || new SettlementFactory(provider, {receiptStore}));
+        _wallet.set(this, wallet);
+        _gasPolicy.set(this, gasPolicy);
+        _timeout.set(this, timeout);
+        _eventEmitter.set(this, new EventEmitter());
+        _watched.set(this, new Map());
+        _staging.set(this, new Map());
+        _blockListener.set(this, null);
+        _syncing.set(this, false);
+    }
+
+    /**
+     * The watched wallets and currencies
+     * @returns {Object[]} The address and the currency contract address of each
+     */
+    get watched() {
+        return [..._watched.get(this).values()].map(({address, ct}) => ({address, ct}));
+    }
+
+    /**
+     * Starts watching the settlements of a wallet in a currency.
+     * @param {EthereumAddress|string} address - The address of the wallet
+     * @param {EthereumAddress|string} ct - The currency contract address
+     * @returns {SettlementWatcher}
+     * @throws {TypeError} The address or the currency is not a valid address
+     */
+    watch(address, ct) {
+        const key = toKey(address, ct);
+        const watched = _watched.get(this);
+        if (!watched.has(key))
+            watched.set(key, {address: address.toString(), ct: ct.toString(), synced: false, snapshots: {}});
+        return this;
+    }
+
+    /**
+     * Stops watching the settlements of a wallet in a currency.
+     * @param {EthereumAddress|string} address - The address of the wallet
+     * @param {EthereumAddress|string} ct - The currency contract address
+     * @returns {SettlementWatcher}
+     */
+    unwatch(address, ct) {
+        const key = toKey(address, ct);
+        _watched.get(this).delete(key);
+        for (const stagingKey of [..._staging.get(this).keys()]) {
+            if (stagingKey.startsWith(`${key}/`))
+                _staging.get(this).delete(stagingKey);
+        }
+        return this;
+    }
+
+    /**
+     * Starts loading the settlements on every new block, if not started
+     * already.
+     * @returns {SettlementWatcher}
+     */
+    start() {
+        if (!_blockListener.get(this)) {
+            const listener = () => {
+                if (_syncing.get(this))
+                    return;
+                this.sync().catch(err => emit.call(this, 'syncFailed', err));
+            };
+            _blockListener.set(this, listener);
+            _provider.get(this).on('block', listener);
+        }
+        return this;
+    }
+
+    /**
+     * Stops loading the settlements on new blocks.
+     */
+    stop() {
+        const listener = _blockListener.get(this);
+        if (listener) {
+            _provider.get(this).removeListener('block', listener);
+            _blockListener.set(this, null);
+        }
+    }
+
+    /**
+     * Loads the settlements of all watched wallets and currencies, emits the
+     * changes of their states and stages them if configured to. Called on
+     * every new block once started. Failing to load the settlements of a
+     * wallet in a currency is emitted as 'syncFailed', and does not stop the
+     * others from loading.
+     * @returns {Promise}
+     */
+    async sync() {
+        _syncing.set(this, true);
+        try {
+            for (const [key, entry] of _watched.get(this)) {
+                let settlements;
+                try {
+                    settlements = await _settlementFactory.get(this).getAllSettlements(entry.address, entry.ct);
+                }
+                catch (err) {
+                    emit.call(this, 'syncFailed', err, entry.address, entry.ct);
+                    continue;
+                }
+                if (_watched.get(this).get(key) !== entry)
+                    continue;
+
+                for (const settlement of settlements)
+                    await update.call(this, `${key}/${settlement.type}`, entry, settlement);
+                entry.synced = true;
+            }
+        }
+        finally {
+            _syncing.set(this, false);
+        }
+    }
+
+    /**
+     * Registers a listener of an event: 'expired', 'qualified',
+     * 'disqualified', 'stageable', 'completed', 'staged', 'stageFailed' or
+     * 'syncFailed'.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {SettlementWatcher}
+     */
+    on(eventName, listener) {
+        _eventEmitter.get(this).on(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Registers a listener that is only called the first time the event is
+     * emitted.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {SettlementWatcher}
+     */
+    once(eventName, listener) {
+        _eventEmitter.get(this).once(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener previously registered with on() or once().
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - The registered listener
+     * @returns {SettlementWatcher}
+     */
+    removeListener(eventName, listener) {
+        _eventEmitter.get(this).removeListener(eventName, listener);
+        return this;
+    }
+}
+
+/**
+ * Emits the changes of the state of a settlement since it was last loaded,
+ * and stages it if configured to.
+ * Private method, invoke with 'this' bound to SettlementWatcher instance.
+ * @private
+ * @param {string} key - The key of the settlement
+ * @param {Object} entry - The watched wallet and currency
+ * @param {PaymentSettlement|OnchainBalanceSettlement} settlement
+ */
+async function update(key, entry, settlement) {
+    const type = settlement.type;
+    // Settlements appearing after the first sync are new, so all their changes are emitted
+    const previous = entry.snapshots[type] || (entry.synced ? {} : null);
+    entry.snapshots[type] = {
+        isOngoing: settlement.isOngoing,
+        status: settlement.status,
+        isStageable: settlement.isStageable,
+        isCompleted: settlement.isCompleted
+    };
+
+    if (previous) {
+        if (settlement.isDisqualified && previous.status !== 'Disqualified')
+            emit.call(this, 'disqualified', settlement);
+        if (previous.isOngoing && !settlement.isOngoing) {
+            emit.call(this, 'expired', settlement);
+            if (settlement.status === 'Qualified')
+                emit.call(this, 'qualified', settlement);
+        }
+        if (settlement.isCompleted && !previous.isCompleted)
+            emit.call(this, 'completed', settlement);
+    }
+
+    if (!settlement.isStageable) {
+        _staging.get(this).delete(key);
+        return;
+    }
+
+    if (!previous || !previous.isStageable)
+        emit.call(this, 'stageable', settlement);
+
+    if (isStagedBy(settlement, _wallet.get(this)) && !_staging.get(this).has(key))
+        await stage.call(this, key, settlement);
+}
+
+/**
+ * Stages a settlement, and tracks the staging transaction without waiting
+ * for it to be mined.
+ * Private method, invoke with 'this' bound to SettlementWatcher instance.
+ * @private
+ * @param {string} key - The key of the settlement
+ * @param {PaymentSettlement|OnchainBalanceSettlement} settlement - The stageable settlement
+ */
+async function stage(key, settlement) {
+    const staging = _staging.get(this);
+
+    staging.set(key, null);
+    let transaction;
+    try {
+        const gasPolicy = _gasPolicy.get(this);
+        const options = typeof gasPolicy === 'function' ? await gasPolicy(settlement) : gasPolicy;
+        transaction = await settlement.stage(_wallet.get(this), Object.assign({}, options));
+    }
+    catch (err) {
+        staging.delete(key);
+        emit.call(this, 'stageFailed', settlement, err);
+        return;
+    }
+    emit.call(this, 'staged', settlement, transaction);
+
+    staging.set(key, transaction.hash);
+    track.call(this, key, settlement, transaction.hash);
+}
+
+/**
+ * Waits for a staging transaction to be mined, for as long as the settlement
+ * is being staged with it. The settlement is staged again on a later block if
+ * the transaction reverted, but not if it was not mined in time, as it may
+ * still be mined.
+ * Private method, invoke with 'this' bound to SettlementWatcher instance.
+ * @private
+ * @param {string} key - The key of the settlement
+ * @param {PaymentSettlement|OnchainBalanceSettlement} settlement - The staged settlement
+ * @param {string} hash - The hash of the staging transaction
+ */
+async function track(key, settlement, hash) {
+    const provider = _provider.get(this);
+    const staging = _staging.get(this);
+    while (staging.get(key) === hash) {
+        try {
+            await provider.getTransactionConfirmation(hash, _timeout.get(this));
+            return;
+        }
+        catch (err) {
+            const receipt = await provider.getTransactionReceipt(hash).catch(() => null);
+            if (receipt && receipt.status === 0 && staging.get(key) === hash)
+                staging.delete(key);
+            emit.call(this, 'stageFailed', settlement, err);
+        }
+    }
+}
+
+function isStagedBy(settlement, wallet) {
+    if (!wallet)
+        return false;
+    const address = EthereumAddress.from(wallet.address);
+    return !!address && address.isEqual(settlement.address);
+}
+
+function emit(eventName, ...args) {
+    _eventEmitter.get(this).emit(eventName, ...args);
+}
+
+function toKey(address, ct) {
+    const walletAddress = EthereumAddress.from(address && address.toString());
+    if (!walletAddress)
+        throw new TypeError('address is not a valid address');
+    const currencyAddress = EthereumAddress.from(ct && ct.toString());
+    if (!currencyAddress)
+        throw new TypeError('ct is not a valid address');
+    return `${walletAddress.toString().toLowerCase()}/${currencyAddress.toString().toLowerCase()}`;
+}
+
+module.exports = SettlementWatcher;
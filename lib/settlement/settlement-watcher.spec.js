@@ -0,0 +1,296 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const EventEmitter = require('events');
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const StubbedSettlementFactory = sinon.stub();
+const SettlementWatcher = proxyquire('./settlement-watcher', {
+    './settlement-factory': StubbedSettlementFactory
+});
+
+const walletAddress = '0x0000000000000000000000000000000000000001';
+const otherAddress = '0x0000000000000000000000000000000000000009';
+const ct = '0x0000000000000000000000000000000000000002';
+
+function fakeSettlement(state = {}, address = walletAddress) {
+    return Object.assign({
+        type: 'payment',
+        address: EthereumAddress.from(address),
+        status: 'Qualified',
+        isOngoing: true,
+        isStageable: false,
+        isCompleted: false,
+        isDisqualified: false,
+        stage: sinon.stub().resolves({hash: '0xstage'})
+    }, state);
+}
+
+const ongoing = {};
+const stageable = {isOngoing: false, isStageable: true};
+const completed = {isOngoing: false, isCompleted: true};
+const disqualified = {status: 'Disqualified', isDisqualified: true};
+const expiredDisqualified = {status: 'Disqualified', isDisqualified: true, isOngoing: false};
+
+describe('SettlementWatcher', () => {
+    let provider, settlementFactory, watcher, events;
+
+    function listen(w) {
+        ['expired', 'qualified', 'disqualified', 'stageable', 'completed', 'staged', 'stageFailed', 'syncFailed'].forEach(name => {
+            w.on(name, () => events.push(name));
+        });
+        return w;
+    }
+
+    function loads(...states) {
+        states.forEach((state, i) => {
+            settlementFactory.getAllSettlements.onCall(i).resolves(state ? [fakeSettlement(state)] : []);
+        });
+    }
+
+    beforeEach(() => {
+        provider = new EventEmitter();
+        provider.getTransactionConfirmation = sinon.stub().resolves({status: 1});
+        provider.getTransactionReceipt = sinon.stub().resolves(null);
+        settlementFactory = {getAllSettlements: sinon.stub().resolves([])};
+        events = [];
+        watcher = listen(new SettlementWatcher(provider, {settlementFactory})).watch(walletAddress, ct);
+    });
+
+    afterEach(() => {
+        StubbedSettlementFactory.reset();
+    });
+
+    it('requires a provider', () => {
+        expect(() => new SettlementWatcher()).to.throw(TypeError, /provider/);
+    });
+
+    it('requires a valid gas policy', () => {
+        expect(() => new SettlementWatcher(provider, {gasPolicy: 1000000})).to.throw(TypeError, /gasPolicy/);
+    });
+
+    it('creates a settlement factory with the receipt store given', () => {
+        const receiptStore = {};
+        new SettlementWatcher(provider, {receiptStore});
+        expect(StubbedSettlementFactory).to.have.been.calledWithNew;
+        expect(StubbedSettlementFactory).to.have.been.calledWith(provider, {receiptStore});
+    });
+
+    it('has the watched wallets and currencies', () => {
+        watcher.watch(walletAddress, ct).watch(otherAddress, ct);
+        expect(watcher.watched).to.eql([{address: walletAddress, ct}, {address: otherAddress, ct}]);
+        watcher.unwatch(walletAddress, ct.toUpperCase().replace('0X', '0x'));
+        expect(watcher.watched).to.eql([{address: otherAddress, ct}]);
+    });
+
+    it('requires valid addresses to watch', () => {
+        expect(() => watcher.watch('0x1', ct)).to.throw(TypeError, /address/);
+        expect(() => watcher.watch(walletAddress)).to.throw(TypeError, /ct/);
+    });
+
+    it('loads the settlements of the watched wallets and currencies', async () => {
+        watcher.watch(otherAddress, ct);
+        await watcher.sync();
+        expect(settlementFactory.getAllSettlements).to.have.been.calledWith(walletAddress, ct);
+        expect(settlementFactory.getAllSettlements).to.have.been.calledWith(otherAddress, ct);
+    });
+
+    [
+        ['emits nothing for an ongoing settlement', [ongoing, ongoing], []],
+        ['emits the end of a qualified challenge period', [ongoing, stageable], ['expired', 'qualified', 'stageable']],
+        ['emits a stageable settlement when first loaded', [stageable, stageable], ['stageable']],
+        ['emits a completed settlement', [stageable, completed], ['stageable', 'completed']],
+        ['does not emit a settlement completed before watching', [completed, completed], []],
+        ['emits a disqualification during the challenge period', [ongoing, disqualified, expiredDisqualified], ['disqualified', 'expired']],
+        ['emits the end of a disqualified challenge period', [disqualified, expiredDisqualified], ['expired']],
+        ['emits the changes of a settlement started while watching', [null, ongoing, stageable], ['expired', 'qualified', 'stageable']],
+        ['emits the changes of a new settlement replacing a completed one', [completed, ongoing, stageable], ['expired', 'qualified', 'stageable']]
+    ].forEach(([description, states, expectedEvents]) => {
+        it(description, async () => {
+            loads(...states);
+            for (let i = 0; i < states.length; i++)
+                await watcher.sync();
+            expect(events).to.eql(expectedEvents);
+        });
+    });
+
+    it('passes the settlement with the events', async () => {
+        const settlement = fakeSettlement(stageable);
+        settlementFactory.getAllSettlements.resolves([settlement]);
+        const listener = sinon.spy();
+        watcher.on('stageable', listener);
+        await watcher.sync();
+        expect(listener).to.have.been.calledWith(settlement);
+    });
+
+    it('keeps loading the other settlements when loading some fails', async () => {
+        const error = new Error('no connection');
+        const syncFailed = sinon.spy();
+        watcher.watch(otherAddress, ct).on('syncFailed', syncFailed);
+        settlementFactory.getAllSettlements.withArgs(walletAddress, ct).rejects(error);
+        settlementFactory.getAllSettlements.withArgs(otherAddress, ct).resolves([fakeSettlement(stageable, otherAddress)]);
+        await watcher.sync();
+        expect(syncFailed).to.have.been.calledOnceWith(error, walletAddress, ct);
+        expect(events).to.eql(['syncFailed', 'stageable']);
+    });
+
+    it('tracks the settlements of each type separately', async () => {
+        settlementFactory.getAllSettlements.onFirstCall().resolves([fakeSettlement(), fakeSettlement({type: 'onchain-balance'})]);
+        settlementFactory.getAllSettlements.onSecondCall().resolves([fakeSettlement(), fakeSettlement(Object.assign({type: 'onchain-balance'}, stageable))]);
+        await watcher.sync();
+        await watcher.sync();
+        expect(events).to.eql(['expired', 'qualified', 'stageable']);
+    });
+
+    context('started', () => {
+        beforeEach(() => {
+            watcher.start();
+        });
+
+        afterEach(() => {
+            watcher.stop();
+        });
+
+        it('loads the settlements on new blocks, skipping blocks while loading', async () => {
+            let loaded;
+            settlementFactory.getAllSettlements.onFirstCall().returns(new Promise(resolve => {
+                loaded = resolve;
+            }));
+            settlementFactory.getAllSettlements.onSecondCall().resolves([fakeSettlement(stageable)]);
+            provider.emit('block', 1);
+            provider.emit('block', 2);
+            expect(settlementFactory.getAllSettlements).to.have.been.calledOnce;
+
+            loaded([fakeSettlement(ongoing)]);
+            await new Promise(resolve => setImmediate(resolve));
+            const stageableEvent = new Promise(resolve => watcher.once('stageable', resolve));
+            provider.emit('block', 3);
+            await stageableEvent;
+            expect(settlementFactory.getAllSettlements).to.have.been.calledTwice;
+            expect(events).to.eql(['expired', 'qualified', 'stageable']);
+        });
+
+        it('stops loading the settlements', () => {
+            watcher.stop();
+            provider.emit('block', 1);
+            expect(settlementFactory.getAllSettlements).to.not.have.been.called;
+            expect(provider.listenerCount('block')).to.eql(0);
+        });
+
+        it('subscribes to blocks once', () => {
+            watcher.start();
+            expect(provider.listenerCount('block')).to.eql(1);
+        });
+
+        it('emits failures to load the settlements', async () => {
+            const error = new Error('no connection');
+            settlementFactory.getAllSettlements.rejects(error);
+            const syncFailed = new Promise(resolve => watcher.once('syncFailed', resolve));
+            provider.emit('block', 1);
+            expect(await syncFailed).to.equal(error);
+        });
+    });
+
+    context('with a wallet', () => {
+        let wallet, settlement;
+
+        beforeEach(() => {
+            wallet = {address: walletAddress};
+            settlement = fakeSettlement(stageable);
+            settlementFactory.getAllSettlements.resolves([settlement]);
+        });
+
+        it('stages the stageable settlements of the wallet', async () => {
+            const staged = sinon.spy();
+            watcher = new SettlementWatcher(provider, {settlementFactory, wallet, gasPolicy: {gasLimit: 1000000}})
+                .watch(walletAddress, ct)
+                .on('staged', staged);
+            await watcher.sync();
+            expect(settlement.stage).to.have.been.calledWith(wallet, {gasLimit: 1000000});
+            expect(staged).to.have.been.calledWith(settlement, {hash: '0xstage'});
+        });
+
+        it('applies a gas policy function', async () => {
+            const gasPolicy = sinon.stub().resolves({gasLimit: 2000000, gasPrice: 5});
+            watcher = new SettlementWatcher(provider, {settlementFactory, wallet, gasPolicy}).watch(walletAddress, ct);
+            await watcher.sync();
+            expect(gasPolicy).to.have.been.calledWith(settlement);
+            expect(settlement.stage).to.have.been.calledWith(wallet, {gasLimit: 2000000, gasPrice: 5});
+        });
+
+        it('stages a settlement once', async () => {
+            watcher = new SettlementWatcher(provider, {settlementFactory, wallet}).watch(walletAddress, ct);
+            await watcher.sync();
+            await watcher.sync();
+            expect(settlement.stage).to.have.been.calledOnce;
+        });
+
+        it('stages again when staging failed', async () => {
+            settlement.stage.onFirstCall().rejects(new Error('nonce too low'));
+            watcher = listen(new SettlementWatcher(provider, {settlementFactory, wallet})).watch(walletAddress, ct);
+            await watcher.sync();
+            await watcher.sync();
+            expect(settlement.stage).to.have.been.calledTwice;
+            expect(events).to.eql(['stageable', 'stageFailed', 'staged']);
+        });
+
+        it('waits for the staging transaction to be mined', async () => {
+            watcher = new SettlementWatcher(provider, {settlementFactory, wallet, timeout: 60}).watch(walletAddress, ct);
+            await watcher.sync();
+            expect(provider.getTransactionConfirmation).to.have.been.calledWith('0xstage', 60);
+        });
+
+        it('does not stage again while the staging transaction is pending', async () => {
+            provider.getTransactionConfirmation.returns(new Promise(() => {}));
+            watcher = new SettlementWatcher(provider, {settlementFactory, wallet}).watch(walletAddress, ct);
+            await watcher.sync();
+            await watcher.sync();
+            expect(settlement.stage).to.have.been.calledOnce;
+        });
+
+        it('stages again when the staging transaction reverts', async () => {
+            const error = new Error('Transaction failed');
+            const stageFailed = sinon.spy();
+            provider.getTransactionConfirmation.onFirstCall().rejects(error);
+            provider.getTransactionReceipt.withArgs('0xstage').resolves({status: 0});
+            watcher = listen(new SettlementWatcher(provider, {settlementFactory, wallet})).watch(walletAddress, ct);
+            watcher.on('stageFailed', stageFailed);
+            await watcher.sync();
+            await new Promise(resolve => setImmediate(resolve));
+            await watcher.sync();
+            expect(stageFailed).to.have.been.calledOnceWith(settlement, error);
+            expect(settlement.stage).to.have.been.calledTwice;
+            expect(events).to.eql(['stageable', 'staged', 'stageFailed', 'staged']);
+        });
+
+        it('waits again for a staging transaction that is not mined in time', async () => {
+            const error = new Error('timeout exceeded');
+            const stageFailed = sinon.spy();
+            provider.getTransactionConfirmation.onFirstCall().rejects(error);
+            provider.getTransactionConfirmation.onSecondCall().returns(new Promise(() => {}));
+            watcher = listen(new SettlementWatcher(provider, {settlementFactory, wallet})).watch(walletAddress, ct);
+            watcher.on('stageFailed', stageFailed);
+            await watcher.sync();
+            await new Promise(resolve => setImmediate(resolve));
+            await watcher.sync();
+            expect(stageFailed).to.have.been.calledOnceWith(settlement, error);
+            expect(provider.getTransactionConfirmation).to.have.been.calledTwice;
+            expect(provider.getTransactionConfirmation.secondCall).to.have.been.calledWith('0xstage');
+            expect(settlement.stage).to.have.been.calledOnce;
+            expect(events).to.eql(['stageable', 'staged', 'stageFailed']);
+        });
+
+        it('does not stage the settlements of other wallets', async () => {
+            settlementFactory.getAllSettlements.resolves([fakeSettlement(stageable, otherAddress)]);
+            watcher = listen(new SettlementWatcher(provider, {settlementFactory, wallet})).watch(otherAddress, ct);
+            await watcher.sync();
+            expect(events).to.eql(['stageable']);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const ethers = require('ethers');
+const SignerAdapter = require('./signer-adapter');
+const eip712 = require('../eip712');
+
+/**
+ * @class EthersSignerAdapter
+ * Signer adapter wrapping any ethers.Signer, e.g. a JSON-RPC signer of a
+ * browser wallet. The transport is the signer itself.
+ * Transactions are signed with the sign() or signTransaction() method of the
+ * signer, and typed data with its signTypedData() or _signTypedData() method,
+ * or with its signing key if it has one.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {EthersSignerAdapter, Wallet} = require('nahmii-sdk');
+ *
+ * const adapter = new EthersSignerAdapter(web3Provider.getSigner());
+ * const wallet = await Wallet.fromSigner(adapter, provider);
+ */
+class EthersSignerAdapter extends SignerAdapter {
+    /**
+     * Constructor
+     * @param {ethers.Signer} signer - The signer to wrap
+     */
+    constructor(signer) {
+        super(signer);
+        if (typeof signer.getAddress !== 'function' || typeof signer.signMessage !== 'function')
+            throw new TypeError('signer is not an ethers.Signer');
+    }
+
+    async getAddress() {
+        return await this.transport.getAddress();
+    }
+
+    async signMessage(message) {
+        return await this.transport.signMessage(message);
+    }
+
+    async signTransaction(transaction) {
+        const signer = this.transport;
+        if (typeof signer.sign === 'function')
+            return await signer.sign(transaction);
+        if (typeof signer.signTransaction === 'function')
+            return await signer.signTransaction(transaction);
+        throw new Error('The signer does not support signing transactions');
+    }
+
+    async signTypedData(domain, types, value) {
+        const signer = this.transport;
+        if (typeof signer.signTypedData === 'function')
+            return await signer.signTypedData(domain, types, value);
+        if (typeof signer._signTypedData === 'function')
+            return await signer._signTypedData(domain, types, value);
+        if (signer.signingKey) {
+            const digest = eip712.hashTypedData(domain, types, eip712.getPrimaryType(types), value);
+            return ethers.utils.joinSignature(signer.signingKey.signDigest(digest));
+        }
+        throw new Error('The signer does not support EIP-712 typed data signing');
+    }
+}
+
+module.exports = EthersSignerAdapter;
@@ -0,0 +1,93 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const ethers = require('ethers');
+const eip712 = require('../eip712');
+const SignerAdapter = require('./signer-adapter');
+const EthersSignerAdapter = require('./ethers-signer-adapter');
+
+const privateKey = '0x' + '0F'.repeat(32);
+const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000001'};
+const types = {Greeting: [{name: 'text', type: 'string'}]};
+const transaction = {to: '0x0000000000000000000000000000000000000002', value: ethers.utils.parseEther('1.23'), gasLimit: 21000, chainId: 3};
+
+describe('EthersSignerAdapter', () => {
+    it('requires an ethers.Signer', () => {
+        expect(() => new EthersSignerAdapter({})).to.throw(TypeError, /ethers.Signer/);
+    });
+
+    context('wrapping an ethers.Wallet', () => {
+        let signer, adapter;
+
+        beforeEach(() => {
+            signer = new ethers.Wallet(privateKey);
+            adapter = new EthersSignerAdapter(signer);
+        });
+
+        it('is a SignerAdapter with the signer as transport', () => {
+            expect(adapter).to.be.an.instanceOf(SignerAdapter);
+            expect(adapter.transport).to.equal(signer);
+        });
+
+        it('has the address of the signer', async () => {
+            expect(await adapter.getAddress()).to.eql(signer.address);
+            await adapter.connect();
+            expect(adapter.address).to.eql(signer.address);
+        });
+
+        it('signs messages with the signer', async () => {
+            expect(await adapter.signMessage('Hello')).to.eql(await signer.signMessage('Hello'));
+        });
+
+        it('signs transactions with the signer', async () => {
+            expect(await adapter.signTransaction(transaction)).to.eql(await signer.sign(transaction));
+        });
+
+        it('signs typed data with the signing key of the signer', async () => {
+            const signature = await adapter.signTypedData(domain, types, {text: 'Hello'});
+            const digest = eip712.hashTypedData(domain, types, 'Greeting', {text: 'Hello'});
+            expect(eip712.isSignedBy(digest, ethers.utils.splitSignature(signature), signer.address)).to.be.true;
+        });
+    });
+
+    context('wrapping a remote signer', () => {
+        let signer, adapter;
+
+        beforeEach(() => {
+            signer = {
+                getAddress: sinon.stub().resolves('0x691A8D05678FC962ff0f2174134379c0051Cb686'),
+                signMessage: sinon.stub().resolves('0x01'),
+                signTransaction: sinon.stub().resolves('0x02'),
+                _signTypedData: sinon.stub().resolves('0x03')
+            };
+            adapter = new EthersSignerAdapter(signer);
+        });
+
+        it('signs transactions with signTransaction()', async () => {
+            expect(await adapter.signTransaction(transaction)).to.eql('0x02');
+            expect(signer.signTransaction).to.have.been.calledWith(transaction);
+        });
+
+        it('signs typed data with _signTypedData()', async () => {
+            expect(await adapter.signTypedData(domain, types, {text: 'Hello'})).to.eql('0x03');
+            expect(signer._signTypedData).to.have.been.calledWith(domain, types, {text: 'Hello'});
+        });
+
+        it('rejects signing transactions when the signer can not', async () => {
+            delete signer.signTransaction;
+            await adapter.signTransaction(transaction)
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/transactions/));
+        });
+
+        it('rejects signing typed data when the signer can not', async () => {
+            delete signer._signTypedData;
+            await adapter.signTypedData(domain, types, {text: 'Hello'})
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/EIP-712/));
+        });
+    });
+});
@@ -0,0 +1,11 @@
+'use strict';
+
+const SignerAdapter = require('./signer-adapter');
+const LedgerSignerAdapter = require('./ledger-signer-adapter');
+const EthersSignerAdapter = require('./ethers-signer-adapter');
+
+module.exports = {
+    SignerAdapter,
+    LedgerSignerAdapter,
+    EthersSignerAdapter
+};
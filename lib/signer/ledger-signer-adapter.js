@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const ethers = require('ethers');
+const SignerAdapter = require('./signer-adapter');
+const eip712 = require('../eip712');
+
+const _path = new WeakMap();
+
+/**
+ * Derivation path templates of Ethereum accounts, where {index} is the index
+ * of the account.
+ * @private
+ */
+const DERIVATION_PATHS = Object.freeze({
+    BIP44: '44\'/60\'/0\'/0/{index}',
+    LEDGER_LIVE: '44\'/60\'/{index}\'/0/0',
+    LEGACY: '44\'/60\'/0\'/{index}'
+});
+
+const PATH_PATTERN = /^\d+'?(\/\d+'?)*$/;
+
+/**
+ * @class LedgerSignerAdapter
+ * Signer adapter for the Ethereum app of Ledger hardware wallets. The
+ * transport is the Ethereum app, e.g. an instance of Eth from
+ * @ledgerhq/hw-app-eth, or any object with its getAddress(),
+ * signPersonalMessage(), signTransaction() and signEIP712HashedMessage()
+ * methods.
+ * The account is selected by its BIP-32 derivation path, which defaults to
+ * the first account of the BIP-44 scheme.
+ * @alias module:nahmii-sdk
+ * @example
+ * const TransportNodeHid = require('@ledgerhq/hw-transport-node-hid').default;
+ * const Eth = require('@ledgerhq/hw-app-eth').default;
+ * const {LedgerSignerAdapter, Wallet} = require('nahmii-sdk');
+ *
+ * const eth = new Eth(await TransportNodeHid.create());
+ * const accounts = await new LedgerSignerAdapter(eth).getAddresses({scheme: 'LEDGER_LIVE', count: 3});
+ * const adapter = new LedgerSignerAdapter(eth, {path: accounts[1].path});
+ * const wallet = await Wallet.fromSigner(adapter, provider);
+ */
+class LedgerSignerAdapter extends SignerAdapter {
+    /**
+     * Constructor
+     * @param {Object} transport - The Ledger Ethereum app
+     * @param {Object} [options]
+     * @param {string} [options.path] - The derivation path of the account, e.g. "44'/60'/0'/0/0"
+     */
+    constructor(transport, options = {}) {
+        super(transport);
+        const {path = LedgerSignerAdapter.derivationPath('BIP44', 0)} = options;
+        _path.set(this, normalizePath(path));
+    }
+
+    /**
+     * The names of the supported derivation path schemes: 'BIP44'
+     * (44'/60'/0'/0/n), 'LEDGER_LIVE' (44'/60'/n'/0/0) and 'LEGACY'
+     * (44'/60'/0'/n).
+     * @returns {string[]}
+     */
+    static get DERIVATION_SCHEMES() {
+        return Object.keys(DERIVATION_PATHS);
+    }
+
+    /**
+     * Returns the derivation path of an account in a derivation path scheme.
+     * @param {string} scheme - The name of the scheme, see DERIVATION_SCHEMES
+     * @param {number} index - The index of the account
+     * @returns {string}
+     * @throws {TypeError} The scheme or index is not valid
+     */
+    static derivationPath(scheme, index) {
+        const template = DERIVATION_PATHS[scheme];
+        if (!template)
+            throw new TypeError(`${scheme} is not a derivation path scheme`);
+        if (!Number.isInteger(index) || index < 0)
+            throw new TypeError('index is not a non-negative integer');
+        return template.replace('{index}', index);
+    }
+
+    /**
+     * The derivation path of the account
+     * @returns {string}
+     */
+    get path() {
+        return _path.get(this);
+    }
+
+    async getAddress() {
+        const {address} = await this.transport.getAddress(_path.get(this));
+        return ethers.utils.getAddress(address);
+    }
+
+    /**
+     * Retrieves the addresses of a range of accounts in a derivation path
+     * scheme, e.g. for letting the user pick an account.
+     * @param {Object} [options]
+     * @param {string} [options.scheme='BIP44'] - The name of the scheme, see DERIVATION_SCHEMES
+     * @param {number} [options.from=0] - The index of the first account
+     * @param {number} [options.count=5] - The number of accounts
+     * @returns {Promise<Object[]>} A promise that resolves into a list of {path, address}
+     */
+    async getAddresses(options = {}) {
+        const {scheme = 'BIP44', from = 0, count = 5} = options;
+        const paths = [];
+        for (let i = from; i < from + count; i++)
+            paths.push(LedgerSignerAdapter.derivationPath(scheme, i));
+
+        // The device handles one request at a time
+        const result = [];
+        for (const path of paths) {
+            const {address} = await this.transport.getAddress(path);
+            result.push({path, address: ethers.utils.getAddress(address)});
+        }
+        return result;
+    }
+
+    async signMessage(message) {
+        const bytes = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : ethers.utils.arrayify(message);
+        const signature = await this.transport.signPersonalMessage(_path.get(this), ethers.utils.hexlify(bytes).substring(2));
+        return ethers.utils.joinSignature(toSignature(signature));
+    }
+
+    async signTransaction(transaction) {
+        const tx = await ethers.utils.resolveProperties(transaction);
+        const unsignedTx = ethers.utils.serializeTransaction(tx);
+        const signature = await this.transport.signTransaction(_path.get(this), unsignedTx.substring(2));
+        return ethers.utils.serializeTransaction(tx, toSignature(signature));
+    }
+
+    async signTypedData(domain, types, value) {
+        const domainSeparator = eip712.hashDomain(domain);
+        const structHash = eip712.hashStruct(eip712.getPrimaryType(types), types, value);
+        const signature = await this.transport.signEIP712HashedMessage(
+            _path.get(this), domainSeparator.substring(2), structHash.substring(2)
+        );
+        return ethers.utils.joinSignature(toSignature(signature));
+    }
+}
+
+/**
+ * Strips any leading 'm/' from a derivation path and validates it.
+ * @private
+ * @param {string} path
+ * @returns {string}
+ * @throws {TypeError} The path is not a derivation path
+ */
+function normalizePath(path) {
+    const normalized = typeof path === 'string' ? path.replace(/^m\//, '') : '';
+    if (!PATH_PATTERN.test(normalized))
+        throw new TypeError(`${path} is not a derivation path`);
+    return normalized;
+}
+
+/**
+ * Converts a signature from the Ledger Ethereum app, where r and s are hex
+ * strings without prefix and v is a number or a hex string.
+ * @private
+ * @param {Object} signature
+ * @returns {Object} Signature as an object literal with r, s and v properties.
+ */
+function toSignature({r, s, v}) {
+    return {
+        r: '0x' + r,
+        s: '0x' + s,
+        v: typeof v === 'string' ? parseInt(v, 16) : v
+    };
+}
+
+module.exports = LedgerSignerAdapter;
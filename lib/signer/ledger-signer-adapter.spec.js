@@ -0,0 +1,145 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const ethers = require('ethers');
+const eip712 = require('../eip712');
+const SignerAdapter = require('./signer-adapter');
+const LedgerSignerAdapter = require('./ledger-signer-adapter');
+
+const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000001'};
+const types = {Greeting: [{name: 'text', type: 'string'}]};
+const transaction = {to: '0x0000000000000000000000000000000000000002', value: ethers.utils.parseEther('1.23'), gasLimit: 21000, nonce: 7, chainId: 3};
+
+// A wallet per derivation path, standing in for the keys of the device
+function walletAt(path) {
+    return new ethers.Wallet(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(path)));
+}
+
+function toLedgerSignature({r, s, v}) {
+    return {r: r.substring(2), s: s.substring(2), v};
+}
+
+// Mock of the Ledger Ethereum app, responding in the format of the device
+function createMockTransport() {
+    return {
+        getAddress: sinon.spy(async path => ({publicKey: '04', address: walletAt(path).address})),
+        signPersonalMessage: sinon.spy(async (path, messageHex) => {
+            const digest = ethers.utils.hashMessage(ethers.utils.arrayify('0x' + messageHex));
+            return toLedgerSignature(walletAt(path).signingKey.signDigest(digest));
+        }),
+        signTransaction: sinon.spy(async (path, rawTxHex) => {
+            const signature = walletAt(path).signingKey.signDigest(ethers.utils.keccak256('0x' + rawTxHex));
+            const chainId = ethers.utils.parseTransaction('0x' + rawTxHex).chainId;
+            const v = (chainId * 2 + 35 + signature.recoveryParam).toString(16);
+            return Object.assign(toLedgerSignature(signature), {v});
+        }),
+        signEIP712HashedMessage: sinon.spy(async (path, domainSeparatorHex, structHashHex) => {
+            const digest = ethers.utils.keccak256(ethers.utils.concat(['0x1901', '0x' + domainSeparatorHex, '0x' + structHashHex]));
+            return toLedgerSignature(walletAt(path).signingKey.signDigest(digest));
+        })
+    };
+}
+
+describe('LedgerSignerAdapter', () => {
+    let transport;
+
+    beforeEach(() => {
+        transport = createMockTransport();
+    });
+
+    it('is a SignerAdapter', () => {
+        expect(new LedgerSignerAdapter(transport)).to.be.an.instanceOf(SignerAdapter);
+    });
+
+    it('uses the first BIP-44 account by default', () => {
+        expect(new LedgerSignerAdapter(transport).path).to.eql('44\'/60\'/0\'/0/0');
+    });
+
+    it('uses the derivation path given', () => {
+        expect(new LedgerSignerAdapter(transport, {path: 'm/44\'/60\'/2\'/0/0'}).path).to.eql('44\'/60\'/2\'/0/0');
+    });
+
+    it('rejects an invalid derivation path', () => {
+        expect(() => new LedgerSignerAdapter(transport, {path: '44\'/60\'/x'})).to.throw(TypeError, /derivation path/);
+    });
+
+    context('derivation paths', () => {
+        [
+            ['BIP44', 3, '44\'/60\'/0\'/0/3'],
+            ['LEDGER_LIVE', 3, '44\'/60\'/3\'/0/0'],
+            ['LEGACY', 3, '44\'/60\'/0\'/3']
+        ].forEach(([scheme, index, expected]) => {
+            it(`has the path of account ${index} in the ${scheme} scheme`, () => {
+                expect(LedgerSignerAdapter.derivationPath(scheme, index)).to.eql(expected);
+            });
+        });
+
+        it('lists the schemes', () => {
+            expect(LedgerSignerAdapter.DERIVATION_SCHEMES).to.eql(['BIP44', 'LEDGER_LIVE', 'LEGACY']);
+        });
+
+        it('rejects an unknown scheme', () => {
+            expect(() => LedgerSignerAdapter.derivationPath('BIP32', 0)).to.throw(TypeError, /scheme/);
+        });
+
+        it('rejects an invalid index', () => {
+            expect(() => LedgerSignerAdapter.derivationPath('BIP44', -1)).to.throw(TypeError, /index/);
+        });
+    });
+
+    context('an adapter', () => {
+        const path = '44\'/60\'/1\'/0/0';
+        let adapter, expectedWallet;
+
+        beforeEach(() => {
+            adapter = new LedgerSignerAdapter(transport, {path});
+            expectedWallet = walletAt(path);
+        });
+
+        it('has the address of the account', async () => {
+            expect(await adapter.getAddress()).to.eql(expectedWallet.address);
+            expect(transport.getAddress).to.have.been.calledWith(path);
+        });
+
+        it('enumerates the addresses of a range of accounts', async () => {
+            const accounts = await adapter.getAddresses({scheme: 'LEDGER_LIVE', from: 1, count: 2});
+            expect(accounts).to.eql([
+                {path: '44\'/60\'/1\'/0/0', address: walletAt('44\'/60\'/1\'/0/0').address},
+                {path: '44\'/60\'/2\'/0/0', address: walletAt('44\'/60\'/2\'/0/0').address}
+            ]);
+        });
+
+        it('enumerates the first 5 BIP-44 accounts by default', async () => {
+            const accounts = await adapter.getAddresses();
+            expect(accounts.map(a => a.path)).to.eql([0, 1, 2, 3, 4].map(i => `44'/60'/0'/0/${i}`));
+        });
+
+        it('signs string messages', async () => {
+            expect(await adapter.signMessage('Hello')).to.eql(await expectedWallet.signMessage('Hello'));
+            expect(transport.signPersonalMessage).to.have.been.calledWith(path, '48656c6c6f');
+        });
+
+        it('signs binary messages', async () => {
+            const message = ethers.utils.arrayify('0x0102');
+            expect(await adapter.signMessage(message)).to.eql(await expectedWallet.signMessage(message));
+        });
+
+        it('signs transactions', async () => {
+            expect(await adapter.signTransaction(transaction)).to.eql(await expectedWallet.sign(transaction));
+        });
+
+        it('signs the hashes of EIP-712 typed data', async () => {
+            const signature = await adapter.signTypedData(domain, types, {text: 'Hello'});
+            const digest = eip712.hashTypedData(domain, types, 'Greeting', {text: 'Hello'});
+            expect(eip712.isSignedBy(digest, ethers.utils.splitSignature(signature), expectedWallet.address)).to.be.true;
+            expect(transport.signEIP712HashedMessage).to.have.been.calledWith(
+                path, eip712.hashDomain(domain).substring(2), eip712.hashStruct('Greeting', types, {text: 'Hello'}).substring(2)
+            );
+        });
+    });
+});
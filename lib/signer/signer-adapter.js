@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const ethers = require('ethers');
+
+const _transport = new WeakMap();
+const _address = new WeakMap();
+
+/**
+ * @class SignerAdapter
+ * Adapter interface for signers that keep the private key elsewhere, e.g. on
+ * a hardware wallet. The adapter talks to the signer through a transport that
+ * is injected on construction, so that it can be tested with a mock transport.
+ * Extend this class to support a signer; LedgerSignerAdapter and
+ * EthersSignerAdapter are provided.
+ * A Wallet is created from an adapter once the adapter is connected, i.e. its
+ * address is known.
+ * @alias module:nahmii-sdk
+ * @example
+ * class TrezorSignerAdapter extends SignerAdapter {
+ *     async getAddress() {
+ *         const {payload} = await this.transport.ethereumGetAddress({path});
+ *         return payload.address;
+ *     }
+ *     async signMessage(message) {
+ *         // Sign with this.transport and return a flat format signature
+ *     }
+ *     async signTransaction(transaction) {
+ *         // Sign with this.transport and return the serialized transaction
+ *     }
+ * }
+ *
+ * const wallet = await Wallet.fromSigner(new TrezorSignerAdapter(TrezorConnect), provider);
+ */
+class SignerAdapter {
+    /**
+     * Constructor
+     * @param {Object} transport - The means of communication with the signer
+     */
+    constructor(transport) {
+        if (!transport)
+            throw new TypeError('transport is undefined');
+
+        _transport.set(this, transport);
+        _address.set(this, null);
+    }
+
+    /**
+     * The transport of the adapter
+     * @returns {Object}
+     */
+    get transport() {
+        return _transport.get(this);
+    }
+
+    /**
+     * The address of the signer, once connected
+     * @returns {string|null} The checksummed address, or null if not connected
+     */
+    get address() {
+        return _address.get(this);
+    }
+
+    /**
+     * Connects to the signer by retrieving its address.
+     * @returns {Promise<SignerAdapter>} A promise that resolves into the adapter
+     */
+    async connect() {
+        _address.set(this, ethers.utils.getAddress(await this.getAddress()));
+        return this;
+    }
+
+    /**
+     * Retrieves the address of the signer.
+     * @returns {Promise<string>} The address as a hexadecimal string
+     */
+    async getAddress() {
+        throw new Error('getAddress() is not implemented');
+    }
+
+    /**
+     * Signs a message as an Ethereum signed message. If message is a string,
+     * it is converted to UTF-8 bytes, otherwise it is preserved as a binary
+     * representation of the Arrayish data.
+     * @param {string|Arrayish} message
+     * @returns {Promise<string>} The flat format signature
+     */
+    async signMessage() {
+        throw new Error('signMessage() is not implemented');
+    }
+
+    /**
+     * Signs a transaction.
+     * @param {Object} transaction - An unsigned Ethereum transaction
+     * @returns {Promise<string>} The signed transaction as a hex string
+     */
+    async signTransaction() {
+        throw new Error('signTransaction() is not implemented');
+    }
+
+    /**
+     * Signs EIP-712 typed data. Optional, signers that do not support typed
+     * data reject.
+     * @param {Object} domain - The EIP-712 domain
+     * @param {Object} types - The struct types by name, not including EIP712Domain
+     * @param {Object} value - The data to sign
+     * @returns {Promise<string>} The flat format signature
+     */
+    async signTypedData() {
+        throw new Error('signTypedData() is not implemented');
+    }
+}
+
+module.exports = SignerAdapter;
@@ -0,0 +1,61 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const SignerAdapter = require('./signer-adapter');
+
+const address = '0x691A8D05678FC962ff0f2174134379c0051Cb686';
+
+describe('SignerAdapter', () => {
+    it('requires a transport', () => {
+        expect(() => new SignerAdapter()).to.throw(TypeError, /transport/);
+    });
+
+    context('an adapter', () => {
+        let transport, adapter;
+
+        beforeEach(() => {
+            transport = {};
+            adapter = new SignerAdapter(transport);
+        });
+
+        it('has the transport', () => {
+            expect(adapter.transport).to.equal(transport);
+        });
+
+        it('is not connected', () => {
+            expect(adapter.address).to.be.null;
+        });
+
+        [
+            ['getAddress', []],
+            ['signMessage', ['message']],
+            ['signTransaction', [{}]],
+            ['signTypedData', [{}, {}, {}]]
+        ].forEach(([method, args]) => {
+            it(`does not implement ${method}()`, async () => {
+                await adapter[method](...args)
+                    .then(() => expect.fail('should have rejected'), err => expect(err.message).to.eql(`${method}() is not implemented`));
+            });
+        });
+    });
+
+    context('an adapter implementing getAddress()', () => {
+        let adapter;
+
+        beforeEach(() => {
+            class TestSignerAdapter extends SignerAdapter {
+                async getAddress() {
+                    return address.toLowerCase();
+                }
+            }
+            adapter = new TestSignerAdapter({});
+        });
+
+        it('has the checksummed address once connected', async () => {
+            expect(await adapter.connect()).to.equal(adapter);
+            expect(adapter.address).to.eql(address);
+        });
+    });
+});
@@ -250,6 +250,39 @@ function isSignedBy(message, signature, address) {
     }
 }
 
+/**
+ * Encodes the sender data of a payment, a base64 encoded JSON object holding
+ * the sender's unique reference and payload.
+ * @param {String} ref - The sender's unique reference of the payment
+ * @param {String} [payload] - The stringified sender payload
+ * @returns {String} The sender data as found in payment.sender.data
+ */
+function encodeSenderData(ref, payload) {
+    const senderData = {ref};
+    if (payload)
+        senderData.payload = payload;
+    return Buffer.from(JSON.stringify(senderData)).toString('base64');
+}
+
+/**
+ * Decodes the sender data of a payment, a base64 encoded JSON object holding
+ * the sender's unique reference and payload.
+ * @param {String} data - The sender data as found in payment.sender.data
+ * @returns {Object|null} The sender data as {ref, payload}, or null if it can not be decoded
+ */
+function parseSenderData(data) {
+    if (!data || typeof data !== 'string')
+        return null;
+
+    try {
+        const senderData = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+        return senderData && typeof senderData === 'object' ? senderData : null;
+    }
+    catch (e) {
+        return null;
+    }
+}
+
 /**
  * @exports nahmii-sdk/utils
  */
@@ -261,5 +294,7 @@ module.exports = {
     hash,
     hashObject,
     sign,
-    isSignedBy
+    isSignedBy,
+    encodeSenderData,
+    parseSenderData
 };
@@ -285,3 +285,40 @@ describe('#isSignedBy()', () => {
         });
     });
 });
+
+describe('#encodeSenderData()', () => {
+    it('encodes the sender reference and payload', () => {
+        const data = utils.encodeSenderData('some ref', 'Café ☕');
+        expect(utils.parseSenderData(data)).to.eql({ref: 'some ref', payload: 'Café ☕'});
+    });
+
+    it('leaves out a missing payload', () => {
+        const data = utils.encodeSenderData('some ref');
+        expect(utils.parseSenderData(data)).to.eql({ref: 'some ref'});
+    });
+});
+
+describe('#parseSenderData()', () => {
+    const encode = text => Buffer.from(text).toString('base64');
+
+    it('decodes the sender reference and payload', () => {
+        const data = encode(JSON.stringify({ref: 'some ref', payload: 'some payload'}));
+        expect(utils.parseSenderData(data)).to.eql({ref: 'some ref', payload: 'some payload'});
+    });
+
+    it('decodes non-ASCII text', () => {
+        const data = encode(JSON.stringify({ref: 'some ref', payload: 'Café ☕'}));
+        expect(utils.parseSenderData(data)).to.eql({ref: 'some ref', payload: 'Café ☕'});
+    });
+
+    [
+        ['no data', undefined],
+        ['data that is not a string', {ref: 'some ref'}],
+        ['data that is not JSON', encode('not JSON')],
+        ['data that is not a JSON object', encode('42')]
+    ].forEach(([description, data]) => {
+        it(`returns null for ${description}`, () => {
+            expect(utils.parseSenderData(data)).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const Currency = require('./currency');
+const Receipt = require('./receipt');
+const {determineNonceFromReceipt} = require('./settlement/utils');
+
+const _provider = new WeakMap();
+const _address = new WeakMap();
+const _fromNonce = new WeakMap();
+const _toNonce = new WeakMap();
+const _direction = new WeakMap();
+const _pageSize = new WeakMap();
+const _currency = new WeakMap();
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_COLLECT_LIMIT = 1000;
+
+/**
+ * @class WalletReceiptIterator
+ * Async iterable over the payment receipts of a wallet, ordered by the
+ * wallet's nonce. Receipts are fetched from the API a page at a time, as
+ * they are consumed.
+ * The API pages by ascending nonce only, so iterating in descending order
+ * fetches all receipts in the nonce range before the first one is yielded.
+ * Instances are created with NahmiiProvider.iterateWalletReceipts().
+ * @alias module:nahmii-sdk
+ * @example
+ * for await (const receipt of provider.iterateWalletReceipts(address, {fromNonce: 10}))
+ *     console.log(receipt.senderNonce, receipt.amount.toString());
+ *
+ * const latest = await provider.iterateWalletReceipts(address, {direction: 'desc'}).collect(10);
+ */
+class WalletReceiptIterator {
+    /**
+     * Constructor
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {EthereumAddress|string} address - The wallet address
+     * @param {Object} [options]
+     * @param {number} [options.fromNonce] - Lowest wallet nonce to include
+     * @param {number} [options.toNonce] - Highest wallet nonce to include
+     * @param {string} [options.direction='asc'] - Order of the receipts, either 'asc' or 'desc'
+     * @param {number} [options.pageSize=100] - Number of receipts fetched per request
+     * @param {Currency|EthereumAddress|string} [options.currency] - Only include receipts in this currency, or currency contract address
+     */
+    constructor(provider, address, options = {}) {
+        const {
+            fromNonce = null,
+            toNonce = null,
+            direction = 'asc',
+            pageSize = DEFAULT_PAGE_SIZE,
+            currency = null
+        } = options;
+
+        if (!['asc', 'desc'].includes(direction))
+            throw new TypeError('direction must be either \'asc\' or \'desc\'');
+
+        if (!Number.isInteger(pageSize) || pageSize < 1)
+            throw new TypeError('pageSize must be a positive integer');
+
+        let currencyFilter = null;
+        if (currency) {
+            try {
+                currencyFilter = currency instanceof Currency ? currency : Currency.from({ct: currency.toString()});
+            }
+            catch (err) {
+                throw new TypeError('currency is not a Currency or currency contract address');
+            }
+        }
+
+        _provider.set(this, provider);
+        _address.set(this, address.toString());
+        _fromNonce.set(this, fromNonce);
+        _toNonce.set(this, toNonce);
+        _direction.set(this, direction);
+        _pageSize.set(this, pageSize);
+        _currency.set(this, currencyFilter);
+    }
+
+    /**
+     * Iterates the receipts as Receipt instances bound to the provider.
+     * @returns {AsyncIterator<Receipt>}
+     */
+    async * [Symbol.asyncIterator]() {
+        const provider = _provider.get(this);
+        for await (const json of this.json())
+            yield Receipt.from(json, provider);
+    }
+
+    /**
+     * Iterates the receipts as JSON objects, as returned by the API.
+     * @returns {AsyncIterator<Object>}
+     */
+    async * json() {
+        if (_direction.get(this) === 'asc') {
+            yield * fetchAscending.call(this);
+            return;
+        }
+
+        const receipts = [];
+        for await (const json of fetchAscending.call(this))
+            receipts.push(json);
+        yield * receipts.reverse();
+    }
+
+    /**
+     * Collects the receipts into an array. Iteration stops once the limit is
+     * reached, so that a wallet with many receipts can not exhaust memory.
+     * @param {number} [limit=1000] - Max number of receipts to collect
+     * @returns {Promise<Receipt[]>}
+     */
+    async collect(limit = DEFAULT_COLLECT_LIMIT) {
+        if (!Number.isInteger(limit) || limit < 0)
+            throw new TypeError('limit must be a non-negative integer');
+
+        const receipts = [];
+        if (limit === 0)
+            return receipts;
+
+        for await (const receipt of this) {
+            receipts.push(receipt);
+            if (receipts.length >= limit)
+                break;
+        }
+        return receipts;
+    }
+}
+
+/**
+ * Fetches receipts page by page in ascending nonce order, using the highest
+ * nonce of each page as the cursor for the next.
+ * Private method, invoke with 'this' bound to iterator instance.
+ * @private
+ * @returns {AsyncIterator<Object>}
+ */
+async function * fetchAscending() {
+    const provider = _provider.get(this);
+    const address = _address.get(this);
+    const wallet = EthereumAddress.from(address);
+    const toNonce = _toNonce.get(this);
+    const pageSize = _pageSize.get(this);
+    const currency = _currency.get(this);
+
+    let cursor = _fromNonce.get(this);
+    for (;;) {
+        const page = await provider.getWalletReceipts(address, cursor, pageSize, true);
+        if (!page || !page.length)
+            return;
+
+        let highestNonce = null;
+        for (const json of page) {
+            const nonce = determineNonceFromReceipt(json, wallet);
+            if (highestNonce === null || nonce > highestNonce)
+                highestNonce = nonce;
+
+            if (cursor !== null && nonce < cursor)
+                continue;
+            if (toNonce !== null && nonce > toNonce)
+                continue;
+            if (currency && !isInCurrency(json, currency))
+                continue;
+
+            yield json;
+        }
+
+        const isLastPage = page.length < pageSize ||
+            (toNonce !== null && highestNonce >= toNonce) ||
+            (cursor !== null && highestNonce < cursor);
+        if (isLastPage)
+            return;
+
+        cursor = highestNonce + 1;
+    }
+}
+
+function isInCurrency(json, currency) {
+    try {
+        return Currency.from(json.currency).isEqual(currency);
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+module.exports = WalletReceiptIterator;
@@ -0,0 +1,183 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const Currency = require('./currency');
+
+const stubbedReceipt = {
+    from: (json, provider) => ({json, provider})
+};
+
+const WalletReceiptIterator = proxyquire('./wallet-receipt-iterator', {
+    './receipt': stubbedReceipt
+});
+
+const walletAddress = '0x0000000000000000000000000000000000000001';
+const otherAddress = '0x0000000000000000000000000000000000000002';
+const ct1 = '0x0000000000000000000000000000000000000011';
+const ct2 = '0x0000000000000000000000000000000000000022';
+
+function fakeReceipt(nonce, ct = ct1) {
+    const asSender = nonce % 2 === 1;
+    return {
+        currency: {ct, id: '0'},
+        sender: {wallet: asSender ? walletAddress : otherAddress, nonce: asSender ? nonce : 1000 + nonce},
+        recipient: {wallet: asSender ? otherAddress : walletAddress, nonce: asSender ? 1000 + nonce : nonce}
+    };
+}
+
+function nonceOf(json) {
+    return json.sender.wallet === walletAddress ? json.sender.nonce : json.recipient.nonce;
+}
+
+describe('WalletReceiptIterator', () => {
+    let provider, receipts;
+
+    beforeEach(() => {
+        receipts = [];
+        for (let nonce = 1; nonce <= 7; nonce++)
+            receipts.push(fakeReceipt(nonce, nonce === 4 ? ct2 : ct1));
+
+        provider = {
+            getWalletReceipts: sinon.spy(async (address, fromNonce, limit) => {
+                return receipts
+                    .filter(r => fromNonce === null || nonceOf(r) >= fromNonce)
+                    .slice(0, limit);
+            })
+        };
+    });
+
+    async function toArray(iterable) {
+        const result = [];
+        for await (const item of iterable)
+            result.push(item);
+        return result;
+    }
+
+    it('yields all receipts of the wallet in ascending order', async () => {
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {pageSize: 3});
+        const result = await toArray(iterator.json());
+        expect(result.map(nonceOf)).to.eql([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('fetches a page at a time using the nonce as cursor', async () => {
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {pageSize: 3});
+        await toArray(iterator.json());
+        expect(provider.getWalletReceipts).to.have.been.calledThrice;
+        expect(provider.getWalletReceipts.getCall(0)).to.have.been.calledWith(walletAddress, null, 3, true);
+        expect(provider.getWalletReceipts.getCall(1)).to.have.been.calledWith(walletAddress, 4, 3, true);
+        expect(provider.getWalletReceipts.getCall(2)).to.have.been.calledWith(walletAddress, 7, 3, true);
+    });
+
+    it('fetches pages lazily', async () => {
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {pageSize: 3});
+        for await (const json of iterator.json()) {
+            expect(nonceOf(json)).to.eql(1);
+            break;
+        }
+        expect(provider.getWalletReceipts).to.have.been.calledOnce;
+    });
+
+    it('stops when a page is empty', async () => {
+        receipts = receipts.slice(0, 6);
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {pageSize: 3});
+        const result = await toArray(iterator.json());
+        expect(result).to.have.lengthOf(6);
+        expect(provider.getWalletReceipts).to.have.been.calledThrice;
+    });
+
+    it('stops when the API does not advance', async () => {
+        provider.getWalletReceipts = sinon.stub().resolves(receipts.slice(0, 3));
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {fromNonce: 5, pageSize: 3});
+        const result = await toArray(iterator.json());
+        expect(result).to.eql([]);
+        expect(provider.getWalletReceipts).to.have.been.calledOnce;
+    });
+
+    it('yields the receipts within the nonce range', async () => {
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {fromNonce: 2, toNonce: 5, pageSize: 2});
+        const result = await toArray(iterator.json());
+        expect(result.map(nonceOf)).to.eql([2, 3, 4, 5]);
+        expect(provider.getWalletReceipts).to.have.been.calledTwice;
+    });
+
+    it('yields the receipts in descending order', async () => {
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {direction: 'desc', pageSize: 3});
+        const result = await toArray(iterator.json());
+        expect(result.map(nonceOf)).to.eql([7, 6, 5, 4, 3, 2, 1]);
+    });
+
+    [
+        ['Currency', Currency.from({ct: ct2, id: 0})],
+        ['contract address', ct2]
+    ].forEach(([description, currency]) => {
+        it(`yields the receipts in the currency given as ${description}`, async () => {
+            const iterator = new WalletReceiptIterator(provider, walletAddress, {currency, pageSize: 3});
+            const result = await toArray(iterator.json());
+            expect(result.map(nonceOf)).to.eql([4]);
+        });
+    });
+
+    it('skips receipts with an invalid currency when filtering by currency', async () => {
+        receipts[3].currency = null;
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {currency: ct2});
+        const result = await toArray(iterator.json());
+        expect(result).to.eql([]);
+    });
+
+    it('yields Receipt instances bound to the provider', async () => {
+        const iterator = new WalletReceiptIterator(provider, walletAddress, {toNonce: 2});
+        const result = await toArray(iterator);
+        expect(result).to.eql([
+            {json: receipts[0], provider},
+            {json: receipts[1], provider}
+        ]);
+    });
+
+    context('collect()', () => {
+        it('collects all receipts', async () => {
+            const result = await new WalletReceiptIterator(provider, walletAddress, {pageSize: 3}).collect();
+            expect(result).to.have.lengthOf(7);
+        });
+
+        it('stops at the limit', async () => {
+            const iterator = new WalletReceiptIterator(provider, walletAddress, {pageSize: 3});
+            const result = await iterator.collect(2);
+            expect(result.map(r => nonceOf(r.json))).to.eql([1, 2]);
+            expect(provider.getWalletReceipts).to.have.been.calledOnce;
+        });
+
+        it('collects nothing with a limit of 0', async () => {
+            const result = await new WalletReceiptIterator(provider, walletAddress).collect(0);
+            expect(result).to.eql([]);
+            expect(provider.getWalletReceipts).not.to.have.been.called;
+        });
+
+        [-1, 1.5, '10'].forEach(limit => {
+            it(`rejects the limit ${JSON.stringify(limit)}`, () => {
+                return new WalletReceiptIterator(provider, walletAddress).collect(limit)
+                    .then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(TypeError);
+                    });
+            });
+        });
+    });
+
+    context('with invalid options', () => {
+        [
+            ['direction', {direction: 'up'}],
+            ['pageSize', {pageSize: 0}],
+            ['pageSize', {pageSize: 'ten'}],
+            ['currency', {currency: 'not a currency'}]
+        ].forEach(([name, options]) => {
+            it(`throws on an invalid ${name}`, () => {
+                expect(() => new WalletReceiptIterator(provider, walletAddress, options)).to.throw(TypeError);
+            });
+        });
+    });
+});
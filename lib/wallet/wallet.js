@@ -9,12 +9,24 @@ const ethers = require('ethers');
 const ClientFundContract = require('./client-fund-contract');
 const BalanceTrackerContract = require('./balance-tracker-contract');
 const Erc20Contract = require('../erc20/erc20-contract');
+const Currency = require('../currency');
+const MonetaryAmount = require('../monetary-amount');
+const InsufficientFundsError = require('../insufficient-funds-error');
+const DepositTracker = require('../deposit-tracker');
+const eip712 = require('../eip712');
+const SignerAdapter = require('../signer/signer-adapter');
+const {EthereumAddress} = require('nahmii-ethereum-address');
 
 const _clientFund = new WeakMap();
 const _balanceTracker = new WeakMap();
 const _provider = new WeakMap();
 const _signatureProvider = new WeakMap();
 
+const ETH_CT = '0x0000000000000000000000000000000000000000';
+// Number of latest receipts searched for the receipt of a payment
+const RECENT_RECEIPTS_LIMIT = 20;
+const APPROVE_STRATEGIES = ['exact', 'unlimited'];
+
 /**
  * @class Wallet
  * A class for performing various operations on a wallet.
@@ -22,8 +34,9 @@ const _signatureProvider = new WeakMap();
  */
 class Wallet extends ethers.Signer {
     /**
-     * Create a Wallet from either a private key or custom signing functions
-     * @param {(string|object)} signer - A private key, or information required for the wallet to have signing capabilities
+     * Create a Wallet from either a private key, a connected signer adapter or
+     * custom signing functions
+     * @param {(string|SignerAdapter|object)} signer - A private key, a connected SignerAdapter, or information required for the wallet to have signing capabilities
      * @param {NahmiiProvider} provider - A NahmiiProvider instance
      */
     constructor(signer, provider) {
@@ -32,8 +45,87 @@ class Wallet extends ethers.Signer {
 
         if (typeof signer === 'string')
             _signatureProvider.set(this, signerFromKey.call(this, signer));
+        else if (signer instanceof SignerAdapter)
+            _signatureProvider.set(this, signerFromAdapter.call(this, signer));
         else
-            _signatureProvider.set(this, signerFromExternalImpl.call(this, signer.signMessage, signer.signTransaction, signer.address));
+            _signatureProvider.set(this, signerFromExternalImpl.call(this, signer.signMessage, signer.signTransaction, signer.address, signer.signTypedData));
+    }
+
+    /**
+     * Create a Wallet from a signer adapter, e.g. for a hardware wallet,
+     * connecting the adapter first.
+     * @param {SignerAdapter} adapter - The signer adapter
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @return {Promise<Wallet>}
+     * @example
+     * const adapter = new LedgerSignerAdapter(eth, {path: "44'/60'/1'/0/0"});
+     * const wallet = await Wallet.fromSigner(adapter, provider);
+     */
+    static async fromSigner(adapter, provider) {
+        if (!(adapter instanceof SignerAdapter))
+            throw new TypeError('adapter is not an instance of SignerAdapter');
+        await adapter.connect();
+        return new Wallet(adapter, provider);
+    }
+
+    /**
+     * Create a Wallet from a BIP-39 mnemonic phrase.
+     * @param {string} phrase - The mnemonic phrase
+     * @param {string} [path="m/44'/60'/0'/0/0"] - The BIP-32 derivation path of the account
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @return {Wallet}
+     * @throws {TypeError} The phrase is not a valid mnemonic
+     * @example
+     * const wallet = Wallet.fromMnemonic(phrase, "m/44'/60'/0'/0/1", provider);
+     */
+    static fromMnemonic(phrase, path, provider) {
+        const node = deriveRootNode(phrase).derivePath(path || ethers.utils.HDNode.defaultPath);
+        return new Wallet(node.privateKey, provider);
+    }
+
+    /**
+     * Create several Wallets from one BIP-39 mnemonic phrase, one for each of
+     * a range of account indexes under a base derivation path.
+     * @param {string} phrase - The mnemonic phrase
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @param {Object} [options]
+     * @param {number} [options.count=1] - The number of wallets
+     * @param {number} [options.from=0] - The index of the first account
+     * @param {string} [options.basePath="m/44'/60'/0'/0"] - The derivation path the account index is appended to
+     * @return {Wallet[]}
+     * @throws {TypeError} The phrase is not a valid mnemonic
+     * @example
+     * // The wallets of m/44'/60'/0'/0/0 to m/44'/60'/0'/0/9
+     * const wallets = Wallet.deriveFromMnemonic(phrase, provider, {count: 10});
+     */
+    static deriveFromMnemonic(phrase, provider, options = {}) {
+        const {count = 1, from = 0, basePath = 'm/44\'/60\'/0\'/0'} = options;
+        if (!Number.isInteger(count) || count < 0)
+            throw new TypeError('count is not a non-negative integer');
+        if (!Number.isInteger(from) || from < 0)
+            throw new TypeError('from is not a non-negative integer');
+
+        const root = deriveRootNode(phrase);
+        const wallets = [];
+        for (let i = from; i < from + count; i++)
+            wallets.push(new Wallet(root.derivePath(`${basePath}/${i}`).privateKey, provider));
+        return wallets;
+    }
+
+    /**
+     * Create a Wallet from an encrypted JSON keystore, e.g. a keystore file of
+     * Geth or Parity.
+     * @param {string} json - The keystore as a JSON string
+     * @param {string} password - The password of the keystore
+     * @param {NahmiiProvider} provider - A NahmiiProvider instance
+     * @return {Promise<Wallet>}
+     * @throws {Error} The keystore can not be decrypted with the password
+     * @example
+     * const wallet = await Wallet.fromEncryptedJson(fs.readFileSync(keystoreFile, 'utf8'), password, provider);
+     */
+    static async fromEncryptedJson(json, password, provider) {
+        const decrypted = await ethers.Wallet.fromEncryptedJson(json, password);
+        return new Wallet(decrypted.privateKey, provider);
     }
 
     /**
@@ -112,6 +204,188 @@ class Wallet extends ethers.Signer {
         return this.provider.getWalletReceipts(this.address, fromNonce, limit, asc);
     }
 
+    /**
+     * Iterates all receipts for effectuated payments for the wallet, fetching
+     * them a page at a time.
+     * @param {Object} [options] - Filter and pagination options, see NahmiiProvider.iterateWalletReceipts()
+     * @returns {WalletReceiptIterator} An async iterable of Receipt instances
+     */
+    iterateReceipts(options = {}) {
+        return this.provider.iterateWalletReceipts(this.address, options);
+    }
+
+    /**
+     * Reconstructs the history of the wallet's nahmii balance in a currency
+     * from its payment receipts, in nonce order. Each entry holds the balance
+     * after the payment, the change in balance and the fee paid by the wallet
+     * in the currency, zero if the receipt has no such fee.
+     * Entries are flagged with the issues found between them and the receipt
+     * before them:
+     * - 'nonce-gap': one or more receipts of the wallet are missing right
+     *   before the receipt
+     * - 'balance-mismatch': the previous balance of the receipt differs from
+     *   the balance after the preceding receipt in the currency
+     * @param {Currency|EthereumAddress|string} currency - The currency, currency contract address or symbol
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock] - Only include payments effectuated in this block or later
+     * @param {number} [options.toBlock] - Only include payments effectuated in this block or earlier
+     * @returns {Promise<Object[]>} A promise that resolves into an array of {nonce, blockNumber, role, balance, previousBalance, delta, fee, issues}
+     * @example
+     * const history = await wallet.getBalanceHistory('ETH', {fromBlock: 7000000});
+     * for (const entry of history.filter(e => e.issues.length))
+     *     console.log(`Receipt ${entry.nonce}: ${entry.issues.map(i => i.type).join(', ')}`);
+     */
+    async getBalanceHistory(currency, options = {}) {
+        const {fromBlock = null, toBlock = null} = options;
+        const historyCurrency = await resolveCurrency.call(this, currency);
+        const address = EthereumAddress.from(this.address);
+
+        const history = [];
+        let issues = [];
+        let lastNonce = null;
+        let lastBalance = null;
+        for await (const json of this.provider.iterateWalletReceipts(this.address).json()) {
+            const isSender = address.isEqual(EthereumAddress.from(json.sender.wallet));
+            const party = isSender ? json.sender : json.recipient;
+
+            if (lastNonce !== null && party.nonce !== lastNonce + 1)
+                issues.push({type: 'nonce-gap', expected: lastNonce + 1, actual: party.nonce});
+            lastNonce = party.nonce;
+
+            // Gaps before receipts in other currencies are flagged in the histories of those currencies
+            if (!isInCurrency(json, historyCurrency)) {
+                issues = [];
+                continue;
+            }
+
+            if (toBlock !== null && json.blockNumber > toBlock)
+                break;
+
+            const balance = ethers.utils.bigNumberify(party.balances.current);
+            const previousBalance = ethers.utils.bigNumberify(party.balances.previous);
+            if (lastBalance !== null && !previousBalance.eq(lastBalance))
+                issues.push({type: 'balance-mismatch', expected: lastBalance, actual: previousBalance});
+            lastBalance = balance;
+
+            if (fromBlock === null || json.blockNumber >= fromBlock) {
+                history.push({
+                    nonce: party.nonce,
+                    blockNumber: json.blockNumber,
+                    role: isSender ? 'sender' : 'recipient',
+                    balance,
+                    previousBalance,
+                    delta: balance.sub(previousBalance),
+                    fee: isSender ? singleFeeInCurrency(json, historyCurrency) : ethers.constants.Zero,
+                    issues
+                });
+            }
+            issues = [];
+        }
+
+        return history;
+    }
+
+    /**
+     * Sends a payment from the wallet: resolves the currency, checks the
+     * nahmii balance, signs and registers the payment and, unless told
+     * otherwise, waits for the payment to be effectuated.
+     * The receipt is picked up from the event provider, if given, or else by
+     * polling the wallet's latest receipts for the payment's sender reference.
+     * @param {(number|string)} amount - The amount to pay, in human readable units, e.g. '1.5'
+     * @param {(string|Currency)} symbolOrCurrency - The currency symbol, or Currency
+     * @param {(EthereumAddress|string)} recipient - The address of the recipient
+     * @param {Object} [options]
+     * @param {string} [options.senderRef] - Unique uuid of the payment, random if undefined
+     * @param {string} [options.payload] - Stringified sender payload of the payment
+     * @param {boolean} [options.waitForReceipt=true] - Wait for the receipt of the payment
+     * @param {number} [options.timeout=60] - Seconds to wait for the receipt
+     * @param {number} [options.pollInterval=1] - Seconds between polls for the receipt
+     * @param {NahmiiEventProvider} [options.eventProvider] - Event provider to pick up the receipt from
+     * @returns {Promise<Receipt|Payment>} A promise that resolves into the verified receipt, or the registered payment if not waiting for the receipt
+     * @throws {InsufficientFundsError} The nahmii balance of the wallet is lower than the amount
+     * @example
+     * const receipt = await wallet.pay('1.5', 'ETH', recipient, {timeout: 30});
+     * console.log(`Paid with nonce ${receipt.senderNonce}`);
+     */
+    async pay(amount, symbolOrCurrency, recipient, options = {}) {
+        const {
+            senderRef = null,
+            payload = null,
+            waitForReceipt = true,
+            timeout = 60,
+            pollInterval = 1,
+            eventProvider = null
+        } = options;
+
+        // Required on use, as Payment and Receipt depend on Wallet
+        const Payment = require('../payment');
+
+        if (!EthereumAddress.from(recipient))
+            throw new TypeError('recipient is not a valid address');
+
+        const token = await resolveToken.call(this, symbolOrCurrency);
+        const monetaryAmount = new MonetaryAmount(
+            ethers.utils.parseUnits(amount.toString(), token.decimals), token.currency
+        );
+
+        const balances = await this.getNahmiiBalance();
+        const available = ethers.utils.parseUnits(balances[token.symbol] || '0', token.decimals);
+        if (available.lt(monetaryAmount.amount)) {
+            throw new InsufficientFundsError({
+                message: 'Insufficient funds',
+                required: monetaryAmount.amount.toString(),
+                available: available.toString(),
+                currency: token.currency.toJSON()
+            }, {status: null});
+        }
+
+        const payment = new Payment(monetaryAmount, this.address, recipient.toString(), this, senderRef, payload);
+        await payment.sign();
+        await payment.register();
+
+        if (!waitForReceipt)
+            return payment;
+
+        return awaitReceipt.call(this, payment.senderRef, {timeout, pollInterval, eventProvider});
+    }
+
+    /**
+     * Creates and signs the payment of a payment request from the wallet. The
+     * payment has the reference of the request as sender reference, and the
+     * payload of the request as sender payload. It is not registered.
+     * @param {PaymentRequest} paymentRequest - The request to pay
+     * @param {Object} [options]
+     * @param {boolean} [options.requireSignature=false] - Only pay requests signed by the recipient
+     * @returns {Promise<Payment>} A promise that resolves into the signed payment
+     * @throws {Error} The request has expired, or its signature does not verify
+     * @example
+     * const payment = await wallet.fulfil(PaymentRequest.fromURI(uri), {requireSignature: true});
+     * await payment.registerIdempotent();
+     */
+    async fulfil(paymentRequest, options = {}) {
+        const {requireSignature = false} = options;
+
+        // Required on use, as Payment and PaymentRequest depend on Wallet
+        const Payment = require('../payment');
+        const PaymentRequest = require('../payment-request');
+
+        if (!(paymentRequest instanceof PaymentRequest))
+            throw new TypeError('paymentRequest is not an instance of PaymentRequest');
+
+        if (paymentRequest.isExpired())
+            throw new Error(`Payment request ${paymentRequest.reference} has expired`);
+
+        if ((requireSignature || paymentRequest.signature) && !paymentRequest.isSigned())
+            throw new Error(`Payment request ${paymentRequest.reference} is not signed by the recipient`);
+
+        const payment = new Payment(
+            paymentRequest.amount, this.address, paymentRequest.recipient.toString(), this,
+            paymentRequest.reference, paymentRequest.payload || undefined
+        );
+        await payment.sign();
+        return payment;
+    }
+
     /**
      * Initiates the deposit of ETH from the on-chain balance of the wallet to
      * nahmii.
@@ -199,6 +473,46 @@ class Wallet extends ethers.Signer {
         }
     }
 
+    /**
+     * Deposits a token from the wallet's on-chain balance to nahmii in one
+     * call. The deposit allowance of the nahmii clientFund contract is
+     * approved only when it does not cover the amount, and a non-zero
+     * allowance is reset to zero first, as required by tokens like USDT.
+     * Approvals are waited for to be mined before the deposit is completed.
+     * @param {(number|string)} amount - The amount of currency to deposit.
+     * @param {string} symbol - The currency symbol
+     * @param {Object} [options] - Transaction options, e.g. gasLimit, and:
+     * @param {number} [options.waitForConfirmations=1] - The number of confirmations of the deposit the tracker waits for
+     * @param {string} [options.approveStrategy='exact'] - 'exact' to approve the amount, or 'unlimited' to approve any future deposits too
+     * @param {number} [options.timeout=600] - Seconds to wait for each approval to be mined
+     * @return {Promise<DepositTracker>} A promise that resolves into a tracker of the submitted deposit
+     * @example
+     * const tracker = await wallet.depositToken('1.1', 'USDT', {gasLimit: 200000});
+     * const balance = await tracker.credited();
+     */
+    async depositToken(amount, symbol, options = {}) {
+        const {waitForConfirmations = 1, approveStrategy = 'exact', timeout = 600, ...txOptions} = options;
+        if (!APPROVE_STRATEGIES.includes(approveStrategy))
+            throw new TypeError(`approveStrategy must be one of ${APPROVE_STRATEGIES.join(', ')}`);
+
+        const contract = await Erc20Contract.from(symbol, this);
+        const amountBN = contract.parse(amount.toString());
+        const clientFund = acquireClientFundContract.call(this);
+
+        const allowance = await contract.allowance(this.address, clientFund.address);
+        if (allowance.lt(amountBN)) {
+            if (!allowance.isZero())
+                await approveAndWait.call(this, contract, ethers.constants.Zero, {timeout, ...txOptions});
+            const approval = approveStrategy === 'unlimited' ? ethers.constants.MaxUint256 : amountBN;
+            await approveAndWait.call(this, contract, approval, {timeout, ...txOptions});
+        }
+
+        const monetaryAmount = new MonetaryAmount(amountBN, new Currency(EthereumAddress.from(contract.address)));
+        const initialBalance = await DepositTracker.getAvailableBalance(this, monetaryAmount.currency);
+        const transaction = await this.completeTokenDeposit(amount, symbol, txOptions);
+        return new DepositTracker(this, transaction, monetaryAmount, {confirmations: waitForConfirmations, initialBalance});
+    }
+
     /**
      * Withdraw an amount of ETH or ERC20 tokens from nahmii to base layer.
      * @param {MonetaryAmount} monetaryAmount - The amount to withdraw from nahmii.
@@ -253,6 +567,28 @@ class Wallet extends ethers.Signer {
         return await _signatureProvider.get(this).signMessage(message);
     }
 
+    /**
+     * Signs EIP-712 typed data and returns a Promise that resolves to the
+     * flat-format signature. Wallets created from custom signing functions
+     * must have a signTypedData function for this.
+     * @param {Object} domain - The EIP-712 domain
+     * @param {Object} types - The struct types by name, not including EIP712Domain
+     * @param {Object} value - The data to sign
+     * @return {Promise<string>}
+     */
+    async signTypedData(domain, types, value) {
+        const signatureProvider = _signatureProvider.get(this);
+        if (signatureProvider.signingKey) {
+            const digest = eip712.hashTypedData(domain, types, eip712.getPrimaryType(types), value);
+            return ethers.utils.joinSignature(signatureProvider.signingKey.signDigest(digest));
+        }
+
+        if (!signatureProvider.signTypedData)
+            throw new Error('The signer of the wallet does not support EIP-712 typed data signing');
+
+        return await signatureProvider.signTypedData(domain, types, value);
+    }
+
     /**
      * Signs transaction and returns a Promise that resolves to the signed
      * transaction as a hex string.
@@ -262,7 +598,10 @@ class Wallet extends ethers.Signer {
      * @return {Promise<string>}
      */
     async sign(transaction) {
-        return await _signatureProvider.get(this).sign(transaction);
+        const signatureProvider = _signatureProvider.get(this);
+        if (signatureProvider.signingKey)
+            return await signatureProvider.sign(transaction);
+        return await signatureProvider.signTransaction(transaction);
     }
 
     /**
@@ -295,6 +634,21 @@ class Wallet extends ethers.Signer {
         return await ethers.Wallet.prototype.sendTransaction.call(this, transaction);
     }
 
+    /**
+     * Encrypts the private key of the wallet into a JSON keystore, for
+     * wallets created from a private key, mnemonic or keystore.
+     * @param {string} password - The password to encrypt with
+     * @param {Object} [options] - Encryption options, e.g. {scrypt: {N}}, see ethers.Wallet.encrypt()
+     * @return {Promise<string>} The keystore as a JSON string
+     * @throws {Error} The wallet does not have a private key
+     */
+    async encrypt(password, options = {}) {
+        const signatureProvider = _signatureProvider.get(this);
+        if (!signatureProvider.signingKey)
+            throw new Error('Only wallets with a private key can be encrypted');
+        return await signatureProvider.encrypt(password, options);
+    }
+
     /**
      * If used with software wallet, returns an object containing signer related
      * information and logic such as the private key, otherwise undefined
@@ -307,6 +661,203 @@ class Wallet extends ethers.Signer {
 
 module.exports = Wallet;
 
+/**
+ * @private - invoke bound to instance.
+ * Resolves a currency given as Currency, contract address or symbol
+ * @param {Currency|EthereumAddress|string} currency
+ * @return {Promise<Currency>}
+ */
+async function resolveCurrency(currency) {
+    if (currency instanceof Currency)
+        return currency;
+
+    let ct = EthereumAddress.from(currency);
+    if (!ct && typeof currency === 'string') {
+        ct = currency.toUpperCase() === 'ETH'
+            ? EthereumAddress.from('0x0000000000000000000000000000000000000000')
+            : EthereumAddress.from((await this.provider.getTokenInfo(currency)).currency);
+    }
+    if (!ct)
+        throw new TypeError('currency is not a Currency, currency contract address or symbol');
+
+    return new Currency(ct);
+}
+
+/**
+ * @private - invoke bound to instance.
+ * Resolves the currency, symbol and decimals of a currency given as symbol or
+ * Currency
+ * @param {string|Currency} symbolOrCurrency
+ * @return {Promise<Object>}
+ */
+async function resolveToken(symbolOrCurrency) {
+    const isSymbol = typeof symbolOrCurrency === 'string' && !EthereumAddress.from(symbolOrCurrency);
+    if (isSymbol && symbolOrCurrency.toUpperCase() === 'ETH')
+        return {currency: new Currency(EthereumAddress.from(ETH_CT)), symbol: 'ETH', decimals: 18};
+
+    if (isSymbol) {
+        const tokenInfo = await this.provider.getTokenInfo(symbolOrCurrency);
+        const currency = new Currency(EthereumAddress.from(tokenInfo.currency));
+        return {currency, symbol: tokenInfo.symbol, decimals: tokenInfo.decimals};
+    }
+
+    const currency = await resolveCurrency.call(this, symbolOrCurrency);
+    if (currency.ct.isEqual(EthereumAddress.from(ETH_CT)))
+        return {currency, symbol: 'ETH', decimals: 18};
+
+    const tokenInfo = await this.provider.getTokenInfo(currency.ct.toString(), true);
+    return {currency, symbol: tokenInfo.symbol, decimals: tokenInfo.decimals};
+}
+
+/**
+ * @private
+ * Tells whether a receipt is in the currency, false if its currency is invalid
+ * @param {Object} json - The receipt as JSON
+ * @param {Currency} currency
+ * @return {boolean}
+ */
+function isInCurrency(json, currency) {
+    try {
+        return Currency.from(json.currency).isEqual(currency);
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+/**
+ * @private
+ * Returns the fee paid by the sender of a receipt in the currency, zero if
+ * the receipt has no fee, or a fee in another currency
+ * @param {Object} json - The receipt as JSON
+ * @param {Currency} currency
+ * @return {BigNumber}
+ */
+function singleFeeInCurrency(json, currency) {
+    const fee = json.sender.fees && json.sender.fees.single;
+    if (!fee || !isInCurrency(fee, currency))
+        return ethers.constants.Zero;
+    return ethers.utils.bigNumberify(fee.amount);
+}
+
+/**
+ * @private - invoke bound to instance.
+ * Approves a deposit allowance of the clientFund contract and waits for the
+ * approval to be mined
+ * @param {Erc20Contract} contract - The token contract
+ * @param {BigNumber} allowance - The allowance to approve
+ * @param {Object} options - {timeout, ...transaction options}
+ * @return {Promise<Object>} The receipt of the approval
+ */
+async function approveAndWait(contract, allowance, {timeout, ...txOptions}) {
+    const clientFund = acquireClientFundContract.call(this);
+    let transaction;
+    try {
+        transaction = await contract.approve(clientFund.address, allowance, {gasLimit: 600000, ...txOptions});
+    }
+    catch (e) {
+        throw new Error(`Failed to approve token deposit: ${e}`);
+    }
+    return await this.provider.getTransactionConfirmation(transaction.hash, timeout);
+}
+
+/**
+ * @private - invoke bound to instance.
+ * Waits for the receipt of the wallet's payment with the sender reference,
+ * and verifies it
+ * @param {string} senderRef
+ * @param {Object} options - {timeout, pollInterval, eventProvider}
+ * @return {Promise<Receipt>}
+ */
+async function awaitReceipt(senderRef, {timeout, pollInterval, eventProvider}) {
+    // Required on use, as Receipt depends on Wallet
+    const Receipt = require('../receipt');
+
+    let isDone = false;
+    let onReceipt;
+    const fromEvent = new Promise(resolve => {
+        if (!eventProvider)
+            return;
+        onReceipt = receipt => {
+            if (!isDone && receipt.payment && receipt.payment.senderRef === senderRef)
+                resolve(receipt.toJSON());
+        };
+        eventProvider.onNewReceipt(onReceipt);
+    });
+
+    const deadline = Date.now() + timeout * 1000;
+    let pollTimer, wakeUp;
+    const fromPolling = (async () => {
+        for (;;) {
+            let json;
+            try {
+                json = await findRecentReceipt.call(this, senderRef);
+            }
+            catch (err) {
+                // Polling again until the timeout, as the API may be briefly unavailable
+                dbg(`Failed to look up the receipt of payment ${senderRef}: ${err.message}`);
+            }
+            if (json || isDone)
+                return json;
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0)
+                throw new Error(`Timed out waiting for the receipt of payment ${senderRef}`);
+
+            await new Promise(resolve => {
+                wakeUp = resolve;
+                pollTimer = setTimeout(resolve, Math.min(pollInterval * 1000, remaining));
+            });
+            if (isDone)
+                return null;
+        }
+    })();
+
+    let json;
+    try {
+        json = await Promise.race([fromEvent, fromPolling]);
+    }
+    finally {
+        isDone = true;
+        clearTimeout(pollTimer);
+        if (wakeUp)
+            wakeUp();
+        if (onReceipt)
+            eventProvider.offNewReceipt(onReceipt);
+    }
+
+    const receipt = Receipt.from(json, this);
+    const domain = eip712.hasTypedDataSeal(json) ? await this.provider.getEip712Domain() : null;
+    if (!receipt.isSigned({domain}))
+        throw new Error(`The receipt of payment ${senderRef} is not signed by the operator`);
+    return receipt;
+}
+
+/**
+ * @private - invoke bound to instance.
+ * Finds the wallet's payment receipt with the sender reference among the
+ * latest receipts of the wallet
+ * @param {string} senderRef
+ * @return {Promise<Object|undefined>}
+ */
+async function findRecentReceipt(senderRef) {
+    // Required on use, as Payment depends on Wallet
+    const Payment = require('../payment');
+
+    const receipts = await this.provider.getWalletReceipts(this.address, null, RECENT_RECEIPTS_LIMIT);
+    return (receipts || []).find(json => {
+        try {
+            return EthereumAddress.from(json.sender.wallet).isEqual(EthereumAddress.from(this.address)) &&
+                Payment.from(json).senderRef === senderRef;
+        }
+        catch (err) {
+            // A malformed receipt is not the one looked for, and must not hide it
+            dbg(`Skipping a malformed receipt of wallet ${this.address}: ${err.message}`);
+            return false;
+        }
+    });
+}
+
 /**
  * @private - invoke bound to instance.
  * Creates signer implementation
@@ -321,19 +872,54 @@ function signerFromKey(privateKey) {
  * @private - invoke bound to instance.
  * Creates custom signer implementation
  * @param {function} signMessage - Takes a string as input and returns a flat format Ethereum signature
- * @param {function} sign - Takes a transaction as input and returns the same transaction signed, as a hex string
+ * @param {function} signTransaction - Takes a transaction as input and returns the same transaction signed, as a hex string
  * @param {string} address - The address to use. Must be able to derive from the private key used in the signing functions
+ * @param {function} [signTypedData] - Takes an EIP-712 domain, types and value as input and returns a flat format signature
  */
-function signerFromExternalImpl(signMessage, sign, address) {
+function signerFromExternalImpl(signMessage, signTransaction, address, signTypedData) {
     if (typeof signMessage === 'function'
-        && typeof sign === 'function'
+        && typeof signTransaction === 'function'
         && typeof address === 'string'
+        && (signTypedData === undefined || typeof signTypedData === 'function')
     )
-        return {signMessage, sign, address};
+        return {signMessage, signTransaction, address, signTypedData};
 
     throw new Error('Invalid parameter passed to Wallet constructor');
 }
 
+/**
+ * @private - invoke bound to instance.
+ * Creates signer implementation from a signer adapter
+ * @param {SignerAdapter} adapter - A connected signer adapter
+ * @return {object} implementing the functions needed to sign a message
+ */
+function signerFromAdapter(adapter) {
+    if (!adapter.address)
+        throw new Error('The signer adapter is not connected');
+
+    return {
+        address: adapter.address,
+        signMessage: message => adapter.signMessage(message),
+        signTransaction: transaction => adapter.signTransaction(transaction),
+        signTypedData: (domain, types, value) => adapter.signTypedData(domain, types, value)
+    };
+}
+
+/**
+ * @private
+ * Derives the root HD node of a mnemonic phrase
+ * @param {string} phrase - A BIP-39 mnemonic phrase
+ * @return {HDNode}
+ */
+function deriveRootNode(phrase) {
+    try {
+        return ethers.utils.HDNode.fromMnemonic(phrase);
+    }
+    catch (err) {
+        throw new TypeError('phrase is not a valid mnemonic');
+    }
+}
+
 /**
  * @private - invoke bound to instance.
  * Lazily instantiates client fund contract on first invocation.
@@ -9,6 +9,10 @@ chai.use(sinonChai);
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
 const MonetaryAmount = require('../monetary-amount');
+const Currency = require('../currency');
+const InsufficientFundsError = require('../insufficient-funds-error');
+const eip712 = require('../eip712');
+const {SignerAdapter, EthersSignerAdapter} = require('../signer');
 
 const privateKey = '0x' + '0F'.repeat(32);
 const walletAddress = '0x691A8D05678FC962ff0f2174134379c0051Cb686'; // Derived from privateKey! Not random!
@@ -30,7 +34,9 @@ const stubbedProvider = {
     getNetwork: sinon.stub(),
     resolveName: sinon.stub(),
     getTokenInfo: sinon.stub(),
-    getWalletReceipts: sinon.stub()
+    getWalletReceipts: sinon.stub(),
+    iterateWalletReceipts: sinon.stub(),
+    getEip712Domain: sinon.stub()
 };
 stubbedProvider.reset = function() {
     this.getTransactionReceipt.reset();
@@ -46,6 +52,8 @@ stubbedProvider.reset = function() {
     this.resolveName.reset();
     this.getTokenInfo.reset();
     this.getWalletReceipts.reset();
+    this.iterateWalletReceipts.reset();
+    this.getEip712Domain.reset();
 }.bind(stubbedProvider);
 
 const testTokens = [
@@ -116,8 +124,54 @@ stubbedBalanceTrackerContract.reset = function() {
     this.get.reset();
 }.bind(stubbedBalanceTrackerContract);
 
+class StubbedPayment {
+    constructor(amount, sender, recipient, wallet, senderRef, senderPayload) {
+        this.args = {amount, sender, recipient, wallet, senderRef, senderPayload};
+        this.senderRef = senderRef || 'e5b0a2d6-0000-4000-8000-000000000000';
+        this.sign = sinon.stub().resolves();
+        this.register = sinon.stub().resolves({});
+        StubbedPayment.instances.push(this);
+    }
+
+    static from(json) {
+        if (json.malformed)
+            throw new TypeError('malformed payment');
+        return {senderRef: json.ref};
+    }
+}
+StubbedPayment.instances = [];
+
+class StubbedPaymentRequest {
+    constructor(properties = {}) {
+        Object.assign(this, {
+            amount: {},
+            recipient: '0x0000000000000000000000000000000000000099',
+            reference: '8bd4ed98-0d5c-4a24-9d72-4b7e0e7c9b3a',
+            payload: null,
+            signature: null,
+            isExpired: sinon.stub().returns(false),
+            isSigned: sinon.stub().returns(false)
+        }, properties);
+    }
+}
+
+const stubbedReceipt = {
+    from: (json, wallet) => ({
+        json,
+        wallet,
+        isSigned: (options = {}) => {
+            if (json.seals && !options.domain)
+                throw new Error('Unable to validate EIP-712 signature without domain');
+            return json.signed !== false;
+        }
+    })
+};
+
 function proxyquireWallet() {
     return proxyquire('./wallet', {
+        '../payment': StubbedPayment,
+        '../receipt': stubbedReceipt,
+        '../payment-request': StubbedPaymentRequest,
         './client-fund-contract': function() {
             return stubbedClientFundContract;
         },
@@ -147,6 +201,212 @@ describe('Wallet', () => {
         stubbedBalanceTrackerContract.reset();
     });
 
+    it('can not sign EIP-712 typed data with a custom signer that does not support it', async () => {
+        const Wallet = proxyquireWallet();
+        const wallet = new Wallet({address: walletAddress, signMessage: async () => '0x', signTransaction: async () => '0x'}, stubbedProvider);
+        await wallet.signTypedData({}, {Greeting: [{name: 'text', type: 'string'}]}, {text: 'Hello'})
+            .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/EIP-712/));
+    });
+
+    context('a wallet depositing tokens in one call', () => {
+        const tt1 = testTokens[1];
+        const amountBN = ethers.utils.parseUnits('2.71', tt1.decimals);
+        let wallet, contract;
+
+        beforeEach(() => {
+            const Wallet = proxyquireWallet();
+            wallet = new Wallet(privateKey, stubbedProvider);
+            contract = stubbedErc20Contracts[1];
+            contract.allowance = sinon.stub();
+            contract.approve.resolves({hash: 'approval hash'});
+            stubbedProvider.getTransactionConfirmation.resolves({status: 1});
+            stubbedProvider.getNahmiiBalances.resolves([
+                {currency: {ct: tt1.currency, id: '0'}, amountAvailable: '1000'}
+            ]);
+            stubbedClientFundContract.receiveTokens.resolves({hash: 'deposit hash'});
+        });
+
+        it('does not approve when the allowance covers the amount', async () => {
+            contract.allowance.resolves(amountBN);
+            await wallet.depositToken('2.71', 'TT1', {gasLimit: 1});
+            expect(contract.approve).to.not.have.been.called;
+            expect(stubbedClientFundContract.receiveTokens).to.have.been.calledWith('', amountBN, tt1.currency, 0, 'ERC20', {gasLimit: 1});
+        });
+
+        it('approves the amount when there is no allowance, and waits for it to be mined', async () => {
+            contract.allowance.resolves(ethers.constants.Zero);
+            await wallet.depositToken('2.71', 'TT1', {gasLimit: 1, timeout: 30});
+            expect(contract.approve).to.have.been.calledOnceWith(stubbedClientFundContract.address, amountBN, {gasLimit: 1});
+            expect(stubbedProvider.getTransactionConfirmation).to.have.been.calledWith('approval hash', 30);
+            expect(stubbedProvider.getTransactionConfirmation).to.have.been.calledBefore(stubbedClientFundContract.receiveTokens);
+        });
+
+        it('resets an insufficient allowance to zero before approving', async () => {
+            contract.allowance.resolves(ethers.utils.bigNumberify(1));
+            await wallet.depositToken('2.71', 'TT1');
+            expect(contract.approve).to.have.been.calledTwice;
+            expect(contract.approve.firstCall.args[1]).to.eql(ethers.constants.Zero);
+            expect(contract.approve.secondCall.args[1]).to.eql(amountBN);
+            expect(stubbedProvider.getTransactionConfirmation).to.have.been.calledTwice;
+        });
+
+        it('approves an unlimited allowance with the unlimited strategy', async () => {
+            contract.allowance.resolves(ethers.constants.Zero);
+            await wallet.depositToken('2.71', 'TT1', {approveStrategy: 'unlimited'});
+            expect(contract.approve.firstCall.args[1]).to.eql(ethers.constants.MaxUint256);
+        });
+
+        it('rejects an unknown strategy', async () => {
+            await wallet.depositToken('2.71', 'TT1', {approveStrategy: 'infinite'})
+                .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceOf(TypeError));
+        });
+
+        it('does not deposit when the approval fails', async () => {
+            contract.allowance.resolves(ethers.constants.Zero);
+            stubbedProvider.getTransactionConfirmation.rejects(new Error('Transaction failed'));
+            await wallet.depositToken('2.71', 'TT1')
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.eql('Transaction failed'));
+            expect(stubbedClientFundContract.receiveTokens).to.not.have.been.called;
+        });
+
+        it('resolves into a tracker of the deposit', async () => {
+            contract.allowance.resolves(amountBN);
+            const tracker = await wallet.depositToken('2.71', 'TT1', {waitForConfirmations: 3});
+            expect(tracker.hash).to.eql('deposit hash');
+            expect(tracker.wallet).to.equal(wallet);
+            expect(tracker.monetaryAmount.toJSON()).to.eql({amount: amountBN.toString(), currency: {ct: tt1.currency, id: '0'}});
+        });
+    });
+
+    context('created from a mnemonic', () => {
+        const phrase = 'radar blur cabbage chef fix engine embark joy scheme fiction master release';
+        let Wallet;
+
+        beforeEach(() => {
+            Wallet = proxyquireWallet();
+        });
+
+        it('has the address of the first account by default', () => {
+            const wallet = Wallet.fromMnemonic(phrase, null, stubbedProvider);
+            expect(wallet.address).to.eql('0xaC39b311DCEb2A4b2f5d8461c1cdaF756F4F7Ae9');
+            expect(wallet.provider).to.equal(stubbedProvider);
+        });
+
+        it('has the address of the derivation path given', () => {
+            const wallet = Wallet.fromMnemonic(phrase, 'm/44\'/60\'/0\'/0/1', stubbedProvider);
+            expect(wallet.address).to.eql('0xD7c0Cd9e7d2701c710D64Fc492C7086679BdF7b4');
+        });
+
+        it('rejects an invalid mnemonic', () => {
+            expect(() => Wallet.fromMnemonic('radar blur cabbage', null, stubbedProvider)).to.throw(TypeError, /mnemonic/);
+        });
+
+        it('derives several wallets', () => {
+            const wallets = Wallet.deriveFromMnemonic(phrase, stubbedProvider, {count: 2});
+            expect(wallets.map(w => w.address)).to.eql([
+                '0xaC39b311DCEb2A4b2f5d8461c1cdaF756F4F7Ae9',
+                '0xD7c0Cd9e7d2701c710D64Fc492C7086679BdF7b4'
+            ]);
+            expect(wallets[1].provider).to.equal(stubbedProvider);
+        });
+
+        it('derives wallets from the account index given', () => {
+            const [wallet] = Wallet.deriveFromMnemonic(phrase, stubbedProvider, {from: 1});
+            expect(wallet.address).to.eql('0xD7c0Cd9e7d2701c710D64Fc492C7086679BdF7b4');
+        });
+
+        it('derives wallets under the base path given', () => {
+            const [wallet] = Wallet.deriveFromMnemonic(phrase, stubbedProvider, {basePath: 'm/44\'/60\'/1\'/0'});
+            expect(wallet.address).to.eql(Wallet.fromMnemonic(phrase, 'm/44\'/60\'/1\'/0/0').address);
+        });
+
+        it('rejects an invalid count', () => {
+            expect(() => Wallet.deriveFromMnemonic(phrase, stubbedProvider, {count: -1})).to.throw(TypeError, /count/);
+        });
+    });
+
+    context('created from an encrypted JSON keystore', () => {
+        const scrypt = {N: 1 << 10};
+        let Wallet, json;
+
+        beforeEach(async () => {
+            Wallet = proxyquireWallet();
+            json = await new ethers.Wallet(privateKey).encrypt('secret', {scrypt});
+        });
+
+        it('has the address of the keystore', async () => {
+            const wallet = await Wallet.fromEncryptedJson(json, 'secret', stubbedProvider);
+            expect(wallet.address).to.eql(walletAddress);
+            expect(wallet.provider).to.equal(stubbedProvider);
+        });
+
+        it('rejects a wrong password', async () => {
+            await Wallet.fromEncryptedJson(json, 'guess', stubbedProvider)
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/password/));
+        });
+
+        it('can be encrypted again', async () => {
+            const wallet = await Wallet.fromEncryptedJson(json, 'secret', stubbedProvider);
+            const encrypted = await wallet.encrypt('other secret', {scrypt});
+            expect(JSON.parse(encrypted).address).to.eql(walletAddress.substring(2).toLowerCase());
+            expect((await Wallet.fromEncryptedJson(encrypted, 'other secret')).address).to.eql(walletAddress);
+        });
+
+        it('can not be encrypted from a custom signer', async () => {
+            const wallet = new Wallet({address: walletAddress, signMessage: async () => '0x', signTransaction: async () => '0x'}, stubbedProvider);
+            await wallet.encrypt('secret')
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/private key/));
+        });
+    });
+
+    context('created from a signer adapter', () => {
+        let Wallet;
+
+        beforeEach(() => {
+            Wallet = proxyquireWallet();
+        });
+
+        it('connects the adapter and has its address', async () => {
+            const wallet = await Wallet.fromSigner(new EthersSignerAdapter(new ethers.Wallet(privateKey)), stubbedProvider);
+            expect(wallet.address).to.eql(walletAddress);
+            expect(await wallet.getAddress()).to.eql(walletAddress);
+        });
+
+        it('signs with the adapter', async () => {
+            const adapter = new EthersSignerAdapter(new ethers.Wallet(privateKey));
+            const wallet = await Wallet.fromSigner(adapter, stubbedProvider);
+            sinon.spy(adapter, 'signTransaction');
+            sinon.spy(adapter, 'signMessage');
+
+            const tx = {to: walletAddress, value: ethers.utils.parseEther('1.23'), gasLimit: 1};
+            expect(await wallet.sign(tx)).to.eql(await new ethers.Wallet(privateKey).sign(tx));
+            expect(await wallet.signMessage('Hello World!')).to.eql(await new ethers.Wallet(privateKey).signMessage('Hello World!'));
+            expect(adapter.signTransaction).to.have.been.calledWith(tx);
+            expect(adapter.signMessage).to.have.been.calledWith('Hello World!');
+        });
+
+        it('can not be created from an adapter that is not connected', () => {
+            const adapter = new EthersSignerAdapter(new ethers.Wallet(privateKey));
+            expect(() => new Wallet(adapter, stubbedProvider)).to.throw(Error, /not connected/);
+        });
+
+        it('can not be created from something else than an adapter', async () => {
+            await Wallet.fromSigner({address: walletAddress}, stubbedProvider)
+                .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceOf(TypeError));
+        });
+
+        it('rejects when the adapter does not support typed data', async () => {
+            class MessageOnlyAdapter extends SignerAdapter {
+                async getAddress() {
+                    return walletAddress;
+                }
+            }
+            const wallet = await Wallet.fromSigner(new MessageOnlyAdapter({}), stubbedProvider);
+            await wallet.signTypedData({}, {Greeting: [{name: 'text', type: 'string'}]}, {text: 'Hello'})
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/not implemented/));
+        });
+    });
+
     [
         ['private key signing', privateKey],
         ['custom signing', {
@@ -165,6 +425,10 @@ describe('Wallet', () => {
                 const wallet = new ethers.Wallet(privateKey);
                 const signature = wallet.signingKey.signDigest(ethers.utils.keccak256(serializedTx));
                 return ethers.utils.serializeTransaction(tx, signature);
+            },
+            signTypedData: async (domain, types, value) => {
+                const digest = eip712.hashTypedData(domain, types, eip712.getPrimaryType(types), value);
+                return ethers.utils.joinSignature(eip712.signDigest(digest, privateKey));
             }
         }]
     ].forEach(([description, signer]) => {
@@ -194,6 +458,14 @@ describe('Wallet', () => {
                     const sig = await wallet.signMessage(message);
                     expect(sig).to.equal(signedHex);
                 });
+
+                it('can sign EIP-712 typed data using it\'s \'signTypedData\' method', async () => {
+                    const domain = {name: 'nahmii', version: '1', chainId: 3, verifyingContract: '0x0000000000000000000000000000000000000001'};
+                    const types = {Greeting: [{name: 'text', type: 'string'}]};
+                    const sig = await wallet.signTypedData(domain, types, {text: 'Hello World!'});
+                    const digest = eip712.hashTypedData(domain, types, 'Greeting', {text: 'Hello World!'});
+                    expect(eip712.isSignedBy(digest, ethers.utils.splitSignature(sig), walletAddress)).to.be.true;
+                });
             });
 
             context('a wallet with no receipts', () => {
@@ -271,6 +543,325 @@ describe('Wallet', () => {
                     const receipts = await wallet.getReceipts(101, 1000, false);
                     expect(receipts).to.eql(walletReceipts.filter(r => r.nonce >= 101).reverse());
                 });
+
+                it('can iterate all of it\'s receipts', () => {
+                    const iterator = {};
+                    const options = {fromNonce: 101, direction: 'desc'};
+                    stubbedProvider.iterateWalletReceipts
+                        .withArgs(walletAddress, options)
+                        .returns(iterator);
+                    expect(wallet.iterateReceipts(options)).to.equal(iterator);
+                });
+            });
+
+            context('a wallet with payment receipts', () => {
+                const otherAddress = '0x0000000000000000000000000000000000000099';
+                const eth = {ct: '0x0000000000000000000000000000000000000000', id: '0'};
+                const tt1 = {ct: testTokens[1].currency, id: '0'};
+                let receipts;
+
+                function party(wallet, nonce, previous, current) {
+                    return {wallet, nonce, balances: {previous, current}, fees: {total: []}};
+                }
+
+                function sent(nonce, blockNumber, previous, current, fee, currency = eth) {
+                    const sender = party(walletAddress.toLowerCase(), nonce, previous, current);
+                    sender.fees.single = {amount: fee, currency};
+                    return {currency, blockNumber, sender, recipient: party(otherAddress, 1000 + nonce, '0', '1')};
+                }
+
+                function received(nonce, blockNumber, previous, current, currency = eth) {
+                    const sender = party(otherAddress, 1000 + nonce, '10', '9');
+                    sender.fees.single = {amount: '0', currency};
+                    return {currency, blockNumber, sender, recipient: party(walletAddress, nonce, previous, current)};
+                }
+
+                beforeEach(() => {
+                    receipts = [
+                        received(1, 10, '0', '1000'),
+                        sent(2, 11, '1000', '700', '10'),
+                        received(3, 12, '0', '50', tt1),
+                        received(4, 13, '700', '800')
+                    ];
+                    stubbedProvider.iterateWalletReceipts
+                        .withArgs(walletAddress)
+                        .callsFake(() => ({
+                            json: async function* () {
+                                yield* receipts;
+                            }
+                        }));
+                });
+
+                function summary(history) {
+                    return history.map(e => [e.nonce, e.blockNumber, e.role, e.balance.toString(), e.delta.toString(), e.fee.toString(), e.issues.map(i => i.type)]);
+                }
+
+                [
+                    ['symbol', 'ETH'],
+                    ['contract address', eth.ct],
+                    ['Currency', Currency.from(eth)]
+                ].forEach(([description, currency]) => {
+                    it(`can reconstruct it's balance history for a currency given as ${description}`, async () => {
+                        expect(summary(await wallet.getBalanceHistory(currency))).to.eql([
+                            [1, 10, 'recipient', '1000', '1000', '0', []],
+                            [2, 11, 'sender', '700', '-300', '10', []],
+                            [4, 13, 'recipient', '800', '100', '0', []]
+                        ]);
+                    });
+                });
+
+                it('can reconstruct it\'s balance history for a token symbol', async () => {
+                    expect(summary(await wallet.getBalanceHistory('TT1'))).to.eql([
+                        [3, 12, 'recipient', '50', '50', '0', []]
+                    ]);
+                });
+
+                it('reports a fee of zero for receipts without a fee in the currency', async () => {
+                    const feeless = sent(2, 11, '1000', '700', '10');
+                    delete feeless.sender.fees;
+                    receipts[1] = feeless;
+                    receipts.push(sent(5, 14, '800', '790', '10', eth));
+                    receipts[4].sender.fees.single.currency = tt1;
+                    const history = await wallet.getBalanceHistory('ETH');
+                    expect(history.map(e => [e.nonce, e.fee.toString()])).to.eql([[1, '0'], [2, '0'], [4, '0'], [5, '0']]);
+                });
+
+                it('can limit it\'s balance history to a block range', async () => {
+                    const history = await wallet.getBalanceHistory('ETH', {fromBlock: 11, toBlock: 12});
+                    expect(history.map(e => e.nonce)).to.eql([2]);
+                    expect(history[0].previousBalance.toString()).to.eql('1000');
+                });
+
+                it('flags missing receipts in it\'s balance history', async () => {
+                    receipts.splice(1, 1);
+                    const [, entry] = await wallet.getBalanceHistory('ETH');
+                    expect(entry.issues).to.have.lengthOf(1);
+                    expect(entry.issues[0].type).to.eql('balance-mismatch');
+                    expect(entry.issues[0].expected.toString()).to.eql('1000');
+                    expect(entry.issues[0].actual.toString()).to.eql('700');
+                    const [tt1Entry] = await wallet.getBalanceHistory('TT1');
+                    expect(tt1Entry.issues).to.eql([{type: 'nonce-gap', expected: 2, actual: 3}]);
+                });
+
+                it('flags missing receipts in other currencies in it\'s balance history', async () => {
+                    receipts.splice(2, 1);
+                    const history = await wallet.getBalanceHistory('ETH');
+                    expect(history.map(e => e.issues.map(i => i.type))).to.eql([[], [], ['nonce-gap']]);
+                });
+
+                it('flags missing receipts only in the balance history of the currency they are missing before', async () => {
+                    receipts.push(received(6, 14, '50', '60', tt1), received(7, 15, '800', '900'));
+                    const ethHistory = await wallet.getBalanceHistory('ETH');
+                    expect(ethHistory.map(e => e.issues.map(i => i.type))).to.eql([[], [], [], []]);
+                    const tt1History = await wallet.getBalanceHistory('TT1');
+                    expect(tt1History.map(e => e.issues.map(i => i.type))).to.eql([[], ['nonce-gap']]);
+                });
+
+                it('fails to reconstruct it\'s balance history for an invalid currency', async () => {
+                    await wallet.getBalanceHistory({}).then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(TypeError);
+                    });
+                });
+            });
+
+            context('a wallet paying from it\'s nahmii balance', () => {
+                const recipient = '0x0000000000000000000000000000000000000099';
+                const senderRef = '3f527f36-76e3-11e9-bcfb-705ab6aee958';
+
+                function receiptJSON(ref, wallet = walletAddress) {
+                    return {ref, sender: {wallet: wallet.toLowerCase()}};
+                }
+
+                beforeEach(() => {
+                    StubbedPayment.instances = [];
+                    stubbedProvider.getNahmiiBalances
+                        .withArgs(walletAddress)
+                        .resolves([
+                            {currency: {ct: testTokens[0].currency, id: '0'}, amountAvailable: '2000000000000000000'},
+                            {currency: {ct: testTokens[2].currency, id: '0'}, amountAvailable: '150000'}
+                        ]);
+                    stubbedProvider.getWalletReceipts
+                        .withArgs(walletAddress, null, 20)
+                        .onFirstCall().resolves([])
+                        .resolves([receiptJSON('some other ref'), receiptJSON(senderRef)]);
+                });
+
+                it('can pay and wait for the receipt', async () => {
+                    const receipt = await wallet.pay('1.5', 'ETH', recipient, {senderRef, pollInterval: 0});
+                    expect(receipt.json).to.eql(receiptJSON(senderRef));
+                    expect(receipt.wallet).to.equal(wallet);
+
+                    const [payment] = StubbedPayment.instances;
+                    expect(payment.args.amount.toJSON()).to.eql({
+                        amount: '1500000000000000000', currency: {ct: testTokens[0].currency, id: '0'}
+                    });
+                    expect(payment.args).to.include({sender: walletAddress, recipient, wallet, senderRef});
+                    expect(payment.sign).to.have.been.calledBefore(payment.register);
+                    expect(stubbedProvider.getWalletReceipts).to.have.been.calledTwice;
+                });
+
+                it('can pay in tokens given by symbol', async () => {
+                    await wallet.pay('1.25', 'TT2', recipient, {waitForReceipt: false});
+                    expect(StubbedPayment.instances[0].args.amount.toJSON()).to.eql({
+                        amount: '125000', currency: {ct: testTokens[2].currency, id: '0'}
+                    });
+                });
+
+                it('can pay in tokens given as Currency', async () => {
+                    stubbedProvider.getTokenInfo.withArgs(testTokens[2].currency, true).returns(testTokens[2]);
+                    await wallet.pay('1.25', Currency.from({ct: testTokens[2].currency}), recipient, {waitForReceipt: false});
+                    expect(StubbedPayment.instances[0].args.amount.amount.toString()).to.eql('125000');
+                });
+
+                it('can pay without waiting for the receipt', async () => {
+                    const payment = await wallet.pay('1', 'ETH', recipient, {waitForReceipt: false, payload: 'data'});
+                    expect(payment).to.equal(StubbedPayment.instances[0]);
+                    expect(payment.args.senderPayload).to.eql('data');
+                    expect(payment.register).to.have.been.calledOnce;
+                    expect(stubbedProvider.getWalletReceipts).not.to.have.been.called;
+                });
+
+                it('can pick up the receipt from an event provider', async () => {
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20).resolves([]);
+                    const eventProvider = {
+                        onNewReceipt(listener) {
+                            setImmediate(() => {
+                                listener({payment: {senderRef: 'some other ref'}, toJSON: () => receiptJSON('some other ref')});
+                                listener({payment: {senderRef}, toJSON: () => receiptJSON(senderRef)});
+                            });
+                            return this;
+                        },
+                        offNewReceipt: sinon.stub()
+                    };
+                    const receipt = await wallet.pay('1', 'ETH', recipient, {senderRef, eventProvider, pollInterval: 10});
+                    expect(receipt.json).to.eql(receiptJSON(senderRef));
+                    expect(eventProvider.offNewReceipt).to.have.been.calledOnce;
+                });
+
+                it('stops listening to the event provider when the receipt is found by polling', async () => {
+                    const eventProvider = {onNewReceipt: sinon.stub(), offNewReceipt: sinon.stub()};
+                    await wallet.pay('1', 'ETH', recipient, {senderRef, eventProvider, pollInterval: 0});
+                    expect(eventProvider.offNewReceipt).to.have.been.calledWith(eventProvider.onNewReceipt.firstCall.args[0]);
+                });
+
+                it('keeps polling for the receipt when looking it up fails', async () => {
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20)
+                        .onFirstCall().rejects(new Error('service unavailable'));
+                    const receipt = await wallet.pay('1', 'ETH', recipient, {senderRef, pollInterval: 0});
+                    expect(receipt.json).to.eql(receiptJSON(senderRef));
+                });
+
+                it('skips malformed receipts when polling for the receipt', async () => {
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20)
+                        .resolves([{...receiptJSON('some other ref'), malformed: true}, {sender: {}}, receiptJSON(senderRef)]);
+                    const receipt = await wallet.pay('1', 'ETH', recipient, {senderRef, pollInterval: 0});
+                    expect(receipt.json).to.eql(receiptJSON(senderRef));
+                });
+
+                it('times out when looking up the receipt keeps failing', async () => {
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20).rejects(new Error('service unavailable'));
+                    await wallet.pay('1', 'ETH', recipient, {senderRef, timeout: 0.02, pollInterval: 0.005})
+                        .then(() => expect.fail('should have rejected'), err => {
+                            expect(err.message).to.match(/timed out/i);
+                        });
+                });
+
+                it('ignores receipts of other wallets', async () => {
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20).resolves([receiptJSON(senderRef, recipient)]);
+                    await wallet.pay('1', 'ETH', recipient, {senderRef, timeout: 0.02, pollInterval: 0.005})
+                        .then(() => expect.fail('should have rejected'), err => {
+                            expect(err.message).to.match(/timed out/i);
+                        });
+                });
+
+                it('verifies an EIP-712 sealed receipt against the domain of the cluster', async () => {
+                    const sealed = {...receiptJSON(senderRef), seals: {operator: {scheme: 'eip712'}}};
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20).resolves([sealed]);
+                    stubbedProvider.getEip712Domain.resolves({name: 'nahmii'});
+                    const receipt = await wallet.pay('1', 'ETH', recipient, {senderRef, pollInterval: 0});
+                    expect(receipt.json).to.eql(sealed);
+                    expect(stubbedProvider.getEip712Domain).to.have.been.calledOnce;
+                });
+
+                it('rejects if the receipt is not signed by the operator', async () => {
+                    const unsigned = {...receiptJSON(senderRef), signed: false};
+                    stubbedProvider.getWalletReceipts.withArgs(walletAddress, null, 20).resolves([unsigned]);
+                    await wallet.pay('1', 'ETH', recipient, {senderRef, pollInterval: 0})
+                        .then(() => expect.fail('should have rejected'), err => {
+                            expect(err.message).to.match(/not signed/);
+                        });
+                });
+
+                it('does not pay more than it\'s nahmii balance', async () => {
+                    await wallet.pay('2.1', 'ETH', recipient)
+                        .then(() => expect.fail('should have rejected'), err => {
+                            expect(err).to.be.an.instanceOf(InsufficientFundsError);
+                            expect(err.required.amount.toString()).to.eql('2100000000000000000');
+                            expect(err.available.amount.toString()).to.eql('2000000000000000000');
+                            expect(err.shortfall.amount.toString()).to.eql('100000000000000000');
+                        });
+                    expect(StubbedPayment.instances).to.be.empty;
+                });
+
+                it('does not pay in a currency without nahmii balance', async () => {
+                    await wallet.pay('1', 'TT1', recipient).then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(InsufficientFundsError);
+                    });
+                });
+
+                it('does not pay to an invalid recipient', async () => {
+                    await wallet.pay('1', 'ETH', 'not an address').then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(TypeError);
+                    });
+                });
+            });
+
+            context('a wallet fulfilling a payment request', () => {
+                beforeEach(() => {
+                    StubbedPayment.instances = [];
+                });
+
+                it('creates and signs the payment of the request', async () => {
+                    const request = new StubbedPaymentRequest({payload: 'some payload'});
+                    const payment = await wallet.fulfil(request);
+                    expect(payment).to.equal(StubbedPayment.instances[0]);
+                    expect(payment.args).to.eql({
+                        amount: request.amount,
+                        sender: walletAddress,
+                        recipient: request.recipient,
+                        wallet,
+                        senderRef: request.reference,
+                        senderPayload: 'some payload'
+                    });
+                    expect(payment.sign).to.have.been.called;
+                    expect(payment.register).not.to.have.been.called;
+                });
+
+                it('pays a request signed by the recipient', async () => {
+                    const request = new StubbedPaymentRequest({signature: '0x1234'});
+                    request.isSigned.returns(true);
+                    await wallet.fulfil(request, {requireSignature: true});
+                    expect(StubbedPayment.instances).to.have.lengthOf(1);
+                });
+
+                [
+                    ['an expired request', {isExpired: sinon.stub().returns(true)}, {}, /expired/],
+                    ['a request with a signature that does not verify', {signature: '0x1234'}, {}, /not signed/],
+                    ['an unsigned request if a signature is required', {}, {requireSignature: true}, /not signed/]
+                ].forEach(([description, properties, options, expectedMessage]) => {
+                    it(`does not pay ${description}`, async () => {
+                        await wallet.fulfil(new StubbedPaymentRequest(properties), options).then(() => expect.fail('should have rejected'), err => {
+                            expect(err.message).to.match(expectedMessage);
+                        });
+                        expect(StubbedPayment.instances).to.be.empty;
+                    });
+                });
+
+                it('only fulfils payment requests', async () => {
+                    await wallet.fulfil({}).then(() => expect.fail('should have rejected'), err => {
+                        expect(err).to.be.an.instanceOf(TypeError);
+                    });
+                });
             });
 
             context('a wallet with no base layer transactions', () => {
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const fs = require('fs');
+const {promisify} = require('util');
+const WithdrawalStore = require('./withdrawal-store');
+const MemoryWithdrawalStore = require('./memory-withdrawal-store');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+const _path = new WeakMap();
+const _memory = new WeakMap();
+const _pendingWrite = new WeakMap();
+
+/**
+ * @class FileWithdrawalStore
+ * Withdrawal store keeping the records in a JSON file, so that withdrawals
+ * can be resumed after the process restarts. The file is read on first use
+ * and rewritten whenever a record changes.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {WithdrawalOrchestrator, FileWithdrawalStore} = require('nahmii-sdk');
+ *
+ * const store = new FileWithdrawalStore('./withdrawals.json');
+ * const orchestrator = new WithdrawalOrchestrator(wallet, {store});
+ */
+class FileWithdrawalStore extends WithdrawalStore {
+    /**
+     * Constructor
+     * @param {string} path - Path to the JSON file, created if it does not exist
+     */
+    constructor(path) {
+        super();
+
+        if (typeof path !== 'string' || !path)
+            throw new TypeError('path is not a non-empty string');
+
+        _path.set(this, path);
+        _pendingWrite.set(this, Promise.resolve());
+    }
+
+    async load(id) {
+        const memory = await load.call(this);
+        return memory.load(id);
+    }
+
+    async save(record) {
+        await update.call(this, memory => memory.save(record));
+    }
+
+    async remove(id) {
+        await update.call(this, memory => memory.remove(id));
+    }
+
+    async list() {
+        const memory = await load.call(this);
+        return memory.list();
+    }
+}
+
+/**
+ * Reads the file into memory, once.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @returns {Promise<MemoryWithdrawalStore>}
+ */
+function load() {
+    if (!_memory.has(this)) {
+        _memory.set(this, readFile(_path.get(this), 'utf8')
+            .then(text => new MemoryWithdrawalStore(JSON.parse(text)))
+            .catch(err => {
+                if (err.code === 'ENOENT')
+                    return new MemoryWithdrawalStore();
+                _memory.delete(this);
+                throw err;
+            }));
+    }
+    return _memory.get(this);
+}
+
+/**
+ * Applies a change to a copy of the data, writes the copy to a temporary file
+ * and renames it over the file, so that the file is never left half written.
+ * The copy replaces the data in memory only once written, so that a failed
+ * write leaves both unchanged. Updates are serialized.
+ * Private method, invoke with 'this' bound to store instance.
+ * @private
+ * @param {function(MemoryWithdrawalStore): Promise} change - Applies the change to the copy
+ * @returns {Promise}
+ */
+function update(change) {
+    const path = _path.get(this);
+    const write = _pendingWrite.get(this)
+        .catch(() => {
+            // Reported by the update that failed
+        })
+        .then(() => load.call(this))
+        .then(async memory => {
+            const next = new MemoryWithdrawalStore(memory.toJSON());
+            await change(next);
+            const tmpPath = `${path}.tmp`;
+            await writeFile(tmpPath, JSON.stringify(next.toJSON()), 'utf8');
+            await rename(tmpPath, path);
+            _memory.set(this, Promise.resolve(next));
+        });
+    _pendingWrite.set(this, write);
+    return write;
+}
+
+module.exports = FileWithdrawalStore;
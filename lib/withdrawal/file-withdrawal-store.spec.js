@@ -0,0 +1,74 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileWithdrawalStore = require('./file-withdrawal-store');
+
+function record(id, phase = 'settling') {
+    return {id, phase};
+}
+
+describe('FileWithdrawalStore', () => {
+    let dir, file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-withdrawals-'));
+        file = path.join(dir, 'withdrawals.json');
+    });
+
+    afterEach(() => {
+        for (const f of fs.readdirSync(dir))
+            fs.unlinkSync(path.join(dir, f));
+        fs.rmdirSync(dir);
+    });
+
+    it('requires a path', () => {
+        expect(() => new FileWithdrawalStore()).to.throw(TypeError);
+    });
+
+    it('starts empty if the file does not exist', async () => {
+        const store = new FileWithdrawalStore(file);
+        expect(await store.load('a')).to.be.null;
+        expect(await store.list()).to.eql([]);
+    });
+
+    it('writes the records to the file', async () => {
+        await new FileWithdrawalStore(file).save(record('a'));
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(data.withdrawals.a).to.eql(record('a'));
+        expect(fs.existsSync(`${file}.tmp`)).to.be.false;
+    });
+
+    it('reads the records from the file', async () => {
+        const written = new FileWithdrawalStore(file);
+        await written.save(record('a'));
+        await written.save(record('b', 'completed'));
+        await written.remove('a');
+        const store = new FileWithdrawalStore(file);
+        expect(await store.load('a')).to.be.null;
+        expect(await store.load('b')).to.eql(record('b', 'completed'));
+    });
+
+    it('serializes concurrent writes', async () => {
+        const store = new FileWithdrawalStore(file);
+        await Promise.all([store.save(record('a')), store.save(record('b'))]);
+        expect(await new FileWithdrawalStore(file).list()).to.eql([record('a'), record('b')]);
+    });
+
+    it('keeps the records in memory unchanged if writing the file fails', async () => {
+        const store = new FileWithdrawalStore(path.join(dir, 'missing', 'withdrawals.json'));
+        await store.save(record('a'))
+            .then(() => expect.fail('should have rejected'), err => expect(err.code).to.eql('ENOENT'));
+        expect(await store.load('a')).to.be.null;
+    });
+
+    it('rejects when the file is not JSON', async () => {
+        fs.writeFileSync(file, 'not json');
+        await new FileWithdrawalStore(file).load('a')
+            .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceOf(SyntaxError));
+    });
+});
@@ -0,0 +1,13 @@
+'use strict';
+
+const WithdrawalOrchestrator = require('./withdrawal-orchestrator');
+const WithdrawalStore = require('./withdrawal-store');
+const MemoryWithdrawalStore = require('./memory-withdrawal-store');
+const FileWithdrawalStore = require('./file-withdrawal-store');
+
+module.exports = {
+    WithdrawalOrchestrator,
+    WithdrawalStore,
+    MemoryWithdrawalStore,
+    FileWithdrawalStore
+};
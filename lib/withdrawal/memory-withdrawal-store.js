@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const WithdrawalStore = require('./withdrawal-store');
+
+const _records = new WeakMap();
+
+/**
+ * @class MemoryWithdrawalStore
+ * Withdrawal store keeping the records in memory. Records are lost when the
+ * process exits, so withdrawals can only be resumed within the process.
+ * @alias module:nahmii-sdk
+ */
+class MemoryWithdrawalStore extends WithdrawalStore {
+    /**
+     * Constructor
+     * @param {Object} [data] - Previously stored data, as returned by toJSON()
+     */
+    constructor(data = {}) {
+        super();
+        _records.set(this, copy(data.withdrawals || {}));
+    }
+
+    async load(id) {
+        const record = _records.get(this)[id];
+        return record ? copy(record) : null;
+    }
+
+    async save(record) {
+        if (!record || !record.id)
+            throw new TypeError('record does not have an id');
+        _records.get(this)[record.id] = copy(record);
+    }
+
+    async remove(id) {
+        delete _records.get(this)[id];
+    }
+
+    async list() {
+        return Object.values(_records.get(this)).map(copy);
+    }
+
+    /**
+     * Returns all stored data as a JSON object.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {withdrawals: copy(_records.get(this))};
+    }
+}
+
+function copy(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+module.exports = MemoryWithdrawalStore;
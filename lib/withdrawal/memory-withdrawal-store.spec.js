@@ -0,0 +1,80 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const MemoryWithdrawalStore = require('./memory-withdrawal-store');
+const WithdrawalStore = require('./withdrawal-store');
+
+function record(id, phase = 'settling') {
+    return {id, phase, settlements: [{type: 'payment', stageAmount: '1'}]};
+}
+
+describe('MemoryWithdrawalStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryWithdrawalStore();
+    });
+
+    it('is a WithdrawalStore', () => {
+        expect(store).to.be.an.instanceOf(WithdrawalStore);
+    });
+
+    it('has no record of an unknown withdrawal', async () => {
+        expect(await store.load('unknown')).to.be.null;
+    });
+
+    it('requires records to have an id', async () => {
+        await store.save({phase: 'settling'})
+            .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceOf(TypeError));
+    });
+
+    context('with records', () => {
+        beforeEach(async () => {
+            await store.save(record('a'));
+            await store.save(record('b'));
+        });
+
+        it('loads a record', async () => {
+            expect(await store.load('a')).to.eql(record('a'));
+        });
+
+        it('lists the records', async () => {
+            expect(await store.list()).to.eql([record('a'), record('b')]);
+        });
+
+        it('replaces a record with the same id', async () => {
+            await store.save(record('a', 'completed'));
+            expect(await store.load('a')).to.eql(record('a', 'completed'));
+        });
+
+        it('removes a record', async () => {
+            await store.remove('a');
+            expect(await store.load('a')).to.be.null;
+            expect(await store.list()).to.eql([record('b')]);
+        });
+
+        it('returns copies of the records', async () => {
+            const loaded = await store.load('a');
+            loaded.phase = 'failed';
+            expect((await store.load('a')).phase).to.eql('settling');
+        });
+
+        it('can be restored from its JSON', async () => {
+            const restored = new MemoryWithdrawalStore(JSON.parse(JSON.stringify(store)));
+            expect(await restored.list()).to.eql(await store.list());
+        });
+    });
+});
+
+describe('WithdrawalStore', () => {
+    ['load', 'save', 'remove', 'list'].forEach(method => {
+        it(`requires ${method}() to be implemented`, async () => {
+            await new WithdrawalStore()[method]('a')
+                .then(() => expect.fail('should have rejected'), err => {
+                    expect(err.message).to.match(/not implemented/);
+                });
+        });
+    });
+});
@@ -0,0 +1,543 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+const EventEmitter = require('events');
+const ethers = require('ethers');
+const uuidv4 = require('uuid/v4');
+const MonetaryAmount = require('../monetary-amount');
+const NestedError = require('../nested-error');
+const SettlementFactory = require('../settlement/settlement-factory');
+const MemoryWithdrawalStore = require('./memory-withdrawal-store');
+
+const _wallet = new WeakMap();
+const _store = new WeakMap();
+const _settlementFactory = new WeakMap();
+const _options = new WeakMap();
+const _eventEmitter = new WeakMap();
+const _runs = new WeakMap();
+
+const FINAL_PHASES = ['completed', 'failed'];
+
+/**
+ * @class WithdrawalOrchestrator
+ * Runs the whole flow of taking funds out of nahmii for a wallet: it
+ * calculates and starts the required settlements, waits for their challenge
+ * periods to expire, stages them and withdraws the staged amount.
+ * Settlements that are disqualified are started again for their amount, with
+ * the latest receipt of the wallet, once their challenge period has expired.
+ *
+ * The progress of each withdrawal is saved to a WithdrawalStore as a record
+ * with the properties id, address, currency, amount, phase, pendingAmount,
+ * stagedAmount, settlements, withdrawTx, restarts and error. The phase is
+ * one of 'settling', 'challenging', 'withdrawing', 'completed' and 'failed'.
+ * Transaction hashes are saved as soon as transactions are submitted, so a
+ * withdrawal that was interrupted, e.g. by a restart of the process, can be
+ * continued with resume(). A transaction that reverts fails the withdrawal,
+ * and is rolled back in the record so that resume() submits it again.
+ *
+ * The record is emitted as 'progress' whenever it is saved. Also emitted
+ * are 'settlementStarted', 'settlementDisqualified' and 'settlementStaged'
+ * with the settlement entry and the record, 'withdrawn' with the withdrawal
+ * transaction hash and the record, 'completed' with the record, and
+ * 'failed' with the error and the record.
+ * @alias module:nahmii-sdk
+ * @example
+ * const {WithdrawalOrchestrator, FileWithdrawalStore, MonetaryAmount} = require('nahmii-sdk');
+ *
+ * const orchestrator = new WithdrawalOrchestrator(wallet, {store: new FileWithdrawalStore('./withdrawals.json')})
+ *     .on('progress', record => console.log(record.phase));
+ * const amount = MonetaryAmount.from(ethers.utils.parseUnits('1.1', 18), tokenAddress);
+ * await orchestrator.withdraw(amount, {id: 'my-withdrawal'});
+ *
+ * // After a restart of the process
+ * await orchestrator.resume('my-withdrawal');
+ */
+class WithdrawalOrchestrator {
+    /**
+     * Constructor
+     * @param {Wallet} wallet - The withdrawing wallet
+     * @param {Object} [options]
+     * @param {WithdrawalStore} [options.store] - Where to save the progress, in memory if not given
+     * @param {SettlementFactory} [options.settlementFactory] - The factory of settlements, one for the provider of the wallet if not given
+     * @param {number} [options.pollInterval=60] - Seconds between polls of the settlements during their challenge periods
+     * @param {number} [options.timeout=600] - Seconds to wait for each transaction to be mined
+     * @param {number} [options.maxRestarts=3] - The number of times disqualified settlements are started again before the withdrawal fails
+     * @param {number} [options.gasLimit] - Gas limit of the transactions
+     * @param {BigNumber} [options.gasPrice] - Gas price of the transactions
+     */
+    constructor(wallet, options = {}) {
+        if (!wallet || !wallet.provider)
+            throw new TypeError('wallet does not have a provider');
+
+        const {store, settlementFactory, pollInterval = 60, timeout = 600, maxRestarts = 3, gasLimit, gasPrice} = options;
+        const gasOptions = {};
+        if (gasLimit !== undefined)
+            gasOptions.gasLimit = gasLimit;
+        if (gasPrice !== undefined)
+            gasOptions.gasPrice = gasPrice;
+
+        _wallet.set(this, wallet);
+        _store.set(this, store || new MemoryWithdrawalStore());
+        _settlementFactory.set(this, settlementFactory || new SettlementFactory(wallet.provider));
+        _options.set(this, {pollInterval, timeout, maxRestarts, gasOptions});
+        _eventEmitter.set(this, new EventEmitter());
+        _runs.set(this, new Map());
+    }
+
+    /**
+     * The withdrawing wallet
+     * @returns {Wallet}
+     */
+    get wallet() {
+        return _wallet.get(this);
+    }
+
+    /**
+     * The store of the progress of the withdrawals
+     * @returns {WithdrawalStore}
+     */
+    get store() {
+        return _store.get(this);
+    }
+
+    /**
+     * Withdraws an amount from nahmii to the wallet, running all steps.
+     * @param {MonetaryAmount} monetaryAmount - The amount to withdraw
+     * @param {Object} [options]
+     * @param {string} [options.id] - Unique id of the withdrawal in the store, random if undefined
+     * @returns {Promise<Object>} A promise that resolves into the record of the completed withdrawal
+     * @throws {Error} A withdrawal with the id exists, or a step of the withdrawal failed
+     */
+    async withdraw(monetaryAmount, options = {}) {
+        if (!(monetaryAmount instanceof MonetaryAmount))
+            throw new TypeError('monetaryAmount is not an instance of MonetaryAmount');
+
+        const {amount, currency} = monetaryAmount.toJSON();
+        if (!ethers.utils.bigNumberify(amount).gt(0))
+            throw new TypeError('monetaryAmount is not a positive amount');
+
+        const id = options.id || uuidv4();
+        if (await _store.get(this).load(id))
+            throw new Error(`A withdrawal with id ${id} already exists`);
+
+        const record = {
+            id,
+            address: this.wallet.address,
+            currency,
+            amount,
+            phase: 'settling',
+            pendingAmount: amount,
+            stagedAmount: '0',
+            settlements: [],
+            withdrawTx: null,
+            restarts: 0,
+            error: null
+        };
+        await save.call(this, record);
+        return run.call(this, record, false);
+    }
+
+    /**
+     * Continues a withdrawal from the progress saved in the store.
+     * @param {string} id - The id of the withdrawal
+     * @returns {Promise<Object>} A promise that resolves into the record of the withdrawal once completed, or failed before
+     * @throws {Error} There is no such withdrawal of the wallet, or a step of the withdrawal failed
+     */
+    async resume(id) {
+        const record = await _store.get(this).load(id);
+        if (!record)
+            throw new Error(`There is no withdrawal with id ${id}`);
+        if (record.address.toLowerCase() !== this.wallet.address.toLowerCase())
+            throw new Error(`The withdrawal ${id} is not of the wallet ${this.wallet.address}`);
+
+        if (FINAL_PHASES.includes(record.phase))
+            return record;
+
+        record.error = null;
+        return run.call(this, record, true);
+    }
+
+    /**
+     * Stops running a withdrawal, or all withdrawals. Their promises are
+     * rejected, and they can be continued with resume().
+     * @param {string} [id] - The id of the withdrawal, all withdrawals if undefined
+     */
+    stop(id) {
+        for (const [runId, state] of _runs.get(this)) {
+            if (id === undefined || id === runId) {
+                state.stopped = true;
+                clearTimeout(state.timer);
+                if (state.wakeUp)
+                    state.wakeUp();
+            }
+        }
+    }
+
+    /**
+     * Registers a listener of an event: 'progress', 'settlementStarted',
+     * 'settlementDisqualified', 'settlementStaged', 'withdrawn', 'completed'
+     * or 'failed'.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {WithdrawalOrchestrator}
+     */
+    on(eventName, listener) {
+        _eventEmitter.get(this).on(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Registers a listener that is only called the first time the event is
+     * emitted.
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - Function called when the event is emitted
+     * @returns {WithdrawalOrchestrator}
+     */
+    once(eventName, listener) {
+        _eventEmitter.get(this).once(eventName, listener);
+        return this;
+    }
+
+    /**
+     * Removes a listener previously registered with on() or once().
+     * @param {string} eventName - Name of the event
+     * @param {function} listener - The registered listener
+     * @returns {WithdrawalOrchestrator}
+     */
+    removeListener(eventName, listener) {
+        _eventEmitter.get(this).removeListener(eventName, listener);
+        return this;
+    }
+}
+
+/**
+ * Runs the phases of a withdrawal until it completes or fails.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {boolean} resumed - Whether the withdrawal is continued from the store
+ * @returns {Promise<Object>}
+ */
+async function run(record, resumed) {
+    const runs = _runs.get(this);
+    if (runs.has(record.id))
+        throw new Error(`The withdrawal ${record.id} is already running`);
+
+    const state = {stopped: false, timer: null, wakeUp: null};
+    runs.set(record.id, state);
+
+    try {
+        if (resumed && record.phase === 'settling')
+            await adoptSettlements.call(this, record);
+
+        while (!FINAL_PHASES.includes(record.phase)) {
+            if (state.stopped)
+                throw new Error(`The withdrawal ${record.id} was stopped`);
+
+            if (record.phase === 'settling')
+                await settle.call(this, record);
+            else if (record.phase === 'challenging')
+                await challenge.call(this, record, state);
+            else
+                await withdrawStaged.call(this, record);
+        }
+        return copy(record);
+    }
+    catch (err) {
+        if (state.stopped)
+            throw err;
+
+        record.error = err.message;
+        await save.call(this, record).catch(() => {
+            // The progress is saved again on resume
+        });
+        emit.call(this, 'failed', err, copy(record));
+        throw new NestedError(err, `Withdrawal ${record.id} failed.`);
+    }
+    finally {
+        runs.delete(record.id);
+    }
+}
+
+/**
+ * Starts settlements for the pending amount, and waits for the start
+ * transactions to be mined.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ */
+async function settle(record) {
+    const {gasOptions} = _options.get(this);
+
+    if (ethers.utils.bigNumberify(record.pendingAmount).gt(0)) {
+        const pendingAmount = MonetaryAmount.from({amount: record.pendingAmount, currency: record.currency});
+        const settlements = await _settlementFactory.get(this).calculateRequiredSettlements(record.address, pendingAmount);
+
+        for (const settlement of settlements) {
+            const transaction = await settlement.start(this.wallet, gasOptions);
+            await addSettlement.call(this, record, settlement, transaction.hash);
+        }
+    }
+
+    for (const entry of record.settlements.slice()) {
+        if (entry.status === 'started' && entry.startTx)
+            await waitForTransaction.call(this, entry.startTx, () => removeSettlement.call(this, record, entry));
+    }
+
+    record.phase = 'challenging';
+    await save.call(this, record);
+}
+
+/**
+ * Records ongoing settlements that were started but not saved before the
+ * withdrawal was interrupted.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ */
+async function adoptSettlements(record) {
+    const settlements = await _settlementFactory.get(this).getAllSettlements(record.address, record.currency.ct);
+    for (const settlement of settlements) {
+        const isKnown = record.settlements.some(e => e.type === settlement.type && e.status === 'started');
+        if (settlement.isOngoing && !isKnown && settlement.stageAmount.lte(record.pendingAmount))
+            await addSettlement.call(this, record, settlement, null);
+    }
+}
+
+/**
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {PaymentSettlement|OnchainBalanceSettlement} settlement - The started settlement
+ * @param {string|null} startTx - The hash of the start transaction, if known
+ */
+async function addSettlement(record, settlement, startTx) {
+    const entry = {
+        type: settlement.type,
+        stageAmount: settlement.stageAmount.toString(),
+        status: 'started',
+        startTx,
+        stageTx: null
+    };
+    record.settlements.push(entry);
+    record.pendingAmount = ethers.utils.bigNumberify(record.pendingAmount).sub(entry.stageAmount).toString();
+    await save.call(this, record);
+    emit.call(this, 'settlementStarted', copy(entry), copy(record));
+}
+
+/**
+ * Removes a settlement whose start transaction reverted, returning its amount
+ * to the pending amount.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {Object} entry - The entry of the settlement in the record
+ */
+async function removeSettlement(record, entry) {
+    record.settlements.splice(record.settlements.indexOf(entry), 1);
+    record.pendingAmount = ethers.utils.bigNumberify(record.pendingAmount).add(entry.stageAmount).toString();
+    await save.call(this, record);
+}
+
+/**
+ * Checks the settlements of a withdrawal, staging those that have qualified
+ * and restarting those that have been disqualified, and waits while any of
+ * them is still challenged.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {Object} state - The run state of the withdrawal
+ */
+async function challenge(record, state) {
+    const {pollInterval} = _options.get(this);
+    const settlements = await _settlementFactory.get(this).getAllSettlements(record.address, record.currency.ct);
+    let expirationTime = 0;
+
+    for (const entry of record.settlements) {
+        if (state.stopped)
+            return;
+
+        if (entry.status === 'staging') {
+            await waitForStaged.call(this, record, entry);
+            continue;
+        }
+        if (entry.status !== 'started')
+            continue;
+
+        const settlement = settlements.find(s => s.type === entry.type);
+        if (!settlement)
+            continue;
+
+        if (settlement.isDisqualified && !settlement.isOngoing) {
+            await restart.call(this, record, entry);
+        }
+        else if (settlement.isStageable) {
+            await stage.call(this, record, entry, settlement);
+        }
+        else if (settlement.isCompleted) {
+            // Staged before the progress could be saved
+            await markStaged.call(this, record, entry);
+        }
+        else if (settlement.expirationTime) {
+            expirationTime = Math.max(expirationTime, settlement.expirationTime);
+        }
+    }
+
+    if (record.settlements.some(e => e.status === 'started' || e.status === 'staging')) {
+        const untilExpired = expirationTime - Date.now();
+        await sleep(state, untilExpired > 0 ? Math.min(pollInterval * 1000, untilExpired) : pollInterval * 1000);
+        return;
+    }
+
+    record.phase = ethers.utils.bigNumberify(record.pendingAmount).gt(0) ? 'settling' : 'withdrawing';
+    await save.call(this, record);
+}
+
+/**
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {Object} entry - The entry of the settlement in the record
+ * @param {PaymentSettlement|OnchainBalanceSettlement} settlement - The stageable settlement
+ */
+async function stage(record, entry, settlement) {
+    const transaction = await settlement.stage(this.wallet, _options.get(this).gasOptions);
+    entry.status = 'staging';
+    entry.stageTx = transaction.hash;
+    await save.call(this, record);
+
+    await waitForStaged.call(this, record, entry);
+}
+
+/**
+ * Waits for the stage transaction of a settlement to be mined, and sets the
+ * settlement back to started if it reverted.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {Object} entry - The entry of the settlement in the record
+ */
+async function waitForStaged(record, entry) {
+    await waitForTransaction.call(this, entry.stageTx, async () => {
+        entry.status = 'started';
+        entry.stageTx = null;
+        await save.call(this, record);
+    });
+    await markStaged.call(this, record, entry);
+}
+
+/**
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {Object} entry - The entry of the settlement in the record
+ */
+async function markStaged(record, entry) {
+    entry.status = 'staged';
+    record.stagedAmount = ethers.utils.bigNumberify(record.stagedAmount).add(entry.stageAmount).toString();
+    await save.call(this, record);
+    emit.call(this, 'settlementStaged', copy(entry), copy(record));
+}
+
+/**
+ * Returns the amount of a disqualified settlement to the pending amount, to
+ * be settled again.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ * @param {Object} entry - The entry of the settlement in the record
+ * @throws {Error} Settlements have been disqualified too many times
+ */
+async function restart(record, entry) {
+    const {maxRestarts} = _options.get(this);
+
+    entry.status = 'disqualified';
+    record.pendingAmount = ethers.utils.bigNumberify(record.pendingAmount).add(entry.stageAmount).toString();
+    record.restarts++;
+    if (record.restarts > maxRestarts)
+        record.phase = 'failed';
+    await save.call(this, record);
+    emit.call(this, 'settlementDisqualified', copy(entry), copy(record));
+
+    if (record.phase === 'failed')
+        throw new Error(`Settlements were disqualified more than ${maxRestarts} times`);
+}
+
+/**
+ * Withdraws the staged amount, and waits for the transaction to be mined.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ */
+async function withdrawStaged(record) {
+    if (!record.withdrawTx) {
+        const stagedAmount = MonetaryAmount.from({amount: record.stagedAmount, currency: record.currency});
+        const transaction = await this.wallet.withdraw(stagedAmount, _options.get(this).gasOptions);
+        record.withdrawTx = transaction.hash;
+        await save.call(this, record);
+    }
+
+    await waitForTransaction.call(this, record.withdrawTx, async () => {
+        record.withdrawTx = null;
+        await save.call(this, record);
+    });
+    emit.call(this, 'withdrawn', record.withdrawTx, copy(record));
+
+    record.phase = 'completed';
+    await save.call(this, record);
+    emit.call(this, 'completed', copy(record));
+}
+
+/**
+ * Waits for a transaction to be mined. The transaction is rolled back if it
+ * reverted, but not if it was not mined in time, as it may still be mined.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {string} hash
+ * @param {function} rollBack - Removes the transaction from the record, returning a promise
+ * @returns {Promise<Object>} The transaction receipt
+ * @throws {Error} The transaction failed, or was not mined in time
+ */
+async function waitForTransaction(hash, rollBack) {
+    const provider = this.wallet.provider;
+    try {
+        return await provider.getTransactionConfirmation(hash, _options.get(this).timeout);
+    }
+    catch (err) {
+        const receipt = await provider.getTransactionReceipt(hash).catch(() => null);
+        if (receipt && receipt.status === 0)
+            await rollBack();
+        throw err;
+    }
+}
+
+/**
+ * Saves the record to the store and emits it as progress.
+ * Private method, invoke with 'this' bound to WithdrawalOrchestrator instance.
+ * @private
+ * @param {Object} record
+ */
+async function save(record) {
+    await _store.get(this).save(copy(record));
+    emit.call(this, 'progress', copy(record));
+}
+
+function emit(eventName, ...args) {
+    _eventEmitter.get(this).emit(eventName, ...args);
+}
+
+function sleep(state, ms) {
+    return new Promise(resolve => {
+        state.wakeUp = resolve;
+        state.timer = setTimeout(resolve, ms);
+    });
+}
+
+function copy(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+module.exports = WithdrawalOrchestrator;
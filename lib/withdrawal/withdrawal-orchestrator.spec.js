@@ -0,0 +1,363 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const ethers = require('ethers');
+const MonetaryAmount = require('../monetary-amount');
+const MemoryWithdrawalStore = require('./memory-withdrawal-store');
+const WithdrawalOrchestrator = require('./withdrawal-orchestrator');
+
+const walletAddress = '0x0000000000000000000000000000000000000001';
+const ct = '0x0000000000000000000000000000000000000002';
+const id = 'withdrawal-1';
+
+function fakeSettlement(type, stageAmount, state = {}) {
+    return Object.assign({
+        type,
+        stageAmount: ethers.utils.bigNumberify(stageAmount),
+        isOngoing: false,
+        isStageable: false,
+        isCompleted: false,
+        isDisqualified: false,
+        expirationTime: null,
+        start: sinon.stub().resolves({hash: `0x${type}-start`}),
+        stage: sinon.stub().resolves({hash: `0x${type}-stage`})
+    }, state);
+}
+
+describe('WithdrawalOrchestrator', () => {
+    let provider, wallet, settlementFactory, store, orchestrator, monetaryAmount;
+
+    beforeEach(() => {
+        provider = {
+            getTransactionConfirmation: sinon.stub().resolves({status: 1}),
+            getTransactionReceipt: sinon.stub().resolves(null)
+        };
+        wallet = {
+            address: walletAddress,
+            provider,
+            withdraw: sinon.stub().resolves({hash: '0xwithdraw'})
+        };
+        settlementFactory = {
+            calculateRequiredSettlements: sinon.stub(),
+            getAllSettlements: sinon.stub().resolves([])
+        };
+        store = new MemoryWithdrawalStore();
+        orchestrator = new WithdrawalOrchestrator(wallet, {store, settlementFactory, pollInterval: 0.001, gasLimit: 1000000});
+        monetaryAmount = MonetaryAmount.from('100', ct, 0);
+    });
+
+    it('requires a wallet with a provider', () => {
+        expect(() => new WithdrawalOrchestrator({address: walletAddress})).to.throw(TypeError, /provider/);
+    });
+
+    it('has the wallet and the store', () => {
+        expect(orchestrator.wallet).to.equal(wallet);
+        expect(orchestrator.store).to.equal(store);
+    });
+
+    it('requires a monetary amount', async () => {
+        await orchestrator.withdraw('100')
+            .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceOf(TypeError));
+    });
+
+    it('requires a positive amount', async () => {
+        await orchestrator.withdraw(MonetaryAmount.from('0', ct, 0))
+            .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/positive/));
+    });
+
+    it('does not reuse the id of a withdrawal', async () => {
+        await store.save({id});
+        await orchestrator.withdraw(monetaryAmount, {id})
+            .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/already exists/));
+    });
+
+    context('withdrawing', () => {
+        let payment, onchainBalance;
+
+        beforeEach(() => {
+            payment = fakeSettlement('payment', '60');
+            onchainBalance = fakeSettlement('onchain-balance', '40');
+            settlementFactory.calculateRequiredSettlements.resolves([payment, onchainBalance]);
+            settlementFactory.getAllSettlements.onFirstCall().resolves([
+                fakeSettlement('payment', '60', {isOngoing: true, expirationTime: Date.now() + 5}),
+                fakeSettlement('onchain-balance', '40', {isOngoing: true, expirationTime: Date.now() + 5})
+            ]);
+            settlementFactory.getAllSettlements.onSecondCall().resolves([
+                fakeSettlement('payment', '60', {isStageable: true}),
+                fakeSettlement('onchain-balance', '40', {isStageable: true})
+            ]);
+        });
+
+        it('settles, stages and withdraws the amount', async () => {
+            const record = await orchestrator.withdraw(monetaryAmount, {id});
+
+            expect(settlementFactory.calculateRequiredSettlements).to.have.been.calledWith(walletAddress, sinon.match(a => a.toJSON().amount === '100'));
+            expect(payment.start).to.have.been.calledWith(wallet, {gasLimit: 1000000});
+            expect(onchainBalance.start).to.have.been.calledWith(wallet, {gasLimit: 1000000});
+            expect(settlementFactory.getAllSettlements).to.have.been.calledWith(walletAddress, ct);
+            expect(wallet.withdraw).to.have.been.calledWith(sinon.match(a => a.toJSON().amount === '100' && a.toJSON().currency.ct === ct), {gasLimit: 1000000});
+            ['0xpayment-start', '0xonchain-balance-start', '0xpayment-stage', '0xonchain-balance-stage', '0xwithdraw'].forEach(hash => {
+                expect(provider.getTransactionConfirmation).to.have.been.calledWith(hash, 600);
+            });
+
+            expect(record).to.eql({
+                id,
+                address: walletAddress,
+                currency: {ct, id: '0'},
+                amount: '100',
+                phase: 'completed',
+                pendingAmount: '0',
+                stagedAmount: '100',
+                settlements: [
+                    {type: 'payment', stageAmount: '60', status: 'staged', startTx: '0xpayment-start', stageTx: '0xpayment-stage'},
+                    {type: 'onchain-balance', stageAmount: '40', status: 'staged', startTx: '0xonchain-balance-start', stageTx: '0xonchain-balance-stage'}
+                ],
+                withdrawTx: '0xwithdraw',
+                restarts: 0,
+                error: null
+            });
+            expect(await store.load(id)).to.eql(record);
+        });
+
+        it('emits the progress', async () => {
+            const events = [];
+            const phases = [];
+            ['settlementStarted', 'settlementStaged', 'withdrawn', 'completed'].forEach(name => {
+                orchestrator.on(name, () => events.push(name));
+            });
+            orchestrator.on('progress', record => {
+                if (phases[phases.length - 1] !== record.phase)
+                    phases.push(record.phase);
+            });
+            await orchestrator.withdraw(monetaryAmount);
+            expect(events).to.eql(['settlementStarted', 'settlementStarted', 'settlementStaged', 'settlementStaged', 'withdrawn', 'completed']);
+            expect(phases).to.eql(['settling', 'challenging', 'withdrawing', 'completed']);
+        });
+
+        it('restarts the amount of a disqualified settlement', async () => {
+            const disqualified = sinon.spy();
+            orchestrator.on('settlementDisqualified', disqualified);
+            settlementFactory.getAllSettlements.onFirstCall().resolves([
+                fakeSettlement('payment', '60', {isDisqualified: true}),
+                fakeSettlement('onchain-balance', '40', {isStageable: true})
+            ]);
+            const restarted = fakeSettlement('payment', '60');
+            restarted.start.resolves({hash: '0xrestart'});
+            settlementFactory.calculateRequiredSettlements.onSecondCall().resolves([restarted]);
+            settlementFactory.getAllSettlements.onSecondCall().resolves([fakeSettlement('payment', '60', {isStageable: true})]);
+
+            const record = await orchestrator.withdraw(monetaryAmount);
+
+            expect(disqualified).to.have.been.calledOnce;
+            expect(settlementFactory.calculateRequiredSettlements.secondCall).to.have.been.calledWith(walletAddress, sinon.match(a => a.toJSON().amount === '60'));
+            expect(record.restarts).to.eql(1);
+            expect(record.settlements.map(e => e.status)).to.eql(['disqualified', 'staged', 'staged']);
+            expect(record.settlements[2].startTx).to.eql('0xrestart');
+            expect(record.stagedAmount).to.eql('100');
+            expect(record.phase).to.eql('completed');
+        });
+
+        it('waits while a disqualified settlement is ongoing', async () => {
+            settlementFactory.getAllSettlements.onSecondCall().resolves([
+                fakeSettlement('payment', '60', {isDisqualified: true, isOngoing: true}),
+                fakeSettlement('onchain-balance', '40', {isStageable: true})
+            ]);
+            settlementFactory.getAllSettlements.onThirdCall().resolves([fakeSettlement('payment', '60', {isStageable: true})]);
+            const record = await orchestrator.withdraw(monetaryAmount);
+            expect(record.restarts).to.eql(0);
+            expect(settlementFactory.getAllSettlements).to.have.been.calledThrice;
+        });
+
+        it('fails when settlements are disqualified too many times', async () => {
+            const failed = sinon.spy();
+            orchestrator = new WithdrawalOrchestrator(wallet, {store, settlementFactory, pollInterval: 0.001, maxRestarts: 0})
+                .on('failed', failed);
+            settlementFactory.getAllSettlements.onFirstCall().resolves([fakeSettlement('payment', '60', {isDisqualified: true})]);
+            await orchestrator.withdraw(monetaryAmount, {id})
+                .then(() => expect.fail('should have rejected'), err => expect(err.innerError.message).to.match(/disqualified more than 0 times/));
+            expect(failed).to.have.been.calledOnce;
+            const record = await store.load(id);
+            expect(record.phase).to.eql('failed');
+            expect(record.error).to.match(/disqualified/);
+            expect(await orchestrator.resume(id)).to.eql(record);
+        });
+
+        it('keeps the progress when a step fails', async () => {
+            wallet.withdraw.rejects(new Error('out of gas'));
+            await orchestrator.withdraw(monetaryAmount, {id})
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/Withdrawal withdrawal-1 failed/));
+            const record = await store.load(id);
+            expect(record.phase).to.eql('withdrawing');
+            expect(record.error).to.eql('out of gas');
+        });
+
+        context('when a transaction reverts', () => {
+            function reverts(hash) {
+                provider.getTransactionConfirmation.withArgs(hash).rejects(new Error('Transaction failed'));
+                provider.getTransactionReceipt.withArgs(hash).resolves({status: 0});
+            }
+
+            async function failsAndResumes() {
+                await orchestrator.withdraw(monetaryAmount, {id})
+                    .then(() => expect.fail('should have rejected'), err => expect(err.innerError.message).to.eql('Transaction failed'));
+                const failed = await store.load(id);
+                provider.getTransactionConfirmation = sinon.stub().resolves({status: 1});
+                return [failed, await orchestrator.resume(id)];
+            }
+
+            it('starts the settlement again on resume', async () => {
+                reverts('0xpayment-start');
+                settlementFactory.calculateRequiredSettlements.onSecondCall().resolves([payment]);
+                settlementFactory.getAllSettlements.onFirstCall().resolves([
+                    fakeSettlement('onchain-balance', '40', {isOngoing: true})
+                ]);
+                settlementFactory.getAllSettlements.onThirdCall().resolves([
+                    fakeSettlement('payment', '60', {isStageable: true}),
+                    fakeSettlement('onchain-balance', '40', {isStageable: true})
+                ]);
+
+                const [failed, record] = await failsAndResumes();
+                expect(failed.phase).to.eql('settling');
+                expect(failed.pendingAmount).to.eql('60');
+                expect(failed.settlements.map(e => e.type)).to.eql(['onchain-balance']);
+                expect(payment.start).to.have.been.calledTwice;
+                expect(record.settlements.map(e => [e.type, e.status])).to.eql([['onchain-balance', 'staged'], ['payment', 'staged']]);
+                expect(record.phase).to.eql('completed');
+            });
+
+            it('stages the settlement again on resume', async () => {
+                reverts('0xpayment-stage');
+                const stageable = fakeSettlement('payment', '60', {isStageable: true});
+                settlementFactory.getAllSettlements.onThirdCall().resolves([
+                    stageable,
+                    fakeSettlement('onchain-balance', '40', {isStageable: true})
+                ]);
+
+                const [failed, record] = await failsAndResumes();
+                expect(failed.phase).to.eql('challenging');
+                expect(failed.settlements[0]).to.include({status: 'started', stageTx: null});
+                expect(stageable.stage).to.have.been.calledOnce;
+                expect(record.stagedAmount).to.eql('100');
+                expect(record.phase).to.eql('completed');
+            });
+
+            it('withdraws again on resume', async () => {
+                reverts('0xwithdraw');
+                const [failed, record] = await failsAndResumes();
+                expect(failed.phase).to.eql('withdrawing');
+                expect(failed.withdrawTx).to.be.null;
+                expect(wallet.withdraw).to.have.been.calledTwice;
+                expect(record.phase).to.eql('completed');
+            });
+
+            it('keeps a transaction that was not mined in time', async () => {
+                provider.getTransactionConfirmation.withArgs('0xwithdraw').rejects(new Error('Timed out'));
+                await orchestrator.withdraw(monetaryAmount, {id})
+                    .then(() => expect.fail('should have rejected'), err => expect(err.innerError.message).to.eql('Timed out'));
+                expect((await store.load(id)).withdrawTx).to.eql('0xwithdraw');
+            });
+        });
+
+        it('can be stopped and resumed', async () => {
+            settlementFactory.getAllSettlements.onFirstCall().resolves([fakeSettlement('payment', '60', {isOngoing: true})]);
+            orchestrator = new WithdrawalOrchestrator(wallet, {store, settlementFactory, pollInterval: 60});
+            orchestrator.once('progress', () => setTimeout(() => orchestrator.stop(id), 10));
+            await orchestrator.withdraw(monetaryAmount, {id})
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/stopped/));
+            expect((await store.load(id)).phase).to.eql('challenging');
+
+            const record = await orchestrator.resume(id);
+            expect(record.phase).to.eql('completed');
+            expect(payment.start).to.have.been.calledOnce;
+        });
+    });
+
+    context('resuming', () => {
+        function storedRecord(changes) {
+            return Object.assign({
+                id,
+                address: walletAddress,
+                currency: {ct, id: '0'},
+                amount: '100',
+                phase: 'settling',
+                pendingAmount: '100',
+                stagedAmount: '0',
+                settlements: [],
+                withdrawTx: null,
+                restarts: 0,
+                error: null
+            }, changes);
+        }
+
+        it('requires a stored withdrawal', async () => {
+            await orchestrator.resume(id)
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/no withdrawal/));
+        });
+
+        it('requires a withdrawal of the wallet', async () => {
+            await store.save(storedRecord({address: '0x0000000000000000000000000000000000000009'}));
+            await orchestrator.resume(id)
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/not of the wallet/));
+        });
+
+        it('records settlements that were started before the interruption', async () => {
+            await store.save(storedRecord());
+            settlementFactory.getAllSettlements.onFirstCall().resolves([fakeSettlement('payment', '60', {isOngoing: true})]);
+            settlementFactory.calculateRequiredSettlements.resolves([fakeSettlement('onchain-balance', '40')]);
+            settlementFactory.getAllSettlements.resolves([
+                fakeSettlement('payment', '60', {isStageable: true}),
+                fakeSettlement('onchain-balance', '40', {isStageable: true})
+            ]);
+
+            const record = await orchestrator.resume(id);
+            expect(settlementFactory.calculateRequiredSettlements).to.have.been.calledWith(walletAddress, sinon.match(a => a.toJSON().amount === '40'));
+            expect(record.settlements.map(e => [e.type, e.startTx])).to.eql([['payment', null], ['onchain-balance', '0xonchain-balance-start']]);
+            expect(record.stagedAmount).to.eql('100');
+        });
+
+        it('waits for a submitted stage transaction', async () => {
+            await store.save(storedRecord({
+                phase: 'challenging',
+                pendingAmount: '0',
+                settlements: [{type: 'payment', stageAmount: '100', status: 'staging', startTx: '0x1', stageTx: '0x2'}]
+            }));
+            const record = await orchestrator.resume(id);
+            expect(provider.getTransactionConfirmation).to.have.been.calledWith('0x2');
+            expect(record.settlements[0].status).to.eql('staged');
+            expect(record.phase).to.eql('completed');
+        });
+
+        it('treats a completed settlement as staged', async () => {
+            await store.save(storedRecord({
+                phase: 'challenging',
+                pendingAmount: '0',
+                settlements: [{type: 'payment', stageAmount: '100', status: 'started', startTx: '0x1', stageTx: null}]
+            }));
+            settlementFactory.getAllSettlements.resolves([fakeSettlement('payment', '100', {isCompleted: true})]);
+            const record = await orchestrator.resume(id);
+            expect(record.stagedAmount).to.eql('100');
+            expect(wallet.withdraw).to.have.been.calledOnce;
+        });
+
+        it('does not withdraw again once the withdrawal transaction is submitted', async () => {
+            await store.save(storedRecord({phase: 'withdrawing', pendingAmount: '0', stagedAmount: '100', withdrawTx: '0x3'}));
+            const record = await orchestrator.resume(id);
+            expect(wallet.withdraw).to.not.have.been.called;
+            expect(provider.getTransactionConfirmation).to.have.been.calledWith('0x3');
+            expect(record.phase).to.eql('completed');
+        });
+
+        it('does not run a withdrawal twice at the same time', async () => {
+            await store.save(storedRecord({phase: 'withdrawing', pendingAmount: '0', stagedAmount: '100', withdrawTx: '0x3'}));
+            const first = orchestrator.resume(id);
+            await orchestrator.resume(id)
+                .then(() => expect.fail('should have rejected'), err => expect(err.message).to.match(/already running/));
+            await first;
+        });
+    });
+});
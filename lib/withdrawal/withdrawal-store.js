@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * @module nahmii-sdk
+ */
+
+/**
+ * @class WithdrawalStore
+ * Adapter interface for the storage of the progress of withdrawals run by a
+ * WithdrawalOrchestrator. Extend this class to keep the progress in a
+ * database; MemoryWithdrawalStore and FileWithdrawalStore are provided.
+ * Records are plain JSON objects with an id property, and should be stored
+ * as given.
+ * @alias module:nahmii-sdk
+ * @example
+ * class MongoWithdrawalStore extends WithdrawalStore {
+ *     async load(id) {
+ *         const doc = await db.collection('withdrawals').findOne({id}, {projection: {_id: 0}});
+ *         return doc || null;
+ *     }
+ *     async save(record) {
+ *         await db.collection('withdrawals').replaceOne({id: record.id}, record, {upsert: true});
+ *     }
+ *     async remove(id) {
+ *         await db.collection('withdrawals').deleteOne({id});
+ *     }
+ *     async list() {
+ *         return db.collection('withdrawals').find({}, {projection: {_id: 0}}).toArray();
+ *     }
+ * }
+ */
+class WithdrawalStore {
+    /**
+     * Returns the record of a withdrawal.
+     * @param {string} id - The id of the withdrawal
+     * @returns {Promise<Object|null>} The record, or null if there is none
+     */
+    async load() {
+        throw new Error('load() is not implemented');
+    }
+
+    /**
+     * Adds the record of a withdrawal, or replaces the record with the same
+     * id.
+     * @param {Object} record - The record
+     * @param {string} record.id - The id of the withdrawal
+     * @returns {Promise}
+     */
+    async save() {
+        throw new Error('save() is not implemented');
+    }
+
+    /**
+     * Removes the record of a withdrawal, if any.
+     * @param {string} id - The id of the withdrawal
+     * @returns {Promise}
+     */
+    async remove() {
+        throw new Error('remove() is not implemented');
+    }
+
+    /**
+     * Returns all stored records, e.g. for resuming unfinished withdrawals
+     * when a process starts.
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        throw new Error('list() is not implemented');
+    }
+}
+
+module.exports = WithdrawalStore;